@@ -35,6 +35,7 @@ if (args.length === 0 || args.includes('--help') || args.includes('-h')) {
   console.log('  --fix              Automatically fix problems');
   console.log('  --severity <level> Set rule severity: warn (default) or error');
   console.log('  --format <name>    Use a specific ESLint formatter');
+  console.log('  --all-files        Lint every matched file, not only recognized test files');
   console.log('  -h, --help         Show this help message');
   console.log('');
   console.log(`Available rules (${rules.length}):`);
@@ -46,6 +47,7 @@ if (args.length === 0 || args.includes('--help') || args.includes('-h')) {
 let severity = 'warn';
 let format = 'stylish';
 let fix = false;
+let allFiles = false;
 const filePatterns = [];
 
 const validSeverities = ['warn', 'error', 'off'];
@@ -63,6 +65,8 @@ for (let i = 0; i < args.length; i++) {
     i++;
   } else if (args[i] === '--fix') {
     fix = true;
+  } else if (args[i] === '--all-files') {
+    allFiles = true;
   } else {
     filePatterns.push(args[i]);
   }
@@ -112,6 +116,10 @@ async function run() {
     overrideConfig.languageOptions = { parser };
   }
 
+  if (allFiles) {
+    overrideConfig.settings = { 'test-flakiness': { testFileMode: 'all' } };
+  }
+
   const eslint = new ESLint({
     overrideConfigFile: true,
     overrideConfig,
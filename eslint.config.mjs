@@ -162,6 +162,14 @@ export default [
       'test-flakiness/no-random-data': 'off',
     },
   },
+  {
+    // The declaration generator test compares against the real file on disk
+    files: ['tests/scripts/generate-types.test.js'],
+    rules: {
+      'test-flakiness/no-test-isolation': 'off',
+      'test-flakiness/no-unmocked-fs': 'off',
+    },
+  },
   {
     ignores: [
       'node_modules/**',
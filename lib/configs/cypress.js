@@ -0,0 +1,33 @@
+/**
+ * @fileoverview Cypress configuration for eslint-plugin-test-flakiness
+ */
+'use strict';
+
+module.exports = {
+  plugins: ['test-flakiness'],
+  rules: {
+    // Cypress - Command queue, retries and intercepts
+    'test-flakiness/no-cypress-command-assignment': 'error',
+    'test-flakiness/no-async-cypress': 'error',
+    'test-flakiness/no-cypress-then-assertions': 'error',
+    'test-flakiness/no-unscoped-cypress-index': 'error',
+    'test-flakiness/valid-cypress-intercepts': 'error',
+
+    // Critical - Prevent race conditions
+    'test-flakiness/no-test-focus': 'error',
+    'test-flakiness/no-unconditional-wait': 'error',
+    'test-flakiness/no-hard-coded-timeout': 'error',
+
+    // High - Ensure test reliability
+    'test-flakiness/no-test-isolation': 'error',
+    'test-flakiness/no-test-order-dependency': 'error',
+    'test-flakiness/no-global-state-mutation': 'error',
+    'test-flakiness/no-random-data': 'error',
+
+    // Medium - Page structure and timing
+    'test-flakiness/no-index-queries': 'error',
+    'test-flakiness/no-animation-wait': 'error',
+    'test-flakiness/no-element-removal-check': 'error',
+    'test-flakiness/no-viewport-dependent': 'error'
+  }
+};
@@ -0,0 +1,34 @@
+/**
+ * @fileoverview Playwright configuration for eslint-plugin-test-flakiness
+ */
+'use strict';
+
+module.exports = {
+  plugins: ['test-flakiness'],
+  rules: {
+    // Playwright - Locators and web-first assertions
+    'test-flakiness/no-element-handles': 'error',
+    'test-flakiness/prefer-web-first-assertions': 'error',
+    'test-flakiness/await-web-first-assertions': 'error',
+    'test-flakiness/no-wait-for-navigation': 'error',
+
+    // Critical - Prevent race conditions
+    'test-flakiness/await-async-events': 'error',
+    'test-flakiness/no-test-focus': 'error',
+    'test-flakiness/no-unconditional-wait': 'error',
+    'test-flakiness/no-hard-coded-timeout': 'error',
+    'test-flakiness/no-promise-race': 'error',
+
+    // High - Ensure test reliability
+    'test-flakiness/no-test-isolation': 'error',
+    'test-flakiness/no-test-order-dependency': 'error',
+    'test-flakiness/no-global-state-mutation': 'error',
+    'test-flakiness/no-random-data': 'error',
+
+    // Medium - Page structure and timing
+    'test-flakiness/no-index-queries': 'error',
+    'test-flakiness/no-animation-wait': 'error',
+    'test-flakiness/no-element-removal-check': 'error',
+    'test-flakiness/no-viewport-dependent': 'error'
+  }
+};
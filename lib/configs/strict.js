@@ -7,14 +7,14 @@ module.exports = {
   plugins: ['test-flakiness'],
   rules: {
     // Critical - Prevent race conditions (strict settings)
-    'test-flakiness/await-async-events': ['error', { enforceForAllAsyncUtils: true }],
+    'test-flakiness/await-async-events': 'error',
     'test-flakiness/no-test-focus': ['error', { allowSkip: false, allowOnly: false }],
-    'test-flakiness/no-immediate-assertions': ['error', { maxWaitTime: 0 }],
+    'test-flakiness/no-immediate-assertions': ['error', { requireWaitFor: true }],
 
     // High - Ensure test reliability (strict settings)
-    'test-flakiness/no-unconditional-wait': ['error', { maxWaitTime: 1000 }],
-    'test-flakiness/no-global-state-mutation': ['error', { checkNestedObjects: true }],
-    'test-flakiness/no-test-isolation': ['error', { enforceCleanup: true }],
+    'test-flakiness/no-unconditional-wait': ['error', { maxTimeout: 1000, allowInSetup: false }],
+    'test-flakiness/no-global-state-mutation': ['error', { allowInHooks: false }],
+    'test-flakiness/no-test-isolation': ['error', { allowSharedSetup: false }],
     'test-flakiness/no-random-data': ['error', { allowSeededRandom: false }],
     'test-flakiness/no-unmocked-network': ['error', { allowLocalhost: false }],
 
@@ -27,6 +27,26 @@ module.exports = {
     'test-flakiness/no-index-queries': 'error',
     'test-flakiness/no-focus-check': 'error',
     'test-flakiness/no-hard-coded-timeout': ['error', { maxTimeout: 500, allowInSetup: false }],
+    'test-flakiness/no-unhandled-msw-requests': 'error',
+    'test-flakiness/no-leaked-fake-timers': 'error',
+    'test-flakiness/no-unrestored-mocks': 'error',
+    'test-flakiness/no-test-order-dependency': 'error',
+    'test-flakiness/prefer-accessible-queries': 'error',
+    'test-flakiness/prefer-find-by': 'error',
+    'test-flakiness/no-side-effects-in-waitfor': 'error',
+
+    // Playwright - Locators and web-first assertions
+    'test-flakiness/no-element-handles': 'error',
+    'test-flakiness/prefer-web-first-assertions': 'error',
+    'test-flakiness/await-web-first-assertions': 'error',
+    'test-flakiness/no-wait-for-navigation': 'error',
+
+    // Cypress - Command queue, retries and intercepts
+    'test-flakiness/no-cypress-command-assignment': 'error',
+    'test-flakiness/no-async-cypress': 'error',
+    'test-flakiness/no-cypress-then-assertions': 'error',
+    'test-flakiness/no-unscoped-cypress-index': 'error',
+    'test-flakiness/valid-cypress-intercepts': 'error',
 
     // Low - Opinionated rules for maximum safety
     'test-flakiness/no-database-operations': 'error',
@@ -0,0 +1,585 @@
+// This file is generated by scripts/generate-types.js from each rule's meta.schema.
+// Do not edit it by hand: run `pnpm generate:types` after changing a rule schema.
+
+import type { Rule } from 'eslint';
+
+declare namespace plugin {
+  type RuleSeverity = 'off' | 'warn' | 'error' | 0 | 1 | 2;
+
+  type RuleEntry<Options extends unknown[]> = RuleSeverity | [RuleSeverity, ...Options];
+
+  /** Options for `test-flakiness/await-async-events` */
+  interface AwaitAsyncEventsOptions {
+    /** @default [] */
+    customAsyncMethods?: string[];
+  }
+
+  /** Options for `test-flakiness/await-web-first-assertions` */
+  interface AwaitWebFirstAssertionsOptions {
+    /**
+     * Custom async matchers added with expect.extend()
+     * @default []
+     */
+    customMatchers?: string[];
+  }
+
+  /** Options for `test-flakiness/no-animation-wait` */
+  interface NoAnimationWaitOptions {
+    /**
+     * Allow requestAnimationFrame waits
+     * @default false
+     */
+    allowAnimationFrame?: boolean;
+    /**
+     * Allow animation waits if animations appear to be disabled in test setup
+     * @default true
+     */
+    allowIfAnimationsDisabled?: boolean;
+    /**
+     * Additional patterns to detect as animation waits
+     * @default []
+     */
+    customAnimationPatterns?: string[];
+    /**
+     * Patterns to ignore even if they match animation waits
+     * @default []
+     */
+    ignorePatterns?: string[];
+  }
+
+  /** Options for `test-flakiness/no-async-cypress` */
+  interface NoAsyncCypressOptions {
+    /**
+     * Also report async before/beforeEach/after/afterEach callbacks running Cypress commands
+     * @default true
+     */
+    checkHooks?: boolean;
+  }
+
+  /** Options for `test-flakiness/no-cypress-command-assignment` */
+  interface NoCypressCommandAssignmentOptions {
+    /**
+     * Custom commands returning their value right away, in addition to cy.stub(), cy.spy(), cy.now() and cy.state()
+     * @default []
+     */
+    allowCommands?: string[];
+  }
+
+  /** Options for `test-flakiness/no-cypress-then-assertions` */
+  interface NoCypressThenAssertionsOptions {
+    /**
+     * Functions whose calls are assertions
+     * @default ["expect","assert"]
+     */
+    assertionFunctions?: string[];
+  }
+
+  /** Options for `test-flakiness/no-database-operations` */
+  interface NoDatabaseOperationsOptions {
+    /** @default true */
+    allowInHooks?: boolean;
+  }
+
+  /** Options for `test-flakiness/no-element-handles` */
+  interface NoElementHandlesOptions {
+    /**
+     * Allow $eval() and $$eval(), which query and evaluate in one step without keeping a handle
+     * @default false
+     */
+    allowEval?: boolean;
+  }
+
+  /** Options for `test-flakiness/no-element-removal-check` */
+  interface NoElementRemovalCheckOptions {
+    /** @default true */
+    reportWithoutEvidence?: boolean;
+  }
+
+  /** Options for `test-flakiness/no-focus-check` */
+  interface NoFocusCheckOptions {
+    /** @default true */
+    allowWithWaitFor?: boolean;
+  }
+
+  /** Options for `test-flakiness/no-global-state-mutation` */
+  interface NoGlobalStateMutationOptions {
+    /** @default true */
+    allowInHooks?: boolean;
+  }
+
+  /** Options for `test-flakiness/no-hard-coded-timeout` */
+  interface NoHardCodedTimeoutOptions {
+    /** @default 1000 */
+    maxTimeout?: number;
+    /** @default false */
+    allowInSetup?: boolean;
+  }
+
+  /** Options for `test-flakiness/no-immediate-assertions` */
+  interface NoImmediateAssertionsOptions {
+    /** @default [] */
+    allowedAfterOperations?: string[];
+    /** @default true */
+    requireWaitFor?: boolean;
+    /** @default false */
+    ignoreDataTestId?: boolean;
+  }
+
+  /** Options for `test-flakiness/no-index-queries` */
+  interface NoIndexQueriesOptions {
+    /**
+     * Allow nth-child and positional CSS selectors
+     * @default false
+     */
+    allowNthChild?: boolean;
+    /**
+     * Allow specific indices in query results (e.g., [0, -1] for first and last)
+     * @default [0,-1]
+     */
+    allowSpecificIndices?: number[];
+    /**
+     * Ignore index access when queries use data-testid
+     * @default true
+     */
+    ignoreDataTestId?: boolean;
+  }
+
+  /** Options for `test-flakiness/no-leaked-fake-timers` */
+  interface NoLeakedFakeTimersOptions {
+    /**
+     * Accept useRealTimers() later in the same test instead of in an after hook
+     * @default false
+     */
+    allowRestoreInTest?: boolean;
+  }
+
+  /** Options for `test-flakiness/no-long-text-match` */
+  interface NoLongTextMatchOptions {
+    /** @default 50 */
+    maxLength?: number;
+    /** @default true */
+    ignoreComments?: boolean;
+    /** @default true */
+    allowPartialMatch?: boolean;
+    /** @default false */
+    ignoreTestIds?: boolean;
+  }
+
+  /** Options for `test-flakiness/no-promise-race` */
+  interface NoPromiseRaceOptions {
+    /** @default false */
+    allowWithTimeout?: boolean;
+    /** @default true */
+    allowInHelpers?: boolean;
+  }
+
+  /** Options for `test-flakiness/no-random-data` */
+  interface NoRandomDataOptions {
+    /**
+     * Allow random data in setup hooks if properly seeded
+     * @default false
+     */
+    allowInSetup?: boolean;
+    /**
+     * Allow random data generation when a seed is provided
+     * @default true
+     */
+    allowSeededRandom?: boolean;
+    /**
+     * Array of method names that are allowed to use random data
+     * @default []
+     */
+    allowedMethods?: string[];
+  }
+
+  /** Options for `test-flakiness/no-side-effects-in-waitfor` */
+  interface NoSideEffectsInWaitforOptions {
+    /**
+     * Objects whose calls fire events, e.g. fireEvent and userEvent, along with variables holding their setup() result
+     * @default ["fireEvent","userEvent"]
+     */
+    eventObjects?: string[];
+    /**
+     * Functions and objects whose calls send requests
+     * @default ["fetch","axios","request","superagent","got","ky"]
+     */
+    networkFunctions?: string[];
+    /**
+     * Functions whose calls are assertions
+     * @default ["expect","assert"]
+     */
+    assertionFunctions?: string[];
+    /**
+     * Report waitFor() callbacks that neither assert nor run a query that throws
+     * @default true
+     */
+    checkAssertions?: boolean;
+  }
+
+  /** Options for `test-flakiness/no-test-focus` */
+  interface NoTestFocusOptions {
+    /**
+     * Allow skip methods (test.skip, describe.skip, etc.)
+     * @default false
+     */
+    allowSkip?: boolean;
+    /**
+     * Allow only/focus methods (test.only, describe.only, etc.)
+     * @default false
+     */
+    allowOnly?: boolean;
+    /**
+     * Additional patterns to detect as focused tests
+     * @default []
+     */
+    customFocusPatterns?: string[];
+    /**
+     * Additional patterns to detect as skipped tests
+     * @default []
+     */
+    customSkipPatterns?: string[];
+  }
+
+  /** Options for `test-flakiness/no-test-isolation` */
+  interface NoTestIsolationOptions {
+    /**
+     * Allow shared setup in beforeAll/beforeEach hooks
+     * @default true
+     */
+    allowSharedSetup?: boolean;
+    /**
+     * Check for global state modifications that could affect other tests
+     * @default true
+     */
+    checkGlobalState?: boolean;
+    /**
+     * Array of variable names that are allowed to be shared between tests
+     * @default []
+     */
+    allowedSharedVariables?: string[];
+  }
+
+  /** Options for `test-flakiness/no-test-order-dependency` */
+  interface NoTestOrderDependencyOptions {
+    /**
+     * Also check variables declared outside the tests, which no-test-isolation reports by default
+     * @default false
+     */
+    checkVariables?: boolean;
+    /**
+     * Variable names, storage keys and selectors tests may share
+     * @default []
+     */
+    allowedResources?: string[];
+  }
+
+  /** Options for `test-flakiness/no-unconditional-wait` */
+  interface NoUnconditionalWaitOptions {
+    /**
+     * Maximum allowed timeout duration in milliseconds
+     * @default 1000
+     */
+    maxTimeout?: number;
+    /**
+     * Allow unconditional waits in setup/teardown hooks
+     * @default true
+     */
+    allowInSetup?: boolean;
+    /**
+     * Array of method names that are allowed to use unconditional waits
+     * @default []
+     */
+    allowedMethods?: string[];
+  }
+
+  /** Options for `test-flakiness/no-unhandled-msw-requests` */
+  interface NoUnhandledMswRequestsOptions {
+    /**
+     * onUnhandledRequest values accepted in listen()/start(); custom callbacks are always accepted
+     * @default ["error"]
+     */
+    allowedPolicies?: ("error" | "warn" | "bypass")[];
+  }
+
+  /** Options for `test-flakiness/no-unmocked-fs` */
+  interface NoUnmockedFsOptions {
+    /** @default [] */
+    allowedPaths?: string[];
+    /** @default false */
+    allowInSetup?: boolean;
+    /** @default true */
+    allowTempFiles?: boolean;
+    /** @default [] */
+    allowedModules?: string[];
+    /** @default ["fs","fs/promises","node:fs"] */
+    mockModules?: string[];
+  }
+
+  /** Options for `test-flakiness/no-unmocked-network` */
+  interface NoUnmockedNetworkOptions {
+    /**
+     * Allow network requests in integration test files
+     * @default false
+     */
+    allowInIntegration?: boolean;
+    /**
+     * Allow requests to localhost and local development servers
+     * @default true
+     */
+    allowLocalhost?: boolean;
+    /**
+     * Array of domain names that are allowed for network requests
+     * @default []
+     */
+    allowedDomains?: string[];
+    /**
+     * Array of modules that should be mocked instead of making real requests
+     * @default ["axios","fetch","request","http","https"]
+     */
+    mockModules?: string[];
+    /**
+     * Global test setup files, relative to rootDir, that may intercept requests for every test file
+     * @default []
+     */
+    setupFiles?: string[];
+    /**
+     * Require an afterEach reset, such as server.resetHandlers() or nock.cleanAll(), for every interception setup
+     * @default false
+     */
+    requireInterceptorReset?: boolean;
+  }
+
+  /** Options for `test-flakiness/no-unrestored-mocks` */
+  interface NoUnrestoredMocksOptions {
+    /**
+     * Accept a restore later in the same test instead of in an after hook
+     * @default false
+     */
+    allowRestoreInTest?: boolean;
+  }
+
+  /** Options for `test-flakiness/no-unscoped-cypress-index` */
+  interface NoUnscopedCypressIndexOptions {
+    /**
+     * Allow specific indices (e.g., [0] to allow .first() and .eq(0))
+     * @default []
+     */
+    allowSpecificIndices?: number[];
+  }
+
+  /** Options for `test-flakiness/no-viewport-dependent` */
+  interface NoViewportDependentOptions {
+    /**
+     * Allow viewport configuration in test setup hooks
+     * @default true
+     */
+    allowViewportSetup?: boolean;
+    /**
+     * Allow tests specifically designed for responsive design testing
+     * @default false
+     */
+    allowResponsiveTests?: boolean;
+    /**
+     * Ignore tests that specifically test CSS media query behavior
+     * @default false
+     */
+    ignoreMediaQueries?: boolean;
+  }
+
+  /** Options for `test-flakiness/no-wait-for-navigation` */
+  interface NoWaitForNavigationOptions {
+    /**
+     * Allow waitForNavigation() started in Promise.all() together with the action that navigates
+     * @default false
+     */
+    allowInPromiseAll?: boolean;
+  }
+
+  /** Options for `test-flakiness/prefer-accessible-queries` */
+  interface PreferAccessibleQueriesOptions {
+    /**
+     * Allow *ByTestId queries even when the test id names a role
+     * @default false
+     */
+    allowTestId?: boolean;
+    /**
+     * The attribute *ByTestId queries read, as set with configure({ testIdAttribute })
+     * @default "data-testid"
+     */
+    testIdAttribute?: string;
+  }
+
+  /** Options for `test-flakiness/prefer-find-by` */
+  interface PreferFindByOptions {
+    /**
+     * Also report callbacks asserting a query finds an element, e.g. expect(getByText(x)).toBeInTheDocument()
+     * @default true
+     */
+    checkAssertions?: boolean;
+  }
+
+  /** Options for `test-flakiness/prefer-web-first-assertions` */
+  interface PreferWebFirstAssertionsOptions {
+    /**
+     * Report expect(page.url()), which reads the URL once instead of waiting for it
+     * @default true
+     */
+    checkPageUrl?: boolean;
+  }
+
+  /** Options for `test-flakiness/valid-cypress-intercepts` */
+  interface ValidCypressInterceptsOptions {
+    /**
+     * Commands loading a page, after which an intercept misses the requests sent while loading
+     * @default ["visit"]
+     */
+    visitCommands?: string[];
+    /**
+     * Commands whose user action may send a request
+     * @default ["click","dblclick","rightclick","type","clear","check","uncheck","select","selectFile","submit","trigger"]
+     */
+    actionCommands?: string[];
+    /**
+     * Aliases declared outside the file, e.g. by a custom command
+     * @default []
+     */
+    knownAliases?: string[];
+    /**
+     * Report aliased intercepts the test asserts after without waiting on them
+     * @default true
+     */
+    checkUnawaited?: boolean;
+  }
+
+  /** Options tuple accepted by each rule, keyed by rule name */
+  interface RuleOptions {
+    'await-async-events': [AwaitAsyncEventsOptions?];
+    'await-web-first-assertions': [AwaitWebFirstAssertionsOptions?];
+    'no-animation-wait': [NoAnimationWaitOptions?];
+    'no-async-cypress': [NoAsyncCypressOptions?];
+    'no-cypress-command-assignment': [NoCypressCommandAssignmentOptions?];
+    'no-cypress-then-assertions': [NoCypressThenAssertionsOptions?];
+    'no-database-operations': [NoDatabaseOperationsOptions?];
+    'no-element-handles': [NoElementHandlesOptions?];
+    'no-element-removal-check': [NoElementRemovalCheckOptions?];
+    'no-focus-check': [NoFocusCheckOptions?];
+    'no-global-state-mutation': [NoGlobalStateMutationOptions?];
+    'no-hard-coded-timeout': [NoHardCodedTimeoutOptions?];
+    'no-immediate-assertions': [NoImmediateAssertionsOptions?];
+    'no-index-queries': [NoIndexQueriesOptions?];
+    'no-leaked-fake-timers': [NoLeakedFakeTimersOptions?];
+    'no-long-text-match': [NoLongTextMatchOptions?];
+    'no-promise-race': [NoPromiseRaceOptions?];
+    'no-random-data': [NoRandomDataOptions?];
+    'no-side-effects-in-waitfor': [NoSideEffectsInWaitforOptions?];
+    'no-test-focus': [NoTestFocusOptions?];
+    'no-test-isolation': [NoTestIsolationOptions?];
+    'no-test-order-dependency': [NoTestOrderDependencyOptions?];
+    'no-unconditional-wait': [NoUnconditionalWaitOptions?];
+    'no-unhandled-msw-requests': [NoUnhandledMswRequestsOptions?];
+    'no-unmocked-fs': [NoUnmockedFsOptions?];
+    'no-unmocked-network': [NoUnmockedNetworkOptions?];
+    'no-unrestored-mocks': [NoUnrestoredMocksOptions?];
+    'no-unscoped-cypress-index': [NoUnscopedCypressIndexOptions?];
+    'no-viewport-dependent': [NoViewportDependentOptions?];
+    'no-wait-for-navigation': [NoWaitForNavigationOptions?];
+    'prefer-accessible-queries': [PreferAccessibleQueriesOptions?];
+    'prefer-find-by': [PreferFindByOptions?];
+    'prefer-web-first-assertions': [PreferWebFirstAssertionsOptions?];
+    'valid-cypress-intercepts': [ValidCypressInterceptsOptions?];
+  }
+
+  type RuleName = keyof RuleOptions;
+
+  type RulesConfig = {
+    [K in RuleName as `test-flakiness/${K}`]?: RuleEntry<RuleOptions[K]>;
+  };
+
+  /** Plugin-wide settings read from `settings['test-flakiness']` */
+  interface Settings {
+    /** Test framework to assume instead of detecting it from the file */
+    framework?: "jest" | "vitest" | "testing-library" | "playwright" | "cypress" | "mocha" | "node:test" | "webdriverio" | "testcafe";
+    /**
+     * Globs, relative to rootDir, for files treated as test files in addition to the built-in patterns
+     * @default []
+     */
+    testFilePatterns?: string[];
+    /**
+     * Globs, relative to rootDir, for files never treated as test files
+     * @default []
+     */
+    excludeTestFilePatterns?: string[];
+    /**
+     * auto: built-in patterns plus testFilePatterns; all: every linted file is a test file
+     * @default "auto"
+     */
+    testFileMode?: "auto" | "all";
+    /** Project root that file patterns and the __mocks__ directory are resolved against (defaults to the ESLint working directory) */
+    rootDir?: string;
+    /**
+     * Functions treated like waitFor()
+     * @default []
+     */
+    customWaitUtilities?: string[];
+    /**
+     * Functions treated like render()
+     * @default []
+     */
+    customRenderFunctions?: string[];
+    /**
+     * Modules (or globals such as fetch) whose calls are always considered mocked
+     * @default []
+     */
+    mockModules?: string[];
+    /**
+     * Global test setup files, relative to rootDir, whose seeds, mocks, fake timers, interceptors and disabled animations apply to every test file
+     * @default []
+     */
+    setupFiles?: string[];
+    /**
+     * Jest, Vitest and Playwright configs, relative to rootDir, to read test globs, setup files, fake timers, viewport and reduced motion from; true looks for the usual config file names
+     * @default false
+     */
+    runnerConfigs?: boolean | string[];
+    /**
+     * Only treat fake timers installed in a before hook as in effect when an after hook restores the real timers. Enable no-leaked-fake-timers to report the install missing that restore
+     * @default false
+     */
+    requireFakeTimerCleanup?: boolean;
+  }
+
+  interface LegacyConfig {
+    plugins: ['test-flakiness'];
+    rules: RulesConfig;
+  }
+
+  interface FlatConfig {
+    name: string;
+    files: string[];
+    plugins: { 'test-flakiness': Plugin };
+    rules: RulesConfig;
+  }
+
+  interface Configs {
+    recommended: LegacyConfig;
+    strict: LegacyConfig;
+    playwright: LegacyConfig;
+    cypress: LegacyConfig;
+    all: LegacyConfig;
+    'flat/recommended': FlatConfig;
+    'flat/strict': FlatConfig;
+    'flat/playwright': FlatConfig;
+    'flat/cypress': FlatConfig;
+    'flat/all': FlatConfig;
+  }
+
+  interface Plugin {
+    meta: { name: string; version: string };
+    rules: Record<RuleName, Rule.RuleModule>;
+    configs: Configs;
+  }
+}
+
+declare const plugin: plugin.Plugin;
+
+export = plugin;
@@ -34,19 +34,52 @@ const getRules = () => {
 // Import configs
 const recommendedConfig = require('./configs/recommended');
 const strictConfig = require('./configs/strict');
+const playwrightConfig = require('./configs/playwright');
+const cypressConfig = require('./configs/cypress');
+const { TEST_FILE_GLOBS } = require('./utils/helpers');
+const pkg = require('../package.json');
 const rules = getRules();
 
-module.exports = {
+const allConfig = {
+  plugins: ['test-flakiness'],
+  rules: Object.keys(rules).reduce((acc, ruleName) => {
+    acc[`test-flakiness/${ruleName}`] = 'error';
+    return acc;
+  }, {})
+};
+
+const plugin = {
+  meta: {
+    name: pkg.name,
+    version: pkg.version
+  },
   rules,
   configs: {
     recommended: recommendedConfig,
     strict: strictConfig,
-    all: {
-      plugins: ['test-flakiness'],
-      rules: Object.keys(rules).reduce((acc, ruleName) => {
-        acc[`test-flakiness/${ruleName}`] = 'error';
-        return acc;
-      }, {})
-    }
+    playwright: playwrightConfig,
+    cypress: cypressConfig,
+    all: allConfig
   }
-};
\ No newline at end of file
+};
+
+// Flat config (ESLint 9+) presets carry the plugin instance itself, so they
+// can be spread straight into eslint.config.js without extra wiring
+const createFlatConfig = (name, legacyConfig) => ({
+  name: `test-flakiness/${name}`,
+  files: TEST_FILE_GLOBS,
+  plugins: {
+    'test-flakiness': plugin
+  },
+  rules: { ...legacyConfig.rules }
+});
+
+Object.assign(plugin.configs, {
+  'flat/recommended': createFlatConfig('flat/recommended', recommendedConfig),
+  'flat/strict': createFlatConfig('flat/strict', strictConfig),
+  'flat/playwright': createFlatConfig('flat/playwright', playwrightConfig),
+  'flat/cypress': createFlatConfig('flat/cypress', cypressConfig),
+  'flat/all': createFlatConfig('flat/all', allConfig)
+});
+
+module.exports = plugin;
@@ -4,7 +4,7 @@
  */
 'use strict';
 
-const { isTestFile, getFilename, findEnclosingFunction, ensureAsyncFunction } = require('../utils/helpers');
+const { isTestFile, getPluginSettings, getFilename, findEnclosingFunction, ensureAsyncFunction } = require('../utils/helpers');
 
 module.exports = {
   meta: {
@@ -40,12 +40,16 @@ module.exports = {
 
   create(context) {
     const filename = getFilename(context);
-    if (!isTestFile(filename)) {
+    if (!isTestFile(filename, getPluginSettings(context))) {
       return {};
     }
 
     const options = context.options[0] || {};
-    const customAsyncMethods = options.customAsyncMethods || [];
+    // Custom wait utilities declared in settings are async by definition
+    const customAsyncMethods = [
+      ...(options.customAsyncMethods || []),
+      ...getPluginSettings(context).customWaitUtilities
+    ];
 
     // Track variables that are assigned from userEvent.setup()
     const userEventVariables = new Set();
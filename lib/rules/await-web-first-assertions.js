@@ -0,0 +1,67 @@
+/**
+ * @fileoverview Rule to require awaiting Playwright web-first assertions
+ * @author eslint-plugin-test-flakiness
+ */
+'use strict';
+
+const { isTestFile, getPluginSettings, getFilename, findEnclosingFunction, ensureAsyncFunction } = require('../utils/helpers');
+const { isPlaywrightFile, parseExpectCall, isAsyncAssertion, isPromiseHandled } = require('../utils/playwright');
+
+module.exports = {
+  meta: {
+    type: 'problem',
+    docs: {
+      description: 'Require awaiting Playwright web-first assertions, which retry and return a promise',
+      category: 'Best Practices',
+      recommended: false,
+      url: 'https://github.com/tigredonorte/eslint-plugin-test-flakiness/blob/main/docs/rules/await-web-first-assertions.md'
+    },
+    fixable: 'code',
+    schema: [
+      {
+        type: 'object',
+        properties: {
+          customMatchers: {
+            type: 'array',
+            items: { type: 'string' },
+            default: [],
+            description: 'Custom async matchers added with expect.extend()'
+          }
+        },
+        additionalProperties: false
+      }
+    ],
+    messages: {
+      missingAwait: '{{assertion}}() retries until it passes and returns a promise. Without await the test moves on, and a failure is lost or reported after the test ends.'
+    }
+  },
+
+  create(context) {
+    if (!isTestFile(getFilename(context), getPluginSettings(context)) || !isPlaywrightFile(context)) {
+      return {};
+    }
+
+    const options = context.options[0] || {};
+    const customMatchers = options.customMatchers || [];
+
+    return {
+      CallExpression(node) {
+        const parsed = parseExpectCall(node);
+        if (!parsed || isPromiseHandled(node)) return;
+        if (!isAsyncAssertion(parsed) && !customMatchers.includes(parsed.matcher)) return;
+
+        const assertion = parsed.kind === 'poll' ? `expect.poll().${parsed.matcher}` : parsed.matcher;
+        context.report({
+          node,
+          messageId: 'missingAwait',
+          data: { assertion },
+          fix(fixer) {
+            const asyncFixes = ensureAsyncFunction(fixer, findEnclosingFunction(node));
+            if (asyncFixes === null) return null;
+            return [fixer.insertTextBefore(node, 'await '), ...asyncFixes];
+          }
+        });
+      }
+    };
+  }
+};
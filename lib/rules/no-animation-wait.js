@@ -4,7 +4,8 @@
  */
 'use strict';
 
-const { isTestFile, getFilename } = require('../utils/helpers');
+const { isTestFile, getPluginSettings, getFilename } = require('../utils/helpers');
+const { hasAnimationsDisabled, getSetupFacts } = require('../utils/setup-files');
 
 module.exports = {
   meta: {
@@ -55,7 +56,7 @@ module.exports = {
 
   create(context) {
     const filename = getFilename(context);
-    if (!isTestFile(filename)) {
+    if (!isTestFile(filename, getPluginSettings(context))) {
       return {};
     }
 
@@ -68,32 +69,13 @@ module.exports = {
     let animationsDisabled = false;
     let sourceCode = null;
 
-    // Check if animations are disabled in the test file
+    // Check if animations are disabled in the test file or a global setup file
     function checkAnimationsDisabled() {
       if (!sourceCode) {
         sourceCode = context.getSourceCode();
       }
 
-      const text = sourceCode.getText();
-
-      // Check for common patterns that disable animations
-      const disablePatterns = [
-        // CSS that disables animations
-        /animation-duration:\s*0/i,
-        /transition-duration:\s*0/i,
-        /animation:\s*none/i,
-        /transition:\s*none/i,
-        // Test utilities that disable animations
-        /disableAnimations/i,
-        /skipAnimations/i,
-        /instantAnimations/i,
-        /DISABLE_ANIMATIONS/,
-        // Common test setup patterns
-        /prefersReducedMotion.*true/,
-        /matchMedia.*prefers-reduced-motion.*reduce/
-      ];
-
-      return disablePatterns.some(pattern => pattern.test(text));
+      return hasAnimationsDisabled(sourceCode.getText()) || getSetupFacts(context).animationsDisabled;
     }
 
     return {
@@ -0,0 +1,123 @@
+/**
+ * @fileoverview Rule to disallow async/await with Cypress commands
+ * @author eslint-plugin-test-flakiness
+ */
+'use strict';
+
+const { isTestFile, getPluginSettings, getFilename, getRootIdentifier } = require('../utils/helpers');
+const { TEST_NAMES } = require('../utils/analysis');
+const { isCypressFile, getCypressChain } = require('../utils/cypress');
+
+const HOOK_NAMES = new Set(['before', 'beforeEach', 'after', 'afterEach']);
+
+module.exports = {
+  meta: {
+    type: 'problem',
+    docs: {
+      description: 'Disallow async test callbacks and await on Cypress commands, which are queued rather than promises',
+      category: 'Best Practices',
+      recommended: false,
+      url: 'https://github.com/tigredonorte/eslint-plugin-test-flakiness/blob/main/docs/rules/no-async-cypress.md'
+    },
+    fixable: 'code',
+    schema: [
+      {
+        type: 'object',
+        properties: {
+          checkHooks: {
+            type: 'boolean',
+            default: true,
+            description: 'Also report async before/beforeEach/after/afterEach callbacks running Cypress commands'
+          }
+        },
+        additionalProperties: false
+      }
+    ],
+    messages: {
+      asyncCallback: 'This async {{block}} callback runs Cypress commands. The commands are queued, not promises, so the callback\'s promise and the command queue race each other. Remove async and chain the commands instead.',
+      awaitCommand: 'cy.{{command}}() returns a chainable, not a promise, so await does not wait for it. Chain the next step with .then() instead.'
+    }
+  },
+
+  create(context) {
+    if (!isTestFile(getFilename(context), getPluginSettings(context)) || !isCypressFile(context)) {
+      return {};
+    }
+
+    const options = context.options[0] || {};
+    const checkHooks = options.checkHooks !== false;
+    const sourceCode = context.getSourceCode();
+    const functions = [];
+
+    // Get the test or hook a function is the callback of, or null
+    function getBlockName(node) {
+      const call = node.parent;
+      if (call.type !== 'CallExpression' || !call.arguments.includes(node)) return null;
+      const root = getRootIdentifier(call.callee);
+      if (!root) return null;
+      if (TEST_NAMES.has(root.name) || (checkHooks && HOOK_NAMES.has(root.name))) return root.name;
+      return null;
+    }
+
+    function enterFunction(node) {
+      functions.push({ node, hasCommands: false, otherAwaits: false });
+    }
+
+    function exitFunction(node) {
+      const entry = functions.pop();
+      if (entry.hasCommands && functions.length > 0) functions[functions.length - 1].hasCommands = true;
+      if (!node.async || !entry.hasCommands) return;
+      const block = getBlockName(node);
+      if (!block) return;
+
+      context.report({
+        node,
+        messageId: 'asyncCallback',
+        data: { block },
+        // Awaits on Cypress chains are removed by their own fix, so the
+        // callback can stop being async once nothing else is awaited
+        fix: entry.otherAwaits
+          ? null
+          : fixer => {
+            const asyncToken = sourceCode.getFirstToken(node);
+            return fixer.removeRange([asyncToken.range[0], sourceCode.getTokenAfter(asyncToken).range[0]]);
+          }
+      });
+    }
+
+    return {
+      ':function': enterFunction,
+      ':function:exit': exitFunction,
+
+      CallExpression(node) {
+        if (functions.length === 0) return;
+        const callee = node.callee;
+        if (callee.type === 'MemberExpression' && callee.object.type === 'Identifier' && callee.object.name === 'cy') {
+          functions[functions.length - 1].hasCommands = true;
+        }
+      },
+
+      ForOfStatement(node) {
+        if (node.await && functions.length > 0) functions[functions.length - 1].otherAwaits = true;
+      },
+
+      AwaitExpression(node) {
+        const chain = node.argument.type === 'CallExpression' ? getCypressChain(node.argument) : null;
+        const discarded = node.parent.type === 'ExpressionStatement';
+        if (!chain || !discarded) {
+          if (functions.length > 0) functions[functions.length - 1].otherAwaits = true;
+          if (!chain) return;
+        }
+
+        context.report({
+          node,
+          messageId: 'awaitCommand',
+          data: { command: chain[0].name },
+          // The awaited value is meaningless, but only drop the await when
+          // nothing uses it
+          fix: discarded ? fixer => fixer.replaceText(node, sourceCode.getText(node.argument)) : null
+        });
+      }
+    };
+  }
+};
@@ -0,0 +1,69 @@
+/**
+ * @fileoverview Rule to disallow assigning the return value of Cypress commands
+ * @author eslint-plugin-test-flakiness
+ */
+'use strict';
+
+const { isTestFile, getPluginSettings, getFilename } = require('../utils/helpers');
+const { SYNC_COMMANDS, isCypressFile, getCypressChain } = require('../utils/cypress');
+
+module.exports = {
+  meta: {
+    type: 'problem',
+    docs: {
+      description: 'Disallow assigning Cypress commands to variables, which hold a chainable rather than what the command yields',
+      category: 'Best Practices',
+      recommended: false,
+      url: 'https://github.com/tigredonorte/eslint-plugin-test-flakiness/blob/main/docs/rules/no-cypress-command-assignment.md'
+    },
+    fixable: null,
+    schema: [
+      {
+        type: 'object',
+        properties: {
+          allowCommands: {
+            type: 'array',
+            items: { type: 'string' },
+            default: [],
+            description: 'Custom commands returning their value right away, in addition to cy.stub(), cy.spy(), cy.now() and cy.state()'
+          }
+        },
+        additionalProperties: false
+      }
+    ],
+    messages: {
+      noCommandAssignment: 'cy.{{command}}() queues a command and returns a chainable, not the element or value it yields. Use .then() or an alias with .as() to reach the value.'
+    }
+  },
+
+  create(context) {
+    if (!isTestFile(getFilename(context), getPluginSettings(context)) || !isCypressFile(context)) {
+      return {};
+    }
+
+    const options = context.options[0] || {};
+    const allowCommands = new Set([...SYNC_COMMANDS, ...(options.allowCommands || [])]);
+
+    function check(value) {
+      if (value && value.type === 'AwaitExpression') value = value.argument;
+      if (!value || value.type !== 'CallExpression') return;
+      const chain = getCypressChain(value);
+      if (!chain || allowCommands.has(chain[0].name)) return;
+
+      context.report({
+        node: value,
+        messageId: 'noCommandAssignment',
+        data: { command: chain[0].name }
+      });
+    }
+
+    return {
+      VariableDeclarator(node) {
+        check(node.init);
+      },
+      AssignmentExpression(node) {
+        check(node.right);
+      }
+    };
+  }
+};
@@ -0,0 +1,101 @@
+/**
+ * @fileoverview Rule to prefer .should() over assertions in Cypress .then() callbacks
+ * @author eslint-plugin-test-flakiness
+ */
+'use strict';
+
+const { isTestFile, getPluginSettings, getFilename, getRootIdentifier } = require('../utils/helpers');
+const { getFileAnalysis } = require('../utils/analysis');
+const { QUERY_COMMANDS, isCypressFile, getCypressChain } = require('../utils/cypress');
+
+module.exports = {
+  meta: {
+    type: 'problem',
+    docs: {
+      description: 'Prefer .should() over assertions in .then() after a Cypress query, which check the subject once without retrying',
+      category: 'Best Practices',
+      recommended: false,
+      url: 'https://github.com/tigredonorte/eslint-plugin-test-flakiness/blob/main/docs/rules/no-cypress-then-assertions.md'
+    },
+    fixable: 'code',
+    schema: [
+      {
+        type: 'object',
+        properties: {
+          assertionFunctions: {
+            type: 'array',
+            items: { type: 'string' },
+            default: ['expect', 'assert'],
+            description: 'Functions whose calls are assertions'
+          }
+        },
+        additionalProperties: false
+      }
+    ],
+    messages: {
+      useShould: 'Assertions in .then() after .{{query}}() check the subject once and do not retry. Use .should() so Cypress retries the query until they pass.'
+    }
+  },
+
+  create(context) {
+    if (!isTestFile(getFilename(context), getPluginSettings(context)) || !isCypressFile(context)) {
+      return {};
+    }
+
+    const options = context.options[0] || {};
+    const assertionFunctions = options.assertionFunctions || ['expect', 'assert'];
+    const sourceCode = context.getSourceCode();
+
+    function isAssertion(statement) {
+      if (statement.type !== 'ExpressionStatement') return false;
+      const root = getRootIdentifier(statement.expression);
+      return Boolean(root) && assertionFunctions.includes(root.name);
+    }
+
+    // Check whether a callback runs Cypress commands, which .should() may not
+    function runsCommands(callback) {
+      const { calls } = getFileAnalysis(sourceCode);
+      for (const [path, entries] of calls) {
+        if (!path.startsWith('cy.')) continue;
+        if (entries.some(({ node }) => node.range[0] >= callback.range[0] && node.range[1] <= callback.range[1])) {
+          return true;
+        }
+      }
+      return false;
+    }
+
+    // .should() retries the callback and ignores what it returns, so only a
+    // callback that declares values and asserts on them can be moved over
+    function canRetry(callback, statements) {
+      if (callback.params.length > 1 || runsCommands(callback)) return false;
+      return statements.every(statement => isAssertion(statement) || statement.type === 'VariableDeclaration');
+    }
+
+    return {
+      CallExpression(node) {
+        const callee = node.callee;
+        if (callee.type !== 'MemberExpression' || callee.computed || callee.property.type !== 'Identifier' ||
+            callee.property.name !== 'then') return;
+        const chain = getCypressChain(node);
+        if (!chain || chain.length < 2) return;
+        const query = chain[chain.length - 2].name;
+        if (!QUERY_COMMANDS.has(query)) return;
+
+        const callback = node.arguments[0];
+        if (!callback || node.arguments.length !== 1 ||
+            (callback.type !== 'ArrowFunctionExpression' && callback.type !== 'FunctionExpression')) return;
+        const statements = callback.body.type === 'BlockStatement'
+          ? callback.body.body
+          : [{ type: 'ExpressionStatement', expression: callback.body }];
+        if (!statements.some(isAssertion)) return;
+
+        context.report({
+          node: callee.property,
+          messageId: 'useShould',
+          data: { query },
+          fix: canRetry(callback, statements) ? fixer => fixer.replaceText(callee.property, 'should') : null
+        });
+      }
+    };
+  }
+};
@@ -4,7 +4,8 @@
  */
 'use strict';
 
-const { isTestFile, isInMockContext, getFilename } = require('../utils/helpers');
+const { isTestFile, getPluginSettings, getFilename } = require('../utils/helpers');
+const { isCallMocked } = require('../utils/mocks');
 
 module.exports = {
   meta: {
@@ -38,7 +39,7 @@ module.exports = {
 
   create(context) {
     const filename = getFilename(context);
-    if (!isTestFile(filename)) {
+    if (!isTestFile(filename, getPluginSettings(context))) {
       return {};
     }
 
@@ -116,7 +117,7 @@ module.exports = {
             );
 
             if (isDbObject) {
-              if (!isInMockContext(node, context)) {
+              if (!isCallMocked(node, context)) {
                 if (allowInHooks && isInSetupTeardown(node)) {
                   // Warn about cleanup needs
                   safeReport(node, {
@@ -199,7 +200,7 @@ module.exports = {
         ];
         
         if (mongoMethods.includes(method)) {
-          if (!isInMockContext(node, context)) {
+          if (!isCallMocked(node, context)) {
             safeReport(node, {
               node,
               messageId: 'avoidDbOperation',
@@ -225,7 +226,7 @@ module.exports = {
         if (knexMethods.includes(method)) {
           // Check if this is part of a knex query chain
           if (/knex\(["']?\w+["']?\)/.test(text)) {
-            if (!isInMockContext(node, context)) {
+            if (!isCallMocked(node, context)) {
               safeReport(node, {
                 node,
                 messageId: 'avoidDbOperation',
@@ -254,7 +255,7 @@ module.exports = {
           if (current.type === 'MemberExpression' &&
               current.object &&
               current.object.name === 'prisma') {
-            if (!isInMockContext(node, context)) {
+            if (!isCallMocked(node, context)) {
               safeReport(node, {
                 node,
                 messageId: 'avoidDbOperation',
@@ -0,0 +1,102 @@
+/**
+ * @fileoverview Rule to prefer Playwright locators over element handles
+ * @author eslint-plugin-test-flakiness
+ */
+'use strict';
+
+const { isTestFile, getPluginSettings, getFilename } = require('../utils/helpers');
+const { isPlaywrightFile } = require('../utils/playwright');
+
+// Element handle queries and the locator calls replacing them, as
+// [locator method, call chained after it]
+const HANDLE_QUERIES = new Map([
+  ['$', ['locator', null]],
+  ['$$', ['locator', 'all']],
+  ['$eval', ['locator', 'evaluate']],
+  ['$$eval', ['locator', 'evaluateAll']]
+]);
+
+// Locator methods returning element handles
+const HANDLE_METHODS = ['elementHandle', 'elementHandles'];
+
+module.exports = {
+  meta: {
+    type: 'problem',
+    docs: {
+      description: 'Prefer Playwright locators over element handles, which point at a node that may be replaced',
+      category: 'Best Practices',
+      recommended: false,
+      url: 'https://github.com/tigredonorte/eslint-plugin-test-flakiness/blob/main/docs/rules/no-element-handles.md'
+    },
+    fixable: null,
+    hasSuggestions: true,
+    schema: [
+      {
+        type: 'object',
+        properties: {
+          allowEval: {
+            type: 'boolean',
+            default: false,
+            description: 'Allow $eval() and $$eval(), which query and evaluate in one step without keeping a handle'
+          }
+        },
+        additionalProperties: false
+      }
+    ],
+    messages: {
+      useLocator: '{{method}}() returns an element handle that goes stale when the page re-renders. Use {{replacement}}() instead.',
+      avoidElementHandle: '{{method}}() turns the locator into an element handle that goes stale when the page re-renders. Use the locator directly.',
+      replaceWithLocator: 'Replace with {{replacement}}()'
+    }
+  },
+
+  create(context) {
+    if (!isTestFile(getFilename(context), getPluginSettings(context)) || !isPlaywrightFile(context)) {
+      return {};
+    }
+
+    const options = context.options[0] || {};
+    const allowEval = options.allowEval === true;
+    const sourceCode = context.getSourceCode();
+
+    // `await page.$(sel)` becomes `page.locator(sel)`: a locator is not a
+    // promise and is never null, so the await goes too
+    function getLocatorFix(node, method) {
+      const [locatorMethod, chained] = HANDLE_QUERIES.get(method);
+      const [selector, ...rest] = node.arguments;
+      if (!selector || selector.type === 'SpreadElement') return null;
+
+      const object = sourceCode.getText(node.callee.object);
+      const locator = `${object}.${locatorMethod}(${sourceCode.getText(selector)})`;
+      if (!chained) {
+        const target = node.parent.type === 'AwaitExpression' ? node.parent : node;
+        return fixer => fixer.replaceText(target, locator);
+      }
+      const args = rest.map(argument => sourceCode.getText(argument)).join(', ');
+      return fixer => fixer.replaceText(node, `${locator}.${chained}(${args})`);
+    }
+
+    return {
+      CallExpression(node) {
+        const callee = node.callee;
+        if (callee.type !== 'MemberExpression' || callee.computed || callee.property.type !== 'Identifier') return;
+        const method = callee.property.name;
+
+        if (HANDLE_QUERIES.has(method)) {
+          if (allowEval && method.endsWith('eval')) return;
+          const [locatorMethod, chained] = HANDLE_QUERIES.get(method);
+          const replacement = chained ? `locator().${chained}` : locatorMethod;
+          const fix = getLocatorFix(node, method);
+          context.report({
+            node,
+            messageId: 'useLocator',
+            data: { method, replacement },
+            suggest: fix ? [{ messageId: 'replaceWithLocator', data: { replacement }, fix }] : []
+          });
+        } else if (HANDLE_METHODS.includes(method)) {
+          context.report({ node, messageId: 'avoidElementHandle', data: { method } });
+        }
+      }
+    };
+  }
+};
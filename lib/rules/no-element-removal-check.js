@@ -4,7 +4,10 @@
  */
 'use strict';
 
-const { isTestFile, getFilename, findEnclosingFunction, ensureAsyncFunction, addWaitForImport } = require('../utils/helpers');
+const { isTestFile, getPluginSettings, isInsideWaitFor, getFilename, findEnclosingFunction, ensureAsyncFunction, addWaitForImport } = require('../utils/helpers');
+
+// Waits that retry until an element is gone, besides waitFor()
+const REMOVAL_WAIT_FUNCTIONS = ['waitForElementToBeRemoved'];
 
 module.exports = {
   meta: {
@@ -38,28 +41,13 @@ module.exports = {
   },
 
   create(context) {
-    if (!isTestFile(getFilename(context))) {
+    if (!isTestFile(getFilename(context), getPluginSettings(context))) {
       return {};
     }
 
     const options = context.options[0] || {};
     const reportWithoutEvidence = options.reportWithoutEvidence !== false;
 
-    function isInsideWaitFor(node) {
-      let parent = node.parent;
-      while (parent && parent.type !== 'Program') {
-        if (parent.type === 'CallExpression') {
-          const calleeName = parent.callee.name ||
-            (parent.callee.property && parent.callee.property.name);
-          if (calleeName === 'waitFor' || calleeName === 'waitForElementToBeRemoved') {
-            return true;
-          }
-        }
-        parent = parent.parent;
-      }
-      return false;
-    }
-
     /**
      * Find the enclosing it()/test() block body as an array of statements.
      */
@@ -222,7 +210,7 @@ module.exports = {
         if (expectCall.type === 'MemberExpression' &&
             expectCall.property.name === 'not') {
 
-          if (!isInsideWaitFor(node)) {
+          if (!isInsideWaitFor(node, context, REMOVAL_WAIT_FUNCTIONS)) {
             if (hasRemovalEvidence(node)) {
               context.report({
                 node,
@@ -267,7 +255,7 @@ module.exports = {
                                    arg.callee.property &&
                                    (/^query/.test(arg.callee.property.name) || arg.callee.property.name === 'querySelector');
 
-            if ((isQueryMethod || isScreenQuery || isContainerQuery) && !isInsideWaitFor(node)) {
+            if ((isQueryMethod || isScreenQuery || isContainerQuery) && !isInsideWaitFor(node, context, REMOVAL_WAIT_FUNCTIONS)) {
               if (hasRemovalEvidence(node)) {
                 context.report({
                   node,
@@ -312,7 +300,7 @@ module.exports = {
                                   arg.callee.property &&
                                   /^query/.test(arg.callee.property.name);
 
-              if ((isQueryMethod || isScreenQuery) && !isInsideWaitFor(node)) {
+              if ((isQueryMethod || isScreenQuery) && !isInsideWaitFor(node, context, REMOVAL_WAIT_FUNCTIONS)) {
                 if (hasRemovalEvidence(node)) {
                   context.report({
                     node,
@@ -371,7 +359,7 @@ module.exports = {
         if (expectCall.type === 'MemberExpression' &&
             expectCall.property.name === 'not') {
 
-          if (!isInsideWaitFor(node)) {
+          if (!isInsideWaitFor(node, context, REMOVAL_WAIT_FUNCTIONS)) {
             if (hasRemovalEvidence(node)) {
               context.report({
                 node,
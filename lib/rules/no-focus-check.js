@@ -4,7 +4,7 @@
  */
 'use strict';
 
-const { isTestFile, findEnclosingFunction, ensureAsyncFunction, addWaitForImport, getTestFramework, getFilename } = require('../utils/helpers');
+const { isTestFile, getPluginSettings, isInsideWaitFor, findEnclosingFunction, ensureAsyncFunction, addWaitForImport, getTestFramework, getFilename } = require('../utils/helpers');
 
 module.exports = {
   meta: {
@@ -41,7 +41,7 @@ module.exports = {
   },
 
   create(context) {
-    if (!isTestFile(getFilename(context))) {
+    if (!isTestFile(getFilename(context), getPluginSettings(context))) {
       return {};
     }
 
@@ -61,20 +61,6 @@ module.exports = {
       return baseId;
     }
 
-    function isInsideWaitFor(node) {
-      let parent = node.parent;
-      while (parent) {
-        if (parent.type === 'CallExpression' &&
-            (parent.callee.name === 'waitFor' ||
-             parent.callee.name === 'waitForElement' ||
-             parent.callee.name === 'wait')) {
-          return true;
-        }
-        parent = parent.parent;
-      }
-      return false;
-    }
-
     function reportOnce(node, messageId, fix) {
       const resolvedMessageId = getFrameworkMessageId(messageId);
       const nodeKey = `${node.range[0]}-${node.range[1]}-${messageId}`;
@@ -137,7 +123,7 @@ module.exports = {
             method === 'toBeFocused' ||
             method === 'toHaveFocusedElement') {
 
-          if (allowWithWaitFor && isInsideWaitFor(node)) {
+          if (allowWithWaitFor && isInsideWaitFor(node, context)) {
             return;
           }
 
@@ -156,7 +142,7 @@ module.exports = {
             node.callee.object.type === 'MemberExpression' &&
             node.callee.object.property.name === 'not') {
 
-          if (!allowWithWaitFor || !isInsideWaitFor(node)) {
+          if (!allowWithWaitFor || !isInsideWaitFor(node, context)) {
             reportOnce(node, 'avoidFocusCheck', createWaitForFix(node));
             return; // Don't also report avoidBlurCheck for the same node
           }
@@ -176,7 +162,7 @@ module.exports = {
           if (parent.type === 'CallExpression' &&
               parent.callee.name === 'expect') {
 
-            if (allowWithWaitFor && isInsideWaitFor(parent)) {
+            if (allowWithWaitFor && isInsideWaitFor(parent, context)) {
               return;
             }
 
@@ -406,7 +392,7 @@ module.exports = {
 
       // Check for element.tabIndex
       if (arg.type === 'MemberExpression' && arg.property.name === 'tabIndex') {
-        if (allowWithWaitFor && isInsideWaitFor(node)) {
+        if (allowWithWaitFor && isInsideWaitFor(node, context)) {
           return;
         }
 
@@ -420,7 +406,7 @@ module.exports = {
 
       const attrArg = arg.arguments[0];
       if (attrArg && attrArg.type === 'Literal' && (attrArg.value === 'tabindex' || attrArg.value === 'tabIndex')) {
-        if (allowWithWaitFor && isInsideWaitFor(node)) {
+        if (allowWithWaitFor && isInsideWaitFor(node, context)) {
           return;
         }
 
@@ -441,7 +427,7 @@ module.exports = {
           if (attrArg && attrArg.type === 'Literal' &&
               (attrArg.value === 'aria-focused' ||
                attrArg.value === 'aria-activedescendant')) {
-            if (allowWithWaitFor && isInsideWaitFor(node)) {
+            if (allowWithWaitFor && isInsideWaitFor(node, context)) {
               return;
             }
 
@@ -457,7 +443,7 @@ module.exports = {
           if (attrArg && attrArg.type === 'Literal' &&
               (attrArg.value === 'aria-focused' ||
                attrArg.value === 'aria-activedescendant')) {
-            if (allowWithWaitFor && isInsideWaitFor(node)) {
+            if (allowWithWaitFor && isInsideWaitFor(node, context)) {
               return;
             }
 
@@ -4,7 +4,9 @@
  */
 'use strict';
 
-const { isTestFile, isInHook } = require('../utils/helpers');
+const { isTestFile, getPluginSettings, isInHook } = require('../utils/helpers');
+const { isConcurrentAt } = require('../utils/test-order');
+const { findVariable } = require('../utils/mocks');
 
 module.exports = {
   meta: {
@@ -33,12 +35,13 @@ module.exports = {
       useLocalVariable: 'Use local variables instead of modifying global state.',
       needsCleanup: '{{storage}} changes need cleanup in afterEach hook.',
       avoidProcessEnv: 'Modifying process.env can affect other tests. Store original value and restore it.',
-      avoidDocumentMutation: 'Document mutations can affect other tests. Use test-specific containers.'
+      avoidDocumentMutation: 'Document mutations can affect other tests. Use test-specific containers.',
+      concurrentGlobalMutation: 'Tests here run concurrently, so changing {{object}} races with the other tests. Keep the state local to the test or run these tests serially.'
     }
   },
 
   create(context) {
-    if (!isTestFile(context.getFilename())) {
+    if (!isTestFile(context.getFilename(), getPluginSettings(context))) {
       return {};
     }
 
@@ -46,6 +49,21 @@ module.exports = {
     const allowInHooks = options.allowInHooks !== false;
     const sourceCode = context.getSourceCode();
 
+    // Hooks run alongside each test in a concurrent block, so they are no
+    // place for cleanup there
+    function inHook(node, hooks) {
+      return isInHook(node, hooks) && !isConcurrentAt(node, context);
+    }
+
+    // Report a mutation, escalated when it runs concurrently with other tests
+    function report(node, messageId, object, data) {
+      if (isConcurrentAt(node, context)) {
+        context.report({ node, messageId: 'concurrentGlobalMutation', data: { object } });
+      } else {
+        context.report({ node, messageId, data });
+      }
+    }
+
     function checkGlobalAssignment(node) {
       if (node.type === 'AssignmentExpression') {
         const left = node.left;
@@ -54,11 +72,8 @@ module.exports = {
         if (left.type === 'MemberExpression') {
           // Check for direct process.env.VARIABLE assignments first (process.env.NODE_ENV = "test")
           if (isProcessEnvAssignment(left)) {
-            if (!isInHook(node, ['beforeEach', 'afterEach'])) {
-              context.report({
-                node,
-                messageId: 'avoidProcessEnv'
-              });
+            if (!inHook(node, ['beforeEach', 'afterEach'])) {
+              report(node, 'avoidProcessEnv', 'process.env');
             }
             return; // Don't double-report as avoidGlobalMutation
           }
@@ -81,14 +96,10 @@ module.exports = {
 
           if (object.type === 'Identifier' && globalObjects.includes(object.name)) {
             // Allow in setup/teardown hooks if configured
-            if (allowInHooks && isInHook(node, ['beforeEach', 'afterEach', 'beforeAll', 'afterAll'])) {
+            if (allowInHooks && inHook(node, ['beforeEach', 'afterEach', 'beforeAll', 'afterAll'])) {
               // Still warn for beforeAll without afterAll cleanup
-              if (isInHook(node, ['beforeAll'])) {
-                context.report({
-                  node,
-                  messageId: 'avoidGlobalMutation',
-                  data: { object: object.name }
-                });
+              if (inHook(node, ['beforeAll'])) {
+                report(node, 'avoidGlobalMutation', object.name, { object: object.name });
               }
               return;
             }
@@ -100,39 +111,24 @@ module.exports = {
 
             // Special handling for document mutations
             if (object.name === 'document') {
-              context.report({
-                node,
-                messageId: 'avoidDocumentMutation'
-              });
+              report(node, 'avoidDocumentMutation', 'document');
               return;
             }
 
             // Special handling for localStorage/sessionStorage property assignment
             if ((object.name === 'localStorage' || object.name === 'sessionStorage') &&
-                !isInHook(node, ['beforeEach', 'afterEach'])) {
-              context.report({
-                node,
-                messageId: 'needsCleanup',
-                data: { storage: object.name }
-              });
+                !inHook(node, ['beforeEach', 'afterEach'])) {
+              report(node, 'needsCleanup', object.name, { storage: object.name });
               return;
             }
 
             // Special handling for Math and Date
             if (object.name === 'Math' || object.name === 'Date') {
-              context.report({
-                node,
-                messageId: 'avoidGlobalMutation',
-                data: { object: object.name }
-              });
+              report(node, 'avoidGlobalMutation', object.name, { object: object.name });
               return;
             }
 
-            context.report({
-              node,
-              messageId: 'avoidGlobalMutation',
-              data: { object: object.name }
-            });
+            report(node, 'avoidGlobalMutation', object.name, { object: object.name });
           }
 
           // Check for nested assignments like window.myApp.config = {} or document.body.innerHTML
@@ -146,18 +142,11 @@ module.exports = {
 
               // Special handling for document properties
               if (rootObject.name === 'document') {
-                context.report({
-                  node,
-                  messageId: 'avoidDocumentMutation'
-                });
+                report(node, 'avoidDocumentMutation', 'document');
                 return;
               }
 
-              context.report({
-                node,
-                messageId: 'avoidGlobalMutation',
-                data: { object: rootObject.name }
-              });
+              report(node, 'avoidGlobalMutation', rootObject.name, { object: rootObject.name });
             }
           }
 
@@ -205,18 +194,11 @@ module.exports = {
               return;
             }
 
-            if (!isInHook(node, ['beforeEach', 'afterEach'])) {
+            if (!inHook(node, ['beforeEach', 'afterEach'])) {
               if (obj.name === 'localStorage' || obj.name === 'sessionStorage') {
-                context.report({
-                  node,
-                  messageId: 'needsCleanup',
-                  data: { storage: obj.name }
-                });
+                report(node, 'needsCleanup', obj.name, { storage: obj.name });
               } else {
-                context.report({
-                  node,
-                  messageId: 'useLocalVariable'
-                });
+                report(node, 'useLocalVariable', obj.name);
               }
             }
           }
@@ -236,15 +218,15 @@ module.exports = {
         const variable = scope.set.get(varName);
 
         // Allow assignments to declared variables (like testHelper)
-        if (variable || isInHook(node, ['beforeEach', 'afterEach', 'beforeAll', 'afterAll'])) {
+        if (variable || inHook(node, ['beforeEach', 'afterEach', 'beforeAll', 'afterAll'])) {
           return;
         }
 
-        // This creates a global variable
-        context.report({
-          node,
-          messageId: 'useLocalVariable'
-        });
+        // A binding the file declares further out is shared by the tests, but
+        // only an undeclared name creates a global variable
+        const declared = findVariable(node.left, context);
+        const isDeclared = Boolean(declared) && declared.defs.length > 0;
+        report(node, 'useLocalVariable', isDeclared ? varName : `global ${varName}`);
       }
     }
 
@@ -278,25 +260,18 @@ module.exports = {
 
           if (object.type === 'Identifier' && globalObjects.includes(object.name)) {
             // Allow delete in hooks for cleanup
-            if (allowInHooks && isInHook(node, ['beforeEach', 'afterEach', 'beforeAll', 'afterAll'])) {
+            if (allowInHooks && inHook(node, ['beforeEach', 'afterEach', 'beforeAll', 'afterAll'])) {
               return;
             }
 
-            context.report({
-              node,
-              messageId: 'avoidGlobalMutation',
-              data: { object: object.name }
-            });
+            report(node, 'avoidGlobalMutation', object.name, { object: object.name });
           }
 
           // Check for process.env deletions
           if (object.type === 'MemberExpression' &&
               object.object.name === 'process' &&
               object.property.name === 'env') {
-            context.report({
-              node,
-              messageId: 'avoidProcessEnv'
-            });
+            report(node, 'avoidProcessEnv', 'process.env');
           }
         }
       }
@@ -4,7 +4,9 @@
  */
 'use strict';
 
-const { isTestFile, isInMockContext, getFilename, findEnclosingFunction, ensureAsyncFunction, addWaitForImport, getTestFramework } = require('../utils/helpers');
+const { isTestFile, getPluginSettings, getFilename, findEnclosingFunction, ensureAsyncFunction, addWaitForImport, getTestFramework } = require('../utils/helpers');
+const { areFakeTimersInstalledAt } = require('../utils/timers');
+const { isCallMocked } = require('../utils/mocks');
 
 module.exports = {
   meta: {
@@ -49,13 +51,13 @@ module.exports = {
     const maxTimeout = options.maxTimeout || 1000;
     const allowInSetup = options.allowInSetup || false;
 
-    if (!isTestFile(getFilename(context))) {
+    if (!isTestFile(getFilename(context), getPluginSettings(context))) {
       return {};
     }
 
     function checkSetTimeout(node) {
       // Skip if in mock context (jest.setTimeout, vi.setTimeout)
-      if (isInMockContext(node, context)) {
+      if (isCallMocked(node, context)) {
         return;
       }
 
@@ -68,6 +70,11 @@ module.exports = {
         return;
       }
 
+      // Fake timers run the callback when the test advances the clock
+      if (areFakeTimersInstalledAt('setTimeout', node, context)) {
+        return;
+      }
+
       const delayArg = node.arguments[1];
       if (!delayArg || delayArg.type !== 'Literal' ||
           typeof delayArg.value !== 'number' ||
@@ -144,7 +151,7 @@ module.exports = {
         return;
       }
 
-      if (isInMockContext(node, context)) {
+      if (isCallMocked(node, context)) {
         return;
       }
 
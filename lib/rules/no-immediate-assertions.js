@@ -4,7 +4,7 @@
  */
 'use strict';
 
-const { isTestFile, getFilename, findEnclosingFunction, ensureAsyncFunction, addWaitForImport, getTestFramework } = require('../utils/helpers');
+const { isTestFile, getPluginSettings, isInsideWaitFor, isCustomRenderFunction, getFilename, findEnclosingFunction, ensureAsyncFunction, addWaitForImport, getTestFramework } = require('../utils/helpers');
 
 module.exports = {
   meta: {
@@ -49,7 +49,7 @@ module.exports = {
   },
 
   create(context) {
-    if (!isTestFile(getFilename(context))) {
+    if (!isTestFile(getFilename(context), getPluginSettings(context))) {
       return {};
     }
 
@@ -97,6 +97,11 @@ module.exports = {
         if (allowedAfterOperations.includes(callee.name)) {
           return false;
         }
+        // Custom render helpers often mount async providers, so the first
+        // assertion after them has to wait as well
+        if (isCustomRenderFunction(callee.name, context)) {
+          return true;
+        }
         return stateChangingPatterns.some(pattern =>
           callee.name.includes(pattern)
         );
@@ -147,23 +152,6 @@ module.exports = {
       return false;
     }
 
-    function isInsideWaitFor(node) {
-      let parent = node.parent;
-      while (parent) {
-        if (parent.type === 'CallExpression') {
-          const calleeName = parent.callee.name || 
-                           (parent.callee.property && parent.callee.property.name);
-          if (calleeName === 'waitFor' || 
-              calleeName === 'waitForElement' ||
-              calleeName === 'wait') {
-            return true;
-          }
-        }
-        parent = parent.parent;
-      }
-      return false;
-    }
-
     function hasDataTestIdQuery(node) {
       if (!ignoreDataTestId) return false;
 
@@ -205,7 +193,7 @@ module.exports = {
         if (nextStatement &&
             nextStatement.type === 'ExpressionStatement' &&
             isExpectCall(nextStatement.expression) &&
-            !isInsideWaitFor(nextStatement.expression)) {
+            !isInsideWaitFor(nextStatement.expression, context)) {
 
           // Skip if requireWaitFor is false
           if (!requireWaitFor) {
@@ -4,7 +4,7 @@
  */
 'use strict';
 
-const { isTestFile } = require('../utils/helpers');
+const { isTestFile, getPluginSettings } = require('../utils/helpers');
 
 module.exports = {
   meta: {
@@ -49,7 +49,7 @@ module.exports = {
   },
 
   create(context) {
-    if (!isTestFile(context.getFilename())) {
+    if (!isTestFile(context.getFilename(), getPluginSettings(context))) {
       return {};
     }
 
@@ -0,0 +1,146 @@
+/**
+ * @fileoverview Rule to require fake timers to be restored and flushed in a way that does not leak between tests
+ * @author eslint-plugin-test-flakiness
+ */
+'use strict';
+
+const { isTestFile, getPluginSettings, getFilename, isInHook, isInTest, findEnclosingFunction, getHookInsertionPoint } = require('../utils/helpers');
+const { getMemberPath, getFileAnalysis } = require('../utils/analysis');
+const { isInScope } = require('../utils/mocks');
+
+const TIMER_LIBRARIES = ['jest', 'vi'];
+const AFTER_HOOKS = ['afterEach', 'afterAll'];
+
+// Synchronous timer flushes and their async counterparts, which also await
+// the promises the timer callbacks start
+const ASYNC_FLUSHES = new Map([
+  ['advanceTimersByTime', 'advanceTimersByTimeAsync'],
+  ['advanceTimersToNextTimer', 'advanceTimersToNextTimerAsync'],
+  ['runAllTimers', 'runAllTimersAsync'],
+  ['runOnlyPendingTimers', 'runOnlyPendingTimersAsync']
+]);
+
+const RUN_ALL_TIMERS = ['runAllTimers', 'runAllTimersAsync'];
+const INTERVAL_CALLS = ['setInterval', 'global.setInterval'];
+
+module.exports = {
+  meta: {
+    type: 'problem',
+    docs: {
+      description: 'Require fake timers to be restored in an after hook and flushed without leaving pending work',
+      category: 'Best Practices',
+      recommended: false,
+      url: 'https://github.com/tigredonorte/eslint-plugin-test-flakiness/blob/main/docs/rules/no-leaked-fake-timers.md'
+    },
+    fixable: 'code',
+    hasSuggestions: true,
+    schema: [
+      {
+        type: 'object',
+        properties: {
+          allowRestoreInTest: {
+            type: 'boolean',
+            default: false,
+            description: 'Accept useRealTimers() later in the same test instead of in an after hook'
+          }
+        },
+        additionalProperties: false
+      }
+    ],
+    messages: {
+      missingRealTimers: '{{call}}() leaves fake timers installed for the tests that run after this one. Call {{library}}.useRealTimers() in afterEach.',
+      syncFlushInAsyncTest: '{{call}}() runs timer callbacks without waiting for the promises they start. Use await {{library}}.{{async}}() instead.',
+      useAsyncFlush: 'Replace with await {{library}}.{{async}}()',
+      runAllTimersWithInterval: '{{call}}() keeps firing the setInterval() in this test until it hits the timer limit and throws. Use advanceTimersByTime() or runOnlyPendingTimers() instead.'
+    }
+  },
+
+  create(context) {
+    if (!isTestFile(getFilename(context), getPluginSettings(context))) {
+      return {};
+    }
+
+    const options = context.options[0] || {};
+    const allowRestoreInTest = options.allowRestoreInTest || false;
+    const sourceCode = context.getSourceCode();
+    // Describe blocks that already get an afterEach from an earlier fix
+    const fixedBlocks = new Set();
+
+    function checkRestored(library, install) {
+      const { calls } = getFileAnalysis(sourceCode);
+      const restored = (calls.get(`${library}.useRealTimers`) || []).some(restore =>
+        (isInHook(restore.node, AFTER_HOOKS) && isInScope(restore.scope, install.node)) ||
+        (allowRestoreInTest && isInTest(install.node) && restore.scope === install.scope &&
+         restore.node.range[0] > install.node.range[0]));
+      if (restored || isInHook(install.node, AFTER_HOOKS)) return;
+
+      const point = getHookInsertionPoint(install.node);
+      const statement = point && !fixedBlocks.has(point.parent) ? point : null;
+      if (statement) fixedBlocks.add(statement.parent);
+      context.report({
+        node: install.node,
+        messageId: 'missingRealTimers',
+        data: { call: `${library}.useFakeTimers`, library },
+        fix: statement
+          ? fixer => {
+            const indent = ' '.repeat(statement.loc.start.column);
+            return fixer.insertTextAfter(statement, `\n${indent}afterEach(() => ${library}.useRealTimers());`);
+          }
+          : null
+      });
+    }
+
+    function checkFlush(library, method, node) {
+      if (!isInTest(node) && !isInHook(node, ['beforeEach', 'beforeAll'])) return;
+      const call = `${library}.${method}`;
+
+      if (ASYNC_FLUSHES.has(method)) {
+        const funcNode = findEnclosingFunction(node);
+        if (funcNode && funcNode.async) {
+          const asyncMethod = ASYNC_FLUSHES.get(method);
+          const isAwaited = node.parent.type === 'AwaitExpression';
+          context.report({
+            node,
+            messageId: 'syncFlushInAsyncTest',
+            data: { call, library, async: asyncMethod },
+            suggest: [{
+              messageId: 'useAsyncFlush',
+              data: { library, async: asyncMethod },
+              fix: fixer => [
+                fixer.replaceText(node.callee.property, asyncMethod),
+                ...(isAwaited ? [] : [fixer.insertTextBefore(node, 'await ')])
+              ]
+            }]
+          });
+        }
+      }
+
+      if (RUN_ALL_TIMERS.includes(method)) {
+        const { calls } = getFileAnalysis(sourceCode);
+        const hasInterval = INTERVAL_CALLS.some(path =>
+          (calls.get(path) || []).some(interval => isInScope(interval.scope, node)));
+        if (hasInterval) {
+          context.report({ node, messageId: 'runAllTimersWithInterval', data: { call } });
+        }
+      }
+    }
+
+    return {
+      Program() {
+        const { calls } = getFileAnalysis(sourceCode);
+        TIMER_LIBRARIES.forEach(library => {
+          (calls.get(`${library}.useFakeTimers`) || []).forEach(install => checkRestored(library, install));
+        });
+      },
+
+      CallExpression(node) {
+        const path = getMemberPath(node.callee);
+        if (path === null) return;
+        const [library, method] = path.split('.');
+        if (TIMER_LIBRARIES.includes(library) && method && path === `${library}.${method}`) {
+          checkFlush(library, method, node);
+        }
+      }
+    };
+  }
+};
@@ -4,7 +4,17 @@
  */
 'use strict';
 
-const { isTestFile, isInMockContext, isInHook } = require('../utils/helpers');
+const { isTestFile, getPluginSettings, isInHook } = require('../utils/helpers');
+const { getFileAnalysis } = require('../utils/analysis');
+const { isInScope, isMemberMockedAt, findVariable, isCallMocked } = require('../utils/mocks');
+const { isFakerName, hasOption, getSeededLibrary, getSetupFacts } = require('../utils/setup-files');
+const { areFakeTimersInstalledAt } = require('../utils/timers');
+
+// random-js engines that draw from Math.random or the OS instead of a seed
+const UNSEEDED_RANDOM_JS_ENGINES = new Set(['nativeMath', 'browserCrypto', 'nodeCrypto']);
+
+// fast-check runners that pick a new seed on every run unless given one
+const FAST_CHECK_RUNNERS = new Set(['assert', 'check']);
 
 module.exports = {
   meta: {
@@ -47,14 +57,15 @@ module.exports = {
       avoidPerformanceNow: 'Avoid performance.now() in tests. Use fixed timing values.',
       avoidCryptoRandom: 'Avoid crypto random methods in tests. Use fixed values or seeded random.',
       avoidUUID: 'Avoid generating random UUIDs. Use fixed test IDs.',
-      useSeed: 'Use a seeded random generator like {{library}}.seed() instead of unseeded {{library}}.'
+      useSeed: 'Use a seeded random generator like {{library}}.seed() instead of unseeded {{library}}.',
+      unseededGenerator: '{{generator}} produces different values on every run. Give it a fixed seed, e.g. {{example}}.'
     }
   },
 
   create(context) {
     // ESLint 9 uses context.filename, earlier versions use context.getFilename()
     const filename = context.filename || context.getFilename?.() || '';
-    if (!isTestFile(filename)) {
+    if (!isTestFile(filename, getPluginSettings(context))) {
       return {};
     }
 
@@ -66,13 +77,29 @@ module.exports = {
     const setupHooks = ['beforeEach', 'beforeAll', 'before'];
     const MAX_AST_DEPTH = 10; // Prevent infinite traversal
 
-    // Track seeded libraries at the file level
-    const seededLibraries = new Set();
+    const sourceCode = context.getSourceCode();
 
-    // Helper to check if a library was seeded
-    function isLibrarySeeded(libraryName) {
+    // Seeds with the describe/test block (or Program) they cover, and the
+    // names bound to `new Faker()` instances; filled in from the file analysis
+    let seeds = [];
+    let fakerInstances = new Set();
+
+    // Helper to check if a library was seeded where node runs, or in a global setup file
+    function isLibrarySeeded(libraryName, node) {
       if (!allowSeededRandom) return false;
-      return seededLibraries.has(libraryName);
+      return seeds.some(seed => seed.library === libraryName && isInScope(seed.scope, node)) ||
+        getSetupFacts(context).seededLibraries.has(libraryName);
+    }
+
+    // Helper to check if `object.property` is spied on or stubbed where node runs
+    function isStubbed(object, property, node) {
+      return isMemberMockedAt(object, property, node, context) ||
+        isMemberMockedAt(`global.${object}`, property, node, context);
+    }
+
+    // Helper to check if an identifier is imported from a module
+    function isImportedFrom(name, source) {
+      return getFileAnalysis(sourceCode).imports.get(name) === source;
     }
 
     // Helper to check if a method is in allowedMethods
@@ -94,32 +121,41 @@ module.exports = {
       return false;
     }
 
-    // Helper to detect seed calls in AST
-    function detectSeedCalls(node) {
-      if (node.type === 'CallExpression' &&
-          node.callee.type === 'MemberExpression') {
-        const obj = node.callee.object;
-        const prop = node.callee.property;
-
-        // Check for faker.seed() or faker.setSeed()
-        if (obj.name === 'faker' && ['seed', 'setSeed'].includes(prop.name)) {
-          seededLibraries.add('faker');
-        }
-        // Check for chance.seed()
-        else if (obj.name === 'chance' && prop.name === 'seed') {
-          seededLibraries.add('chance');
-        }
-        // Check for casual.seed() or casual.setSeed()
-        else if (obj.name === 'casual' && ['seed', 'setSeed'].includes(prop.name)) {
-          seededLibraries.add('casual');
+    // Helper to collect the file's seed calls and faker instances
+    function collectSeeds() {
+      const { calls } = getFileAnalysis(sourceCode);
+      fakerInstances = new Set();
+      (calls.get('Faker') || []).forEach(({ node }) => {
+        if (node.type === 'NewExpression' && node.parent.type === 'VariableDeclarator' &&
+            node.parent.id.type === 'Identifier') {
+          fakerInstances.add(node.parent.id.name);
         }
+      });
+
+      seeds = [];
+      calls.forEach(entries => entries.forEach(({ node, scope }) => {
+        const library = getSeededLibrary(node, fakerInstances);
+        if (library) seeds.push({ library, scope });
+      }));
+    }
+
+    // Helper to find the nanoid factory a generator was made with, for
+    // `const nanoid = customAlphabet('abc', 10)`. customRandom() with the
+    // package's own `random` draws from crypto like customAlphabet().
+    function getNanoidFactory(identifier) {
+      const variable = findVariable(identifier, context);
+      const def = variable && variable.defs[0];
+      const init = def && def.type === 'Variable' ? def.node.init : null;
+      if (!init || init.type !== 'CallExpression' || init.callee.type !== 'Identifier') return null;
+
+      const factory = init.callee.name;
+      if (factory === 'customRandom') {
+        const random = init.arguments[2];
+        return random && random.type === 'Identifier' && isImportedFrom(random.name, 'nanoid')
+          ? 'customAlphabet'
+          : 'customRandom';
       }
-      // Check for new Chance(seed)
-      else if (node.type === 'NewExpression' &&
-               node.callee.name === 'Chance' &&
-               node.arguments.length > 0) {
-        seededLibraries.add('chance');
-      }
+      return factory === 'customAlphabet' ? factory : null;
     }
 
     function checkMathRandom(node) {
@@ -132,6 +168,11 @@ module.exports = {
           return;
         }
 
+        // Check if seedrandom replaced it or a spy stands in for it
+        if (isLibrarySeeded('Math', node) || isStubbed('Math', 'random', node)) {
+          return;
+        }
+
         // Check if it's being used to seed something
         if (allowSeededRandom) {
           // Traverse up the AST to find any seed-related call
@@ -150,7 +191,7 @@ module.exports = {
           }
         }
 
-        if (!isInMockContext(node, context)) {
+        if (!isCallMocked(node, context)) {
           context.report({
             node,
             messageId: 'avoidRandom'
@@ -169,8 +210,12 @@ module.exports = {
         if (allowInSetup && isInHook(node, setupHooks)) {
           return;
         }
+
+        if (isStubbed('Date', 'now', node) || areFakeTimersInstalledAt('Date', node, context)) {
+          return;
+        }
         
-        if (!isInMockContext(node, context)) {
+        if (!isCallMocked(node, context)) {
           context.report({
             node,
             messageId: 'avoidDateNow'
@@ -189,7 +234,11 @@ module.exports = {
           return;
         }
 
-        if (!isInMockContext(node, context)) {
+        if (areFakeTimersInstalledAt('Date', node, context)) {
+          return;
+        }
+
+        if (!isCallMocked(node, context)) {
           context.report({
             node,
             messageId: 'avoidDateNow'
@@ -212,6 +261,28 @@ module.exports = {
           return;
         }
         
+        // Check for a nanoid generator made with a fixed random source, or
+        // one drawing from crypto under another name
+        if (callee.type === 'Identifier') {
+          const factory = getNanoidFactory(callee);
+          if (factory === 'customRandom') {
+            return;
+          }
+          if (factory === 'customAlphabet') {
+            context.report({
+              node,
+              messageId: 'avoidUUID'
+            });
+            return;
+          }
+        }
+
+        // Check if a spy stands in for the crypto method
+        if (callee.type === 'MemberExpression' && callee.object.name === 'crypto' &&
+            isStubbed('crypto', callee.property.name, node)) {
+          return;
+        }
+
         // Check for crypto.randomUUID()
         if (callee.type === 'MemberExpression' &&
             callee.object.name === 'crypto' &&
@@ -271,6 +342,10 @@ module.exports = {
           return;
         }
 
+        if (isStubbed('performance', 'now', node) || areFakeTimersInstalledAt('performance', node, context)) {
+          return;
+        }
+
         context.report({
           node,
           messageId: 'avoidDateNow'
@@ -279,9 +354,10 @@ module.exports = {
     }
 
     function checkUnseededFaker(node) {
-      // Check for faker without seed
+      // Check for faker, a locale instance or a `new Faker()` without seed
       if (node.type === 'MemberExpression' &&
-          node.object.name === 'faker' &&
+          node.object.type === 'Identifier' &&
+          isFakerName(node.object.name, fakerInstances) &&
           !['seed', 'setSeed'].includes(node.property.name)) {
 
         // Check if in setup hook with allowInSetup
@@ -289,12 +365,13 @@ module.exports = {
           return;
         }
 
-        // Check if faker was seeded (AST-based detection)
-        if (!isLibrarySeeded('faker')) {
+        // Check if this instance was seeded in an enclosing scope
+        const library = node.object.name;
+        if (!isLibrarySeeded(library, node)) {
           context.report({
             node,
             messageId: 'useSeed',
-            data: { library: 'faker' }
+            data: { library }
           });
         }
       }
@@ -311,8 +388,8 @@ module.exports = {
           return;
         }
 
-        // Check if chance was seeded (AST-based detection)
-        if (!isLibrarySeeded('chance')) {
+        // Check if chance was seeded in an enclosing scope
+        if (!isLibrarySeeded('chance', node)) {
           context.report({
             node,
             messageId: 'useSeed',
@@ -333,8 +410,8 @@ module.exports = {
           return;
         }
 
-        // Check if casual was seeded (AST-based detection)
-        if (!isLibrarySeeded('casual')) {
+        // Check if casual was seeded in an enclosing scope
+        if (!isLibrarySeeded('casual', node)) {
           context.report({
             node,
             messageId: 'useSeed',
@@ -372,7 +449,70 @@ module.exports = {
       }
     }
 
+    function reportUnseeded(node, generator, example) {
+      context.report({
+        node,
+        messageId: 'unseededGenerator',
+        data: { generator, example }
+      });
+    }
+
+    function checkSeededGenerators(node) {
+      const callee = node.callee;
+
+      // Check if method is in allowedMethods
+      if (node.type === 'CallExpression' && isAllowedMethod(node)) {
+        return;
+      }
+
+      // Check if in setup hook with allowInSetup
+      if (allowInSetup && isInHook(node, setupHooks)) {
+        return;
+      }
+
+      // fast-check: fc.assert(property) without { seed }
+      if (node.type === 'CallExpression' && callee.type === 'MemberExpression' &&
+          callee.object.type === 'Identifier' && isImportedFrom(callee.object.name, 'fast-check') &&
+          FAST_CHECK_RUNNERS.has(callee.property.name)) {
+        const runOptions = node.arguments[1];
+        const isSeeded = runOptions
+          ? runOptions.type !== 'ObjectExpression' || hasOption(runOptions, 'seed')
+          : isLibrarySeeded('fc', node);
+        if (!isSeeded) {
+          const call = `${callee.object.name}.${callee.property.name}`;
+          reportUnseeded(node, `${call}()`, `${call}(property, { seed: 42 })`);
+        }
+        return;
+      }
+
+      // random-js: new Random() uses Math.random; crypto engines and autoSeed() are never the same twice
+      if (node.type === 'NewExpression' && callee.type === 'Identifier' && isImportedFrom(callee.name, 'random-js')) {
+        const engine = node.arguments[0];
+        if (!engine || (engine.type === 'Identifier' && UNSEEDED_RANDOM_JS_ENGINES.has(engine.name))) {
+          reportUnseeded(node, `new ${callee.name}(${engine ? engine.name : ''})`, `new ${callee.name}(MersenneTwister19937.seed(42))`);
+        }
+        return;
+      }
+      if (node.type === 'CallExpression' && callee.type === 'MemberExpression' &&
+          callee.object.type === 'Identifier' && isImportedFrom(callee.object.name, 'random-js') &&
+          callee.property.name === 'autoSeed') {
+        reportUnseeded(node, `${callee.object.name}.autoSeed()`, `${callee.object.name}.seed(42)`);
+        return;
+      }
+
+      // seedrandom() and Math.seedrandom() without a seed pick one from the clock and the OS
+      const isSeedrandom = (callee.type === 'Identifier' && callee.name === 'seedrandom') ||
+        (callee.type === 'MemberExpression' && callee.object.name === 'Math' && callee.property.name === 'seedrandom');
+      if (isSeedrandom && node.arguments.length === 0) {
+        const call = sourceCode.getText(callee);
+        reportUnseeded(node, `${call}()`, `${call}('fixed-seed')`);
+      }
+    }
+
     return {
+      Program() {
+        collectSeeds();
+      },
       MemberExpression(node) {
         checkMathRandom(node);
         checkUnseededFaker(node);
@@ -380,20 +520,14 @@ module.exports = {
         checkUnseededCasual(node);
       },
       CallExpression(node) {
-        // First detect any seed calls to track seeded libraries
-        detectSeedCalls(node);
-
-        // Then check for violations
+        checkSeededGenerators(node);
         checkDateNow(node);
         checkUuid(node);
         checkPerformanceNow(node);
         checkLodashRandom(node);
       },
       NewExpression(node) {
-        // Detect seeded Chance instantiation
-        detectSeedCalls(node);
-
-        // Check for Date violations
+        checkSeededGenerators(node);
         checkNewDate(node);
       }
     };
@@ -0,0 +1,257 @@
+/**
+ * @fileoverview Rule to disallow side effects in waitFor(), expect.poll() and toPass() callbacks, which run on every retry
+ * @author eslint-plugin-test-flakiness
+ */
+'use strict';
+
+const {
+  isTestFile, getPluginSettings, getFilename, getRootIdentifier, findEnclosingFunction, getWaitFunctionName
+} = require('../utils/helpers');
+const { getMemberPath } = require('../utils/analysis');
+const { findVariable } = require('../utils/mocks');
+const { parseExpectCall } = require('../utils/playwright');
+const { parseQueryName } = require('../utils/queries');
+
+const DEFAULT_EVENT_OBJECTS = ['fireEvent', 'userEvent'];
+const DEFAULT_NETWORK_FUNCTIONS = ['fetch', 'axios', 'request', 'superagent', 'got', 'ky'];
+const DEFAULT_ASSERTION_FUNCTIONS = ['expect', 'assert'];
+
+const FUNCTION_TYPES = ['FunctionDeclaration', 'FunctionExpression', 'ArrowFunctionExpression'];
+
+/**
+ * Get the retry API a function is the callback of: a wait function like
+ * `waitFor(fn)` (see getWaitFunctionName), `expect.poll(fn)` or
+ * `expect(fn).toPass()`
+ * @param {Object} node - The function node
+ * @param {Object} context - The ESLint rule context
+ * @returns {string|null} The wait function name, `expect.poll` or `toPass`,
+ *   or null
+ */
+function getRetryKind(node, context) {
+  const call = node.parent;
+  if (call.type !== 'CallExpression' || call.arguments[0] !== node) return null;
+
+  const waitName = getWaitFunctionName(call, context);
+  if (waitName) return waitName;
+  const path = getMemberPath(call.callee);
+  if (path === 'expect.poll') return 'expect.poll';
+  if (path !== 'expect') return null;
+
+  let current = call;
+  while (current.parent.type === 'MemberExpression' && current.parent.object === current) current = current.parent;
+  const matcherCall = current.parent;
+  if (matcherCall.type !== 'CallExpression' || matcherCall.callee !== current) return null;
+  const parsed = parseExpectCall(matcherCall);
+  return parsed && parsed.expectCall === call && parsed.matcher === 'toPass' ? 'toPass' : null;
+}
+
+/**
+ * Get the statement a retry call makes up, optionally awaited, directly in
+ * the block body of a function: the only place a moved statement can go
+ * before it without changing when it runs
+ * @param {Object} callback - The retry callback node
+ * @returns {Object|null} The ExpressionStatement, or null
+ */
+function getRetryStatement(callback) {
+  let expression = callback.parent;
+  // The matcher call around expect(fn).toPass() and expect.poll(fn).toBe(x)
+  while ((expression.parent.type === 'MemberExpression' && expression.parent.object === expression) ||
+      (expression.parent.type === 'CallExpression' && expression.parent.callee === expression)) {
+    expression = expression.parent;
+  }
+  if (expression.parent.type === 'AwaitExpression') expression = expression.parent;
+
+  const statement = expression.parent;
+  if (statement.type !== 'ExpressionStatement' || statement.parent.type !== 'BlockStatement') return null;
+  return FUNCTION_TYPES.includes(statement.parent.parent.type) ? statement : null;
+}
+
+module.exports = {
+  meta: {
+    type: 'problem',
+    docs: {
+      description: 'Disallow events, assignments, network calls and act() in waitFor(), expect.poll() and toPass() callbacks, and waitFor() callbacks without assertions',
+      category: 'Best Practices',
+      recommended: false,
+      url: 'https://github.com/tigredonorte/eslint-plugin-test-flakiness/blob/main/docs/rules/no-side-effects-in-waitfor.md'
+    },
+    fixable: 'code',
+    schema: [
+      {
+        type: 'object',
+        properties: {
+          eventObjects: {
+            type: 'array',
+            items: { type: 'string' },
+            default: DEFAULT_EVENT_OBJECTS,
+            description: 'Objects whose calls fire events, e.g. fireEvent and userEvent, along with variables holding their setup() result'
+          },
+          networkFunctions: {
+            type: 'array',
+            items: { type: 'string' },
+            default: DEFAULT_NETWORK_FUNCTIONS,
+            description: 'Functions and objects whose calls send requests'
+          },
+          assertionFunctions: {
+            type: 'array',
+            items: { type: 'string' },
+            default: DEFAULT_ASSERTION_FUNCTIONS,
+            description: 'Functions whose calls are assertions'
+          },
+          checkAssertions: {
+            type: 'boolean',
+            default: true,
+            description: 'Report waitFor() callbacks that neither assert nor run a query that throws'
+          }
+        },
+        additionalProperties: false
+      }
+    ],
+    messages: {
+      sideEffect: '{{effect}}() runs again each time the {{callback}}() callback retries, so it fires an unknown number of times. Move it before {{callback}}().',
+      assignment: 'Assigning {{target}} in a {{callback}}() callback happens again on every retry, so the value depends on how often it retried. Move it before {{callback}}().',
+      noAssertion: 'This {{callback}}() callback asserts nothing and throws nothing, so it passes on the first try without waiting. Add an expect() that fails until the condition holds.'
+    }
+  },
+
+  create(context) {
+    if (!isTestFile(getFilename(context), getPluginSettings(context))) {
+      return {};
+    }
+
+    const options = context.options[0] || {};
+    const eventObjects = options.eventObjects || DEFAULT_EVENT_OBJECTS;
+    const networkFunctions = options.networkFunctions || DEFAULT_NETWORK_FUNCTIONS;
+    const assertionFunctions = options.assertionFunctions || DEFAULT_ASSERTION_FUNCTIONS;
+    const checkAssertions = options.checkAssertions !== false;
+    const sourceCode = context.getSourceCode();
+
+    // Retry callbacks being traversed, innermost last
+    const callbacks = [];
+
+    // Check whether an identifier is bound to the result of an event
+    // object's setup(), like `const user = userEvent.setup()`
+    function isEventSetup(identifier) {
+      const variable = findVariable(identifier, context);
+      const def = variable && variable.defs.length === 1 ? variable.defs[0] : null;
+      if (!def || def.node.type !== 'VariableDeclarator' || def.node.id !== def.name || !def.node.init) return false;
+      const init = def.node.init.type === 'AwaitExpression' ? def.node.init.argument : def.node.init;
+      if (init.type !== 'CallExpression') return false;
+      const path = getMemberPath(init.callee);
+      return eventObjects.some(name => path === `${name}.setup`);
+    }
+
+    // Get the side effect a call has, as the callee to name in the report
+    function getCallEffect(node) {
+      const path = getMemberPath(node.callee);
+      if (!path) return null;
+      const parts = path.split('.');
+      const root = parts[0] === 'global' && parts.length > 1 ? parts[1] : parts[0];
+      if (eventObjects.includes(root) || networkFunctions.includes(root)) return path;
+      const identifier = getRootIdentifier(node.callee);
+      if (parts.length > 1 && identifier && identifier.type === 'Identifier' && isEventSetup(identifier)) return path;
+      // page.request.get(), and act() from react, react-dom/test-utils or Testing Library
+      if (parts.slice(1, -1).includes('request') || parts[parts.length - 1] === 'act') return path;
+      return null;
+    }
+
+    function isAssertion(node) {
+      const root = getRootIdentifier(node.callee);
+      if (root && assertionFunctions.includes(root.name)) return true;
+      const callee = node.callee.type === 'MemberExpression' ? node.callee.property : node.callee;
+      const query = callee.type === 'Identifier' ? parseQueryName(callee.name) : null;
+      return Boolean(query) && query.variant !== 'query';
+    }
+
+    // Check whether an assignment target only lives inside the callback
+    function isLocal(target, callback) {
+      const root = target.type === 'Identifier' ? target : getRootIdentifier(target);
+      if (!root || root.type !== 'Identifier') return false;
+      const variable = findVariable(root, context);
+      return Boolean(variable) && variable.defs.length > 0 &&
+        variable.defs.every(def => def.name.range[0] >= callback.node.range[0] &&
+          def.name.range[1] <= callback.node.range[1]);
+    }
+
+    // Get the statement a side effect makes up when it leads the callback
+    // body, so moving it before the retry call reorders nothing. Later side
+    // effects lead once the ones before them are moved by an earlier fix pass.
+    function getMovableStatement(node, callback) {
+      const body = callback.node.body;
+      if (body.type !== 'BlockStatement' || callback.node.params.length > 0 || body.body.length < 2) return null;
+      const statement = node.parent.type === 'AwaitExpression' ? node.parent.parent : node.parent;
+      return statement.type === 'ExpressionStatement' && body.body[0] === statement ? statement : null;
+    }
+
+    function getMoveFix(node, callback) {
+      const statement = getMovableStatement(node, callback);
+      if (!statement || sourceCode.getCommentsInside(statement).length > 0) return null;
+
+      const anchor = getRetryStatement(callback.node);
+      if (!anchor) return null;
+      if (node.parent.type === 'AwaitExpression') {
+        const outer = findEnclosingFunction(anchor);
+        if (!outer || !outer.async) return null;
+      }
+      const line = sourceCode.lines[anchor.loc.start.line - 1];
+      const indentation = line.slice(0, anchor.loc.start.column);
+      if (indentation.trim() !== '') return null;
+
+      const previous = sourceCode.getTokenBefore(statement);
+      return fixer => [
+        fixer.insertTextBefore(anchor, `${sourceCode.getText(statement)}\n${indentation}`),
+        fixer.removeRange([previous.range[1], statement.range[1]])
+      ];
+    }
+
+    function report(node, messageId, data) {
+      const callback = callbacks[callbacks.length - 1];
+      context.report({
+        node,
+        messageId,
+        data: { ...data, callback: callback.kind },
+        fix: getMoveFix(node, callback)
+      });
+    }
+
+    return {
+      ':function'(node) {
+        const kind = getRetryKind(node, context);
+        if (kind) callbacks.push({ node, kind, hasAssertion: false });
+      },
+
+      ':function:exit'(node) {
+        const callback = callbacks[callbacks.length - 1];
+        if (!callback || callback.node !== node) return;
+        callbacks.pop();
+        // expect.poll() and toPass() retry on the matcher, not the callback
+        const isWait = callback.kind !== 'expect.poll' && callback.kind !== 'toPass';
+        if (checkAssertions && isWait && !callback.hasAssertion) {
+          context.report({ node, messageId: 'noAssertion', data: { callback: callback.kind } });
+        }
+      },
+
+      CallExpression(node) {
+        if (callbacks.length === 0) return;
+        if (isAssertion(node)) {
+          callbacks[callbacks.length - 1].hasAssertion = true;
+          return;
+        }
+        const effect = getCallEffect(node);
+        if (effect) report(node, 'sideEffect', { effect });
+      },
+
+      ThrowStatement() {
+        if (callbacks.length > 0) callbacks[callbacks.length - 1].hasAssertion = true;
+      },
+
+      'AssignmentExpression, UpdateExpression'(node) {
+        if (callbacks.length === 0) return;
+        const target = node.type === 'AssignmentExpression' ? node.left : node.argument;
+        if (target.type !== 'Identifier' && target.type !== 'MemberExpression') return;
+        if (isLocal(target, callbacks[callbacks.length - 1])) return;
+        report(node, 'assignment', { target: sourceCode.getText(target) });
+      }
+    };
+  }
+};
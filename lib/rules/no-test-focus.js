@@ -4,7 +4,7 @@
  */
 'use strict';
 
-const { isTestFile, getFilename } = require('../utils/helpers');
+const { isTestFile, getPluginSettings, getFilename } = require('../utils/helpers');
 
 // Standard test method names
 const TEST_METHODS = ['test', 'it', 'describe', 'suite', 'context'];
@@ -61,7 +61,7 @@ module.exports = {
 
   create(context) {
     const filename = getFilename(context);
-    if (!isTestFile(filename)) {
+    if (!isTestFile(filename, getPluginSettings(context))) {
       return {};
     }
 
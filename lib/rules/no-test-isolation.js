@@ -4,28 +4,23 @@
  */
 'use strict';
 
-const { isTestFile, isInHook, isInDescribe, isInTest, getFilename } = require('../utils/helpers');
-
-// Regex constants to avoid repeated compilation
-const LOWERCASE_START_REGEX = /^[a-z]/;
-
-// Method name constants for shared object mutation detection
-const MUTATING_METHODS = [
-  'push', 'pop', 'shift', 'unshift', 'splice', 'sort', 'reverse',
-  'fill', 'copyWithin', 'set', 'delete', 'clear', 'add'
-];
-
-const MEANINGFUL_METHODS = [
-  'method', 'call', 'apply', 'bind', 'run', 'execute', 'perform', 'process',
-  'start', 'stop', 'close', 'open', 'connect', 'disconnect', 'send', 'receive'
-];
-
-const NON_MEANINGFUL_METHODS = [
-  // Common accessor/property methods
-  'get', 'set', 'has', 'key', 'value', 'data', 'item', 'node', 'element',
-  // Standard object methods that don't indicate meaningful operations
-  'length', 'size', 'name', 'type', 'id'
-];
+const {
+  isTestFile,
+  getPluginSettings,
+  isInHook,
+  isInDescribe,
+  isInTest,
+  getFilename,
+  getFrameworkInfo
+} = require('../utils/helpers');
+const { findVariable } = require('../utils/mocks');
+const {
+  getTestBlock,
+  getTestTitle,
+  getReferenceAccess,
+  findCrossTestFlow,
+  isConcurrentAt
+} = require('../utils/test-order');
 
 // Pre-compiled cleanup patterns to avoid repeated array creation
 const BASE_CLEANUP_PATTERNS = [
@@ -58,6 +53,7 @@ module.exports = {
       url: 'https://github.com/tigredonorte/eslint-plugin-test-flakiness/blob/main/docs/rules/no-test-isolation.md'
     },
     fixable: null,
+    hasSuggestions: true,
     schema: [
       {
         type: 'object',
@@ -83,18 +79,21 @@ module.exports = {
       }
     ],
     messages: {
-      avoidSharedState: 'Avoid shared mutable state "{{variable}}" that can cause test order dependencies. Initialize in beforeEach or use local variables.',
+      avoidSharedState: 'Test "{{reader}}" reads shared state "{{variable}}" that test "{{writer}}" changes, so it depends on test order. Initialize it in beforeEach or use local variables.',
       needsCleanup: 'Test setup in {{hook}} should have corresponding cleanup in afterEach/afterAll to prevent state leakage.',
-      initInSetup: 'Variable "{{variable}}" should be initialized in beforeEach/beforeAll, not directly in describe block.',
+      initInSetup: 'Variable "{{variable}}" is changed by test "{{writer}}" and read by test "{{reader}}". Initialize it in beforeEach, not directly in the describe block.',
       avoidModuleMutation: 'Avoid mutating imported modules as it can affect other tests. Use mocks or local copies instead.',
       globalStateMutation: 'Avoid modifying global state "{{property}}" in tests. This can affect other tests.',
-      disallowedSharedVar: 'Variable "{{variable}}" is shared between tests but not in allowedSharedVariables list.'
+      disallowedSharedVar: 'Variable "{{variable}}" is shared between tests but not in allowedSharedVariables list.',
+      concurrentSharedState: 'Variable "{{variable}}" is shared by tests that run concurrently, so changing it here races with the other tests. Declare it inside the test instead.',
+      useContextExpect: 'Concurrent test "{{test}}" uses the global expect, which cannot tell which test an assertion or snapshot belongs to. Take expect from the test context: ({ expect }) => ...',
+      addContextExpect: 'Take expect from the test context'
     }
   },
 
   create(context) {
     const filename = getFilename(context);
-    if (!isTestFile(filename)) {
+    if (!isTestFile(filename, getPluginSettings(context))) {
       return {};
     }
 
@@ -103,19 +102,20 @@ module.exports = {
     const checkGlobalState = options.checkGlobalState !== false;
     const allowedSharedVariables = options.allowedSharedVariables || [];
 
-    // Track variables declared at module/describe level
+    // Track variables declared at module/describe level, by declarator
     const moduleVariables = new Map();
     const describeVariables = new Map();
     const importedIdentifiers = new Set();
-    const reportedViolations = new Set();
     const pendingReports = [];
-
-    // Track setup initialization during main visitor pass to avoid separate AST traversal
-    const setupInitializedVariables = new Set();
+    const sourceCode = context.getSourceCode();
+    const contextExpectTests = new Set();
+    let isVitest = null;
 
     // Helper function to determine if global mutation should be reported as violation
-    // Considers allowSharedSetup option and hook context
+    // Considers allowSharedSetup option and hook context; hooks running
+    // alongside concurrent tests are never exempt
     function shouldReportGlobalMutationViolation(node) {
+      if (isConcurrentAt(node, context)) return true;
       const inSetupHook = isInHook(node, ['beforeEach', 'beforeAll']);
       const inCleanupHook = isInHook(node, ['afterEach', 'afterAll']);
       // Report if: not in any hook OR in setup hook without allowSharedSetup
@@ -170,7 +170,6 @@ module.exports = {
     ];
 
     function findCleanupForSetup(setupHook, _setupNode) {
-      const sourceCode = context.getSourceCode();
       const text = sourceCode.getText();
 
       // Determine corresponding cleanup hook
@@ -195,22 +194,108 @@ module.exports = {
       return staticCleanupPatterns.some(pattern => pattern.test(text));
     }
 
-    // Simple lookup function using data collected during main visitor pass
-    function hasSetupInitialization(variableName) {
-      return setupInitializedVariables.has(variableName);
+    // Report a shared variable one test writes and a later test reads
+    function checkCrossTestFlow(info) {
+      const variable = (sourceCode.getDeclaredVariables
+        ? sourceCode.getDeclaredVariables(info.node)
+        : context.getDeclaredVariables(info.node)).find(declared => declared.name === info.name);
+      if (!variable) return;
+
+      const accesses = [];
+      const resets = [];
+      let concurrentWrite = null;
+      variable.references.forEach(reference => {
+        if (reference.init) return;
+        const block = getTestBlock(reference.identifier);
+        if (!block) return;
+        const access = getReferenceAccess(reference);
+        if (access.writes && !concurrentWrite && isConcurrentAt(reference.identifier, context)) {
+          concurrentWrite = access.node;
+        }
+        if (block.kind === 'test') {
+          accesses.push({ ...access, test: block.call });
+        } else if (reference.isWrite() && (block.kind === 'beforeEach' || block.kind === 'afterEach')) {
+          resets.push({ kind: block.kind, scope: block.scope });
+        }
+      });
+
+      // Concurrent tests race on any write, whatever the order
+      if (concurrentWrite) {
+        pendingReports.push({ node: concurrentWrite, messageId: 'concurrentSharedState', data: { variable: info.name } });
+        return;
+      }
+
+      const flow = findCrossTestFlow(accesses, resets);
+      if (!flow) return;
+
+      const data = {
+        variable: info.name,
+        writer: getTestTitle(flow.writer, sourceCode),
+        reader: getTestTitle(flow.reader, sourceCode)
+      };
+      if (info.inDescribe && info.hasInitializer) {
+        pendingReports.push({ node: info.node, messageId: 'initInSetup', data });
+      } else {
+        pendingReports.push({ node: flow.node, messageId: 'avoidSharedState', data });
+      }
+    }
+
+    // Suggest taking expect from the context of a test callback: fill empty
+    // parameters or add it to a destructured context. Table tests pass the
+    // row first, so they get no suggestion.
+    function getContextExpectFix(call) {
+      if (call.callee.type !== 'Identifier' && call.callee.type !== 'MemberExpression') return null;
+      const callback = call.arguments.find(argument =>
+        argument.type === 'ArrowFunctionExpression' || argument.type === 'FunctionExpression');
+      if (!callback) return null;
+
+      if (callback.params.length === 0) {
+        const openParen = sourceCode.getFirstToken(callback, { filter: token => token.value === '(' });
+        return openParen && (fixer => fixer.insertTextAfter(openParen, '{ expect }'));
+      }
+      const pattern = callback.params[0];
+      if (pattern.type !== 'ObjectPattern' || pattern.properties.length === 0) return null;
+      const last = pattern.properties[pattern.properties.length - 1];
+      if (last.type === 'RestElement') return null;
+      return fixer => fixer.insertTextAfter(last, ', expect');
+    }
+
+    // Report the first expect() in a concurrent Vitest test that does not
+    // come from the test context
+    function checkContextExpect(node) {
+      const callee = node.callee.type === 'MemberExpression' ? node.callee.object : node.callee;
+      if (callee.type !== 'Identifier' || callee.name !== 'expect') return;
+
+      const block = getTestBlock(node);
+      if (!block || block.kind !== 'test' || contextExpectTests.has(block.call)) return;
+      if (isVitest === null) isVitest = getFrameworkInfo(context).runner === 'vitest';
+      if (!isVitest || !isConcurrentAt(node, context)) return;
+
+      const variable = findVariable(callee, context);
+      if (variable && variable.defs.some(def => def.type === 'Parameter')) return;
+
+      contextExpectTests.add(block.call);
+      const fix = getContextExpectFix(block.call);
+      pendingReports.push({
+        node: callee,
+        messageId: 'useContextExpect',
+        data: { test: getTestTitle(block.call, sourceCode) },
+        ...(fix && { suggest: [{ messageId: 'addContextExpect', fix }] })
+      });
     }
 
     function reportPendingViolations() {
       // Sort by priority first, then by line and column
       // Priority order:
-      // 1. avoidSharedState violations (priority 0)
+      // 1. avoidSharedState and concurrentSharedState violations (priority 0)
       // 2. initInSetup violations (priority 1)
       // 3. avoidModuleMutation violations (priority 2)
       // 4. needsCleanup violations (priority 3)
       pendingReports.sort((a, b) => {
         const getPriority = (messageId) => {
           switch (messageId) {
-            case 'avoidSharedState': return 0;
+            case 'avoidSharedState':
+            case 'concurrentSharedState': return 0;
             case 'initInSetup': return 1;
             case 'avoidModuleMutation': return 2;
             case 'needsCleanup': return 3;
@@ -245,12 +330,14 @@ module.exports = {
         moduleVariables.clear();
         describeVariables.clear();
         importedIdentifiers.clear();
-        reportedViolations.clear();
+        contextExpectTests.clear();
         pendingReports.length = 0;
-        setupInitializedVariables.clear();
       },
 
       'Program:exit'() {
+        [moduleVariables, describeVariables].forEach(variables => variables.forEach(info => {
+          if (!importedIdentifiers.has(info.name)) checkCrossTestFlow(info);
+        }));
         reportPendingViolations();
       },
 
@@ -291,9 +378,11 @@ module.exports = {
             if (!allowedSharedVariables.includes(variableName)) {
               // Only track mutable variables (non-const or const with mutable content)
               if (!isConstant) {
-                moduleVariables.set(variableName, {
+                moduleVariables.set(declarator, {
+                  name: variableName,
                   node: declarator,
                   isConstant,
+                  inDescribe: false,
                   hasInitializer: !!declarator.init
                 });
               }
@@ -304,9 +393,11 @@ module.exports = {
             // Skip if this is in the allowedSharedVariables list
             if (!allowedSharedVariables.includes(variableName)) {
               // Track variables that need setup initialization
-              describeVariables.set(variableName, {
+              describeVariables.set(declarator, {
+                name: variableName,
                 node: declarator,
                 isConstant,
+                inDescribe: true,
                 hasInitializer: !!declarator.init
               });
             }
@@ -352,147 +443,20 @@ module.exports = {
           }
         }
 
-        // Check for shared state mutations
-        if (node.left.type === 'Identifier') {
-          const variableName = node.left.name;
-
-          // Track assignments in beforeEach/beforeAll for setup initialization tracking
-          if (isInHook(node, ['beforeEach', 'beforeAll'])) {
-            setupInitializedVariables.add(variableName);
-            return;
-          }
-
-          // Check for imported module mutations
-          if (importedIdentifiers.has(variableName) && isInTestContext(node)) {
-            pendingReports.push({
-              node,
-              messageId: 'avoidModuleMutation'
-            });
-          }
-          // Check if this is mutating a module-level variable in a test (but skip if it's an imported module)
-          else if (moduleVariables.has(variableName) && isInTest(node)) {
-            const key = `${variableName}-module-assignment`;
-            if (!reportedViolations.has(key)) {
-              reportedViolations.add(key);
-              pendingReports.push({
-                node,
-                messageId: 'avoidSharedState',
-                data: { variable: variableName }
-              });
-            }
-          }
-          // Check if this is mutating a describe-level variable in a test
-          else if (describeVariables.has(variableName) && isInTest(node)) {
-            const varInfo = describeVariables.get(variableName);
-            if (varInfo.hasInitializer) {
-              const key = `${variableName}-describe-initInSetup`;
-              if (!reportedViolations.has(key)) {
-                reportedViolations.add(key);
-                pendingReports.push({
-                  node: varInfo.node,
-                  messageId: 'initInSetup',
-                  data: { variable: variableName }
-                });
-              }
-            } else if (!hasSetupInitialization(variableName)) {
-              const key = `${variableName}-describe-assignment`;
-              if (!reportedViolations.has(key)) {
-                reportedViolations.add(key);
-                pendingReports.push({
-                  node,
-                  messageId: 'avoidSharedState',
-                  data: { variable: variableName }
-                });
-              }
-            }
-          }
-        }
-
-        // Check for property mutations of shared variables
-        if (node.left.type === 'MemberExpression' && node.left.object.type === 'Identifier') {
-          const objectName = node.left.object.name;
-
-          // Track property assignments in beforeEach/beforeAll for setup initialization tracking
-          if (isInHook(node, ['beforeEach', 'beforeAll'])) {
-            setupInitializedVariables.add(objectName);
-            return;
-          }
-
-          // Check for imported module mutations
-          if (importedIdentifiers.has(objectName) && isInTestContext(node)) {
-            pendingReports.push({
-              node,
-              messageId: 'avoidModuleMutation'
-            });
-          }
-          // Check for shared variable property mutations (but skip if it's an imported module)
-          else if ((moduleVariables.has(objectName) || describeVariables.has(objectName)) &&
-              isInTest(node)) {
-            const key = `${objectName}-property-assignment`;
-            if (!reportedViolations.has(key)) {
-              reportedViolations.add(key);
-              pendingReports.push({
-                node,
-                messageId: 'avoidSharedState',
-                data: { variable: objectName }
-              });
-            }
-          }
-        }
-      },
-
-      UpdateExpression(node) {
-        // Handle increment/decrement of shared variables
-        if (node.argument.type === 'Identifier') {
-          const variableName = node.argument.name;
-
-          // Track increment/decrement in beforeEach/beforeAll for setup initialization tracking
-          if (isInHook(node, ['beforeEach', 'beforeAll'])) {
-            setupInitializedVariables.add(variableName);
-            return;
-          }
-
-          if (moduleVariables.has(variableName) && isInTest(node)) {
-            const key = `${variableName}-module-update`;
-            if (!reportedViolations.has(key)) {
-              reportedViolations.add(key);
-              pendingReports.push({
-                node,
-                messageId: 'avoidSharedState',
-                data: { variable: variableName }
-              });
-            }
-          }
-
-          if (describeVariables.has(variableName) && isInTest(node)) {
-            const varInfo = describeVariables.get(variableName);
-            if (varInfo.hasInitializer) {
-              const key = `${variableName}-describe-initInSetup`;
-              if (!reportedViolations.has(key)) {
-                reportedViolations.add(key);
-                pendingReports.push({
-                  node: varInfo.node,
-                  messageId: 'initInSetup',
-                  data: { variable: variableName }
-                });
-              }
-            } else if (!hasSetupInitialization(variableName)) {
-              const key = `${variableName}-describe-update`;
-              if (!reportedViolations.has(key)) {
-                reportedViolations.add(key);
-                pendingReports.push({
-                  node,
-                  messageId: 'avoidSharedState',
-                  data: { variable: variableName }
-                });
-              }
-            }
-          }
+        // Check for imported module mutations
+        const target = node.left.type === 'MemberExpression' ? node.left.object : node.left;
+        if (target.type === 'Identifier' && importedIdentifiers.has(target.name) &&
+            isInTestContext(node) && !isInHook(node, ['beforeEach', 'beforeAll'])) {
+          pendingReports.push({
+            node,
+            messageId: 'avoidModuleMutation'
+          });
         }
       },
 
       CallExpression(node) {
         // Note: Global state modifications via CallExpression are handled in AssignmentExpression
+        checkContextExpect(node);
 
         // Track setup hooks that might need cleanup
         if (node.callee.type === 'Identifier') {
@@ -500,7 +464,6 @@ module.exports = {
           if (['beforeEach', 'beforeAll'].includes(hookName)) {
             const callback = node.arguments[0];
             if (callback) {
-              const sourceCode = context.getSourceCode();
               const callbackText = sourceCode.getText(callback);
 
               // Check for patterns that typically need cleanup using pre-compiled patterns
@@ -524,47 +487,6 @@ module.exports = {
             }
           }
         }
-
-        // Check for mutating method calls on shared variables
-        if (node.callee.type === 'MemberExpression' &&
-            node.callee.object.type === 'Identifier' &&
-            isInTest(node) &&
-            !isInHook(node, ['beforeEach', 'beforeAll'])) {
-
-          const objectName = node.callee.object.name;
-          const method = node.callee.property.name;
-
-          if ((moduleVariables.has(objectName) || describeVariables.has(objectName)) &&
-              MUTATING_METHODS.includes(method)) {
-            const key = `${objectName}-method-${method}`;
-            if (!reportedViolations.has(key)) {
-              reportedViolations.add(key);
-              pendingReports.push({
-                node,
-                messageId: 'avoidSharedState',
-                data: { variable: objectName }
-              });
-            }
-          }
-
-          // Also check for non-mutating method calls on shared objects (still problematic for isolation)
-          if ((moduleVariables.has(objectName) || describeVariables.has(objectName)) &&
-              !MUTATING_METHODS.includes(method) && method !== 'toString' && method !== 'valueOf') {
-            // Check if this is a meaningful method call that could affect test isolation
-            if (MEANINGFUL_METHODS.includes(method) ||
-                (LOWERCASE_START_REGEX.test(method) && !NON_MEANINGFUL_METHODS.includes(method))) {
-              const key = `${objectName}-meaningful-method-${method}`;
-              if (!reportedViolations.has(key)) {
-                reportedViolations.add(key);
-                pendingReports.push({
-                  node,
-                  messageId: 'avoidSharedState',
-                  data: { variable: objectName }
-                });
-              }
-            }
-          }
-        }
       }
     };
   }
@@ -0,0 +1,346 @@
+/**
+ * @fileoverview Rule to detect tests that depend on state an earlier sibling test creates
+ * @author eslint-plugin-test-flakiness
+ */
+'use strict';
+
+const { isTestFile, getPluginSettings, getFilename } = require('../utils/helpers');
+const { getMemberPath } = require('../utils/analysis');
+const {
+  getStringValue,
+  getDescribeScope,
+  getDescribeMode,
+  getTestBlock,
+  getTestTitle,
+  getReferenceAccess,
+  getHookResets,
+  findCrossTestFlow
+} = require('../utils/test-order');
+
+// Web Storage methods and what they do to a key
+const STORAGE_METHODS = new Map([
+  ['setItem', 'write'],
+  ['getItem', 'read'],
+  ['removeItem', 'remove'],
+  ['clear', 'remove']
+]);
+
+// Cypress commands clearing a storage area, optionally for one key
+const CYPRESS_STORAGE_CLEARS = new Map([
+  ['cy.clearLocalStorage', 'localStorage'],
+  ['cy.clearAllLocalStorage', 'localStorage'],
+  ['cy.clearAllSessionStorage', 'sessionStorage']
+]);
+
+// Assignments and calls that empty the whole document
+const DOM_RESET_TARGETS = ['document.body.innerHTML', 'document.body.textContent', 'document.documentElement.innerHTML'];
+const DOM_RESET_CALLS = ['document.body.replaceChildren', 'cleanup'];
+
+const HTML_PROPERTIES = ['innerHTML', 'outerHTML'];
+const SELECTOR_QUERIES = ['querySelector', 'querySelectorAll'];
+const TEST_ID_QUERY_REGEX = /^(?:get|query|find)(?:All)?ByTestId$/;
+const HTML_ATTRIBUTE_REGEX = /\b(id|class|data-testid)\s*=\s*["']([^"']*)["']/g;
+const TEST_ID_SELECTOR_REGEX = /^\[data-testid=["']?([\w-]+)["']?\]$/;
+
+const SETUP_HOOKS = ['beforeEach', 'beforeAll', 'before'];
+
+/**
+ * Get the static parts of an HTML string, with a NUL where an interpolated
+ * expression goes
+ * @param {Object} node - The AST node
+ * @returns {string|null} The HTML text
+ */
+function getHtml(node) {
+  if (node.type === 'TemplateLiteral') return node.quasis.map(quasi => quasi.value.cooked).join('\0');
+  return getStringValue(node);
+}
+
+/**
+ * Get the selectors for an `id`, `class` or `data-testid` attribute value
+ * @param {string} attribute - The attribute name
+ * @param {string} value - The attribute value
+ * @returns {string[]} Canonical selectors matching the element
+ */
+function getAttributeSelectors(attribute, value) {
+  if (value.includes('\0')) return [];
+  if (attribute === 'id') return value ? [`#${value}`] : [];
+  if (attribute === 'class' || attribute === 'className') {
+    return value.split(/\s+/).filter(Boolean).map(name => `.${name}`);
+  }
+  return attribute === 'data-testid' && value ? [`[data-testid="${value}"]`] : [];
+}
+
+/**
+ * Get the selectors of the elements an HTML string creates
+ * @param {string} html - The HTML text
+ * @returns {string[]} Canonical selectors
+ */
+function getHtmlSelectors(html) {
+  const selectors = [];
+  for (const match of html.matchAll(HTML_ATTRIBUTE_REGEX)) {
+    selectors.push(...getAttributeSelectors(match[1], match[2]));
+  }
+  return selectors;
+}
+
+/**
+ * Reduce a selector to the canonical form writes are recorded in. Only a
+ * single id, class or test id is comparable with what a test creates.
+ * @param {string} selector - The selector string
+ * @returns {string|null} The canonical selector
+ */
+function normalizeSelector(selector) {
+  const trimmed = selector.trim();
+  if (/^[#.][\w-]+$/.test(trimmed)) return trimmed;
+  const testId = TEST_ID_SELECTOR_REGEX.exec(trimmed);
+  return testId ? `[data-testid="${testId[1]}"]` : null;
+}
+
+/**
+ * Get the selectors a DOM or Testing Library query looks up
+ * @param {Object} node - The CallExpression node
+ * @returns {string[]} Canonical selectors, empty for other calls
+ */
+function getQueriedSelectors(node) {
+  const name = getCalleeName(node);
+  const value = getStringValue(node.arguments[0]);
+  if (!name || !value) return [];
+  if (name === 'getElementById') return [`#${value}`];
+  if (name === 'getElementsByClassName') return getAttributeSelectors('class', value);
+  if (TEST_ID_QUERY_REGEX.test(name)) return [`[data-testid="${value}"]`];
+  if (SELECTOR_QUERIES.includes(name)) {
+    const selector = normalizeSelector(value);
+    return selector ? [selector] : [];
+  }
+  return [];
+}
+
+/**
+ * Get the name of the function or method a call invokes
+ * @param {Object} node - The CallExpression node
+ * @returns {string|null} The callee name
+ */
+function getCalleeName(node) {
+  if (node.callee.type === 'Identifier') return node.callee.name;
+  if (node.callee.type === 'MemberExpression' && !node.callee.computed && node.callee.property.type === 'Identifier') {
+    return node.callee.property.name;
+  }
+  return null;
+}
+
+module.exports = {
+  meta: {
+    type: 'problem',
+    docs: {
+      description: 'Detect tests that depend on a variable, storage key or DOM element an earlier sibling test creates',
+      category: 'Best Practices',
+      recommended: false,
+      url: 'https://github.com/tigredonorte/eslint-plugin-test-flakiness/blob/main/docs/rules/no-test-order-dependency.md'
+    },
+    fixable: null,
+    schema: [
+      {
+        type: 'object',
+        properties: {
+          checkVariables: {
+            type: 'boolean',
+            default: false,
+            description: 'Also check variables declared outside the tests, which no-test-isolation reports by default'
+          },
+          allowedResources: {
+            type: 'array',
+            items: { type: 'string' },
+            default: [],
+            description: 'Variable names, storage keys and selectors tests may share'
+          }
+        },
+        additionalProperties: false
+      }
+    ],
+    messages: {
+      testOrderDependency: 'Test "{{reader}}" depends on {{resource}}, which only the earlier test "{{writer}}" sets up. Reset it in a hook, or use describe.serial if the order is intended.'
+    }
+  },
+
+  create(context) {
+    if (!isTestFile(getFilename(context), getPluginSettings(context))) {
+      return {};
+    }
+
+    const options = context.options[0] || {};
+    const checkVariables = options.checkVariables === true;
+    const allowedResources = options.allowedResources || [];
+    const sourceCode = context.getSourceCode();
+
+    // Storage and DOM uses, in source order: { node, resource, name, action },
+    // where a null name stands for every key of the storage area or every element
+    const uses = [];
+    const variables = [];
+
+    function addUse(node, resource, name, action) {
+      uses.push({ node, resource, name, action });
+    }
+
+    function addSelectors(node, selectors, action) {
+      selectors.forEach(selector => addUse(node, 'element', selector, action));
+    }
+
+    // Group the accesses of one resource by the describe block of the test
+    // making them, since only sibling tests are compared
+    function checkFlows(label, accesses, resets) {
+      const groups = new Map();
+      accesses.forEach(access => {
+        const scope = getDescribeScope(access.test);
+        if (!groups.has(scope)) groups.set(scope, []);
+        groups.get(scope).push(access);
+      });
+
+      groups.forEach((group, scope) => {
+        // Serial blocks run in order on purpose
+        if (getDescribeMode(scope, sourceCode) === 'serial') return;
+        const flow = findCrossTestFlow(group, resets);
+        if (!flow) return;
+        context.report({
+          node: flow.read,
+          messageId: 'testOrderDependency',
+          data: {
+            reader: getTestTitle(flow.reader, sourceCode),
+            writer: getTestTitle(flow.writer, sourceCode),
+            resource: label
+          }
+        });
+      });
+    }
+
+    function checkVariable(declarator) {
+      const variable = (sourceCode.getDeclaredVariables
+        ? sourceCode.getDeclaredVariables(declarator)
+        : context.getDeclaredVariables(declarator))[0];
+      if (!variable || allowedResources.includes(variable.name)) return;
+
+      const accesses = [];
+      variable.references.forEach(reference => {
+        if (reference.init) return;
+        const block = getTestBlock(reference.identifier);
+        if (block && block.kind === 'test') accesses.push({ ...getReferenceAccess(reference), test: block.call });
+      });
+      checkFlows(`variable "${variable.name}"`, accesses, getHookResets(variable));
+    }
+
+    // A storage key or element that setup code also provides does not depend
+    // on the earlier test alone, so setup writes count as resets before the reader
+    function checkUses(resource, name, label) {
+      const accesses = [];
+      const resets = [];
+      uses.filter(use => use.resource === resource && (use.name === name || use.name === null)).forEach(use => {
+        const block = getTestBlock(use.node);
+        if (block && block.kind === 'test') {
+          accesses.push({
+            node: use.node,
+            test: block.call,
+            reads: use.action === 'read',
+            writes: use.action === 'write',
+            removes: use.action === 'remove'
+          });
+        } else if (use.action === 'write' && (!block || SETUP_HOOKS.includes(block.kind))) {
+          resets.push({ kind: 'beforeEach', scope: block ? block.scope : getDescribeScope(use.node) });
+        } else if (use.action === 'remove' && block && (block.kind === 'beforeEach' || block.kind === 'afterEach')) {
+          resets.push({ kind: block.kind, scope: block.scope });
+        }
+      });
+      checkFlows(label, accesses, resets);
+    }
+
+    function checkStorageCall(node, path) {
+      const store = path.slice(0, path.lastIndexOf('.'));
+      const action = STORAGE_METHODS.get(path.slice(path.lastIndexOf('.') + 1));
+      if (!action || (store !== 'localStorage' && store !== 'sessionStorage')) return;
+      if (path.endsWith('.clear')) {
+        addUse(node, store, null, action);
+        return;
+      }
+      const key = getStringValue(node.arguments[0]);
+      if (key !== null) addUse(node, store, key, action);
+    }
+
+    function checkDomCall(node) {
+      const name = getCalleeName(node);
+      const [first, second] = node.arguments;
+      const value = getStringValue(first);
+      const queried = getQueriedSelectors(node);
+
+      if (queried.length > 0) {
+        addSelectors(node, queried, 'read');
+      } else if (name === 'setAttribute' && value && getStringValue(second) !== null) {
+        addSelectors(node, getAttributeSelectors(value, getStringValue(second)), 'write');
+      } else if (name === 'add' && node.callee.type === 'MemberExpression' &&
+                 getMemberPath(node.callee.object) !== null && getMemberPath(node.callee.object).endsWith('.classList')) {
+        node.arguments.forEach(argument => {
+          const className = getStringValue(argument);
+          if (className) addUse(node, 'element', `.${className}`, 'write');
+        });
+      } else if (name === 'insertAdjacentHTML' && second && getHtml(second) !== null) {
+        addSelectors(node, getHtmlSelectors(getHtml(second)), 'write');
+      } else if (name === 'remove' && node.callee.type === 'MemberExpression' &&
+                 node.callee.object.type === 'CallExpression') {
+        // document.getElementById('toast').remove(), recorded at `remove` so it sorts after the query
+        addSelectors(node.callee.property, getQueriedSelectors(node.callee.object), 'remove');
+      }
+    }
+
+    return {
+      VariableDeclarator(node) {
+        if (!checkVariables || node.id.type !== 'Identifier' || getTestBlock(node)) return;
+        if (node.init && node.init.type === 'CallExpression' && node.init.callee.name === 'require') return;
+        if (node.init && node.init.type === 'Literal' && node.parent.kind === 'const') return;
+        variables.push(node);
+      },
+
+      AssignmentExpression(node) {
+        const target = getMemberPath(node.left);
+        if (target === null || node.left.type !== 'MemberExpression') return;
+
+        if (DOM_RESET_TARGETS.includes(target.replace(/^global\./, ''))) {
+          addUse(node, 'element', null, 'remove');
+        }
+        const property = target.slice(target.lastIndexOf('.') + 1);
+        if (HTML_PROPERTIES.includes(property) && getHtml(node.right) !== null) {
+          addSelectors(node, getHtmlSelectors(getHtml(node.right)), 'write');
+        } else if ((property === 'id' || property === 'className') && getStringValue(node.right) !== null) {
+          addSelectors(node, getAttributeSelectors(property, getStringValue(node.right)), 'write');
+        }
+      },
+
+      CallExpression(node) {
+        const path = getMemberPath(node.callee);
+        if (path !== null) {
+          const normalized = path.replace(/^global\./, '');
+          if (DOM_RESET_CALLS.includes(normalized)) {
+            addUse(node, 'element', null, 'remove');
+            return;
+          }
+          if (CYPRESS_STORAGE_CLEARS.has(normalized)) {
+            addUse(node, CYPRESS_STORAGE_CLEARS.get(normalized), getStringValue(node.arguments[0]), 'remove');
+            return;
+          }
+          checkStorageCall(node, normalized);
+        }
+        checkDomCall(node);
+      },
+
+      'Program:exit'() {
+        variables.forEach(checkVariable);
+
+        const checked = new Set();
+        uses.forEach(use => {
+          const key = `${use.resource}:${use.name}`;
+          if (use.name === null || use.action === 'remove' || checked.has(key)) return;
+          checked.add(key);
+          if (allowedResources.includes(use.name)) return;
+          const label = use.resource === 'element' ? `element "${use.name}"` : `${use.resource} key "${use.name}"`;
+          checkUses(use.resource, use.name, label);
+        });
+      }
+    };
+  }
+};
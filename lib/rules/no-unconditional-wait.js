@@ -4,7 +4,9 @@
  */
 'use strict';
 
-const { isTestFile, isInMockContext, findEnclosingFunction, ensureAsyncFunction, addWaitForImport, getTestFramework } = require('../utils/helpers');
+const { isTestFile, getPluginSettings, findEnclosingFunction, ensureAsyncFunction, addWaitForImport, getTestFramework } = require('../utils/helpers');
+const { areFakeTimersInstalledAt } = require('../utils/timers');
+const { isCallMocked } = require('../utils/mocks');
 
 module.exports = {
   meta: {
@@ -51,7 +53,7 @@ module.exports = {
   },
 
   create(context) {
-    if (!isTestFile(context.getFilename())) {
+    if (!isTestFile(context.getFilename(), getPluginSettings(context))) {
       return {};
     }
 
@@ -165,7 +167,8 @@ module.exports = {
           (node.callee.type === 'MemberExpression' &&
            node.callee.property.name === 'setTimeout')) {
 
-        if (!isInMockContext(node, context)) {
+        // Fake timers run the callback when the test advances the clock
+        if (!isCallMocked(node, context) && !areFakeTimersInstalledAt('setTimeout', node, context)) {
           // Check timeout value if it's a literal
           const timeoutArg = node.arguments[1];
           if (timeoutArg && timeoutArg.type === 'Literal' && typeof timeoutArg.value === 'number') {
@@ -220,7 +223,7 @@ module.exports = {
 
       // Check for setInterval without clear condition
       if (node.callee.name === 'setInterval') {
-        if (!isInMockContext(node, context)) {
+        if (!isCallMocked(node, context)) {
           // Check interval value if it's a literal
           const intervalArg = node.arguments[1];
           if (intervalArg && intervalArg.type === 'Literal' && typeof intervalArg.value === 'number') {
@@ -0,0 +1,232 @@
+/**
+ * @fileoverview Rule to require a strict unhandled-request policy and a full lifecycle for msw servers
+ * @author eslint-plugin-test-flakiness
+ */
+'use strict';
+
+const { isTestFile, getPluginSettings, getFilename } = require('../utils/helpers');
+const { TEST_NAMES, getFileAnalysis, getEnclosingCallNames } = require('../utils/analysis');
+const { isInScope } = require('../utils/mocks');
+
+// msw setup calls and the methods that drive their lifecycle
+const MSW_SETUPS = [
+  { callee: 'setupServer', kind: 'server', listen: 'listen', close: 'close' },
+  { callee: 'setupWorker', kind: 'worker', listen: 'start', close: 'stop' }
+];
+
+const UNHANDLED_REQUEST_POLICIES = ['error', 'warn', 'bypass'];
+
+/**
+ * Get the name a setup call's result is stored in, for
+ * `const server = setupServer()` and `server = setupServer()`
+ * @param {Object} node - The setup CallExpression
+ * @returns {string|null} The variable name
+ */
+function getBoundName(node) {
+  const parent = node.parent;
+  if (parent.type === 'VariableDeclarator' && parent.id.type === 'Identifier') {
+    return parent.id.name;
+  }
+  if (parent.type === 'AssignmentExpression' && parent.left.type === 'Identifier') {
+    return parent.left.name;
+  }
+  return null;
+}
+
+/**
+ * Get the statement holding a node that sits directly in a block, i.e. where
+ * hooks for it can be inserted
+ * @param {Object} node - The AST node
+ * @param {Object} scope - The Program or describe callback the node belongs to
+ * @returns {Object|null} The statement, or null for expression-bodied callbacks
+ */
+function getStatementInScope(node, scope) {
+  const body = scope.type === 'Program' ? scope : scope.body;
+  if (body.type !== 'Program' && body.type !== 'BlockStatement') return null;
+
+  for (let current = node; current; current = current.parent) {
+    if (current.parent === body) return current;
+  }
+  return null;
+}
+
+/**
+ * Get the `onUnhandledRequest` property of a listen()/start() call
+ * @param {Object} node - The CallExpression
+ * @returns {{options: Object|null, property: Object|null}|null} The options object and
+ *   property, or null when the options are not an inline object
+ */
+function getPolicyProperty(node) {
+  const options = node.arguments[0];
+  if (!options) return { options: null, property: null };
+  if (options.type !== 'ObjectExpression') return null;
+
+  const property = options.properties.find(prop =>
+    prop.type === 'Property' && !prop.computed &&
+    ((prop.key.type === 'Identifier' && prop.key.name === 'onUnhandledRequest') ||
+     (prop.key.type === 'Literal' && prop.key.value === 'onUnhandledRequest')));
+  return { options, property: property || null };
+}
+
+module.exports = {
+  meta: {
+    type: 'problem',
+    docs: {
+      description: 'Require msw servers to fail on unhandled requests and to listen, reset and close around every test',
+      category: 'Best Practices',
+      recommended: false,
+      url: 'https://github.com/tigredonorte/eslint-plugin-test-flakiness/blob/main/docs/rules/no-unhandled-msw-requests.md'
+    },
+    fixable: 'code',
+    schema: [
+      {
+        type: 'object',
+        properties: {
+          allowedPolicies: {
+            type: 'array',
+            items: { type: 'string', enum: UNHANDLED_REQUEST_POLICIES },
+            default: ['error'],
+            description: 'onUnhandledRequest values accepted in listen()/start(); custom callbacks are always accepted'
+          }
+        },
+        additionalProperties: false
+      }
+    ],
+    messages: {
+      incompleteLifecycle: 'msw {{kind}} "{{name}}" is missing {{missing}}. Without the full listen/reset/close lifecycle, handlers leak between tests.',
+      lenientUnhandledRequest: '{{call}}() lets requests without a handler reach the network. Pass { onUnhandledRequest: \'{{policy}}\' } so they fail the test instead.',
+      leakingOverride: '{{name}}.use() overrides handlers for every later test unless {{name}}.resetHandlers() runs in afterEach.'
+    }
+  },
+
+  create(context) {
+    const filename = getFilename(context);
+    if (!isTestFile(filename, getPluginSettings(context))) {
+      return {};
+    }
+
+    const options = context.options[0] || {};
+    const allowedPolicies = options.allowedPolicies || ['error'];
+    const sourceCode = context.getSourceCode();
+
+    // Calls to `path` whose block covers node, optionally only inside the given hooks
+    function findCalls(path, node, hooks = null) {
+      const { calls } = getFileAnalysis(sourceCode);
+      return (calls.get(path) || []).filter(call =>
+        isInScope(call.scope, node) &&
+        (!hooks || getEnclosingCallNames(call.node).some(name => hooks.includes(name))));
+    }
+
+    function checkPolicy(listenCall) {
+      const found = getPolicyProperty(listenCall);
+      if (!found) return;
+
+      const { options: listenOptions, property } = found;
+      if (property) {
+        const value = property.value;
+        const isLiteral = value.type === 'Literal' && typeof value.value === 'string';
+        if (!isLiteral || allowedPolicies.includes(value.value)) return;
+      }
+
+      const policy = allowedPolicies[0] || 'error';
+      context.report({
+        node: listenCall,
+        messageId: 'lenientUnhandledRequest',
+        data: { call: sourceCode.getText(listenCall.callee), policy },
+        fix(fixer) {
+          const policyText = `onUnhandledRequest: '${policy}'`;
+          if (property) {
+            return fixer.replaceText(property.value, `'${policy}'`);
+          }
+          if (!listenOptions) {
+            const openParen = sourceCode.getTokenAfter(listenCall.callee, token => token.value === '(');
+            return openParen ? fixer.insertTextAfter(openParen, `{ ${policyText} }`) : null;
+          }
+          if (listenOptions.properties.length === 0) {
+            return fixer.replaceText(listenOptions, `{ ${policyText} }`);
+          }
+          return fixer.insertTextBefore(listenOptions.properties[0], `${policyText}, `);
+        }
+      });
+    }
+
+    function checkLifecycle(setup, node, scope, name) {
+      const listenCalls = findCalls(`${name}.${setup.listen}`, node);
+      const hasReset = findCalls(`${name}.resetHandlers`, node, ['afterEach']).length > 0;
+      const hasClose = findCalls(`${name}.${setup.close}`, node, ['afterAll', 'afterEach']).length > 0;
+
+      listenCalls.forEach(call => checkPolicy(call.node));
+
+      const policy = allowedPolicies[0] || 'error';
+      const missing = [];
+      if (listenCalls.length === 0) {
+        missing.push({
+          description: `${name}.${setup.listen}() in beforeAll`,
+          hook: `beforeAll(() => ${name}.${setup.listen}({ onUnhandledRequest: '${policy}' }));`
+        });
+      }
+      if (!hasReset) {
+        missing.push({
+          description: `${name}.resetHandlers() in afterEach`,
+          hook: `afterEach(() => ${name}.resetHandlers());`
+        });
+      }
+      if (!hasClose) {
+        missing.push({
+          description: `${name}.${setup.close}() in afterAll`,
+          hook: `afterAll(() => ${name}.${setup.close}());`
+        });
+      }
+      if (missing.length === 0) return;
+
+      const statement = getStatementInScope(node, scope);
+      context.report({
+        node,
+        messageId: 'incompleteLifecycle',
+        data: { kind: setup.kind, name, missing: missing.map(item => item.description).join(', ') },
+        fix: statement
+          ? fixer => {
+            const indent = ' '.repeat(statement.loc.start.column);
+            const hooks = missing.map(item => `\n${indent}${item.hook}`).join('');
+            return fixer.insertTextAfter(statement, hooks);
+          }
+          : null
+      });
+    }
+
+    // server.use() in a test or beforeEach adds handlers that outlive the test
+    function checkOverrides(scope, name) {
+      const { calls } = getFileAnalysis(sourceCode);
+      (calls.get(`${name}.use`) || []).forEach(use => {
+        if (!isInScope(scope, use.node)) return;
+
+        const isPerTest = getEnclosingCallNames(use.node).some(callee =>
+          TEST_NAMES.has(callee) || callee === 'beforeEach');
+        if (!isPerTest) return;
+
+        if (findCalls(`${name}.resetHandlers`, use.node, ['afterEach']).length === 0) {
+          context.report({ node: use.node, messageId: 'leakingOverride', data: { name } });
+        }
+      });
+    }
+
+    return {
+      Program() {
+        const { calls, imports } = getFileAnalysis(sourceCode);
+
+        MSW_SETUPS.forEach(setup => {
+          const source = imports.get(setup.callee);
+          if (typeof source !== 'string' || (source !== 'msw' && !source.startsWith('msw/'))) return;
+
+          (calls.get(setup.callee) || []).forEach(({ node, scope }) => {
+            const name = getBoundName(node);
+            if (name === null) return;
+
+            checkLifecycle(setup, node, scope, name);
+            checkOverrides(scope, name);
+          });
+        });
+      }
+    };
+  }
+};
@@ -4,7 +4,9 @@
  */
 'use strict';
 
-const { isTestFile, isInMockContext, getFilename } = require('../utils/helpers');
+const { isTestFile, getPluginSettings, getFilename } = require('../utils/helpers');
+const { getFileAnalysis } = require('../utils/analysis');
+const { isCallMocked, resolveModule } = require('../utils/mocks');
 const os = require('os');
 
 // Using Set for O(1) lookup performance
@@ -84,7 +86,7 @@ module.exports = {
 
   create(context) {
     const filename = getFilename(context);
-    if (!isTestFile(filename)) {
+    if (!isTestFile(filename, getPluginSettings(context))) {
       return {};
     }
 
@@ -95,15 +97,6 @@ module.exports = {
     const allowedModulesSet = new Set(options.allowedModules || []); // Using Set for O(1) lookup
     const mockModules = options.mockModules || ['fs', 'fs/promises', 'node:fs'];
 
-    // Cache source text for performance
-    let sourceTextCache = null;
-    function getSourceText() {
-      if (sourceTextCache === null) {
-        sourceTextCache = context.getSourceCode().getText();
-      }
-      return sourceTextCache;
-    }
-
     function isInSetupHook(node) {
       let parent = node;
       while (parent) {
@@ -201,39 +194,14 @@ module.exports = {
       return false;
     }
 
-    function isModuleMocked(_node, moduleName = null) {
-      const text = getSourceText();
-
-      // Build mock patterns for the modules that should be mocked
-      const mockPatterns = [];
-
-      // If checking for a specific module
-      if (moduleName) {
-        const escapedName = moduleName.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
-        mockPatterns.push(
-          new RegExp(`jest\\.mock\\s*\\(\\s*["']${escapedName}["']\\s*\\)`),
-          new RegExp(`vi\\.mock\\s*\\(\\s*["']${escapedName}["']\\s*\\)`)
-        );
-      } else {
-        // Check for all modules that should be mocked
-        for (const mod of mockModules) {
-          const escapedMod = mod.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
-          mockPatterns.push(
-            new RegExp(`jest\\.mock\\s*\\(\\s*["']${escapedMod}["']\\s*\\)`),
-            new RegExp(`vi\\.mock\\s*\\(\\s*["']${escapedMod}["']\\s*\\)`)
-          );
-        }
-      }
-
-      // Always check for mock-fs and memfs as they provide mocked fs
-      mockPatterns.push(
-        /import.*from.*["']mock-fs["']/,
-        /require\s*\(\s*["']mock-fs["']\s*\)/,
-        /import.*from.*["']memfs["']/,
-        /require\s*\(\s*["']memfs["']\s*\)/
-      );
+    // mock-fs and memfs replace the file system for the whole test file
+    function isFsReplaced() {
+      const { importedModules } = getFileAnalysis(context.getSourceCode());
+      return importedModules.has('mock-fs') || importedModules.has('memfs');
+    }
 
-      return mockPatterns.some(pattern => pattern.test(text));
+    function isMocked(node, alsoMockedBy = []) {
+      return isFsReplaced() || isCallMocked(node, context, alsoMockedBy);
     }
 
     function isAllowedModule(moduleName) {
@@ -250,7 +218,7 @@ module.exports = {
           return;
         }
 
-        if (isInMockContext(node, context) || isModuleMocked(node, 'fs')) {
+        if (isMocked(node)) {
           return;
         }
 
@@ -291,7 +259,7 @@ module.exports = {
             return;
           }
 
-          if (!isInMockContext(node, context) && !isModuleMocked(node, 'fs/promises')) {
+          if (!isMocked(node, ['fs/promises'])) {
             if (isAllowedPath(node)) {
               return;
             }
@@ -347,7 +315,7 @@ module.exports = {
           return;
         }
 
-        if (!isInMockContext(node, context)) {
+        if (!isMocked(node)) {
           // Check if in setup/teardown hook and allowed (after other checks)
           if (allowInSetup && isInSetupHook(node)) {
             return;
@@ -372,7 +340,7 @@ module.exports = {
           return;
         }
 
-        if (!isInMockContext(node, context)) {
+        if (!isMocked(node)) {
           // Check if in setup/teardown hook and allowed (after other checks)
           if (allowInSetup && isInSetupHook(node)) {
             return;
@@ -399,7 +367,7 @@ module.exports = {
           return;
         }
 
-        if (!isInMockContext(node, context)) {
+        if (!isMocked(node)) {
           // Check if in setup/teardown hook and allowed (after other checks)
           if (allowInSetup && isInSetupHook(node)) {
             return;
@@ -425,7 +393,7 @@ module.exports = {
             return;
           }
 
-          if (!isInMockContext(node, context)) {
+          if (!isMocked(node)) {
             if (isAllowedPath(node)) {
               return;
             }
@@ -466,7 +434,9 @@ module.exports = {
       // Check for destructured FS imports like const { readFileSync } = require('fs')
       if (node.callee.name && FS_METHODS.has(node.callee.name)) {
 
-        if (!isInMockContext(node, context) && !isModuleMocked(node)) {
+        // A global readFileSync() could come from any of the fs modules
+        const isGlobal = resolveModule(node.callee, context) === node.callee.name;
+        if (!isMocked(node, isGlobal ? mockModules : [])) {
           if (isAllowedPath(node)) {
             return;
           }
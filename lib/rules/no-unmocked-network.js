@@ -4,7 +4,19 @@
  */
 'use strict';
 
-const { isTestFile, isInMockContext, isDataUrl, getFilename, escapeRegex } = require('../utils/helpers');
+const path = require('path');
+
+const {
+  isTestFile,
+  getPluginSettings,
+  isDataUrl,
+  getFilename,
+  getRootIdentifier,
+  getFrameworkInfo
+} = require('../utils/helpers');
+const { DESCRIBE_NAMES, getFileAnalysis, getEnclosingCallNames, getMemberPath } = require('../utils/analysis');
+const { isCallMocked, isInScope, resolveModule } = require('../utils/mocks');
+const { getSetupFacts, getSetupFileFacts } = require('../utils/setup-files');
 
 // Constants for network libraries and HTTP methods
 const ALWAYS_FLAG_LIBRARIES = ['request', 'superagent', 'got', 'node-fetch'];
@@ -12,6 +24,49 @@ const CONDITIONAL_LIBRARIES = ['http', 'https'];
 const HTTP_METHODS = ['get', 'post', 'put', 'delete', 'patch', 'request', 'head', 'options'];
 const JQUERY_AJAX_METHODS = ['ajax', 'get', 'post', 'put', 'delete', 'patch', 'getJSON', 'load'];
 
+// Mocking APIs offered in suggestions, by test runner. Files whose runner is
+// unknown get both; other runners and browser drivers get none.
+const MOCKERS_BY_RUNNER = {
+  jest: ['jest'],
+  vitest: ['vi']
+};
+const DEFAULT_MOCKERS = ['jest', 'vi'];
+
+// Libraries that replace fetch or axios for the whole test file once imported
+const FILE_WIDE_MOCK_MODULES = ['fetch-mock', 'axios-mock-adapter'];
+
+// Calls that route requests through an interception layer, covering the
+// describe or test block they are made in. `module` is the package the callee
+// must be imported from (null for test framework APIs). `reset` is the method
+// that clears handlers between tests, called on the value the setup returns
+// (`server.resetHandlers()`) or, with `resetOnCallee`, on the callee (`nock.cleanAll()`).
+const INTERCEPTION_CALLS = [
+  { callee: 'setupServer', module: 'msw', library: 'msw', reset: 'resetHandlers' },
+  { callee: 'setupWorker', module: 'msw', library: 'msw', reset: 'resetHandlers' },
+  { callee: 'nock', module: 'nock', library: 'nock', reset: 'cleanAll', resetOnCallee: true },
+  { callee: 'Polly', module: '@pollyjs/core', library: 'Polly.js', reset: 'stop' },
+  { callee: 'setupPolly', module: 'setup-polly-jest', library: 'Polly.js', reset: null },
+  { callee: 'cy.intercept', module: null, library: 'cy.intercept', reset: null },
+  { callee: 'page.route', module: null, library: 'page.route', reset: null },
+  { callee: 'context.route', module: null, library: 'context.route', reset: null }
+];
+
+/**
+ * Check if a module specifier is a package or one of its subpaths
+ * @param {string} source - The module specifier
+ * @param {string} module - The package name
+ * @returns {boolean} Whether source belongs to the package
+ */
+function isFromModule(source, module) {
+  return typeof source === 'string' && (source === module || source.startsWith(module + '/'));
+}
+
+// Modules whose mock also replaces a global, e.g. jest.mock('node-fetch') for fetch()
+const GLOBAL_MODULE_ALIASES = new Map([
+  ['fetch', ['node-fetch']],
+  ['WebSocket', ['ws']]
+]);
+
 // Regex patterns for detecting API-related variable names
 // These patterns match common variable names that likely contain network URLs
 const API_VARIABLE_PATTERNS = {
@@ -49,6 +104,7 @@ module.exports = {
       url: 'https://github.com/tigredonorte/eslint-plugin-test-flakiness/blob/main/docs/rules/no-unmocked-network.md'
     },
     fixable: null,
+    hasSuggestions: true,
     schema: [
       {
         type: 'object',
@@ -74,6 +130,17 @@ module.exports = {
             items: { type: 'string' },
             default: ['axios', 'fetch', 'request', 'http', 'https'],
             description: 'Array of modules that should be mocked instead of making real requests'
+          },
+          setupFiles: {
+            type: 'array',
+            items: { type: 'string' },
+            default: [],
+            description: 'Global test setup files, relative to rootDir, that may intercept requests for every test file'
+          },
+          requireInterceptorReset: {
+            type: 'boolean',
+            default: false,
+            description: 'Require an afterEach reset, such as server.resetHandlers() or nock.cleanAll(), for every interception setup'
           }
         },
         additionalProperties: false
@@ -81,13 +148,16 @@ module.exports = {
     ],
     messages: {
       mockNetwork: 'Network call using {{method}} should be mocked in tests',
-      avoidExternalAPI: 'Avoid external API calls in tests. Use mock data instead.'
+      avoidExternalAPI: 'Avoid external API calls in tests. Use mock data instead.',
+      resetInterceptor: '{{library}} handlers set up here are never reset. Call {{reset}}() in afterEach so handlers cannot leak between tests.',
+      suggestModuleMock: 'Mock "{{module}}" with {{mocker}}.mock() at the top of the file.',
+      suggestSpyOnFetch: 'Stub fetch with {{mocker}}.spyOn() in beforeEach and restore it in afterEach.'
     }
   },
 
   create(context) {
     const filename = getFilename(context);
-    if (!isTestFile(filename)) {
+    if (!isTestFile(filename, getPluginSettings(context))) {
       return {};
     }
 
@@ -96,6 +166,8 @@ module.exports = {
     const allowLocalhost = options.allowLocalhost !== false; // Default is true
     const allowedDomains = options.allowedDomains || [];
     const mockModules = options.mockModules || ['axios', 'fetch', 'request', 'http', 'https'];
+    const setupFiles = options.setupFiles || [];
+    const requireInterceptorReset = options.requireInterceptorReset || false;
     const sourceCode = context.getSourceCode();
 
     // Check if this is an integration test file
@@ -123,52 +195,177 @@ module.exports = {
       return allowedDomains.some(domain => url.includes(domain));
     }
 
-    function isModuleMocked(_node) {
-      const text = sourceCode.getText();
-
-      // Build patterns dynamically based on mockModules option
-      const mockPatterns = [];
-
-      // Add patterns for each module that should be mocked
-      mockModules.forEach(module => {
-        // Escape special regex characters in module name
-        const escapedModule = escapeRegex(module);
-
-        // Jest and Vitest mock patterns
-        mockPatterns.push(
-          new RegExp(`jest\\.mock\\s*\\(\\s*["']${escapedModule}["']\\s*\\)`),
-          new RegExp(`vi\\.mock\\s*\\(\\s*["']${escapedModule}["']\\s*\\)`)
-        );
-
-        // Special handling for fetch
-        if (module === 'fetch') {
-          mockPatterns.push(
-            /global\.fetch\s*=\s*jest\.fn/,
-            /vi\.stubGlobal\s*\(\s*["']fetch["']/,
-            /jest\.spyOn\s*\(\s*global\s*,\s*["']fetch["']\s*\)/
-          );
+    // Interception set up for the whole file: a library that replaces fetch or
+    // axios once imported, or a global setup file from the shared setting or
+    // this rule's option. Answered once per file.
+    let fileIntercepted = null;
+
+    function isFileIntercepted() {
+      if (fileIntercepted === null) {
+        const { importedModules } = getFileAnalysis(sourceCode);
+        const { rootDir } = getPluginSettings(context);
+        fileIntercepted = [...importedModules].some(source =>
+          FILE_WIDE_MOCK_MODULES.some(module => isFromModule(source, module))) ||
+          getSetupFacts(context).intercepts ||
+          setupFiles.some(file => getSetupFileFacts(path.resolve(rootDir, file), context).intercepts);
+      }
+      return fileIntercepted;
+    }
+
+    // Interception layers set up in this file, each covering its describe or test block
+    let interceptions = null;
+
+    function getInterceptions() {
+      if (interceptions === null) {
+        const { calls, imports } = getFileAnalysis(sourceCode);
+        interceptions = [];
+        INTERCEPTION_CALLS.forEach(interception => {
+          const rootName = interception.callee.split('.')[0];
+          if (interception.module && !isFromModule(imports.get(rootName), interception.module)) {
+            return;
+          }
+          (calls.get(interception.callee) || []).forEach(call => {
+            interceptions.push({ ...call, interception });
+          });
+        });
+      }
+      return interceptions;
+    }
+
+    function isIntercepted(node) {
+      return isFileIntercepted() || getInterceptions().some(({ scope }) => isInScope(scope, node));
+    }
+
+    // The call that resets an interception, e.g. `server.resetHandlers` for
+    // `const server = setupServer()`; null when the setup's result is not kept
+    function getResetPath(setup, interception) {
+      if (interception.resetOnCallee) {
+        return `${interception.callee}.${interception.reset}`;
+      }
+      const parent = setup.parent;
+      if (parent.type === 'VariableDeclarator' && parent.id.type === 'Identifier') {
+        return `${parent.id.name}.${interception.reset}`;
+      }
+      if (parent.type === 'AssignmentExpression' && parent.left.type === 'Identifier') {
+        return `${parent.left.name}.${interception.reset}`;
+      }
+      return null;
+    }
+
+    function checkInterceptorResets() {
+      const { calls } = getFileAnalysis(sourceCode);
+
+      getInterceptions().forEach(({ node, interception }) => {
+        if (!interception.reset) return;
+
+        const resetPath = getResetPath(node, interception);
+        const resets = resetPath
+          ? calls.get(resetPath) || []
+          : [...calls].filter(([callee]) => callee.endsWith(`.${interception.reset}`)).flatMap(([, entries]) => entries);
+        const isReset = resets.some(reset =>
+          getEnclosingCallNames(reset.node).includes('afterEach') && isInScope(reset.scope, node));
+
+        if (!isReset) {
+          context.report({
+            node,
+            messageId: 'resetInterceptor',
+            data: { library: interception.library, reset: resetPath || `.${interception.reset}` }
+          });
+        }
+      });
+    }
+
+    function isMocked(node) {
+      if (isIntercepted(node)) {
+        return true;
+      }
+      const aliases = node.callee.type === 'Identifier' && GLOBAL_MODULE_ALIASES.get(node.callee.name);
+      return isCallMocked(node, context, aliases || []);
+    }
+
+    // The top-level statement new mocks go after: the last import or require
+    function getLastImport() {
+      const body = sourceCode.ast.body;
+      let last = null;
+      body.forEach(statement => {
+        if (statement.type === 'ImportDeclaration' ||
+            (statement.type === 'VariableDeclaration' && statement.declarations.some(decl =>
+              decl.init && getRootIdentifier(decl.init) && getRootIdentifier(decl.init).name === 'require'))) {
+          last = statement;
         }
       });
+      return last;
+    }
 
-      // Add pattern for node-fetch specifically since it's commonly used for fetch
-      if (mockModules.includes('fetch')) {
-        mockPatterns.push(
-          /jest\.mock\s*\(\s*["']node-fetch["']\s*\)/,
-          /vi\.mock\s*\(\s*["']node-fetch["']\s*\)/
-        );
+    function insertAtTop(fixer, text) {
+      const lastImport = getLastImport();
+      if (lastImport) {
+        return fixer.insertTextAfter(lastImport, `\n${text}`);
       }
+      return fixer.insertTextBefore(sourceCode.ast.body[0], `${text}\n`);
+    }
 
-      // Always check for common mocking libraries
-      mockPatterns.push(
-        /import.*from.*["']nock["']/,
-        /require\s*\(\s*["']nock["']\s*\)/,
-        /import.*from.*["']fetch-mock["']/,
-        /require\s*\(\s*["']fetch-mock["']\s*\)/,
-        /jest\.mock\s*\(\s*["']ws["']\s*\)/,
-        /vi\.mock\s*\(\s*["']ws["']\s*\)/
-      );
-
-      return mockPatterns.some(pattern => pattern.test(text));
+    // Insert statements at the start of the innermost describe block around node,
+    // or at the top of the file when node is not in one
+    function insertInDescribe(fixer, node, lines) {
+      for (let current = node.parent; current; current = current.parent) {
+        const isDescribeCallback = (current.type === 'FunctionExpression' ||
+          current.type === 'ArrowFunctionExpression') && current.body.type === 'BlockStatement' &&
+          current.parent.type === 'CallExpression' && current.parent.callee.type === 'Identifier' &&
+          DESCRIBE_NAMES.has(current.parent.callee.name);
+        if (!isDescribeCallback) continue;
+
+        const block = current.body;
+        const first = block.body[0];
+        const indent = first
+          ? ' '.repeat(first.loc.start.column)
+          : ' '.repeat(current.parent.loc.start.column + 2);
+        const openBrace = sourceCode.getFirstToken(block);
+        return fixer.insertTextAfter(openBrace, lines.map(line => `\n${indent}${line}`).join(''));
+      }
+      return insertAtTop(fixer, lines.join('\n'));
+    }
+
+    // Mocks that would cover a reported call: a module mock for imported
+    // clients, or a fetch spy for the global fetch
+    function getSuggestions(node) {
+      if (node.type !== 'CallExpression') return [];
+
+      const { runner, e2e } = getFrameworkInfo(context);
+      if (e2e) return [];
+      const mockers = runner ? MOCKERS_BY_RUNNER[runner] || [] : DEFAULT_MOCKERS;
+
+      const root = getRootIdentifier(node.callee);
+      const source = root ? resolveModule(root, context) : null;
+      if (source && getFileAnalysis(sourceCode).importedModules.has(source)) {
+        return mockers.map(mocker => ({
+          messageId: 'suggestModuleMock',
+          data: { module: source, mocker },
+          fix: fixer => insertAtTop(fixer, `${mocker}.mock('${source}');`)
+        }));
+      }
+
+      const calleePath = getMemberPath(node.callee);
+      if ((calleePath === 'fetch' || calleePath === 'global.fetch') && source === root.name) {
+        // A plain object rather than new Response(), which jsdom does not define
+        return mockers.map(mocker => ({
+          messageId: 'suggestSpyOnFetch',
+          data: { mocker },
+          fix: fixer => insertInDescribe(fixer, node, [
+            `beforeEach(() => ${mocker}.spyOn(global, 'fetch').mockResolvedValue({ ok: true, json: async () => ({}) }));`,
+            `afterEach(() => ${mocker}.restoreAllMocks());`
+          ])
+        }));
+      }
+      return [];
+    }
+
+    // Mocks are resolved only once a call has the shape of a request, since
+    // resolving walks the scopes of the call
+    function report(descriptor) {
+      if (isMocked(descriptor.node)) return;
+      const suggest = getSuggestions(descriptor.node);
+      context.report(suggest.length > 0 ? { ...descriptor, suggest } : descriptor);
     }
 
     function isExternalAPI(url) {
@@ -183,9 +380,16 @@ module.exports = {
     }
 
     return {
+      Program() {
+        if (requireInterceptorReset) {
+          checkInterceptorResets();
+        }
+      },
+
       CallExpression(node) {
-        // Skip if in mock context
-        if (isInMockContext(node, context) || isModuleMocked(node)) {
+        // msw's http.get(url, resolver) declares a request handler, it does not send a request
+        const root = getRootIdentifier(node.callee);
+        if (root && isFromModule(getFileAnalysis(sourceCode).imports.get(root.name), 'msw')) {
           return;
         }
 
@@ -202,12 +406,12 @@ module.exports = {
             const url = urlArg.value;
             if (!isAllowedUrl(url) && (/^https?:\/\//.test(url) || url.startsWith('/'))) {
               if (isExternalAPI(url)) {
-                context.report({
+                report({
                   node,
                   messageId: 'avoidExternalAPI'
                 });
               } else {
-                context.report({
+                report({
                   node,
                   messageId: 'mockNetwork',
                   data: { method: 'fetch' }
@@ -220,7 +424,7 @@ module.exports = {
 
             // Check if variable name matches any of our API-related patterns
             if (COMBINED_API_PATTERN.test(text)) {
-              context.report({
+              report({
                 node,
                 messageId: 'mockNetwork',
                 data: { method: 'fetch' }
@@ -244,7 +448,7 @@ module.exports = {
               if (urlArg && urlArg.type === 'Literal' && typeof urlArg.value === 'string') {
                 const url = urlArg.value;
                 if (isExternalAPI(url)) {
-                  context.report({
+                  report({
                     node,
                     messageId: 'avoidExternalAPI'
                   });
@@ -256,7 +460,7 @@ module.exports = {
                 }
               }
 
-              context.report({
+              report({
                 node,
                 messageId: 'mockNetwork',
                 data: { method: 'axios' }
@@ -269,7 +473,7 @@ module.exports = {
           if ((obj.name === '$' || obj.name === 'jQuery') &&
               JQUERY_AJAX_METHODS.includes(callee.property.name)) {
 
-            context.report({
+            report({
               node,
               messageId: 'mockNetwork',
               data: { method: 'ajax' }
@@ -289,7 +493,7 @@ module.exports = {
             // Find which library matched for accurate reporting
             const matchedLib = ALWAYS_FLAG_LIBRARIES.find(lib => new RegExp(`\\b${lib}\\b`).test(objText)) ||
                                CONDITIONAL_LIBRARIES.find(lib => new RegExp(`\\b${lib}\\b`).test(objText));
-            context.report({
+            report({
               node,
               messageId: 'mockNetwork',
               data: { method: matchedLib || 'http' }
@@ -300,7 +504,7 @@ module.exports = {
 
         // Handle direct axios call: axios({ method: "get", url: "/api" }) (only if axios is in mockModules)
         if (mockModules.includes('axios') && callee.name === 'axios') {
-          context.report({
+          report({
             node,
             messageId: 'mockNetwork',
             data: { method: 'axios' }
@@ -310,7 +514,7 @@ module.exports = {
 
         // Handle direct function calls (got, etc.) - always flag dedicated HTTP clients
         if (callee.name === 'got') {
-          context.report({
+          report({
             node,
             messageId: 'mockNetwork',
             data: { method: 'got' }
@@ -319,14 +523,9 @@ module.exports = {
       },
 
       NewExpression(node) {
-        // Skip if in mock context
-        if (isInMockContext(node, context) || isModuleMocked(node)) {
-          return;
-        }
-
         // Handle XMLHttpRequest
         if (node.callee.name === 'XMLHttpRequest') {
-          context.report({
+          report({
             node,
             messageId: 'mockNetwork',
             data: { method: 'XMLHttpRequest' }
@@ -340,7 +539,7 @@ module.exports = {
             if (urlArg.type === 'Literal') {
               const url = urlArg.value;
               if (typeof url === 'string' && /^wss?:\/\//.test(url)) {
-                context.report({
+                report({
                   node,
                   messageId: 'mockNetwork',
                   data: { method: 'WebSocket' }
@@ -348,7 +547,7 @@ module.exports = {
               }
             } else {
               // Dynamic URL
-              context.report({
+              report({
                 node,
                 messageId: 'mockNetwork',
                 data: { method: 'WebSocket' }
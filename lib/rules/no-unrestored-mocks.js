@@ -0,0 +1,220 @@
+/**
+ * @fileoverview Rule to require spies, stubs and mock implementations on shared objects to be restored after each test
+ * @author eslint-plugin-test-flakiness
+ */
+'use strict';
+
+const { isTestFile, getPluginSettings, getFilename, getRootIdentifier, isInHook, isInTest, getTestFramework, getHookInsertionPoint } = require('../utils/helpers');
+const { TEST_NAMES, getMemberPath, getFileAnalysis } = require('../utils/analysis');
+const { isInScope, findVariable } = require('../utils/mocks');
+const { getHookResets, isResetBefore } = require('../utils/test-order');
+
+const BEFORE_HOOKS = ['beforeEach', 'beforeAll'];
+const AFTER_HOOKS = ['afterEach', 'afterAll'];
+
+// Calls replacing `object[property]` and how each library puts it back
+const SPY_CALLS = new Map([
+  ['jest.spyOn', { restoreAll: 'jest.restoreAllMocks', restoreMethod: 'mockRestore', library: 'jest' }],
+  ['vi.spyOn', { restoreAll: 'vi.restoreAllMocks', restoreMethod: 'mockRestore', library: 'vi' }],
+  ['sinon.stub', { restoreAll: 'sinon.restore', restoreMethod: 'restore', library: 'sinon' }],
+  ['sinon.spy', { restoreAll: 'sinon.restore', restoreMethod: 'restore', library: 'sinon' }],
+  ['sinon.replace', { restoreAll: 'sinon.restore', restoreMethod: 'restore', library: 'sinon' }]
+]);
+
+const SANDBOX_METHODS = ['stub', 'spy', 'replace'];
+
+// Calls creating a new mock function
+const MOCK_FUNCTIONS = ['jest.fn', 'vi.fn'];
+
+// Methods changing what an existing mock function does for every later call
+const IMPLEMENTATION_METHODS = new Set(['mockImplementation', 'mockReturnValue', 'mockResolvedValue', 'mockRejectedValue']);
+
+/**
+ * Get the name or member a call's result is stored in, e.g. `spy` for
+ * `const spy = jest.spyOn(console, 'error')`
+ * @param {Object} node - The CallExpression node
+ * @returns {string|null} Dotted path of the binding
+ */
+function getBoundPath(node) {
+  let current = node;
+  // const spy = jest.spyOn(api, 'get').mockResolvedValue(user)
+  while (current.parent.type === 'MemberExpression' && current.parent.object === current &&
+         current.parent.parent.type === 'CallExpression' && current.parent.parent.callee === current.parent) {
+    current = current.parent.parent;
+  }
+  const parent = current.parent;
+  if (parent.type === 'VariableDeclarator' && parent.id.type === 'Identifier') return parent.id.name;
+  if (parent.type === 'AssignmentExpression') return getMemberPath(parent.left);
+  return null;
+}
+
+/**
+ * Get the test or hook callback a node runs in
+ * @param {Object} node - The AST node
+ * @returns {Object|null} The callback function
+ */
+function getTestCallback(node) {
+  for (let current = node.parent; current; current = current.parent) {
+    if ((current.type === 'FunctionExpression' || current.type === 'ArrowFunctionExpression') &&
+        current.parent.type === 'CallExpression' && current.parent.arguments.includes(current)) {
+      const root = getRootIdentifier(current.parent.callee);
+      if (root && (TEST_NAMES.has(root.name) || BEFORE_HOOKS.includes(root.name))) return current;
+    }
+  }
+  return null;
+}
+
+module.exports = {
+  meta: {
+    type: 'problem',
+    docs: {
+      description: 'Require spies, stubs and mock implementations on shared objects to be restored after each test',
+      category: 'Best Practices',
+      recommended: false,
+      url: 'https://github.com/tigredonorte/eslint-plugin-test-flakiness/blob/main/docs/rules/no-unrestored-mocks.md'
+    },
+    fixable: 'code',
+    schema: [
+      {
+        type: 'object',
+        properties: {
+          allowRestoreInTest: {
+            type: 'boolean',
+            default: false,
+            description: 'Accept a restore later in the same test instead of in an after hook'
+          }
+        },
+        additionalProperties: false
+      }
+    ],
+    messages: {
+      unrestoredSpy: '{{call}}() replaces {{target}} for the tests that run after this one. Call {{restore}}() in afterEach.',
+      unresetImplementation: '{{call}}() changes the shared mock {{target}} for the tests that run after this one. Call {{restore}}() in afterEach.'
+    }
+  },
+
+  create(context) {
+    if (!isTestFile(getFilename(context), getPluginSettings(context))) {
+      return {};
+    }
+
+    const options = context.options[0] || {};
+    const allowRestoreInTest = options.allowRestoreInTest || false;
+    const sourceCode = context.getSourceCode();
+    const runnerConfig = getPluginSettings(context).runnerConfig;
+    // Describe blocks that already get an afterEach from an earlier fix
+    const fixedBlocks = new Set();
+
+    // Whether the object a mock replaces a member of, or the mock itself, lives in the test
+    function isLocal(node, callback) {
+      const root = getRootIdentifier(node);
+      if (!root) return node.type === 'ObjectExpression' || node.type === 'NewExpression';
+      const variable = findVariable(root, context);
+      return Boolean(variable) && variable.defs.some(def => isInScope(callback, def.name));
+    }
+
+    // Whether a beforeEach covering the test or hook assigns a new mock
+    // function to the mock's variable, so every test gets its own mock
+    function isRecreated(mock, callback) {
+      if (mock.type !== 'Identifier') return false;
+      const variable = findVariable(mock, context);
+      if (!variable) return false;
+      const resets = getHookResets(variable, reference => Boolean(reference.writeExpr) &&
+        reference.writeExpr.type === 'CallExpression' && MOCK_FUNCTIONS.includes(getMemberPath(reference.writeExpr.callee)));
+      return isResetBefore(resets, callback.parent);
+    }
+
+    function isRestored(entry, paths) {
+      const { calls } = getFileAnalysis(sourceCode);
+      return paths.some(path => (calls.get(path) || []).some(restore =>
+        (isInHook(restore.node, AFTER_HOOKS) && isInScope(restore.scope, entry.node)) ||
+        (allowRestoreInTest && isInTest(entry.node) && restore.scope === entry.scope &&
+         restore.node.range[0] > entry.node.range[0])));
+    }
+
+    function report(entry, messageId, data) {
+      const point = getHookInsertionPoint(entry.node);
+      const statement = point && !fixedBlocks.has(point.parent) ? point : null;
+      if (statement) fixedBlocks.add(statement.parent);
+      context.report({
+        node: entry.node,
+        messageId,
+        data,
+        fix: statement
+          ? fixer => {
+            const indent = ' '.repeat(statement.loc.start.column);
+            return fixer.insertTextAfter(statement, `\n${indent}afterEach(() => ${data.restore}());`);
+          }
+          : null
+      });
+    }
+
+    function checkSpy(entry, calleePath, spy) {
+      const [object, property] = entry.node.arguments;
+      if (!object || !property || property.type !== 'Literal' || typeof property.value !== 'string') return;
+
+      const callback = getTestCallback(entry.node);
+      if (!callback || isLocal(object, callback)) return;
+      if (spy.library !== 'sinon' && runnerConfig && runnerConfig.restoreMocks) return;
+
+      const objectPath = getMemberPath(object);
+      const binding = getBoundPath(entry.node);
+      const paths = [spy.restoreAll];
+      if (binding) paths.push(`${binding}.${spy.restoreMethod}`);
+      if (objectPath) paths.push(`${objectPath}.${property.value}.${spy.restoreMethod}`);
+      if (isRestored(entry, paths)) return;
+
+      report(entry, 'unrestoredSpy', {
+        call: calleePath,
+        target: `${sourceCode.getText(object)}.${property.value}`,
+        restore: spy.restoreAll
+      });
+    }
+
+    function checkImplementation(entry, calleePath, library) {
+      const mock = entry.node.callee.object;
+      const callback = getTestCallback(entry.node);
+      if (!callback || isLocal(mock, callback) || isRecreated(mock, callback)) return;
+      if (runnerConfig && runnerConfig.restoreMocks) return;
+
+      const mockPath = calleePath.slice(0, calleePath.lastIndexOf('.'));
+      const paths = [
+        `${library}.resetAllMocks`, `${library}.restoreAllMocks`,
+        `${mockPath}.mockReset`, `${mockPath}.mockRestore`
+      ];
+      if (isRestored(entry, paths)) return;
+
+      report(entry, 'unresetImplementation', {
+        call: calleePath,
+        target: sourceCode.getText(mock),
+        restore: `${library}.resetAllMocks`
+      });
+    }
+
+    return {
+      Program() {
+        const { calls, frameworkGlobals } = getFileAnalysis(sourceCode);
+        const library = frameworkGlobals.has('vi') || getTestFramework(context) === 'vitest' ? 'vi' : 'jest';
+
+        calls.forEach((entries, calleePath) => {
+          const method = calleePath.slice(calleePath.lastIndexOf('.') + 1);
+          const objectPath = calleePath.slice(0, calleePath.lastIndexOf('.'));
+          let spy = SPY_CALLS.get(calleePath);
+          if (!spy && /sandbox/i.test(objectPath) && SANDBOX_METHODS.includes(method)) {
+            spy = { restoreAll: `${objectPath}.restore`, restoreMethod: 'restore', library: 'sinon' };
+          }
+
+          entries.forEach(entry => {
+            if (entry.node.type !== 'CallExpression') return;
+            if (!isInTest(entry.node) && !isInHook(entry.node, BEFORE_HOOKS)) return;
+            if (spy) {
+              checkSpy(entry, calleePath, spy);
+            } else if (IMPLEMENTATION_METHODS.has(method) && objectPath) {
+              checkImplementation(entry, calleePath, library);
+            }
+          });
+        });
+      }
+    };
+  }
+};
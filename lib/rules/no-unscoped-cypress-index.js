@@ -0,0 +1,90 @@
+/**
+ * @fileoverview Rule to disallow picking Cypress elements by position across the whole page
+ * @author eslint-plugin-test-flakiness
+ */
+'use strict';
+
+const { isTestFile, getPluginSettings, getFilename } = require('../utils/helpers');
+const { isCypressFile, getCypressChain, isInCommandCallback } = require('../utils/cypress');
+
+// Commands picking one element by position, and the index they stand for
+const INDEX_COMMANDS = new Map([
+  ['eq', null],
+  ['first', 0],
+  ['last', -1]
+]);
+
+// Commands narrowing a page-wide query without scoping it to a container
+const FILTER_COMMANDS = new Set(['filter', 'not']);
+
+module.exports = {
+  meta: {
+    type: 'problem',
+    docs: {
+      description: 'Disallow .eq(), .first() and .last() on a page-wide cy.get() outside a .within() block',
+      category: 'Best Practices',
+      recommended: false,
+      url: 'https://github.com/tigredonorte/eslint-plugin-test-flakiness/blob/main/docs/rules/no-unscoped-cypress-index.md'
+    },
+    fixable: null,
+    schema: [
+      {
+        type: 'object',
+        properties: {
+          allowSpecificIndices: {
+            type: 'array',
+            items: { type: 'integer' },
+            default: [],
+            description: 'Allow specific indices (e.g., [0] to allow .first() and .eq(0))'
+          }
+        },
+        additionalProperties: false
+      }
+    ],
+    messages: {
+      unscopedIndex: '.{{method}}() picks an element by position among every match of cy.get() on the page, so an element added elsewhere shifts it. Scope the query with .within() or select the element by its content.'
+    }
+  },
+
+  create(context) {
+    if (!isTestFile(getFilename(context), getPluginSettings(context)) || !isCypressFile(context)) {
+      return {};
+    }
+
+    const options = context.options[0] || {};
+    const allowSpecificIndices = options.allowSpecificIndices || [];
+
+    // Get the index an .eq() argument selects, or null when it is not a number literal
+    function getIndex(argument) {
+      if (!argument) return null;
+      if (argument.type === 'Literal' && typeof argument.value === 'number') return argument.value;
+      if (argument.type === 'UnaryExpression' && argument.operator === '-' &&
+          argument.argument.type === 'Literal' && typeof argument.argument.value === 'number') {
+        return -argument.argument.value;
+      }
+      return null;
+    }
+
+    return {
+      CallExpression(node) {
+        const callee = node.callee;
+        if (callee.type !== 'MemberExpression' || callee.computed || callee.property.type !== 'Identifier' ||
+            !INDEX_COMMANDS.has(callee.property.name)) return;
+        const chain = getCypressChain(node);
+        if (!chain || chain[0].name !== 'get') return;
+        if (!chain.slice(1, -1).every(command => FILTER_COMMANDS.has(command.name))) return;
+
+        const method = callee.property.name;
+        const index = method === 'eq' ? getIndex(node.arguments[0]) : INDEX_COMMANDS.get(method);
+        if (index !== null && allowSpecificIndices.includes(index)) return;
+        if (isInCommandCallback(node, 'within')) return;
+
+        context.report({
+          node: callee.property,
+          messageId: 'unscopedIndex',
+          data: { method }
+        });
+      }
+    };
+  }
+};
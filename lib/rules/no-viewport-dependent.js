@@ -4,7 +4,7 @@
  */
 'use strict';
 
-const { isTestFile, getFilename } = require('../utils/helpers');
+const { isTestFile, getPluginSettings, getFilename } = require('../utils/helpers');
 
 // Constants for allowed mock and DOM element names
 const ALLOWED_MOCK_ELEMENT_NAMES = ['mock', 'stub', 'spy', 'element', 'container', 'node', 'target', 'div'];
@@ -76,10 +76,14 @@ module.exports = {
 
   create(context) {
     const filename = getFilename(context);
-    if (!isTestFile(filename)) {
+    const settings = getPluginSettings(context);
+    if (!isTestFile(filename, settings)) {
       return {};
     }
 
+    // A viewport fixed in the Playwright config applies to every test it runs
+    const hasConfiguredViewport = Boolean(settings.runnerConfig && settings.runnerConfig.viewport);
+
     const options = context.options[0] || {};
     const allowViewportSetup = options.allowViewportSetup !== false;
     const allowResponsiveTests = options.allowResponsiveTests || false;
@@ -277,7 +281,7 @@ module.exports = {
       // Initialize state and check for responsive test context at the start
       Program(_node) {
         // Initialize state variables for this file to prevent leakage between files
-        hasSetViewport = false;
+        hasSetViewport = hasConfiguredViewport;
         reportedNodes = new Set();
         isResponsiveTest = false;
 
@@ -0,0 +1,95 @@
+/**
+ * @fileoverview Rule to disallow Playwright's deprecated waitForNavigation()
+ * @author eslint-plugin-test-flakiness
+ */
+'use strict';
+
+const { isTestFile, getPluginSettings, getFilename } = require('../utils/helpers');
+const { isPlaywrightFile } = require('../utils/playwright');
+
+module.exports = {
+  meta: {
+    type: 'problem',
+    docs: {
+      description: 'Disallow waitForNavigation(), which is deprecated and misses navigations that finish before it is called',
+      category: 'Best Practices',
+      recommended: false,
+      url: 'https://github.com/tigredonorte/eslint-plugin-test-flakiness/blob/main/docs/rules/no-wait-for-navigation.md'
+    },
+    fixable: null,
+    hasSuggestions: true,
+    schema: [
+      {
+        type: 'object',
+        properties: {
+          allowInPromiseAll: {
+            type: 'boolean',
+            default: false,
+            description: 'Allow waitForNavigation() started in Promise.all() together with the action that navigates'
+          }
+        },
+        additionalProperties: false
+      }
+    ],
+    messages: {
+      avoidWaitForNavigation: 'waitForNavigation() is deprecated and misses a navigation that finishes before it is called. Use waitForURL() or await expect(page).toHaveURL() instead.',
+      useWaitForUrl: 'Replace with waitForURL({{url}})'
+    }
+  },
+
+  create(context) {
+    if (!isTestFile(getFilename(context), getPluginSettings(context)) || !isPlaywrightFile(context)) {
+      return {};
+    }
+
+    const options = context.options[0] || {};
+    const allowInPromiseAll = options.allowInPromiseAll === true;
+    const sourceCode = context.getSourceCode();
+
+    // Check whether a call is an element of `Promise.all([...])`
+    function isInPromiseAll(node) {
+      const array = node.parent;
+      if (array.type !== 'ArrayExpression' || array.parent.type !== 'CallExpression') return false;
+      const callee = array.parent.callee;
+      return callee.type === 'MemberExpression' && callee.object.type === 'Identifier' &&
+        callee.object.name === 'Promise' && callee.property.name === 'all';
+    }
+
+    // `waitForNavigation({ url, timeout })` becomes `waitForURL(url, { timeout })`.
+    // Without a url option there is nothing to wait for, so no suggestion.
+    function getSuggestion(node) {
+      const [options] = node.arguments;
+      if (!options || options.type !== 'ObjectExpression' || node.arguments.length !== 1) return [];
+      if (options.properties.some(property => property.type !== 'Property' || property.computed)) return [];
+
+      const urlProperty = options.properties.find(property =>
+        property.key.name === 'url' || property.key.value === 'url');
+      if (!urlProperty) return [];
+
+      const url = sourceCode.getText(urlProperty.value);
+      const rest = options.properties.filter(property => property !== urlProperty)
+        .map(property => sourceCode.getText(property));
+      const args = rest.length > 0 ? `${url}, { ${rest.join(', ')} }` : url;
+      return [{
+        messageId: 'useWaitForUrl',
+        data: { url },
+        fix: fixer => fixer.replaceText(node, `${sourceCode.getText(node.callee.object)}.waitForURL(${args})`)
+      }];
+    }
+
+    return {
+      CallExpression(node) {
+        const callee = node.callee;
+        if (callee.type !== 'MemberExpression' || callee.computed ||
+            callee.property.type !== 'Identifier' || callee.property.name !== 'waitForNavigation') return;
+        if (allowInPromiseAll && isInPromiseAll(node)) return;
+
+        context.report({
+          node,
+          messageId: 'avoidWaitForNavigation',
+          suggest: getSuggestion(node)
+        });
+      }
+    };
+  }
+};
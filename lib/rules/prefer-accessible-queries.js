@@ -0,0 +1,161 @@
+/**
+ * @fileoverview Rule to prefer the accessible Testing Library queries over CSS selectors and test ids
+ * @author eslint-plugin-test-flakiness
+ */
+'use strict';
+
+const { isTestFile, getPluginSettings, getFilename, addTestingLibraryImport } = require('../utils/helpers');
+const { getStringValue } = require('../utils/test-order');
+const { parseExpectCall } = require('../utils/playwright');
+const { isTestingLibraryFile, parseQueryName, getSelectorQuery, getTestIdRole, formatQuery } = require('../utils/queries');
+
+// DOM methods taking a CSS selector, and whether they return every match
+const SELECTOR_METHODS = new Map([
+  ['querySelector', false],
+  ['querySelectorAll', true]
+]);
+
+/**
+ * Check whether an element is expected to be missing, e.g.
+ * `expect(el).toBeNull()`, where a query must not throw when nothing matches
+ * @param {Object} node - The query CallExpression node
+ * @returns {boolean} Whether the query checks for absence
+ */
+function isAbsenceCheck(node) {
+  const expectCall = node.parent;
+  if (expectCall.type !== 'CallExpression' || expectCall.arguments[0] !== node) return false;
+
+  let current = expectCall;
+  while (current.parent.type === 'MemberExpression' && current.parent.object === current) current = current.parent;
+  const matcherCall = current.parent;
+  if (matcherCall.type !== 'CallExpression' || matcherCall.callee !== current) return false;
+  const parsed = parseExpectCall(matcherCall);
+  if (!parsed || parsed.expectCall !== expectCall) return false;
+
+  if (parsed.negated) return ['toBeInTheDocument', 'toBeTruthy', 'toBeVisible'].includes(parsed.matcher);
+  if (parsed.matcher === 'toHaveLength') {
+    const [length] = matcherCall.arguments;
+    return Boolean(length) && length.type === 'Literal' && length.value === 0;
+  }
+  return ['toBeNull', 'toBeFalsy'].includes(parsed.matcher);
+}
+
+module.exports = {
+  meta: {
+    type: 'suggestion',
+    docs: {
+      description: 'Prefer Testing Library queries ranked higher in the query priority over querySelector() and getByTestId()',
+      category: 'Best Practices',
+      recommended: false,
+      url: 'https://github.com/tigredonorte/eslint-plugin-test-flakiness/blob/main/docs/rules/prefer-accessible-queries.md'
+    },
+    fixable: null,
+    hasSuggestions: true,
+    schema: [
+      {
+        type: 'object',
+        properties: {
+          allowTestId: {
+            type: 'boolean',
+            default: false,
+            description: 'Allow *ByTestId queries even when the test id names a role'
+          },
+          testIdAttribute: {
+            type: 'string',
+            default: 'data-testid',
+            description: 'The attribute *ByTestId queries read, as set with configure({ testIdAttribute })'
+          }
+        },
+        additionalProperties: false
+      }
+    ],
+    messages: {
+      preferQuery: '{{current}}() finds the element by markup users never see, so a refactor that keeps the page working breaks the test. Use {{suggested}}(), which ranks higher in the Testing Library query priority.',
+      preferRole: '{{current}}(\'{{testId}}\') looks up a {{role}} by test id. Use {{suggested}}(\'{{role}}\', { name }) to find it the way users do.',
+      useQuery: 'Replace with {{replacement}}'
+    }
+  },
+
+  create(context) {
+    if (!isTestFile(getFilename(context), getPluginSettings(context)) || !isTestingLibraryFile(context)) {
+      return {};
+    }
+
+    const options = context.options[0] || {};
+    const allowTestId = options.allowTestId === true;
+    const testIdAttribute = options.testIdAttribute || 'data-testid';
+    const sourceCode = context.getSourceCode();
+
+    // `document.querySelector()` searches the whole page like `screen`; any
+    // other element is searched through `within()`
+    function getSuggestion(node, call) {
+      const object = node.callee.object;
+      const isDocument = object.type === 'Identifier' && object.name === 'document';
+      const replacement = isDocument ? `screen.${call}` : `within(${sourceCode.getText(object)}).${call}`;
+      return {
+        messageId: 'useQuery',
+        data: { replacement },
+        fix(fixer) {
+          const importFixes = addTestingLibraryImport(fixer, context, isDocument ? 'screen' : 'within');
+          if (!importFixes) return null;
+          return [...importFixes, fixer.replaceText(node, replacement)];
+        }
+      };
+    }
+
+    function checkSelectorQuery(node, method) {
+      const selector = getStringValue(node.arguments[0]);
+      if (selector === null || node.arguments.length !== 1) return;
+      const query = getSelectorQuery(selector, testIdAttribute);
+      if (!query || (allowTestId && query.by === 'TestId')) return;
+
+      const all = SELECTOR_METHODS.get(method);
+      const variant = isAbsenceCheck(node) ? 'query' : 'get';
+      const call = formatQuery(variant, all, query);
+      context.report({
+        node,
+        messageId: 'preferQuery',
+        data: {
+          current: `${sourceCode.getText(node.callee.object)}.${method}`,
+          suggested: `${variant}${all ? 'All' : ''}By${query.by}`
+        },
+        suggest: [getSuggestion(node, call)]
+      });
+    }
+
+    // A test id naming a role, like `submit-button`, stands for an element a
+    // role query finds; which accessible name it has is not in the test id
+    function checkTestIdQuery(node, current, parsed) {
+      const testId = getStringValue(node.arguments[0]);
+      if (testId === null) return;
+      const role = getTestIdRole(testId);
+      if (!role) return;
+
+      context.report({
+        node,
+        messageId: 'preferRole',
+        data: { current, testId, role, suggested: `${parsed.variant}${parsed.all ? 'All' : ''}ByRole` }
+      });
+    }
+
+    return {
+      CallExpression(node) {
+        const callee = node.callee;
+        let name = null;
+        if (callee.type === 'Identifier') {
+          name = callee.name;
+        } else if (callee.type === 'MemberExpression' && !callee.computed && callee.property.type === 'Identifier') {
+          name = callee.property.name;
+          if (SELECTOR_METHODS.has(name)) {
+            checkSelectorQuery(node, name);
+            return;
+          }
+        }
+        if (!name || allowTestId) return;
+
+        const parsed = parseQueryName(name);
+        if (parsed && parsed.by === 'TestId') checkTestIdQuery(node, name, parsed);
+      }
+    };
+  }
+};
@@ -0,0 +1,197 @@
+/**
+ * @fileoverview Rule to prefer findBy* queries over waitFor() callbacks running a single getBy* query
+ * @author eslint-plugin-test-flakiness
+ */
+'use strict';
+
+const { isTestFile, getPluginSettings, getFilename, addTestingLibraryImport } = require('../utils/helpers');
+const { parseExpectCall } = require('../utils/playwright');
+const { isTestingLibraryFile, parseQueryName } = require('../utils/queries');
+
+// Matchers passing exactly when the query finds an element, by the query
+// variants they do so for: a queryBy* result of null is still defined
+const PRESENCE_MATCHERS = new Map([
+  ['toBeInTheDocument', ['get', 'query']],
+  ['toBeTruthy', ['get', 'query']],
+  ['toBeDefined', ['get']]
+]);
+
+/**
+ * Get the only expression a callback runs, from an expression body or a
+ * block with a single expression or return statement
+ * @param {Object} callback - The function node
+ * @returns {Object|null} The expression, or null
+ */
+function getSingleExpression(callback) {
+  if (callback.body.type !== 'BlockStatement') return callback.body;
+  if (callback.body.body.length !== 1) return null;
+  const [statement] = callback.body.body;
+  if (statement.type === 'ExpressionStatement') return statement.expression;
+  if (statement.type === 'ReturnStatement') return statement.argument;
+  return null;
+}
+
+/**
+ * Check whether a query argument is a text matcher: a string, RegExp or
+ * function, rather than the container the @testing-library/dom queries
+ * take first
+ * @param {Object} node - The argument node
+ * @returns {boolean} True when the argument is a matcher
+ */
+function isMatcher(node) {
+  return (node.type === 'Literal' && (typeof node.value === 'string' || Boolean(node.regex))) ||
+    ['TemplateLiteral', 'ArrowFunctionExpression', 'FunctionExpression'].includes(node.type);
+}
+
+/**
+ * Split a query call into its callee object and parsed name
+ * @param {Object} node - The expression node
+ * @returns {Object|null} `{ object, parsed }`, where object is null for a
+ *   bare call like `getByText()`; null when node is not a query call
+ */
+function getQueryCall(node) {
+  if (!node || node.type !== 'CallExpression' || node.arguments.some(arg => arg.type === 'SpreadElement')) {
+    return null;
+  }
+  const callee = node.callee;
+  if (callee.type === 'Identifier') {
+    const parsed = parseQueryName(callee.name);
+    return parsed ? { object: null, parsed } : null;
+  }
+  if (callee.type === 'MemberExpression' && !callee.computed && callee.property.type === 'Identifier') {
+    const parsed = parseQueryName(callee.property.name);
+    return parsed ? { object: callee.object, parsed } : null;
+  }
+  return null;
+}
+
+module.exports = {
+  meta: {
+    type: 'suggestion',
+    docs: {
+      description: 'Prefer findBy* queries over waitFor() callbacks that only run a getBy* query',
+      category: 'Best Practices',
+      recommended: false,
+      url: 'https://github.com/tigredonorte/eslint-plugin-test-flakiness/blob/main/docs/rules/prefer-find-by.md'
+    },
+    fixable: 'code',
+    schema: [
+      {
+        type: 'object',
+        properties: {
+          checkAssertions: {
+            type: 'boolean',
+            default: true,
+            description: 'Also report callbacks asserting a query finds an element, e.g. expect(getByText(x)).toBeInTheDocument()'
+          }
+        },
+        additionalProperties: false
+      }
+    ],
+    messages: {
+      preferFindBy: 'waitFor() around a single {{query}}() retries what {{replacement}}() already retries, with extra noise in the failure. Use {{replacement}}() instead.'
+    }
+  },
+
+  create(context) {
+    if (!isTestFile(getFilename(context), getPluginSettings(context)) || !isTestingLibraryFile(context)) {
+      return {};
+    }
+
+    const options = context.options[0] || {};
+    const checkAssertions = options.checkAssertions !== false;
+    const sourceCode = context.getSourceCode();
+
+    // Check whether a name is declared in the scope of a node or around it
+    function isDeclared(name, node) {
+      let scope = sourceCode.getScope ? sourceCode.getScope(node) : context.getScope();
+      for (; scope; scope = scope.upper) {
+        if (scope.set.has(name)) return true;
+      }
+      return false;
+    }
+
+    // Get the query a waitFor() callback runs and nothing else: the query
+    // itself, or an assertion that it finds an element
+    function getCollapsibleQuery(callback) {
+      const expression = getSingleExpression(callback);
+      const query = getQueryCall(expression);
+      if (query) return query.parsed.variant === 'get' ? { call: expression, ...query } : null;
+      if (!checkAssertions || !expression || expression.type !== 'CallExpression') return null;
+
+      const parsed = parseExpectCall(expression);
+      if (!parsed || parsed.kind !== null || parsed.modifiers.length > 0 || expression.arguments.length > 0) {
+        return null;
+      }
+      const actual = getQueryCall(parsed.actual);
+      if (!actual || actual.parsed.all || parsed.expectCall.arguments.length !== 1) return null;
+      const variants = PRESENCE_MATCHERS.get(parsed.matcher);
+      return variants && variants.includes(actual.parsed.variant) ? { call: parsed.actual, ...actual } : null;
+    }
+
+    /**
+     * Build the fix replacing the waitFor() call. A bare query like
+     * `getByText` from render() becomes `findByText` when that is in scope
+     * too, and `screen.findByText` otherwise. A bare query taking the
+     * container first, like `getByText(container, x)` from
+     * @testing-library/dom, becomes the bare query, imported when missing.
+     * Bare queries whose first argument is neither are not fixed.
+     * @param {Object} node - The waitFor() CallExpression node
+     * @param {Object} query - Result of getCollapsibleQuery
+     * @param {string} replacement - The findBy* query name
+     * @returns {Function|null} The fix function
+     */
+    function getFix(node, query, replacement) {
+      const [callback, waitForOptions] = node.arguments;
+      if (sourceCode.getCommentsInside(callback).length > 0) return null;
+
+      const [first, second] = query.call.arguments;
+      const takesContainer = !query.object && Boolean(second) && !isMatcher(first) && isMatcher(second);
+      const isBare = !query.object && !isDeclared(replacement, node);
+      // screen queries take the matcher first
+      if (isBare && !takesContainer && !(first && isMatcher(first))) return null;
+
+      const args = query.call.arguments.map(arg => sourceCode.getText(arg));
+      if (waitForOptions) {
+        // findBy* takes the waitFor() options after the query options
+        const matcherIndex = takesContainer ? 1 : 0;
+        if (args.length <= matcherIndex || args.length > matcherIndex + 2) return null;
+        if (args.length === matcherIndex + 1) args.push('{}');
+        args.push(sourceCode.getText(waitForOptions));
+      }
+
+      const useScreen = isBare && !takesContainer;
+      const object = query.object ? `${sourceCode.getText(query.object)}.` : useScreen ? 'screen.' : '';
+      return fixer => {
+        const importFixes = !isBare ? [] : addTestingLibraryImport(fixer, context, useScreen ? 'screen' : replacement);
+        if (importFixes === null) return null;
+        return [...importFixes, fixer.replaceText(node, `${object}${replacement}(${args.join(', ')})`)];
+      };
+    }
+
+    return {
+      CallExpression(node) {
+        const callee = node.callee;
+        const isWaitFor = (callee.type === 'Identifier' && callee.name === 'waitFor') ||
+          (callee.type === 'MemberExpression' && !callee.computed && callee.property.type === 'Identifier' &&
+            callee.property.name === 'waitFor');
+        if (!isWaitFor || node.arguments.length === 0 || node.arguments.length > 2) return;
+
+        const callback = node.arguments[0];
+        if ((callback.type !== 'ArrowFunctionExpression' && callback.type !== 'FunctionExpression') ||
+            callback.async || callback.params.length > 0) return;
+        const query = getCollapsibleQuery(callback);
+        if (!query) return;
+
+        const { all, by } = query.parsed;
+        const replacement = `find${all ? 'All' : ''}By${by}`;
+        context.report({
+          node,
+          messageId: 'preferFindBy',
+          data: { query: `${query.parsed.variant}${all ? 'All' : ''}By${by}`, replacement },
+          fix: getFix(node, query, replacement)
+        });
+      }
+    };
+  }
+};
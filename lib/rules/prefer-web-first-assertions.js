@@ -0,0 +1,199 @@
+/**
+ * @fileoverview Rule to prefer retrying Playwright assertions over checking a value read once
+ * @author eslint-plugin-test-flakiness
+ */
+'use strict';
+
+const { isTestFile, getPluginSettings, getFilename, findEnclosingFunction, ensureAsyncFunction } = require('../utils/helpers');
+const { isPlaywrightFile, parseExpectCall, isPromiseHandled } = require('../utils/playwright');
+
+// Methods reading a value once, and the web-first matcher checking it
+const VALUE_METHODS = new Map([
+  ['textContent', 'toHaveText'],
+  ['innerText', 'toHaveText'],
+  ['inputValue', 'toHaveValue'],
+  ['getAttribute', 'toHaveAttribute'],
+  ['count', 'toHaveCount'],
+  ['title', 'toHaveTitle'],
+  ['url', 'toHaveURL']
+]);
+
+// Methods reading a state once, and the web-first matchers for the state
+// and its opposite
+const STATE_METHODS = new Map([
+  ['isVisible', ['toBeVisible', 'toBeHidden']],
+  ['isHidden', ['toBeHidden', 'toBeVisible']],
+  ['isChecked', ['toBeChecked', 'not.toBeChecked']],
+  ['isEnabled', ['toBeEnabled', 'toBeDisabled']],
+  ['isDisabled', ['toBeDisabled', 'toBeEnabled']],
+  ['isEditable', ['toBeEditable', 'not.toBeEditable']]
+]);
+
+// page.url() is synchronous; everything else is read with await
+const SYNC_METHODS = ['url'];
+
+const EQUALITY_MATCHERS = ['toBe', 'toEqual', 'toStrictEqual'];
+// toHaveURL() is only as strict as an exact comparison of the URL
+const URL_MATCHERS = ['toBe', 'toEqual'];
+const TEXT_METHODS = ['textContent', 'innerText'];
+
+module.exports = {
+  meta: {
+    type: 'problem',
+    docs: {
+      description: 'Prefer web-first assertions that retry over expect() on a value or state read once',
+      category: 'Best Practices',
+      recommended: false,
+      url: 'https://github.com/tigredonorte/eslint-plugin-test-flakiness/blob/main/docs/rules/prefer-web-first-assertions.md'
+    },
+    fixable: 'code',
+    schema: [
+      {
+        type: 'object',
+        properties: {
+          checkPageUrl: {
+            type: 'boolean',
+            default: true,
+            description: 'Report expect(page.url()), which reads the URL once instead of waiting for it'
+          }
+        },
+        additionalProperties: false
+      }
+    ],
+    messages: {
+      useWebFirstAssertion: 'expect() checks {{method}}() once and does not retry while the page updates. Use await expect({{target}}).{{matcher}}() instead.',
+      stateAsAssertion: '{{method}}() returns the state right now, so asserting on it does not wait for the element. Use await expect({{target}}).{{matcher}}() instead.'
+    }
+  },
+
+  create(context) {
+    if (!isTestFile(getFilename(context), getPluginSettings(context)) || !isPlaywrightFile(context)) {
+      return {};
+    }
+
+    const options = context.options[0] || {};
+    const checkPageUrl = options.checkPageUrl !== false;
+    const sourceCode = context.getSourceCode();
+
+    // Get the read inside expect(): `await locator.textContent()` or `page.url()`
+    function getRead(actual) {
+      if (!actual) return null;
+      const awaited = actual.type === 'AwaitExpression';
+      const call = awaited ? actual.argument : actual;
+      if (call.type !== 'CallExpression' || call.callee.type !== 'MemberExpression' ||
+          call.callee.computed || call.callee.property.type !== 'Identifier') return null;
+
+      const method = call.callee.property.name;
+      if (!VALUE_METHODS.has(method) && !STATE_METHODS.has(method)) return null;
+      if (awaited === SYNC_METHODS.includes(method)) return null;
+      if (method === 'url' && !checkPageUrl) return null;
+      return { call, method, target: call.callee.object };
+    }
+
+    // Get the boolean a state matcher compares against, or null if it is not one
+    function getExpectedState(matcherCall, matcher) {
+      if (matcher === 'toBeTruthy') return true;
+      if (matcher === 'toBeFalsy') return false;
+      const [expected] = matcherCall.arguments;
+      if (EQUALITY_MATCHERS.includes(matcher) && matcherCall.arguments.length === 1 &&
+          expected.type === 'Literal' && typeof expected.value === 'boolean') {
+        return expected.value;
+      }
+      return null;
+    }
+
+    // Get the kind of literal an expected value is: `string`, `number` or
+    // `regex`. Other values, like null or an asymmetric matcher such as
+    // expect.stringContaining(), have no web-first equivalent.
+    function getExpectedKind(expected) {
+      if (expected.type === 'TemplateLiteral') return 'string';
+      if (expected.type !== 'Literal') return null;
+      if (expected.regex) return 'regex';
+      return typeof expected.value === 'string' || typeof expected.value === 'number' ? typeof expected.value : null;
+    }
+
+    // Get the web-first matcher and its arguments replacing a value matcher,
+    // or null when there is no exact equivalent. Web-first matchers compare
+    // strings exactly (toContainText aside) and match a RegExp, so a string
+    // toMatch() only carries over to toContainText.
+    function getValueReplacement(read, matcherCall, matcher) {
+      const args = matcherCall.arguments.map(argument => sourceCode.getText(argument));
+      if (args.length !== 1) return null;
+      const kind = getExpectedKind(matcherCall.arguments[0]);
+      if (!kind) return null;
+
+      let replacement = null;
+      if (read.method === 'count') {
+        if (EQUALITY_MATCHERS.includes(matcher) && kind === 'number') replacement = 'toHaveCount';
+      } else if (read.method === 'url') {
+        if (URL_MATCHERS.includes(matcher) && kind === 'string') replacement = 'toHaveURL';
+      } else if (EQUALITY_MATCHERS.includes(matcher)) {
+        if (kind === 'string') replacement = VALUE_METHODS.get(read.method);
+      } else if (matcher === 'toMatch' && kind === 'regex') {
+        replacement = VALUE_METHODS.get(read.method);
+      } else if ((matcher === 'toMatch' || matcher === 'toContain') && kind === 'string' &&
+          TEXT_METHODS.includes(read.method)) {
+        replacement = 'toContainText';
+      }
+      if (!replacement) return null;
+
+      if (read.method === 'getAttribute') {
+        const name = read.call.arguments[0];
+        if (!name || read.call.arguments.length !== 1) return null;
+        args.unshift(sourceCode.getText(name));
+      } else if (read.method === 'innerText') {
+        args.push('{ useInnerText: true }');
+      } else if (read.call.arguments.length > 0) {
+        return null;
+      }
+      return { matcher: replacement, args };
+    }
+
+    function check(node) {
+      const parsed = parseExpectCall(node);
+      if (!parsed || parsed.kind === 'poll' || parsed.modifiers.some(modifier => modifier !== 'not')) return;
+      const read = getRead(parsed.actual);
+      if (!read) return;
+
+      let replacement = null;
+      let messageId = 'useWebFirstAssertion';
+      let suggested;
+      if (STATE_METHODS.has(read.method)) {
+        messageId = 'stateAsAssertion';
+        const [positive, negative] = STATE_METHODS.get(read.method);
+        const state = getExpectedState(node, parsed.matcher);
+        const matcher = state === null || state !== parsed.negated ? positive : negative;
+        suggested = matcher;
+        if (state !== null) replacement = { matcher, args: [] };
+      } else {
+        replacement = getValueReplacement(read, node, parsed.matcher);
+        const matcher = replacement ? replacement.matcher : VALUE_METHODS.get(read.method);
+        suggested = parsed.negated ? `not.${matcher}` : matcher;
+      }
+
+      const target = sourceCode.getText(read.target);
+      context.report({
+        node,
+        messageId,
+        data: { method: read.method, target, matcher: suggested },
+        fix: replacement
+          ? fixer => {
+            const negate = parsed.negated && messageId === 'useWebFirstAssertion' ? 'not.' : '';
+            const expectArgs = [target, ...parsed.expectCall.arguments.slice(1).map(arg => sourceCode.getText(arg))];
+            const assertion = `${sourceCode.getText(parsed.expectCall.callee)}(${expectArgs.join(', ')})` +
+              `.${negate}${replacement.matcher}(${replacement.args.join(', ')})`;
+            if (isPromiseHandled(node)) return fixer.replaceText(node, assertion);
+
+            const asyncFixes = ensureAsyncFunction(fixer, findEnclosingFunction(node));
+            if (asyncFixes === null) return null;
+            return [fixer.replaceText(node, `await ${assertion}`), ...asyncFixes];
+          }
+          : null
+      });
+    }
+
+    return {
+      CallExpression: check
+    };
+  }
+};
@@ -0,0 +1,264 @@
+/**
+ * @fileoverview Rule to check the lifecycle of Cypress intercepts and the aliases cy.wait() waits on
+ * @author eslint-plugin-test-flakiness
+ */
+'use strict';
+
+const { isTestFile, getPluginSettings, getFilename } = require('../utils/helpers');
+const { getMemberPath } = require('../utils/analysis');
+const { isInScope } = require('../utils/mocks');
+const { getStringValue, getTestBlock } = require('../utils/test-order');
+const { isCypressFile, getCypressChain } = require('../utils/cypress');
+
+// Commands that make the page send requests
+const ACTION_COMMANDS = ['click', 'dblclick', 'rightclick', 'type', 'clear', 'check', 'uncheck', 'select',
+  'selectFile', 'submit', 'trigger'];
+
+// Commands asserting on their subject
+const ASSERTION_COMMANDS = new Set(['should', 'and']);
+
+// Blocks with their own run of commands: a test, or a beforeEach hook running
+// before each test in its describe block
+const RUN_BLOCKS = new Set(['test', 'beforeEach']);
+
+/**
+ * Get the nesting depth of a node, to order hooks from the outermost describe in
+ * @param {Object} node - The AST node
+ * @returns {number} The number of ancestors
+ */
+function getDepth(node) {
+  let depth = 0;
+  for (let current = node.parent; current; current = current.parent) depth++;
+  return depth;
+}
+
+module.exports = {
+  meta: {
+    type: 'problem',
+    docs: {
+      description: 'Require cy.intercept() before the command that sends the request, awaited before asserting, and cy.wait() only on declared aliases',
+      category: 'Best Practices',
+      recommended: false,
+      url: 'https://github.com/tigredonorte/eslint-plugin-test-flakiness/blob/main/docs/rules/valid-cypress-intercepts.md'
+    },
+    fixable: null,
+    schema: [
+      {
+        type: 'object',
+        properties: {
+          visitCommands: {
+            type: 'array',
+            items: { type: 'string' },
+            default: ['visit'],
+            description: 'Commands loading a page, after which an intercept misses the requests sent while loading'
+          },
+          actionCommands: {
+            type: 'array',
+            items: { type: 'string' },
+            default: ACTION_COMMANDS,
+            description: 'Commands whose user action may send a request'
+          },
+          knownAliases: {
+            type: 'array',
+            items: { type: 'string' },
+            default: [],
+            description: 'Aliases declared outside the file, e.g. by a custom command'
+          },
+          checkUnawaited: {
+            type: 'boolean',
+            default: true,
+            description: 'Report aliased intercepts the test asserts after without waiting on them'
+          }
+        },
+        additionalProperties: false
+      }
+    ],
+    messages: {
+      interceptAfterVisit: 'cy.intercept() is registered after cy.{{command}}(), so requests the page sends while loading are not intercepted. Register it before cy.{{command}}().',
+      interceptAfterAction: 'cy.intercept() is registered after .{{command}}(), which sends the request cy.wait(\'@{{alias}}\') waits for. Register it before .{{command}}() so the request is not missed.',
+      undefinedAlias: 'cy.wait(\'@{{alias}}\') waits on an alias that is never declared with .as(\'{{alias}}\'), so the test fails after the timeout.',
+      aliasResetBeforeEach: '\'@{{alias}}\' is declared in a before() hook, but Cypress clears aliases before each test, so only the first test sees it. Declare it in beforeEach() instead.',
+      unawaitedIntercept: '\'@{{alias}}\' is intercepted but the test asserts before cy.wait(\'@{{alias}}\'), so the assertions can run before the response arrives. Wait on the alias before asserting.'
+    }
+  },
+
+  create(context) {
+    if (!isTestFile(getFilename(context), getPluginSettings(context)) || !isCypressFile(context)) {
+      return {};
+    }
+
+    const options = context.options[0] || {};
+    const visitCommands = options.visitCommands || ['visit'];
+    const actionCommands = options.actionCommands || ACTION_COMMANDS;
+    const checkUnawaited = options.checkUnawaited !== false;
+
+    // Intercepts, alias declarations, waits, page loads, actions and
+    // assertions, each with the test or hook it runs in
+    const events = [];
+    const blocks = new Map();
+
+    function addEvent(type, node, position, data) {
+      const block = getTestBlock(node);
+      events.push({ type, node, position, block, ...data });
+      if (block && RUN_BLOCKS.has(block.kind) && !blocks.has(block.call)) blocks.set(block.call, block);
+    }
+
+    // Get the `@alias` strings cy.wait() is called with, as `{ node, alias }`
+    function getWaitedAliases(wait) {
+      const [argument] = wait.arguments;
+      if (!argument) return [];
+      const elements = argument.type === 'ArrayExpression' ? argument.elements : [argument];
+      return elements.filter(Boolean).map(element => ({ node: element, value: getStringValue(element) }))
+        .filter(({ value }) => value !== null && value.startsWith('@'))
+        // Cypress also waits on `@alias.all` and `@alias.2`
+        .map(({ node, value }) => ({ node, alias: value.slice(1).split('.')[0] }));
+    }
+
+    /**
+     * Get the commands a test or beforeEach hook sees in order: the beforeEach
+     * hooks running before it, outermost first, then its own
+     * @param {Object} block - The test or hook block
+     * @returns {Array<Object>} The events of the run
+     */
+    function getRun(block) {
+      const hooks = [...blocks.values()].filter(hook => hook.kind === 'beforeEach' && hook.call !== block.call &&
+        isInScope(hook.scope, block.call) &&
+        (block.kind === 'test' || hook.scope !== block.scope || hook.call.range[0] < block.call.range[0]));
+      hooks.sort((a, b) => getDepth(a.call) - getDepth(b.call) || a.call.range[0] - b.call.range[0]);
+
+      const eventsOf = owner => events.filter(event => event.block && event.block.call === owner.call)
+        .sort((a, b) => a.position - b.position);
+      return [...hooks.flatMap(eventsOf), ...eventsOf(block)];
+    }
+
+    const isTrigger = event => event.type === 'visit' || event.type === 'action';
+
+    function checkWaits(runs) {
+      const declared = type => new Set(events.filter(event => event.type === 'alias' && type(event.block))
+        .map(event => event.alias));
+      const fileAliases = new Set([...(options.knownAliases || []), ...declared(block => !block)]);
+      const onceAliases = declared(block => Boolean(block) && block.kind === 'before');
+      const anywhere = declared(() => true);
+
+      for (const wait of events.filter(event => event.type === 'wait')) {
+        const run = wait.block && runs.get(wait.block.call);
+        // Outside tests and beforeEach hooks, any declaration in the file may run first
+        const available = run
+          ? new Set(run.slice(0, run.indexOf(wait)).filter(event => event.type === 'alias').map(event => event.alias))
+          : anywhere;
+
+        for (const { node, alias } of wait.aliases) {
+          if (available.has(alias) || fileAliases.has(alias)) continue;
+          context.report({
+            node,
+            messageId: run && onceAliases.has(alias) ? 'aliasResetBeforeEach' : 'undefinedAlias',
+            data: { alias }
+          });
+        }
+      }
+    }
+
+    // An intercept is late when the request it is waited on for was sent by a
+    // command before it: nothing sends a request between the intercept and
+    // the wait. An intercept nobody waits on is late after a page load with
+    // nothing sending requests later.
+    function findLateIntercept(run, intercept) {
+      const index = run.indexOf(intercept);
+      const trigger = run.slice(0, index).reverse().find(isTrigger);
+      if (!trigger) return null;
+
+      const rest = run.slice(index + 1);
+      const wait = intercept.alias === null ? undefined
+        : rest.find(event => event.type === 'wait' && event.aliases.some(({ alias }) => alias === intercept.alias));
+      const waitIndex = wait ? rest.indexOf(wait) : rest.length;
+      if (rest.slice(0, waitIndex).some(isTrigger)) return null;
+      if (!wait && trigger.type !== 'visit') return null;
+      return trigger;
+    }
+
+    function checkInterceptOrder(runs) {
+      const reported = new Set();
+      for (const run of runs.values()) {
+        for (const intercept of run.filter(event => event.type === 'intercept')) {
+          if (reported.has(intercept.node)) continue;
+          const trigger = findLateIntercept(run, intercept);
+          if (!trigger) continue;
+
+          reported.add(intercept.node);
+          context.report({
+            node: intercept.node,
+            messageId: trigger.type === 'visit' ? 'interceptAfterVisit' : 'interceptAfterAction',
+            data: { command: trigger.command, alias: intercept.alias }
+          });
+        }
+      }
+    }
+
+    // Check whether a run asserts after an intercept fired without waiting on it first
+    function assertsBeforeWait(run, intercept) {
+      const rest = run.slice(run.indexOf(intercept) + 1);
+      const trigger = rest.findIndex(isTrigger);
+      if (trigger === -1) return false;
+      const assertion = rest.findIndex((event, index) => index > trigger && event.type === 'assertion');
+      if (assertion === -1) return false;
+      return !rest.slice(0, assertion).some(event =>
+        event.type === 'wait' && event.aliases.some(({ alias }) => alias === intercept.alias));
+    }
+
+    // Report aliased intercepts that no test waits on before asserting
+    function checkUnawaitedIntercepts(runs) {
+      const testRuns = [...runs.entries()].filter(([call]) => blocks.get(call).kind === 'test')
+        .map(([, run]) => run);
+      for (const intercept of events.filter(event => event.type === 'intercept' && event.alias !== null)) {
+        const containing = testRuns.filter(run => run.includes(intercept));
+        if (containing.length === 0 || !containing.every(run => assertsBeforeWait(run, intercept))) continue;
+        context.report({
+          node: intercept.node,
+          messageId: 'unawaitedIntercept',
+          data: { alias: intercept.alias }
+        });
+      }
+    }
+
+    return {
+      CallExpression(node) {
+        const path = getMemberPath(node.callee);
+        if (path === 'expect' || path === 'assert' || (path && path.startsWith('assert.'))) {
+          addEvent('assertion', node, node.range[0]);
+          return;
+        }
+
+        const chain = getCypressChain(node);
+        if (!chain) return;
+        const { name } = chain[chain.length - 1];
+        const position = node.callee.property.range[0];
+
+        if (chain.length === 1 && name === 'wait') {
+          addEvent('wait', node, position, { aliases: getWaitedAliases(node) });
+        } else if (chain.length === 1 && visitCommands.includes(name)) {
+          addEvent('visit', node, position, { command: name });
+        } else if (chain.length === 1 && name === 'intercept') {
+          const as = node.parent.type === 'MemberExpression' && node.parent.object === node &&
+            node.parent.property.name === 'as' && node.parent.parent.type === 'CallExpression'
+            ? getStringValue(node.parent.parent.arguments[0])
+            : null;
+          addEvent('intercept', node, position, { alias: as });
+        } else if (actionCommands.includes(name)) {
+          addEvent('action', node, position, { command: name });
+        } else if (ASSERTION_COMMANDS.has(name)) {
+          addEvent('assertion', node, position);
+        } else if (name === 'as') {
+          const alias = getStringValue(node.arguments[0]);
+          if (alias !== null) addEvent('alias', node, position, { alias });
+        }
+      },
+
+      'Program:exit'() {
+        const runs = new Map([...blocks.keys()].map(call => [call, getRun(blocks.get(call))]));
+        checkWaits(runs);
+        checkInterceptOrder(runs);
+        if (checkUnawaited) checkUnawaitedIntercepts(runs);
+      }
+    };
+  }
+};
@@ -0,0 +1,325 @@
+/**
+ * @fileoverview Per-file analysis shared by every rule linting the same file
+ * @author eslint-plugin-test-flakiness
+ */
+'use strict';
+
+// Mocking calls whose first argument names a mocked module. jest.mock() and
+// vi.mock() are hoisted above the imports, so they apply to the whole file;
+// the others only apply within the describe or test block that calls them.
+// Values say whether the call is hoisted.
+const MODULE_MOCK_CALLS = new Map([
+  ['jest.mock', true],
+  ['vi.mock', true],
+  ['jest.doMock', false],
+  ['vi.doMock', false],
+  ['jest.unstable_mockModule', false]
+]);
+
+// Calls replacing `object[property]`, called as (object, 'property', ...)
+const MEMBER_MOCK_CALLS = new Set(['jest.spyOn', 'vi.spyOn', 'sinon.stub', 'sinon.replace', 'td.replace']);
+
+// Calls creating a mock function, e.g. the right side of `global.fetch = jest.fn()`
+const MOCK_FUNCTION_CALLS = new Set(['jest.fn', 'vi.fn', 'sinon.stub', 'sinon.fake', 'sinon.spy', 'td.func']);
+
+// Names the global object goes by; stubs on any of them are recorded under `global`
+const GLOBAL_OBJECTS = new Set(['global', 'globalThis', 'window', 'self']);
+
+// Globals whose member access says something about the test framework
+const FRAMEWORK_GLOBALS = new Set(['vi', 'jest', 'cy', 'Cypress']);
+
+// Test block callees, used to answer isInTest/isInHook/isInDescribe
+const DESCRIBE_NAMES = new Set(['describe', 'context', 'suite']);
+const TEST_NAMES = new Set(['it', 'test', 'specify']);
+
+const analyses = new WeakMap();
+const enclosingCallNames = new WeakMap();
+const NO_NAMES = [];
+
+/**
+ * Check whether a node is a string literal
+ * @param {Object} node - The AST node
+ * @returns {boolean} Whether the node is a string Literal
+ */
+function isStringLiteral(node) {
+  return Boolean(node) && node.type === 'Literal' && typeof node.value === 'string';
+}
+
+/**
+ * Record the local names a top-level import or require declaration binds
+ * @param {Object} statement - A Program body statement
+ * @param {Map<string, string>} imports - Local name to module specifier
+ * @returns {void}
+ */
+function collectTopLevelImports(statement, imports) {
+  const bind = (name, source) => {
+    if (!imports.has(name)) imports.set(name, source);
+  };
+
+  if (statement.type === 'ImportDeclaration' && statement.source) {
+    (statement.specifiers || []).forEach(spec => {
+      if (spec.local) bind(spec.local.name, statement.source.value);
+    });
+    return;
+  }
+
+  if (statement.type !== 'VariableDeclaration') return;
+  for (const decl of statement.declarations) {
+    const init = decl.init;
+    if (!init || init.type !== 'CallExpression' || !init.callee || init.callee.name !== 'require') continue;
+    const arg = init.arguments[0];
+    if (!arg || arg.type !== 'Literal') continue;
+
+    if (decl.id.type === 'Identifier') {
+      bind(decl.id.name, arg.value);
+    } else if (decl.id.type === 'ObjectPattern') {
+      decl.id.properties.forEach(p => {
+        if (p.type === 'Property' && p.value && p.value.name) bind(p.value.name, arg.value);
+      });
+    }
+  }
+}
+
+/**
+ * Get the dotted path of an identifier or static member chain, e.g.
+ * `fs.promises` for `fs['promises']`. References to the global object are
+ * normalized to `global`.
+ * @param {Object} node - The AST node
+ * @returns {string|null} The path, or null for anything more dynamic
+ */
+function getMemberPath(node) {
+  if (!node) return null;
+  if (node.type === 'Identifier') {
+    return GLOBAL_OBJECTS.has(node.name) ? 'global' : node.name;
+  }
+  if (node.type === 'ThisExpression') return 'this';
+  if (node.type !== 'MemberExpression') return null;
+
+  const object = getMemberPath(node.object);
+  if (object === null) return null;
+  if (!node.computed && node.property.type === 'Identifier') {
+    return `${object}.${node.property.name}`;
+  }
+  return isStringLiteral(node.property) ? `${object}.${node.property.value}` : null;
+}
+
+/**
+ * Get the call at the start of a chain like `jest.fn().mockResolvedValue(x)`
+ * @param {Object} node - The CallExpression node
+ * @returns {Object} The innermost CallExpression of the chain
+ */
+function getChainStart(node) {
+  let current = node;
+  while (current.callee.type === 'MemberExpression' && current.callee.object.type === 'CallExpression') {
+    current = current.callee.object;
+  }
+  return current;
+}
+
+/**
+ * Check whether an assigned value is a mock function
+ * @param {Object} node - The assigned expression
+ * @returns {boolean} Whether the value is a mock
+ */
+function isMockValue(node) {
+  if (!node) return false;
+  if (node.type === 'Identifier') return /mock|stub|fake/i.test(node.name);
+  if (node.type !== 'CallExpression') return false;
+  return MOCK_FUNCTION_CALLS.has(getMemberPath(getChainStart(node).callee));
+}
+
+/**
+ * Check whether a call opens a describe or test block whose function
+ * arguments form a mocking scope
+ * @param {Object} node - The CallExpression node
+ * @returns {boolean} Whether the call is a describe or test block
+ */
+function isBlockCall(node) {
+  let callee = node.callee;
+  // describe.only(), it.skip(), test.concurrent() ...
+  while (callee.type === 'MemberExpression') callee = callee.object;
+  // describe.each(table)('name', fn)
+  if (callee.type === 'CallExpression') return isBlockCall(callee);
+  return callee.type === 'Identifier' && (DESCRIBE_NAMES.has(callee.name) || TEST_NAMES.has(callee.name));
+}
+
+/**
+ * Walk the whole file once, collecting what rules otherwise recompute per node.
+ * Mocks and calls are recorded with the describe/test callback (or Program)
+ * they were made in, since a stub in one describe block does not affect its
+ * siblings. Calls and `new` expressions are indexed by their callee path.
+ * @param {Object} ast - The Program node
+ * @param {Object} [visitorKeys] - The parser's visitor keys
+ * @returns {Object} The collected references
+ */
+function collectReferences(ast, visitorKeys) {
+  const importedModules = new Set();
+  const moduleMocks = new Map();
+  const memberMocks = [];
+  const frameworkGlobals = new Set();
+  const calls = new Map();
+  const scopes = [ast];
+
+  const currentScope = () => scopes[scopes.length - 1];
+  const addModuleMock = (name, scope) => {
+    if (!moduleMocks.has(name)) moduleMocks.set(name, []);
+    moduleMocks.get(name).push(scope);
+  };
+  const addMemberMock = (object, property) => {
+    if (object !== null && typeof property === 'string') {
+      memberMocks.push({ object, property, scope: currentScope() });
+    }
+  };
+
+  const addCall = (node, calleePath) => {
+    if (calleePath === null) return;
+    if (!calls.has(calleePath)) calls.set(calleePath, []);
+    calls.get(calleePath).push({ node, scope: currentScope() });
+  };
+
+  const visitCall = node => {
+    const callee = node.callee;
+    const args = node.arguments || [];
+    const calleePath = getMemberPath(callee);
+    addCall(node, calleePath);
+
+    if (callee.type === 'Identifier' && callee.name === 'require' && isStringLiteral(args[0])) {
+      importedModules.add(args[0].value);
+    } else if (MODULE_MOCK_CALLS.has(calleePath) && isStringLiteral(args[0])) {
+      addModuleMock(args[0].value, MODULE_MOCK_CALLS.get(calleePath) ? ast : currentScope());
+    } else if ((MEMBER_MOCK_CALLS.has(calleePath) ||
+                (callee.type === 'MemberExpression' && /sandbox/i.test(getMemberPath(callee.object) || '') &&
+                 ['stub', 'replace'].includes(callee.property.name))) &&
+               isStringLiteral(args[1])) {
+      addMemberMock(getMemberPath(args[0]), args[1].value);
+    } else if (calleePath === 'vi.stubGlobal' && isStringLiteral(args[0])) {
+      addMemberMock('global', args[0].value);
+    }
+  };
+
+  const visit = node => {
+    if (!node || typeof node.type !== 'string') return;
+
+    let opensScope = false;
+    if ((node.type === 'ImportDeclaration' || node.type === 'ExportAllDeclaration' ||
+         node.type === 'ExportNamedDeclaration' || node.type === 'ImportExpression') &&
+        isStringLiteral(node.source)) {
+      importedModules.add(node.source.value);
+    } else if (node.type === 'CallExpression' && node.callee) {
+      visitCall(node);
+    } else if (node.type === 'NewExpression' && node.callee) {
+      addCall(node, getMemberPath(node.callee));
+    } else if (node.type === 'AssignmentExpression' && node.left.type === 'MemberExpression' &&
+               isMockValue(node.right)) {
+      const path = getMemberPath(node.left);
+      if (path !== null) {
+        const dot = path.lastIndexOf('.');
+        addMemberMock(path.slice(0, dot), path.slice(dot + 1));
+      }
+    } else if (node.type === 'MemberExpression' && node.object && node.object.type === 'Identifier' &&
+               FRAMEWORK_GLOBALS.has(node.object.name)) {
+      frameworkGlobals.add(node.object.name);
+    }
+
+    if ((node.type === 'FunctionExpression' || node.type === 'ArrowFunctionExpression') &&
+        node.parent && node.parent.type === 'CallExpression' && node.parent.arguments.includes(node) &&
+        isBlockCall(node.parent)) {
+      scopes.push(node);
+      opensScope = true;
+    }
+
+    const keys = (visitorKeys && visitorKeys[node.type]) ||
+      Object.keys(node).filter(key => key !== 'parent' && key !== 'loc' && key !== 'range');
+    for (const key of keys) {
+      const child = node[key];
+      if (Array.isArray(child)) {
+        child.forEach(visit);
+      } else if (child && typeof child === 'object') {
+        visit(child);
+      }
+    }
+
+    if (opensScope) scopes.pop();
+  };
+
+  visit(ast);
+  return {
+    importedModules,
+    mockedModules: new Set(moduleMocks.keys()),
+    mocks: { modules: moduleMocks, members: memberMocks },
+    calls,
+    frameworkGlobals
+  };
+}
+
+/**
+ * Get the analysis of the file a SourceCode object belongs to, computing it
+ * on first use. Every rule linting the file receives the same object, so the
+ * AST is walked once per file rather than once per rule or per node.
+ * @param {Object} sourceCode - The ESLint SourceCode object
+ * @returns {{
+ *   imports: Map<string, string>,
+ *   importedModules: Set<string>,
+ *   mockedModules: Set<string>,
+ *   mocks: {modules: Map<string, Object[]>, members: Array<{object: string, property: string, scope: Object}>},
+ *   calls: Map<string, Array<{node: Object, scope: Object}>>,
+ *   frameworkGlobals: Set<string>,
+ *   framework: Object|null,
+ *   setupFacts: Object|null,
+ *   fakeTimers: Object|null
+ * }} The file analysis
+ */
+function getFileAnalysis(sourceCode) {
+  let analysis = analyses.get(sourceCode);
+  if (analysis) return analysis;
+
+  const ast = sourceCode.ast;
+  const imports = new Map();
+  if (ast && Array.isArray(ast.body)) {
+    ast.body.forEach(statement => collectTopLevelImports(statement, imports));
+  }
+
+  analysis = {
+    imports,
+    ...collectReferences(ast, sourceCode.visitorKeys),
+    // Memoized answers filled in by helpers as rules ask for them
+    framework: null,
+    setupFacts: null,
+    fakeTimers: null
+  };
+  analyses.set(sourceCode, analysis);
+  return analysis;
+}
+
+/**
+ * Get the names of the identifier-called functions enclosing a node,
+ * innermost first. Each ancestor's list is computed once and shared with its
+ * descendants, so repeated block lookups do not walk to the root.
+ * @param {Object} node - The AST node
+ * @returns {string[]} Callee names of enclosing CallExpressions
+ */
+function getEnclosingCallNames(node) {
+  const parent = node && node.parent;
+  if (!parent) return NO_NAMES;
+
+  let names = enclosingCallNames.get(parent);
+  if (!names) {
+    const outer = getEnclosingCallNames(parent);
+    names = parent.type === 'CallExpression' && parent.callee && parent.callee.type === 'Identifier'
+      ? [parent.callee.name, ...outer]
+      : outer;
+    enclosingCallNames.set(parent, names);
+  }
+  return names;
+}
+
+module.exports = {
+  DESCRIBE_NAMES,
+  TEST_NAMES,
+  MOCK_FUNCTION_CALLS,
+  MODULE_MOCK_CALLS,
+  getMemberPath,
+  collectReferences,
+  getFileAnalysis,
+  getEnclosingCallNames
+};
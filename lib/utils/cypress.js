@@ -0,0 +1,75 @@
+/**
+ * @fileoverview Cypress command chains. Cypress commands do not run when
+ * they are called: `cy.get()` queues the command and returns a chainable,
+ * and the queue runs after the test function returns. Values only reach the
+ * test through callbacks, aliases and retried `.should()` assertions.
+ * @author eslint-plugin-test-flakiness
+ */
+'use strict';
+
+const { getFrameworkInfo } = require('./helpers');
+
+// Commands that return their value right away instead of queueing
+const SYNC_COMMANDS = new Set(['stub', 'spy', 'now', 'state']);
+
+// Queries, which Cypress retries until the assertions chained after them pass
+const QUERY_COMMANDS = new Set([
+  'get', 'find', 'contains', 'children', 'closest', 'parent', 'parents', 'parentsUntil', 'siblings',
+  'next', 'nextAll', 'nextUntil', 'prev', 'prevAll', 'prevUntil', 'first', 'last', 'eq', 'filter', 'not',
+  'focused', 'its', 'invoke', 'title', 'url', 'location', 'hash', 'root', 'document', 'window', 'shadow'
+]);
+
+/**
+ * Check whether the file being linted is a Cypress test
+ * @param {Object} context - The ESLint context
+ * @returns {boolean} Whether Cypress drives the file
+ */
+function isCypressFile(context) {
+  return getFrameworkInfo(context).e2e === 'cypress';
+}
+
+/**
+ * Get the commands of a chain starting at `cy`, such as
+ * `cy.get('li').first().click()`
+ * @param {Object} node - The CallExpression ending the chain
+ * @returns {Array<Object>|null} `{ name, call }` per command, first to last;
+ *   null when node is not a call on a chain starting at `cy`
+ */
+function getCypressChain(node) {
+  const commands = [];
+  let current = node;
+  while (current.type === 'CallExpression' && current.callee.type === 'MemberExpression' &&
+         !current.callee.computed && current.callee.property.type === 'Identifier') {
+    commands.unshift({ name: current.callee.property.name, call: current });
+    const object = current.callee.object;
+    if (object.type === 'Identifier') return object.name === 'cy' ? commands : null;
+    current = object;
+  }
+  return null;
+}
+
+/**
+ * Check whether a node runs in a callback passed to a Cypress command, such
+ * as the function of `cy.get('form').within(() => ...)`
+ * @param {Object} node - The AST node
+ * @param {string} command - The command name, e.g. `within`
+ * @returns {boolean} Whether an enclosing function is a callback of the command
+ */
+function isInCommandCallback(node, command) {
+  for (let current = node.parent; current; current = current.parent) {
+    if ((current.type === 'FunctionExpression' || current.type === 'ArrowFunctionExpression') &&
+        current.parent.type === 'CallExpression' && current.parent.arguments.includes(current)) {
+      const chain = getCypressChain(current.parent);
+      if (chain && chain[chain.length - 1].name === command) return true;
+    }
+  }
+  return false;
+}
+
+module.exports = {
+  SYNC_COMMANDS,
+  QUERY_COMMANDS,
+  isCypressFile,
+  getCypressChain,
+  isInCommandCallback
+};
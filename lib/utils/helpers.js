@@ -4,212 +4,501 @@
  */
 'use strict';
 
+const path = require('path');
+
+const { DESCRIBE_NAMES, TEST_NAMES, getFileAnalysis, getEnclosingCallNames } = require('./analysis');
+const { loadRunnerConfigs } = require('./runner-config');
+
+const SETTINGS_KEY = 'test-flakiness';
+
+const NO_RUNNER_SETTINGS = { testFilePatterns: [], current: null };
+const runnerSettingsCache = new WeakMap();
+
 /**
- * Check if a file is a test file based on naming patterns
- * @param {string} filename - The filename to check
- * @returns {boolean} Whether the file is a test file
+ * JSON schema of `settings['test-flakiness']`, used to generate its TypeScript type
  */
-function isTestFile(filename) {
-  if (!filename) return false;
-  
-  const testPatterns = [
-    /\.(test|spec)\.(js|jsx|ts|tsx|mjs|cjs)$/,
-    /\.(test|spec)\.stories\.(js|jsx|ts|tsx)$/,
-    /(^|\/)__tests__\//,
-    /\/(test|tests|spec|specs)\//,
-    /\.(e2e|integration|cy)\.(js|jsx|ts|tsx)$/,
-    /\/cypress\//,
-    /\/playwright\//,
-    /\.steps?\.(js|jsx|ts|tsx)$/
-  ];
-  
-  return testPatterns.some(pattern => pattern.test(filename));
+const SETTINGS_SCHEMA = {
+  type: 'object',
+  properties: {
+    framework: {
+      enum: ['jest', 'vitest', 'testing-library', 'playwright', 'cypress', 'mocha', 'node:test', 'webdriverio', 'testcafe'],
+      description: 'Test framework to assume instead of detecting it from the file'
+    },
+    testFilePatterns: {
+      type: 'array',
+      items: { type: 'string' },
+      default: [],
+      description: 'Globs, relative to rootDir, for files treated as test files in addition to the built-in patterns'
+    },
+    excludeTestFilePatterns: {
+      type: 'array',
+      items: { type: 'string' },
+      default: [],
+      description: 'Globs, relative to rootDir, for files never treated as test files'
+    },
+    testFileMode: {
+      enum: ['auto', 'all'],
+      default: 'auto',
+      description: 'auto: built-in patterns plus testFilePatterns; all: every linted file is a test file'
+    },
+    rootDir: {
+      type: 'string',
+      description: 'Project root that file patterns and the __mocks__ directory are resolved against (defaults to the ESLint working directory)'
+    },
+    customWaitUtilities: {
+      type: 'array',
+      items: { type: 'string' },
+      default: [],
+      description: 'Functions treated like waitFor()'
+    },
+    customRenderFunctions: {
+      type: 'array',
+      items: { type: 'string' },
+      default: [],
+      description: 'Functions treated like render()'
+    },
+    mockModules: {
+      type: 'array',
+      items: { type: 'string' },
+      default: [],
+      description: 'Modules (or globals such as fetch) whose calls are always considered mocked'
+    },
+    setupFiles: {
+      type: 'array',
+      items: { type: 'string' },
+      default: [],
+      description: 'Global test setup files, relative to rootDir, whose seeds, mocks, fake timers, interceptors and disabled animations apply to every test file'
+    },
+    runnerConfigs: {
+      oneOf: [
+        { type: 'boolean' },
+        { type: 'array', items: { type: 'string' } }
+      ],
+      default: false,
+      description: 'Jest, Vitest and Playwright configs, relative to rootDir, to read test globs, setup files, fake timers, viewport and reduced motion from; true looks for the usual config file names'
+    },
+    requireFakeTimerCleanup: {
+      type: 'boolean',
+      default: false,
+      description: 'Only treat fake timers installed in a before hook as in effect when an after hook restores the real timers. Enable no-leaked-fake-timers to report the install missing that restore'
+    }
+  },
+  additionalProperties: false
+};
+
+/**
+ * Read the plugin-wide settings shared by every rule from
+ * `settings['test-flakiness']`, filling in defaults for missing keys
+ * @param {Object} context - The ESLint context
+ * @returns {Object} The normalized plugin settings
+ */
+function getPluginSettings(context) {
+  const settings = (context && context.settings && context.settings[SETTINGS_KEY]) || {};
+  const cwd = getCwd(context);
+  const rootDir = settings.rootDir ? path.resolve(cwd, settings.rootDir) : cwd;
+  const runner = getRunnerSettings(context, rootDir, settings.runnerConfigs);
+  return {
+    framework: settings.framework || null,
+    testFilePatterns: [...toArray(settings.testFilePatterns), ...runner.testFilePatterns],
+    excludeTestFilePatterns: toArray(settings.excludeTestFilePatterns),
+    testFileMode: settings.testFileMode === 'all' ? 'all' : 'auto',
+    rootDir,
+    customWaitUtilities: toArray(settings.customWaitUtilities),
+    customRenderFunctions: toArray(settings.customRenderFunctions),
+    mockModules: toArray(settings.mockModules),
+    setupFiles: [...toArray(settings.setupFiles), ...(runner.current ? runner.current.setupFiles : [])],
+    runnerConfig: runner.current,
+    requireFakeTimerCleanup: settings.requireFakeTimerCleanup === true
+  };
 }
 
 /**
- * Check if a node is within a mock or stub context
- * @param {Object} node - The AST node to check
+ * Read the runner configs named by the `runnerConfigs` setting and find the
+ * one the linted file belongs to: the first whose test globs match it, trying
+ * configs that declare their own globs before those relying on defaults.
+ * Computed once per linted file.
  * @param {Object} context - The ESLint context
- * @returns {boolean} Whether the node is in a mock context
+ * @param {string} rootDir - The project root
+ * @param {boolean|Array<string>} runnerConfigs - The setting's value
+ * @returns {{testFilePatterns: string[], current: Object|null}} Globs declared by
+ *   the configs, and the description of the config covering the file
  */
-function isInMockContext(node, context) {
+function getRunnerSettings(context, rootDir, runnerConfigs) {
+  if (!runnerConfigs || !context || typeof context.getSourceCode !== 'function') {
+    return NO_RUNNER_SETTINGS;
+  }
+
   const sourceCode = context.getSourceCode();
+  let runner = runnerSettingsCache.get(sourceCode);
+  if (runner) return runner;
 
-  // Check if the node itself is a mock call
-  if (node.callee) {
-    const calleeText = sourceCode.getText(node.callee);
-
-    // Common mock patterns
-    const mockPatterns = [
-      /^jest\./,
-      /^vi\./,
-      /^sinon\./,
-      /^mock/i,
-      /^stub/i,
-      /^spy/i,
-      /^fake/i,
-      /\.mock/,
-      /\.spyOn/,
-      /\.stub/,
-      /\.fake/
-    ];
+  const configs = loadRunnerConfigs(rootDir, runnerConfigs === true ? null : toArray(runnerConfigs), context);
+  const explicit = configs.filter(config => config.explicit);
+  const filename = getFilename(context);
+  const current = [...explicit, ...configs.filter(config => !config.explicit)]
+    .find(config => config.testFilePatterns.some(glob => matchesGlob(filename, glob, rootDir)));
+
+  runner = {
+    testFilePatterns: explicit.flatMap(config => config.testFilePatterns),
+    current: current || null
+  };
+  runnerSettingsCache.set(sourceCode, runner);
+  return runner;
+}
 
-    if (mockPatterns.some(pattern => pattern.test(calleeText))) {
-      return true;
+/**
+ * Get the working directory ESLint runs in (compatible with v7, v8, and v9)
+ * @param {Object} context - The ESLint context
+ * @returns {string} The working directory
+ */
+function getCwd(context) {
+  if (context && context.cwd) return context.cwd;
+  if (context && context.getCwd) return context.getCwd();
+  return process.cwd();
+}
+
+/**
+ * Wrap a single value in an array, passing arrays through unchanged
+ * @param {*} value - The value to normalize
+ * @returns {Array} The value as an array
+ */
+function toArray(value) {
+  if (value === undefined || value === null) return [];
+  return Array.isArray(value) ? value : [value];
+}
+
+/**
+ * Convert a glob pattern to a regular expression. Supports `**`, `*`, `?`,
+ * `{a,b}` alternation, `[...]` character classes and the extglobs
+ * `?(a|b)`, `*(a|b)`, `+(a|b)`, `@(a|b)` and `!(a|b)` used by Jest and Playwright.
+ * @param {string} glob - The glob pattern
+ * @returns {RegExp} The equivalent regular expression
+ */
+function globToRegExp(glob) {
+  return new RegExp(`^${globToSource(glob)}$`);
+}
+
+/**
+ * Find the parenthesis closing the one at `open`
+ * @param {string} glob - The glob pattern
+ * @param {number} open - Index of the opening parenthesis
+ * @returns {number} Index of the closing parenthesis, or -1
+ */
+function findClosingParen(glob, open) {
+  let depth = 0;
+  for (let i = open; i < glob.length; i++) {
+    if (glob[i] === '(') depth++;
+    if (glob[i] === ')' && --depth === 0) return i;
+  }
+  return -1;
+}
+
+/**
+ * Split an extglob body on its top-level `|` separators
+ * @param {string} body - The text between the parentheses
+ * @returns {string[]} The alternatives
+ */
+function splitAlternatives(body) {
+  const alternatives = [];
+  let depth = 0;
+  let start = 0;
+  for (let i = 0; i < body.length; i++) {
+    if (body[i] === '(') depth++;
+    if (body[i] === ')') depth--;
+    if (body[i] === '|' && depth === 0) {
+      alternatives.push(body.slice(start, i));
+      start = i + 1;
     }
   }
+  alternatives.push(body.slice(start));
+  return alternatives;
+}
 
-  // For ESLint RuleTester, often the entire test code is treated as one line
-  // Get the entire source text and check for mocking patterns
-  const entireCode = sourceCode.getText();
-  if (hasMockingInStatement(entireCode, node, sourceCode)) {
-    return true;
+/**
+ * Convert a glob pattern to unanchored regular expression source
+ * @param {string} glob - The glob pattern
+ * @returns {string} The regular expression source
+ */
+function globToSource(glob) {
+  let source = '';
+  let inGroup = false;
+
+  for (let i = 0; i < glob.length; i++) {
+    const char = glob[i];
+    const close = '?*+@!'.includes(char) && glob[i + 1] === '(' ? findClosingParen(glob, i + 1) : -1;
+
+    if (close !== -1) {
+      const group = `(?:${splitAlternatives(glob.slice(i + 2, close)).map(globToSource).join('|')})`;
+      if (char === '!') {
+        source += `(?!${group})[^/]*`;
+      } else {
+        source += group + (char === '@' ? '' : char);
+      }
+      i = close;
+    } else if (char === '*') {
+      if (glob[i + 1] === '*') {
+        // `**/` matches zero or more directories, a trailing `**` matches everything
+        if (glob[i + 2] === '/') {
+          source += '(?:[^/]*/)*';
+          i += 2;
+        } else {
+          source += '.*';
+          i += 1;
+        }
+      } else {
+        source += '[^/]*';
+      }
+    } else if (char === '?') {
+      source += '[^/]';
+    } else if (char === '{') {
+      inGroup = true;
+      source += '(?:';
+    } else if (char === '}' && inGroup) {
+      inGroup = false;
+      source += ')';
+    } else if (char === ',' && inGroup) {
+      source += '|';
+    } else if (char === '[') {
+      const end = glob.indexOf(']', i + 1);
+      if (end === -1) {
+        source += '\\[';
+      } else {
+        source += '[' + glob.slice(i + 1, end).replace(/^!/, '^') + ']';
+        i = end;
+      }
+    } else {
+      source += escapeRegex(char);
+    }
   }
 
-  // Get the specific statement containing this node
-  const statement = getContainingStatement(node);
-  if (statement) {
-    const statementText = sourceCode.getText(statement);
+  return source;
+}
 
-    // Check if the same statement contains mocking setup
-    if (hasMockingInStatement(statementText, node, sourceCode)) {
-      return true;
-    }
+/**
+ * Check whether a filename matches a glob pattern. Relative patterns are
+ * resolved against rootDir, so `qa/**` only matches files below
+ * `<rootDir>/qa`; absolute patterns are matched as-is.
+ * @param {string} filename - The filename to check
+ * @param {string} glob - The glob pattern
+ * @param {string} rootDir - The directory relative patterns are resolved against
+ * @returns {boolean} Whether the filename matches
+ */
+function matchesGlob(filename, glob, rootDir) {
+  const absolute = toPosixPath(path.resolve(rootDir, filename));
+  const pattern = toPosixPath(glob);
+
+  if (path.isAbsolute(glob) || /^[A-Za-z]:\//.test(pattern)) {
+    return globToRegExp(pattern).test(absolute);
   }
 
-  // Check for mock assignments in the current block scope
-  if (isMockedInCurrentScope(node, context)) {
-    return true;
+  const relative = toPosixPath(path.relative(rootDir, absolute));
+  if (relative.startsWith('../')) {
+    return false;
   }
+  return globToRegExp(pattern.replace(/^\.\//, '')).test(relative);
+}
 
-  // Check parent context (look up to 5 levels)
-  let parent = node.parent;
-  let level = 0;
+/**
+ * Normalize Windows path separators to forward slashes
+ * @param {string} filePath - The path to normalize
+ * @returns {string} The normalized path
+ */
+function toPosixPath(filePath) {
+  return filePath.replace(/\\/g, '/');
+}
 
-  while (parent && level < 5) {
-    if (parent.type === 'CallExpression') {
-      const calleeText = sourceCode.getText(parent.callee);
+/**
+ * Glob equivalents of the patterns accepted by isTestFile, used as the
+ * default `files` of the flat config presets. Keep both lists in sync.
+ */
+const TEST_FILE_GLOBS = [
+  '**/*.{test,spec}.{js,jsx,ts,tsx,mjs,cjs}',
+  '**/*.{test,spec}.stories.{js,jsx,ts,tsx}',
+  '**/__tests__/**/*.{js,jsx,ts,tsx,mjs,cjs}',
+  '**/{test,tests,spec,specs}/**/*.{js,jsx,ts,tsx,mjs,cjs}',
+  '**/*.{e2e,integration,cy}.{js,jsx,ts,tsx}',
+  '**/cypress/**/*.{js,jsx,ts,tsx,mjs,cjs}',
+  '**/playwright/**/*.{js,jsx,ts,tsx,mjs,cjs}',
+  '**/*.{step,steps}.{js,jsx,ts,tsx}'
+];
 
-      // Check for mock setup functions
-      if (/mock|stub|spy|fake|jest\.fn|vi\.fn|sinon\./i.test(calleeText)) {
-        return true;
-      }
+/**
+ * Check if a file is a test file based on naming patterns
+ * @param {string} filename - The filename to check
+ * @param {Object} [settings] - Plugin settings from getPluginSettings
+ * @returns {boolean} Whether the file is a test file
+ */
+function isTestFile(filename, settings) {
+  if (!filename) return false;
 
-      // Check for jest.mock() or vi.mock() module mocking
-      if (parent.callee.type === 'MemberExpression' &&
-          parent.callee.object &&
-          parent.callee.property) {
-        const object = parent.callee.object.name;
-        const method = parent.callee.property.name;
-        if ((object === 'jest' || object === 'vi') && method === 'mock') {
-          return true;
-        }
-      }
+  if (settings) {
+    const { rootDir } = settings;
+    if (settings.excludeTestFilePatterns.some(glob => matchesGlob(filename, glob, rootDir))) {
+      return false;
+    }
+    if (settings.testFileMode === 'all') {
+      return true;
+    }
+    if (settings.testFilePatterns.some(glob => matchesGlob(filename, glob, rootDir))) {
+      return true;
     }
-
-    parent = parent.parent;
-    level++;
   }
 
-  return false;
+  const testPatterns = [
+    /\.(test|spec)\.(js|jsx|ts|tsx|mjs|cjs)$/,
+    /\.(test|spec)\.stories\.(js|jsx|ts|tsx)$/,
+    /(^|\/)__tests__\//,
+    /\/(test|tests|spec|specs)\//,
+    /\.(e2e|integration|cy)\.(js|jsx|ts|tsx)$/,
+    /\/cypress\//,
+    /\/playwright\//,
+    /\.steps?\.(js|jsx|ts|tsx)$/
+  ];
+  
+  return testPatterns.some(pattern => pattern.test(filename));
 }
 
 /**
- * Get the statement that contains the given node
+ * Get the identifier at the root of a member/call chain, e.g. `axios` in
+ * `axios.get(url).then(fn)`
  * @param {Object} node - The AST node
- * @returns {Object|null} The containing statement node
+ * @returns {Object|null} The root Identifier node
  */
-function getContainingStatement(node) {
+function getRootIdentifier(node) {
   let current = node;
-  while (current && current.parent) {
-    if (current.parent.type === 'ExpressionStatement' ||
-        current.parent.type === 'VariableDeclaration' ||
-        current.parent.type === 'Program' ||
-        current.parent.type === 'BlockStatement') {
-      return current;
+  while (current) {
+    if (current.type === 'Identifier') return current;
+    if (current.type === 'MemberExpression') {
+      current = current.object;
+    } else if (current.type === 'CallExpression' || current.type === 'NewExpression') {
+      current = current.callee;
+    } else {
+      return null;
     }
-    current = current.parent;
   }
-  return current;
-}
-
-/**
- * Check if a statement contains mocking setup for the given node
- * @param {string} statementText - The text of the entire statement
- * @param {Object} node - The AST node being checked
- * @param {Object} sourceCode - The source code object
- * @returns {boolean} Whether mocking is detected in the statement
- */
-function hasMockingInStatement(statementText, node, sourceCode) {
-  // Extract the object and method being called
-  if (node.callee && node.callee.type === 'MemberExpression') {
-    const objectText = sourceCode.getText(node.callee.object);
-    const methodText = node.callee.property ? node.callee.property.name : '';
-
-    // For single-line statements like: jest.spyOn(User, "create").mockResolvedValue({}); User.create(...)
-    // We need to be more flexible with the patterns
-
-    // Check for jest.spyOn patterns
-    const patterns = [
-      // jest.spyOn(User, "create") - flexible spacing and quotes
-      new RegExp(`jest\\.spyOn\\s*\\(\\s*${escapeRegex(objectText)}\\s*,\\s*["']${methodText}["']\\s*\\)`, 'i'),
-      // vi.spyOn(object, "method")
-      new RegExp(`vi\\.spyOn\\s*\\(\\s*${escapeRegex(objectText)}\\s*,\\s*["']${methodText}["']\\s*\\)`, 'i'),
-      // sinon.stub(object, "method")
-      new RegExp(`sinon\\.stub\\s*\\(\\s*${escapeRegex(objectText)}\\s*,\\s*["']${methodText}["']\\s*\\)`, 'i'),
-      // td.replace(object, "method")
-      new RegExp(`td\\.replace\\s*\\(\\s*${escapeRegex(objectText)}\\s*,\\s*["']${methodText}["']\\s*\\)`, 'i'),
-      // object.method = jest.fn() or similar
-      new RegExp(`${escapeRegex(objectText)}\\.${methodText}\\s*=\\s*(jest\\.fn|vi\\.fn|\\w*[mM]ock\\w*)`, 'i'),
-      // const mockMethod = jest.fn(); object.method = mockMethod
-      new RegExp(`const\\s+\\w*[mM]ock\\w*\\s*=\\s*\\w+\\.fn\\(\\);\\s*${escapeRegex(objectText)}\\.${methodText}\\s*=`, 'i')
-    ];
+  return null;
+}
 
-    return patterns.some(pattern => pattern.test(statementText));
-  }
+/**
+ * Find the module a top-level import or require binds to the given name
+ * @param {string} name - The local binding name
+ * @param {Object} context - The ESLint context
+ * @returns {string|null} The module specifier, or null if not imported
+ */
+function getImportSource(name, context) {
+  const { imports } = getFileAnalysis(context.getSourceCode());
+  return imports.has(name) ? imports.get(name) : null;
+}
 
-  return false;
+/**
+ * Check if a call goes through a module listed in the `mockModules` plugin
+ * setting, either by its global name (`fetch`) or an imported binding
+ * @param {Object} node - The CallExpression or NewExpression node
+ * @param {Object} context - The ESLint context
+ * @returns {boolean} Whether the call targets a globally mocked module
+ */
+function isMockedModuleCall(node, context) {
+  const { mockModules } = getPluginSettings(context);
+  if (mockModules.length === 0 || !node.callee) return false;
+
+  const root = getRootIdentifier(node.callee);
+  if (!root) return false;
+  if (mockModules.includes(root.name)) return true;
+
+  const source = getImportSource(root.name, context);
+  return source !== null && mockModules.includes(source);
 }
 
 /**
- * Check if a method has been mocked in the current scope
- * @param {Object} node - The AST node being checked
+ * Check if a function name is one of the project's custom wait utilities
+ * declared in the `customWaitUtilities` plugin setting
+ * @param {string} name - The function name
  * @param {Object} context - The ESLint context
- * @returns {boolean} Whether the method is mocked in current scope
+ * @returns {boolean} Whether the name is a custom wait utility
  */
-function isMockedInCurrentScope(node, context) {
-  if (!node.callee || node.callee.type !== 'MemberExpression') {
-    return false;
-  }
+function isCustomWaitUtility(name, context) {
+  return !!name && getPluginSettings(context).customWaitUtilities.includes(name);
+}
 
-  const sourceCode = context.getSourceCode();
-  const objectText = sourceCode.getText(node.callee.object);
-  const methodText = node.callee.property ? node.callee.property.name : '';
+/**
+ * Check if a function name is one of the project's custom render functions
+ * declared in the `customRenderFunctions` plugin setting
+ * @param {string} name - The function name
+ * @param {Object} context - The ESLint context
+ * @returns {boolean} Whether the name is a custom render function
+ */
+function isCustomRenderFunction(name, context) {
+  return !!name && getPluginSettings(context).customRenderFunctions.includes(name);
+}
 
-  // Find the current function/block scope
-  let current = node.parent;
-  while (current) {
-    if (current.type === 'FunctionExpression' ||
-        current.type === 'ArrowFunctionExpression' ||
-        current.type === 'FunctionDeclaration' ||
-        current.type === 'BlockStatement') {
-      break;
+// Testing Library functions retrying their callback until it stops throwing
+const WAIT_FUNCTIONS = new Set(['waitFor', 'waitForElement', 'wait']);
+
+/**
+ * Get the name of the wait function a call runs: `waitFor()`,
+ * `waitForElement()`, `wait()`, a member like `utils.waitFor()`, or a custom
+ * wait utility
+ * @param {Object} node - The CallExpression node
+ * @param {Object} context - The ESLint context
+ * @param {Array<string>} [extraNames=[]] - Other function names to count
+ * @returns {string|null} The function name, or null for other calls
+ */
+function getWaitFunctionName(node, context, extraNames = []) {
+  const callee = node.callee;
+  const name = callee.type === 'MemberExpression' ? !callee.computed && callee.property.name : callee.name;
+  if (!name) return null;
+  return WAIT_FUNCTIONS.has(name) || extraNames.includes(name) || isCustomWaitUtility(name, context) ? name : null;
+}
+
+/**
+ * Check if a node is inside a call to a wait function, see getWaitFunctionName
+ * @param {Object} node - The AST node
+ * @param {Object} context - The ESLint context
+ * @param {Array<string>} [extraNames=[]] - Other function names to count
+ * @returns {boolean} Whether a wait function call encloses the node
+ */
+function isInsideWaitFor(node, context, extraNames = []) {
+  for (let parent = node.parent; parent; parent = parent.parent) {
+    if (parent.type === 'CallExpression' && getWaitFunctionName(parent, context, extraNames)) {
+      return true;
     }
-    current = current.parent;
   }
+  return false;
+}
 
-  if (!current) return false;
-
-  // Check if there's a mock assignment before this call in the same scope
-  const scopeText = sourceCode.getText(current);
-  const mockPatterns = [
-    new RegExp(`${escapeRegex(objectText)}\\.${methodText}\\s*=\\s*jest\\.fn`),
-    new RegExp(`${escapeRegex(objectText)}\\.${methodText}\\s*=\\s*vi\\.fn`),
-    new RegExp(`${escapeRegex(objectText)}\\.${methodText}\\s*=\\s*\\w*[mM]ock\\w*`),
-    new RegExp(`const\\s+\\w*[mM]ock\\w*\\s*=\\s*\\w+\\.fn\\(\\);\\s*${escapeRegex(objectText)}\\.${methodText}\\s*=`)
-  ];
+/**
+ * Get the statement of the enclosing describe block (or the file) that holds
+ * a node, after which a hook covering the node can be inserted
+ * @param {Object} node - The AST node
+ * @returns {Object|null} The statement, or null when the describe callback
+ *   has an expression body
+ */
+function getHookInsertionPoint(node) {
+  let child = node;
+  for (let current = node.parent; current; child = current, current = current.parent) {
+    if (current.type === 'Program') return child;
+    if ((current.type === 'FunctionExpression' || current.type === 'ArrowFunctionExpression') &&
+        current.parent.type === 'CallExpression' && current.parent.arguments.includes(current)) {
+      const root = getRootIdentifier(current.parent.callee);
+      if (root && DESCRIBE_NAMES.has(root.name)) {
+        return current.body.type === 'BlockStatement' ? getStatementIn(node, current.body) : null;
+      }
+    }
+  }
+  return null;
+}
 
-  return mockPatterns.some(pattern => pattern.test(scopeText));
+/**
+ * Get the statement of a block that holds a node
+ * @param {Object} node - The AST node
+ * @param {Object} block - The Program or BlockStatement
+ * @returns {Object|null} The statement
+ */
+function getStatementIn(node, block) {
+  for (let current = node; current; current = current.parent) {
+    if (current.parent === block) return current;
+  }
+  return null;
 }
 
 /**
@@ -228,18 +517,7 @@ function escapeRegex(str) {
  * @returns {boolean} Whether the node is in one of the specified hooks
  */
 function isInHook(node, hookNames) {
-  let parent = node.parent;
-  
-  while (parent) {
-    if (parent.type === 'CallExpression' && 
-        parent.callee.type === 'Identifier' &&
-        hookNames.includes(parent.callee.name)) {
-      return true;
-    }
-    parent = parent.parent;
-  }
-  
-  return false;
+  return getEnclosingCallNames(node).some(name => hookNames.includes(name));
 }
 
 /**
@@ -248,20 +526,7 @@ function isInHook(node, hookNames) {
  * @returns {boolean} Whether the node is in a describe block
  */
 function isInDescribe(node) {
-  let parent = node.parent;
-  
-  while (parent) {
-    if (parent.type === 'CallExpression' && 
-        parent.callee.type === 'Identifier' &&
-        (parent.callee.name === 'describe' || 
-         parent.callee.name === 'context' ||
-         parent.callee.name === 'suite')) {
-      return true;
-    }
-    parent = parent.parent;
-  }
-  
-  return false;
+  return getEnclosingCallNames(node).some(name => DESCRIBE_NAMES.has(name));
 }
 
 /**
@@ -270,20 +535,7 @@ function isInDescribe(node) {
  * @returns {boolean} Whether the node is in a test case
  */
 function isInTest(node) {
-  let parent = node.parent;
-  
-  while (parent) {
-    if (parent.type === 'CallExpression' && 
-        parent.callee.type === 'Identifier') {
-      const name = parent.callee.name;
-      if (name === 'it' || name === 'test' || name === 'specify') {
-        return true;
-      }
-    }
-    parent = parent.parent;
-  }
-  
-  return false;
+  return getEnclosingCallNames(node).some(name => TEST_NAMES.has(name));
 }
 
 /**
@@ -301,47 +553,137 @@ function getFilename(context) {
   return '';
 }
 
+// Modules that identify a test runner, assertion library, DOM testing
+// library or end-to-end driver. Keys also match their subpaths
+// (`@wdio/globals` is matched by `@wdio`, `vitest/config` by `vitest`).
+const FRAMEWORK_MODULES = {
+  '@playwright/test': { runner: 'playwright', assertion: 'playwright', e2e: 'playwright' },
+  '@playwright/experimental-ct-react': { runner: 'playwright', assertion: 'playwright', e2e: 'playwright' },
+  'playwright': { e2e: 'playwright' },
+  'playwright-core': { e2e: 'playwright' },
+  'cypress': { runner: 'cypress', assertion: 'chai', e2e: 'cypress' },
+  'vitest': { runner: 'vitest', assertion: 'vitest' },
+  '@jest/globals': { runner: 'jest', assertion: 'jest' },
+  'jest': { runner: 'jest', assertion: 'jest' },
+  'mocha': { runner: 'mocha' },
+  'node:test': { runner: 'node:test' },
+  'node:assert': { assertion: 'node:assert' },
+  'assert': { assertion: 'node:assert' },
+  'chai': { assertion: 'chai' },
+  'expect-webdriverio': { assertion: 'webdriverio' },
+  '@wdio': { runner: 'webdriverio', assertion: 'webdriverio', e2e: 'webdriverio' },
+  'webdriverio': { e2e: 'webdriverio' },
+  'testcafe': { runner: 'testcafe', assertion: 'testcafe', e2e: 'testcafe' },
+  'puppeteer': { e2e: 'puppeteer' },
+  '@testing-library': { dom: 'testing-library' },
+  'enzyme': { dom: 'enzyme' }
+};
+
+// Globals whose member access identifies the runner when nothing is imported
+// (collected by the file analysis, see FRAMEWORK_GLOBALS in ./analysis)
+const FRAMEWORK_GLOBALS = {
+  vi: { runner: 'vitest', assertion: 'vitest' },
+  jest: { runner: 'jest', assertion: 'jest' },
+  cy: { runner: 'cypress', assertion: 'chai', e2e: 'cypress' },
+  Cypress: { runner: 'cypress', assertion: 'chai', e2e: 'cypress' }
+};
+
+// What each value of the `framework` setting implies
+const FRAMEWORK_SETTINGS = {
+  'jest': { runner: 'jest', assertion: 'jest' },
+  'vitest': { runner: 'vitest', assertion: 'vitest' },
+  'testing-library': { dom: 'testing-library' },
+  'playwright': { runner: 'playwright', assertion: 'playwright', e2e: 'playwright' },
+  'cypress': { runner: 'cypress', assertion: 'chai', e2e: 'cypress' },
+  'mocha': { runner: 'mocha' },
+  'node:test': { runner: 'node:test', assertion: 'node:assert' },
+  'webdriverio': { runner: 'webdriverio', assertion: 'webdriverio', e2e: 'webdriverio' },
+  'testcafe': { runner: 'testcafe', assertion: 'testcafe', e2e: 'testcafe' }
+};
+
 /**
- * Get the test framework being used
- * @param {Object} context - The ESLint context
- * @returns {string|null} The test framework name or null
+ * Look up what a module specifier says about the test stack
+ * @param {string} source - The imported module specifier
+ * @returns {Object|null} Partial framework descriptor, or null if unknown
  */
-function getTestFramework(context) {
-  const filename = getFilename(context);
-  const sourceCode = context.getSourceCode();
-  const text = sourceCode.getText();
-  
-  // Check imports/requires
-  if (/from ['"]@testing-library/.test(text)) {
-    return 'testing-library';
-  }
-  if (/from ['"]@playwright/.test(text)) {
-    return 'playwright';
-  }
-  if (/from ['"]cypress/.test(text)) {
-    return 'cypress';
+function getModuleFramework(source) {
+  if (typeof source !== 'string') return null;
+  const match = Object.keys(FRAMEWORK_MODULES).find(name => source === name || source.startsWith(name + '/'));
+  return match ? FRAMEWORK_MODULES[match] : null;
+}
+
+/**
+ * Detect the test stack a file uses from its imports, requires and framework
+ * globals, falling back to the runner config covering it and then to its path
+ * for Cypress and Playwright projects
+ * @param {Object} sourceCode - The ESLint SourceCode object
+ * @param {string} filename - The file being linted
+ * @param {Object|null} runnerConfig - The runner config covering the file
+ * @returns {{runner: string|null, assertion: string|null, dom: string|null, e2e: string|null}} The descriptor
+ */
+function detectFrameworks(sourceCode, filename, runnerConfig) {
+  const descriptor = { runner: null, assertion: null, dom: null, e2e: null };
+  const fill = partial => {
+    if (!partial) return;
+    Object.keys(partial).forEach(key => {
+      if (!descriptor[key]) descriptor[key] = partial[key];
+    });
+  };
+
+  const { importedModules, frameworkGlobals } = getFileAnalysis(sourceCode);
+  importedModules.forEach(source => fill(getModuleFramework(source)));
+  frameworkGlobals.forEach(name => fill(FRAMEWORK_GLOBALS[name]));
+
+  if (!descriptor.runner && !descriptor.e2e && runnerConfig) {
+    fill(FRAMEWORK_SETTINGS[runnerConfig.runner]);
   }
-  if (/from ['"]vitest/.test(text)) {
-    return 'vitest';
+  if (!descriptor.runner && !descriptor.e2e) {
+    const posixFilename = toPosixPath(filename);
+    if (/\/cypress\//i.test(posixFilename) || /\.cy\./i.test(posixFilename)) {
+      fill(FRAMEWORK_SETTINGS.cypress);
+    } else if (/\/playwright\//i.test(posixFilename)) {
+      fill(FRAMEWORK_SETTINGS.playwright);
+    }
   }
-  if (/from ['"]jest/.test(text)) {
-    return 'jest';
+
+  return descriptor;
+}
+
+/**
+ * Describe the test stack of the file being linted. The `framework` setting
+ * takes precedence; everything it does not pin down is detected from the
+ * file's imports and cached for the other rules linting the same file.
+ * @param {Object} context - The ESLint context
+ * @returns {{runner: string|null, assertion: string|null, dom: string|null, e2e: string|null}} The descriptor
+ */
+function getFrameworkInfo(context) {
+  const sourceCode = context.getSourceCode();
+  const analysis = getFileAnalysis(sourceCode);
+  const { framework, runnerConfig } = getPluginSettings(context);
+  if (!analysis.framework) {
+    analysis.framework = detectFrameworks(sourceCode, getFilename(context), runnerConfig);
   }
-  
-  // Check global usage
-  if (/\b(describe|it|expect)\s*\(/.test(text)) {
-    if (/\bvi\./.test(text)) return 'vitest';
-    if (/\bjest\./.test(text)) return 'jest';
-    if (/\bcy\./.test(text)) return 'cypress';
+  const detected = analysis.framework;
+
+  return framework ? { ...detected, ...FRAMEWORK_SETTINGS[framework] } : { ...detected };
+}
+
+/**
+ * Get the test framework being used, collapsed to the single name rules use to
+ * pick framework-specific messages and fixes
+ * @param {Object} context - The ESLint context
+ * @returns {string|null} The test framework name or null
+ */
+function getTestFramework(context) {
+  const { framework } = getPluginSettings(context);
+  if (framework) {
+    return framework;
   }
-  
-  // Check file path
-  if (/\/cypress\//i.test(filename)) return 'cypress';
-  if (/\/playwright\//i.test(filename)) return 'playwright';
-  if (/\.cy\./i.test(filename)) return 'cypress';
-  if (/\.spec\./i.test(filename)) return 'jest'; // Default assumption
-  
-  return null;
+
+  const { runner, dom, e2e } = getFrameworkInfo(context);
+  if (e2e === 'playwright' || e2e === 'cypress') return e2e;
+  if (dom === 'testing-library') return dom;
+  return runner || e2e;
 }
 
 /**
@@ -468,14 +810,8 @@ function ensureAsyncFunction(fixer, funcNode) {
   return [fixer.insertTextBefore(funcNode, 'async ')];
 }
 
-/**
- * Return fixer operations to add a waitFor import if needed
- * @param {Object} fixer - The ESLint fixer object
- * @param {Object} context - The ESLint rule context
- * @returns {Array|null} Array of fixer operations, empty array if already imported, or null if framework incompatible
- */
-// Modules known to export waitFor — only these should be augmented
-const WAITFOR_MODULES = new Set([
+// Modules known to export waitFor, screen and within — only these should be augmented
+const TESTING_LIBRARY_MODULES = new Set([
   '@testing-library/react',
   '@testing-library/dom',
   '@testing-library/vue',
@@ -484,25 +820,33 @@ const WAITFOR_MODULES = new Set([
   '@testing-library/preact',
 ]);
 
-function addWaitForImport(fixer, context) {
-  const framework = getTestFramework(context);
-  if (framework === 'playwright' || framework === 'cypress') {
+/**
+ * Return fixer operations to import a Testing Library export, such as
+ * screen or within, if needed
+ * @param {Object} fixer - The ESLint fixer object
+ * @param {Object} context - The ESLint rule context
+ * @param {string} name - The export to import
+ * @returns {Array|null} Array of fixer operations, empty array if already imported, or null if framework incompatible
+ */
+function addTestingLibraryImport(fixer, context, name) {
+  // Browser drivers have their own APIs; these exports only exist for DOM tests
+  if (getFrameworkInfo(context).e2e) {
     return null;
   }
 
   const sourceCode = context.getSourceCode();
   const ast = sourceCode.ast;
 
-  // AST-based check: is waitFor already imported/available?
+  // AST-based check: is the name already imported/available?
   if (ast && ast.body) {
     for (const node of ast.body) {
-      // import { waitFor } / import waitFor / import { x as waitFor }
+      // import { name } / import name / import { x as name }
       if (node.type === 'ImportDeclaration') {
-        if (node.specifiers.some(s => s.local && s.local.name === 'waitFor')) {
+        if (node.specifiers.some(s => s.local && s.local.name === name)) {
           return [];
         }
       }
-      // const { waitFor } = require(...) / const waitFor = require(...).waitFor
+      // const { name } = require(...) / const name = require(...).name
       if (node.type === 'VariableDeclaration') {
         for (const decl of node.declarations) {
           if (!decl.init) continue;
@@ -511,10 +855,10 @@ function addWaitForImport(fixer, context) {
           const isRequireMember = init.type === 'MemberExpression' && init.object &&
             init.object.type === 'CallExpression' && init.object.callee && init.object.callee.name === 'require';
           if (!isRequire && !isRequireMember) continue;
-          if (decl.id.type === 'Identifier' && decl.id.name === 'waitFor') return [];
+          if (decl.id.type === 'Identifier' && decl.id.name === name) return [];
           if (decl.id.type === 'ObjectPattern') {
             if (decl.id.properties.some(p => p.type === 'Property' &&
-              ((p.key && p.key.name === 'waitFor') || (p.value && p.value.name === 'waitFor')))) {
+              ((p.key && p.key.name === name) || (p.value && p.value.name === name)))) {
               return [];
             }
           }
@@ -523,24 +867,24 @@ function addWaitForImport(fixer, context) {
     }
   }
 
-  // Try to augment an existing @testing-library import that actually exports waitFor
+  // Try to augment an existing @testing-library import that actually exports the name
   if (ast && ast.body) {
     for (const node of ast.body) {
       if (node.type === 'ImportDeclaration' &&
           node.source && node.source.value &&
-          WAITFOR_MODULES.has(node.source.value)) {
+          TESTING_LIBRARY_MODULES.has(node.source.value)) {
         const namedSpecifiers = node.specifiers.filter(s => s.type === 'ImportSpecifier');
         if (namedSpecifiers.length > 0) {
           const lastNamed = namedSpecifiers[namedSpecifiers.length - 1];
-          return [fixer.insertTextAfter(lastNamed, ', waitFor')];
+          return [fixer.insertTextAfter(lastNamed, `, ${name}`)];
         }
         // Namespace/default — add a separate named import on the next line
-        return [fixer.insertTextAfter(node, '\nimport { waitFor } from \'' + node.source.value + '\';')];
+        return [fixer.insertTextAfter(node, `\nimport { ${name} } from '${node.source.value}';`)];
       }
     }
   }
 
-  // Try to augment an existing @testing-library require that actually exports waitFor
+  // Try to augment an existing @testing-library require that actually exports the name
   if (ast && ast.body) {
     for (const node of ast.body) {
       if (node.type === 'VariableDeclaration') {
@@ -550,10 +894,10 @@ function addWaitForImport(fixer, context) {
           const isRequire = init.type === 'CallExpression' && init.callee && init.callee.name === 'require';
           if (!isRequire) continue;
           const requireArg = init.arguments && init.arguments[0];
-          if (!requireArg || !WAITFOR_MODULES.has(requireArg.value)) continue;
+          if (!requireArg || !TESTING_LIBRARY_MODULES.has(requireArg.value)) continue;
           if (decl.id.type === 'ObjectPattern' && decl.id.properties.length > 0) {
             const lastProp = decl.id.properties[decl.id.properties.length - 1];
-            return [fixer.insertTextAfter(lastProp, ', waitFor')];
+            return [fixer.insertTextAfter(lastProp, `, ${name}`)];
           }
         }
       }
@@ -571,31 +915,53 @@ function addWaitForImport(fixer, context) {
       )
     );
     if (isCJS) {
-      return [fixer.insertTextBefore(firstNode, 'const { waitFor } = require(\'@testing-library/react\');\n')];
+      return [fixer.insertTextBefore(firstNode, `const { ${name} } = require('@testing-library/react');\n`)];
     }
-    return [fixer.insertTextBefore(firstNode, 'import { waitFor } from \'@testing-library/react\';\n')];
+    return [fixer.insertTextBefore(firstNode, `import { ${name} } from '@testing-library/react';\n`)];
   }
 
   return [];
 }
 
+/**
+ * Return fixer operations to add a waitFor import if needed
+ * @param {Object} fixer - The ESLint fixer object
+ * @param {Object} context - The ESLint rule context
+ * @returns {Array|null} Array of fixer operations, empty array if already imported, or null if framework incompatible
+ */
+function addWaitForImport(fixer, context) {
+  return addTestingLibraryImport(fixer, context, 'waitFor');
+}
+
 module.exports = {
+  SETTINGS_SCHEMA,
+  TEST_FILE_GLOBS,
+  getPluginSettings,
+  getCwd,
+  globToRegExp,
+  matchesGlob,
   isTestFile,
-  isInMockContext,
+  getRootIdentifier,
+  getImportSource,
+  isMockedModuleCall,
+  isCustomWaitUtility,
+  isCustomRenderFunction,
+  getWaitFunctionName,
+  isInsideWaitFor,
   isInHook,
   isInDescribe,
   isInTest,
+  getFrameworkInfo,
   getTestFramework,
   isPromise,
   getIndentation,
   isUrl,
   isDataUrl,
   getFilename,
-  getContainingStatement,
-  hasMockingInStatement,
-  isMockedInCurrentScope,
+  getHookInsertionPoint,
   escapeRegex,
   findEnclosingFunction,
   ensureAsyncFunction,
+  addTestingLibraryImport,
   addWaitForImport
 };
\ No newline at end of file
@@ -0,0 +1,256 @@
+/**
+ * @fileoverview Resolve whether a call in a test file goes through a mock
+ * @author eslint-plugin-test-flakiness
+ */
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { builtinModules } = require('module');
+
+const { getPluginSettings, getRootIdentifier, isMockedModuleCall } = require('./helpers');
+const { MOCK_FUNCTION_CALLS, MODULE_MOCK_CALLS, getMemberPath, getFileAnalysis } = require('./analysis');
+const { getSetupFacts } = require('./setup-files');
+
+// Methods whose function argument becomes a mock's implementation
+const MOCK_IMPLEMENTATION_METHODS = new Set([
+  'mockImplementation',
+  'mockImplementationOnce',
+  'callsFake',
+  'thenCall'
+]);
+
+// Mocking libraries; calls made on them set up mocks rather than doing I/O
+const MOCK_LIBRARIES = new Set(['jest', 'vi', 'sinon', 'td']);
+
+const MANUAL_MOCK_EXTENSIONS = ['.js', '.cjs', '.mjs', '.jsx', '.ts', '.tsx'];
+const BUILTIN_MODULES = new Set(builtinModules);
+
+// Manual mock lookups, keyed by root directory and module
+const manualMockCache = new Map();
+
+/**
+ * Normalize a module specifier so `node:fs` and `fs` compare equal
+ * @param {string} source - The module specifier
+ * @returns {string} The normalized specifier
+ */
+function normalizeModule(source) {
+  return source.startsWith('node:') ? source.slice(5) : source;
+}
+
+/**
+ * Check if a package has a manual mock in the `__mocks__` directory next to
+ * node_modules, which Jest uses without an explicit jest.mock() call. Node
+ * core modules and relative imports are only mocked when jest.mock() asks.
+ * @param {string} source - The module specifier
+ * @param {string} rootDir - The project root
+ * @returns {boolean} Whether a root-level manual mock exists
+ */
+function hasManualMock(source, rootDir) {
+  const name = normalizeModule(source);
+  if (name.startsWith('.') || path.isAbsolute(name) || BUILTIN_MODULES.has(name)) {
+    return false;
+  }
+
+  const key = `${rootDir}\0${name}`;
+  if (!manualMockCache.has(key)) {
+    const base = path.join(rootDir, '__mocks__', name);
+    manualMockCache.set(key, MANUAL_MOCK_EXTENSIONS.some(ext => fs.existsSync(base + ext)));
+  }
+  return manualMockCache.get(key);
+}
+
+/**
+ * Check if a mock set up in `scope` applies to `node`
+ * @param {Object} scope - The Program or describe/test callback the mock was set up in
+ * @param {Object} node - The AST node using the mocked value
+ * @returns {boolean} Whether node is inside scope
+ */
+function isInScope(scope, node) {
+  if (!scope || scope.type === 'Program') return true;
+  for (let current = node; current; current = current.parent) {
+    if (current === scope) return true;
+  }
+  return false;
+}
+
+/**
+ * Check if a module is mocked where a node runs, by jest.mock()/vi.mock(),
+ * a scoped doMock()/unstable_mockModule(), a global setup file, or a root `__mocks__` file
+ * @param {string} source - The module specifier
+ * @param {Object} node - The AST node using the module
+ * @param {Object} context - The ESLint context
+ * @returns {boolean} Whether the module is mocked for node
+ */
+function isModuleMockedAt(source, node, context) {
+  const { mocks } = getFileAnalysis(context.getSourceCode());
+  const name = normalizeModule(source);
+
+  for (const [mocked, scopes] of mocks.modules) {
+    if (normalizeModule(mocked) === name && scopes.some(scope => isInScope(scope, node))) {
+      return true;
+    }
+  }
+  for (const mocked of getSetupFacts(context).mockedModules) {
+    if (normalizeModule(mocked) === name) return true;
+  }
+  return hasManualMock(source, getPluginSettings(context).rootDir);
+}
+
+/**
+ * Check if `object.property` has been replaced by a spy or stub where a node
+ * runs, e.g. `jest.spyOn(global, 'fetch')` in the enclosing describe block
+ * @param {string} object - Dotted path of the object, `global` for globals
+ * @param {string} property - The replaced property
+ * @param {Object} node - The AST node using the member
+ * @param {Object} context - The ESLint context
+ * @returns {boolean} Whether the member is mocked for node
+ */
+function isMemberMockedAt(object, property, node, context) {
+  const { mocks } = getFileAnalysis(context.getSourceCode());
+  return mocks.members.some(mock =>
+    mock.object === object && mock.property === property && isInScope(mock.scope, node));
+}
+
+/**
+ * Check if a node is part of a mock's implementation, such as the body of
+ * `jest.fn(() => fetch(url))` or a jest.mock() factory
+ * @param {Object} node - The AST node
+ * @returns {boolean} Whether the node only runs as part of a mock
+ */
+function isInMockImplementation(node) {
+  for (let child = node, parent = node.parent; parent; child = parent, parent = parent.parent) {
+    if (parent.type !== 'CallExpression' || !parent.arguments.includes(child)) continue;
+
+    const calleePath = getMemberPath(parent.callee);
+    if (MOCK_FUNCTION_CALLS.has(calleePath) || MODULE_MOCK_CALLS.has(calleePath)) {
+      return true;
+    }
+    if (parent.callee.type === 'MemberExpression' && !parent.callee.computed &&
+        MOCK_IMPLEMENTATION_METHODS.has(parent.callee.property.name)) {
+      return true;
+    }
+  }
+  return false;
+}
+
+/**
+ * Find the variable an identifier refers to, searching outwards from its scope
+ * @param {Object} identifier - The Identifier node
+ * @param {Object} context - The ESLint context
+ * @returns {Object|null} The scope Variable, or null if none is declared
+ */
+function findVariable(identifier, context) {
+  const sourceCode = context.getSourceCode();
+  let scope = sourceCode.getScope ? sourceCode.getScope(identifier) : context.getScope();
+  while (scope) {
+    const variable = scope.set.get(identifier.name);
+    if (variable) return variable;
+    scope = scope.upper;
+  }
+  return null;
+}
+
+/**
+ * Get the module specifier an expression loads, for `require('x')`,
+ * `require('x').y` and `await import('x')`
+ * @param {Object} node - The expression
+ * @returns {string|null} The module specifier
+ */
+function getLoadedModule(node) {
+  let current = node;
+  if (current.type === 'AwaitExpression') current = current.argument;
+  while (current.type === 'MemberExpression') current = current.object;
+
+  if (current.type === 'ImportExpression' && current.source.type === 'Literal') {
+    return current.source.value;
+  }
+  if (current.type === 'CallExpression' && current.callee.type === 'Identifier' &&
+      current.callee.name === 'require' && current.arguments[0] && current.arguments[0].type === 'Literal') {
+    return current.arguments[0].value;
+  }
+  return null;
+}
+
+/**
+ * Resolve the module an identifier is bound to through imports, requires and
+ * local aliases such as `const client = axios.create()`. Identifiers with no
+ * declaration resolve to their own name, so a global `axios` counts as the
+ * `axios` module.
+ * @param {Object} identifier - The Identifier node
+ * @param {Object} context - The ESLint context
+ * @param {number} [depth] - Alias hops followed so far
+ * @returns {string|null} The module specifier, or null for a local value
+ */
+function resolveModule(identifier, context, depth = 0) {
+  const variable = findVariable(identifier, context);
+  if (!variable || variable.defs.length === 0) {
+    return identifier.name;
+  }
+
+  const def = variable.defs[0];
+  if (def.type === 'ImportBinding') {
+    return def.parent.source.value;
+  }
+  if (def.type !== 'Variable' || !def.node.init) {
+    return null;
+  }
+
+  const loaded = getLoadedModule(def.node.init);
+  if (loaded !== null) return loaded;
+
+  const aliased = getRootIdentifier(def.node.init);
+  if (aliased && aliased.name !== identifier.name && depth < 5) {
+    return resolveModule(aliased, context, depth + 1);
+  }
+  return null;
+}
+
+/**
+ * Check if a call or `new` expression actually goes through a mock where it
+ * runs: a module mocked for the binding it is called on, a spy or stub on the
+ * called member or global in an enclosing scope, a mock implementation, a
+ * call on the mocking library itself, or a module listed in the `mockModules` setting
+ * @param {Object} node - The CallExpression or NewExpression node
+ * @param {Object} context - The ESLint context
+ * @param {Array<string>} [alsoMockedBy] - Other modules whose mocks cover this call,
+ *   e.g. `node-fetch` for the global `fetch`
+ * @returns {boolean} Whether the call is mocked
+ */
+function isCallMocked(node, context, alsoMockedBy = []) {
+  if (isMockedModuleCall(node, context) || isInMockImplementation(node)) {
+    return true;
+  }
+
+  const callee = node.callee;
+  const root = getRootIdentifier(callee);
+  if (root && MOCK_LIBRARIES.has(root.name)) {
+    return true;
+  }
+  const source = root ? resolveModule(root, context) : null;
+
+  // Spies and stubs on the called member, or on a global function
+  const calleePath = getMemberPath(callee);
+  if (calleePath !== null) {
+    const dot = calleePath.lastIndexOf('.');
+    const isGlobal = dot === -1 && source === root.name;
+    const object = dot === -1 ? (isGlobal ? 'global' : null) : calleePath.slice(0, dot);
+    if (object !== null && isMemberMockedAt(object, calleePath.slice(dot + 1), node, context)) {
+      return true;
+    }
+  }
+
+  const modules = source !== null ? [source, ...alsoMockedBy] : alsoMockedBy;
+  return modules.some(module => isModuleMockedAt(module, node, context));
+}
+
+module.exports = {
+  hasManualMock,
+  isInScope,
+  isModuleMockedAt,
+  isMemberMockedAt,
+  isInMockImplementation,
+  findVariable,
+  resolveModule,
+  isCallMocked
+};
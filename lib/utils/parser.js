@@ -0,0 +1,60 @@
+/**
+ * @fileoverview Parse project files other than the one being linted, such as
+ * global setup files and runner configs, with the linted file's parser
+ * @author eslint-plugin-test-flakiness
+ */
+'use strict';
+
+/**
+ * Get the parser of the file being linted with its options, so other files
+ * written in the same dialect (TypeScript, JSX) parse the same way
+ * @param {Object} context - The ESLint context
+ * @returns {{parser: Object, options: Object}|null} The parser, or null if unavailable
+ */
+function getParser(context) {
+  const languageOptions = context.languageOptions;
+  if (languageOptions && languageOptions.parser) {
+    return {
+      parser: languageOptions.parser,
+      options: {
+        ecmaVersion: languageOptions.ecmaVersion,
+        sourceType: languageOptions.sourceType,
+        ...languageOptions.parserOptions
+      }
+    };
+  }
+  if (context.parserPath) {
+    return { parser: require(context.parserPath), options: { ...context.parserOptions } };
+  }
+  return null;
+}
+
+/**
+ * Parse a file, returning null when it cannot be parsed
+ * @param {string} text - The file contents
+ * @param {string} file - Absolute path of the file
+ * @param {Object} context - The ESLint context
+ * @returns {{ast: Object, visitorKeys: Object}|null} The AST and its visitor keys
+ */
+function parseFile(text, file, context) {
+  const found = typeof context.getSourceCode === 'function' ? getParser(context) : null;
+  if (!found) return null;
+
+  const options = { ...found.options, loc: true, range: true, tokens: true, comment: true, filePath: file };
+  // Parsers without their own keys share the linted file's, which also keeps
+  // the walk off properties parser wrappers define, such as RuleTester's `start`
+  const defaultKeys = context.getSourceCode().visitorKeys;
+  try {
+    if (typeof found.parser.parseForESLint === 'function') {
+      const result = found.parser.parseForESLint(text, options);
+      return { ast: result.ast, visitorKeys: result.visitorKeys || defaultKeys };
+    }
+    return { ast: found.parser.parse(text, options), visitorKeys: defaultKeys };
+  } catch {
+    return null;
+  }
+}
+
+module.exports = {
+  parseFile
+};
@@ -0,0 +1,114 @@
+/**
+ * @fileoverview Playwright assertions and their promises. Web-first
+ * assertions such as `expect(locator).toBeVisible()` retry until the
+ * condition holds, so they return a promise the test has to await; plain
+ * value matchers on something read once do not retry at all.
+ * @author eslint-plugin-test-flakiness
+ */
+'use strict';
+
+const { getFrameworkInfo } = require('./helpers');
+const { getMemberPath } = require('./analysis');
+
+// Matchers that retry against a locator, page or API response
+const WEB_FIRST_MATCHERS = new Set([
+  'toBeAttached', 'toBeChecked', 'toBeDisabled', 'toBeEditable', 'toBeEmpty', 'toBeEnabled',
+  'toBeFocused', 'toBeHidden', 'toBeInViewport', 'toBeVisible', 'toContainText',
+  'toHaveAccessibleDescription', 'toHaveAccessibleName', 'toHaveAttribute', 'toHaveClass',
+  'toHaveCount', 'toHaveCSS', 'toHaveId', 'toHaveJSProperty', 'toHaveRole', 'toHaveScreenshot',
+  'toHaveText', 'toHaveTitle', 'toHaveURL', 'toHaveValue', 'toHaveValues', 'toBeOK', 'toPass'
+]);
+
+// Modifiers between expect() and the matcher
+const EXPECT_MODIFIERS = new Set(['not', 'resolves', 'rejects']);
+
+// Calls that settle an array of promises
+const PROMISE_COMBINATORS = new Set(['Promise.all', 'Promise.allSettled', 'Promise.race', 'Promise.any']);
+
+/**
+ * Check whether the file being linted is a Playwright test
+ * @param {Object} context - The ESLint context
+ * @returns {boolean} Whether Playwright drives the file
+ */
+function isPlaywrightFile(context) {
+  return getFrameworkInfo(context).e2e === 'playwright';
+}
+
+/**
+ * Split a matcher call like `expect.soft(locator, 'msg').not.toHaveText(x)`
+ * into its parts
+ * @param {Object} node - The CallExpression node
+ * @returns {Object|null} `{ expectCall, expectCallee, actual, matcher, negated,
+ *   modifiers, kind }`, where kind is `soft`, `poll` or null; null when node
+ *   is not a matcher call
+ */
+function parseExpectCall(node) {
+  const callee = node.callee;
+  if (callee.type !== 'MemberExpression' || callee.computed || callee.property.type !== 'Identifier') return null;
+
+  const modifiers = [];
+  let object = callee.object;
+  while (object.type === 'MemberExpression' && !object.computed && EXPECT_MODIFIERS.has(object.property.name)) {
+    modifiers.unshift(object.property.name);
+    object = object.object;
+  }
+  if (object.type !== 'CallExpression') return null;
+
+  const path = getMemberPath(object.callee);
+  if (path !== 'expect' && path !== 'expect.soft' && path !== 'expect.poll') return null;
+
+  return {
+    expectCall: object,
+    actual: object.arguments[0] || null,
+    matcher: callee.property.name,
+    negated: modifiers.includes('not'),
+    modifiers,
+    kind: path === 'expect' ? null : path.slice('expect.'.length)
+  };
+}
+
+/**
+ * Check whether a matcher call returns a promise: a web-first matcher,
+ * anything on `expect.poll()` and `resolves`/`rejects` chains
+ * @param {Object} parsed - Result of parseExpectCall
+ * @returns {boolean} Whether the assertion is async
+ */
+function isAsyncAssertion(parsed) {
+  return WEB_FIRST_MATCHERS.has(parsed.matcher) || parsed.kind === 'poll' ||
+    parsed.modifiers.includes('resolves') || parsed.modifiers.includes('rejects');
+}
+
+/**
+ * Check whether the promise a call returns is awaited, returned, chained
+ * with then/catch/finally, or settled by an awaited `Promise.all()`
+ * @param {Object} node - The CallExpression node
+ * @returns {boolean} Whether the promise is handled
+ */
+function isPromiseHandled(node) {
+  const parent = node.parent;
+  switch (parent.type) {
+    case 'AwaitExpression':
+    case 'ReturnStatement':
+      return true;
+    case 'ArrowFunctionExpression':
+      return parent.body === node;
+    case 'MemberExpression':
+      return parent.object === node && !parent.computed &&
+        ['then', 'catch', 'finally'].includes(parent.property.name);
+    case 'ArrayExpression': {
+      const call = parent.parent;
+      return call.type === 'CallExpression' && call.arguments[0] === parent &&
+        PROMISE_COMBINATORS.has(getMemberPath(call.callee)) && isPromiseHandled(call);
+    }
+    default:
+      return false;
+  }
+}
+
+module.exports = {
+  WEB_FIRST_MATCHERS,
+  isPlaywrightFile,
+  parseExpectCall,
+  isAsyncAssertion,
+  isPromiseHandled
+};
@@ -0,0 +1,200 @@
+/**
+ * @fileoverview Testing Library queries and the accessible query a CSS
+ * selector or test id stands for. Queries are ranked by the priority the
+ * Testing Library docs recommend: queries that find elements the way users
+ * and assistive technology do come first, test ids last.
+ * @author eslint-plugin-test-flakiness
+ */
+'use strict';
+
+const { getFrameworkInfo } = require('./helpers');
+
+// The `By*` part of each query, highest priority first
+const QUERY_PRIORITY = ['Role', 'LabelText', 'PlaceholderText', 'Text', 'DisplayValue', 'AltText', 'Title', 'TestId'];
+
+const QUERY_NAME_REGEX = new RegExp(`^(get|query|find)(All)?By(${QUERY_PRIORITY.join('|')})$`);
+
+// Elements with an implicit ARIA role regardless of their attributes
+const TAG_ROLES = new Map([
+  ['button', 'button'],
+  ['h1', 'heading'], ['h2', 'heading'], ['h3', 'heading'], ['h4', 'heading'], ['h5', 'heading'], ['h6', 'heading'],
+  ['nav', 'navigation'],
+  ['main', 'main'],
+  ['ul', 'list'], ['ol', 'list'], ['li', 'listitem'],
+  ['table', 'table'], ['tr', 'row'], ['td', 'cell'],
+  ['select', 'combobox'],
+  ['option', 'option'],
+  ['textarea', 'textbox'],
+  ['dialog', 'dialog'],
+  ['progress', 'progressbar'],
+  ['article', 'article'],
+  ['aside', 'complementary']
+]);
+
+// Roles of `<input>` by type; an input without a type is a text box
+const INPUT_ROLES = new Map([
+  ['text', 'textbox'], ['email', 'textbox'], ['tel', 'textbox'], ['url', 'textbox'],
+  ['search', 'searchbox'],
+  ['checkbox', 'checkbox'],
+  ['radio', 'radio'],
+  ['number', 'spinbutton'],
+  ['range', 'slider'],
+  ['submit', 'button'], ['button', 'button'], ['reset', 'button']
+]);
+
+// Words in a test id naming the role of the element, e.g. `submit-button`
+const TEST_ID_ROLES = new Map([
+  ['button', 'button'], ['btn', 'button'],
+  ['link', 'link'],
+  ['input', 'textbox'], ['textbox', 'textbox'], ['field', 'textbox'],
+  ['checkbox', 'checkbox'],
+  ['radio', 'radio'],
+  ['heading', 'heading'],
+  ['dialog', 'dialog'], ['modal', 'dialog'],
+  ['list', 'list'],
+  ['select', 'combobox'], ['combobox', 'combobox'], ['dropdown', 'combobox'],
+  ['image', 'img'], ['img', 'img'],
+  ['table', 'table'],
+  ['row', 'row'],
+  ['tab', 'tab'],
+  ['alert', 'alert'],
+  ['slider', 'slider'],
+  ['switch', 'switch'],
+  ['menu', 'menu'],
+  ['navigation', 'navigation'], ['nav', 'navigation']
+]);
+
+// A compound selector of a tag and attribute selectors, such as
+// `button[aria-label="Close"]`
+const SELECTOR_REGEX = /^([a-z][a-z0-9]*)?((?:\[[^\]]+\])*)$/i;
+const ATTRIBUTE_REGEX = /\[\s*([\w-]+)\s*(?:=\s*(?:"([^"]*)"|'([^']*)'|([^\]\s"']+)))?\s*\]/g;
+
+/**
+ * Check whether the file being linted uses Testing Library
+ * @param {Object} context - The ESLint context
+ * @returns {boolean} Whether Testing Library queries are available
+ */
+function isTestingLibraryFile(context) {
+  return getFrameworkInfo(context).dom === 'testing-library';
+}
+
+/**
+ * Split a query name like `queryAllByRole` into its parts
+ * @param {string} name - The function name
+ * @returns {Object|null} `{ variant, all, by }`, e.g. `{ variant: 'query',
+ *   all: true, by: 'Role' }`; null when name is not a query
+ */
+function parseQueryName(name) {
+  const match = QUERY_NAME_REGEX.exec(name);
+  return match ? { variant: match[1], all: Boolean(match[2]), by: match[3] } : null;
+}
+
+/**
+ * Parse the attribute selectors of a compound selector
+ * @param {string} text - The `[...]` part of the selector
+ * @returns {Map<string, string|null>|null} Attribute name to value, null for
+ *   a presence check; null when the text holds anything else
+ */
+function parseAttributes(text) {
+  const attributes = new Map();
+  let rest = text;
+  for (const match of text.matchAll(ATTRIBUTE_REGEX)) {
+    const value = [match[2], match[3], match[4]].find(part => part !== undefined);
+    attributes.set(match[1].toLowerCase(), value === undefined ? null : value);
+    rest = rest.replace(match[0], '');
+  }
+  return rest === '' ? attributes : null;
+}
+
+/**
+ * Get the implicit role of an element from its tag and attributes
+ * @param {string|null} tag - The lowercase tag name
+ * @param {Map<string, string|null>} attributes - The attribute selectors
+ * @returns {string|null} The role, or null without an obvious one
+ */
+function getImplicitRole(tag, attributes) {
+  if (tag === 'input') return INPUT_ROLES.get(attributes.get('type') || 'text') || null;
+  if (tag === 'a') return attributes.has('href') ? 'link' : null;
+  if (tag === 'img') return attributes.get('alt') ? 'img' : null;
+  return TAG_ROLES.get(tag) || null;
+}
+
+/**
+ * Get the accessible query matching a CSS selector, when the selector only
+ * says things a query can: a tag with an implicit role, and `role`,
+ * `aria-label`, `placeholder`, `alt`, `title` or test id attributes
+ * @param {string} selector - The CSS selector
+ * @param {string} testIdAttribute - The attribute `*ByTestId` queries read
+ * @returns {Object|null} `{ by, value, options }`, where options holds the
+ *   `name` and `level` of a role query; null without an obvious query
+ */
+function getSelectorQuery(selector, testIdAttribute) {
+  const match = SELECTOR_REGEX.exec(selector.trim());
+  if (!match || (!match[1] && !match[2])) return null;
+  const tag = match[1] ? match[1].toLowerCase() : null;
+  const attributes = parseAttributes(match[2]);
+  if (!attributes) return null;
+
+  const allowed = new Set(['role', 'aria-label', 'placeholder', 'alt', 'title', testIdAttribute]);
+  if (tag === 'input' || tag === 'button') allowed.add('type');
+  if (tag === 'a') allowed.add('href');
+  for (const [name, value] of attributes) {
+    if (!allowed.has(name) || (value === null && name !== 'href')) return null;
+  }
+
+  const label = attributes.get('aria-label');
+  const role = attributes.get('role') ||
+    (attributes.has('placeholder') || attributes.has('title') ? null : getImplicitRole(tag, attributes));
+  if (role) {
+    const options = {};
+    const name = label || (role === 'img' ? attributes.get('alt') : null);
+    if (name) options.name = name;
+    if (!attributes.has('role') && /^h[1-6]$/.test(tag)) options.level = Number(tag[1]);
+    return { by: 'Role', value: role, options };
+  }
+  // Any other tag narrows the selector in a way no query can
+  if (tag && !TAG_ROLES.has(tag) && !['input', 'img', 'a'].includes(tag)) return null;
+  if (label) return { by: 'LabelText', value: label, options: {} };
+  if (attributes.has('placeholder')) return { by: 'PlaceholderText', value: attributes.get('placeholder'), options: {} };
+  if (attributes.has('alt')) return { by: 'AltText', value: attributes.get('alt'), options: {} };
+  if (attributes.has('title')) return { by: 'Title', value: attributes.get('title'), options: {} };
+  if (attributes.has(testIdAttribute)) return { by: 'TestId', value: attributes.get(testIdAttribute), options: {} };
+  return null;
+}
+
+/**
+ * Get the role a test id names by its last word, e.g. `button` for
+ * `submit-button` or `saveBtn`. Earlier words only qualify the element:
+ * `user-list-item` is an item, not a list.
+ * @param {string} testId - The test id
+ * @returns {string|null} The role, or null when the last word names none
+ */
+function getTestIdRole(testId) {
+  const words = testId.replace(/([a-z0-9])([A-Z])/g, '$1 $2').toLowerCase().split(/[^a-z0-9]+/).filter(Boolean);
+  const last = words[words.length - 1];
+  return TEST_ID_ROLES.get(last) || null;
+}
+
+/**
+ * Format a query call, e.g. `getByRole('heading', { level: 1 })`
+ * @param {string} variant - `get`, `query` or `find`
+ * @param {boolean} all - Whether to call the `*AllBy*` query
+ * @param {Object} query - Result of getSelectorQuery
+ * @returns {string} The call source
+ */
+function formatQuery(variant, all, query) {
+  const quote = value => `'${value.replace(/\\/g, '\\\\').replace(/'/g, '\\\'')}'`;
+  const options = Object.entries(query.options)
+    .map(([key, value]) => `${key}: ${typeof value === 'string' ? quote(value) : value}`);
+  const args = [quote(query.value)];
+  if (options.length > 0) args.push(`{ ${options.join(', ')} }`);
+  return `${variant}${all ? 'All' : ''}By${query.by}(${args.join(', ')})`;
+}
+
+module.exports = {
+  isTestingLibraryFile,
+  parseQueryName,
+  getSelectorQuery,
+  getTestIdRole,
+  formatQuery
+};
@@ -0,0 +1,340 @@
+/**
+ * @fileoverview Read Jest, Vitest and Playwright configs statically, without
+ * executing them, and describe what they set up for the tests they cover
+ * Timeouts and retries are left out on purpose: no rule reports differently
+ * depending on how long or how often a test may run.
+ * @author eslint-plugin-test-flakiness
+ */
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+const { parseFile } = require('./parser');
+
+// Config files looked up in rootDir when the `runnerConfigs` setting is `true`
+const RUNNER_CONFIG_FILES = [
+  'jest.config.js', 'jest.config.cjs', 'jest.config.mjs', 'jest.config.ts', 'jest.config.json',
+  'vitest.config.js', 'vitest.config.cjs', 'vitest.config.mjs', 'vitest.config.ts', 'vitest.config.mts',
+  'playwright.config.js', 'playwright.config.cjs', 'playwright.config.mjs', 'playwright.config.ts',
+  'package.json'
+];
+
+// Test globs each runner falls back to when its config sets none
+const DEFAULT_TEST_MATCH = {
+  jest: ['**/__tests__/**/*.[jt]s?(x)', '**/?(*.)+(spec|test).[jt]s?(x)'],
+  vitest: ['**/*.{test,spec}.?(c|m)[jt]s?(x)'],
+  playwright: ['**/*.@(spec|test).?(c|m)[jt]s?(x)']
+};
+
+// Legacy Jest `timers` values that enable fake timers for every test
+const FAKE_TIMER_MODES = new Set(['fake', 'modern', 'legacy']);
+
+// Every Playwright device descriptor sets a viewport, which is all a config
+// spreading `devices['Desktop Chrome']` needs to be known for here
+const PLAYWRIGHT_DEVICE = { viewport: true };
+
+// TypeScript wrappers that do not change the wrapped value
+const TS_EXPRESSION_WRAPPERS = new Set(['TSAsExpression', 'TSSatisfiesExpression', 'TSNonNullExpression', 'TSTypeAssertion']);
+
+// Described configs, keyed by path and invalidated by mtime
+const configCache = new Map();
+
+/**
+ * Get the runner a config file belongs to from its name
+ * @param {string} file - Path of the config file
+ * @returns {string|null} `jest`, `vitest` or `playwright`
+ */
+function getRunner(file) {
+  const name = path.basename(file);
+  if (name === 'package.json') return 'jest';
+  if (/playwright/.test(name)) return 'playwright';
+  if (/vite(st)?\b/.test(name)) return 'vitest';
+  if (/jest/.test(name)) return 'jest';
+  return null;
+}
+
+/**
+ * Check whether a value is a plain object
+ * @param {*} value - The value
+ * @returns {boolean} Whether the value is a non-array object
+ */
+function isObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Get the strings in a setting that takes a string or an array of them
+ * @param {*} value - The config value
+ * @returns {string[]} The strings
+ */
+function toStrings(value) {
+  return (Array.isArray(value) ? value : [value]).filter(item => typeof item === 'string');
+}
+
+/**
+ * Anchor a glob at a directory
+ * @param {string} dir - The absolute directory
+ * @param {string} glob - The glob, relative to dir
+ * @returns {string} The absolute glob
+ */
+function joinGlob(dir, glob) {
+  return `${dir.replace(/\\/g, '/').replace(/\/$/, '')}/${glob.replace(/^\.\//, '')}`;
+}
+
+/**
+ * Statically evaluate an expression built from literals, object and array
+ * literals, top-level constants and `defineConfig()` wrappers. Anything that
+ * would need the config to run, such as `process.env` or imports, is unknown.
+ * @param {Object} node - The expression
+ * @param {Map<string, Object>} bindings - Top-level constants and their initializers
+ * @param {number} [depth] - Constants followed so far
+ * @returns {*} The value, or undefined when unknown
+ */
+function evaluate(node, bindings, depth = 0) {
+  if (!node || depth > 10) return undefined;
+  if (TS_EXPRESSION_WRAPPERS.has(node.type)) return evaluate(node.expression, bindings, depth);
+
+  switch (node.type) {
+    case 'Literal':
+      return node.regex ? undefined : node.value;
+    case 'TemplateLiteral':
+      return node.expressions.length === 0 ? node.quasis[0].value.cooked : undefined;
+    case 'ArrayExpression':
+      return node.elements
+        .map(element => element && element.type !== 'SpreadElement' ? evaluate(element, bindings, depth) : undefined)
+        .filter(value => value !== undefined);
+    case 'ObjectExpression': {
+      const object = {};
+      node.properties.forEach(property => {
+        if (property.type === 'SpreadElement') {
+          const spread = evaluate(property.argument, bindings, depth);
+          if (isObject(spread)) Object.assign(object, spread);
+          return;
+        }
+        if (property.type !== 'Property' || property.computed || property.method) return;
+        const key = property.key.type === 'Identifier' ? property.key.name : property.key.value;
+        const value = evaluate(property.value, bindings, depth);
+        if (value !== undefined) object[key] = value;
+      });
+      return object;
+    }
+    case 'Identifier':
+      return bindings.has(node.name) ? evaluate(bindings.get(node.name), bindings, depth + 1) : undefined;
+    case 'MemberExpression':
+      return node.object.type === 'Identifier' && node.object.name === 'devices' ? PLAYWRIGHT_DEVICE : undefined;
+    case 'CallExpression':
+      // defineConfig({...}), defineProject({...}) and their function forms
+      return node.callee.type === 'Identifier' && /^define/.test(node.callee.name)
+        ? evaluate(node.arguments[0], bindings, depth)
+        : undefined;
+    case 'ArrowFunctionExpression':
+    case 'FunctionExpression': {
+      if (node.body.type !== 'BlockStatement') return evaluate(node.body, bindings, depth);
+      const returned = node.body.body.find(statement => statement.type === 'ReturnStatement');
+      return returned ? evaluate(returned.argument, bindings, depth) : undefined;
+    }
+    default:
+      return undefined;
+  }
+}
+
+/**
+ * Evaluate the object a JavaScript or TypeScript config file exports
+ * @param {Object} ast - The Program node
+ * @returns {Object|null} The exported config, or null when it cannot be read
+ */
+function getExportedConfig(ast) {
+  const bindings = new Map();
+  let exported = null;
+
+  ast.body.forEach(statement => {
+    const declaration = statement.type === 'ExportNamedDeclaration' ? statement.declaration : statement;
+    if (declaration && declaration.type === 'VariableDeclaration') {
+      declaration.declarations.forEach(declarator => {
+        if (declarator.id.type === 'Identifier' && declarator.init) {
+          bindings.set(declarator.id.name, declarator.init);
+        }
+      });
+    } else if (statement.type === 'ExportDefaultDeclaration' || statement.type === 'TSExportAssignment') {
+      exported = statement.declaration || statement.expression;
+    } else if (statement.type === 'ExpressionStatement' && statement.expression.type === 'AssignmentExpression' &&
+               statement.expression.left.type === 'MemberExpression' &&
+               statement.expression.left.object.name === 'module' && statement.expression.left.property.name === 'exports') {
+      exported = statement.expression.right;
+    }
+  });
+
+  const config = evaluate(exported, bindings);
+  return isObject(config) ? config : null;
+}
+
+/**
+ * Read a config file without executing it
+ * @param {string} file - Absolute path of the config file
+ * @param {Object} context - The ESLint context
+ * @returns {Object|null} The config, or null when it cannot be read
+ */
+function readConfig(file, context) {
+  let text;
+  try {
+    text = fs.readFileSync(file, 'utf8');
+    if (file.endsWith('.json')) {
+      const json = JSON.parse(text);
+      const config = path.basename(file) === 'package.json' ? json.jest : json;
+      return isObject(config) ? config : null;
+    }
+  } catch {
+    return null;
+  }
+
+  const parsed = parseFile(text, file, context);
+  return parsed ? getExportedConfig(parsed.ast) : null;
+}
+
+/**
+ * Describe a Jest config: `testMatch`, `setupFiles`, `setupFilesAfterEnv`,
+ * `fakeTimers.enableGlobally` (or the legacy `timers`) and `restoreMocks`
+ * @param {Object} config - The config
+ * @param {string} dir - Directory of the config file
+ * @returns {Object} The description
+ */
+function describeJest(config, dir) {
+  const rootDir = path.resolve(dir, typeof config.rootDir === 'string' ? config.rootDir : '.');
+  const expand = entry => entry.replace(/^<rootDir>/, rootDir.replace(/\\/g, '/'));
+  const testMatch = toStrings(config.testMatch).map(expand);
+
+  return {
+    testFilePatterns: testMatch.length > 0 ? testMatch : DEFAULT_TEST_MATCH.jest,
+    explicit: testMatch.length > 0,
+    setupFiles: [...toStrings(config.setupFiles), ...toStrings(config.setupFilesAfterEnv)]
+      .map(file => path.resolve(rootDir, expand(file))),
+    fakeTimers: (isObject(config.fakeTimers) && config.fakeTimers.enableGlobally === true) ||
+      FAKE_TIMER_MODES.has(config.timers),
+    restoreMocks: config.restoreMocks === true,
+    concurrent: false,
+    viewport: false,
+    animationsDisabled: false
+  };
+}
+
+/**
+ * Describe a Vitest config: `test.include`, `test.setupFiles`,
+ * `test.restoreMocks` and `test.sequence.concurrent`
+ * @param {Object} config - The config
+ * @param {string} dir - Directory of the config file
+ * @returns {Object} The description
+ */
+function describeVitest(config, dir) {
+  const root = path.resolve(dir, typeof config.root === 'string' ? config.root : '.');
+  const test = isObject(config.test) ? config.test : {};
+  const include = toStrings(test.include);
+
+  return {
+    testFilePatterns: (include.length > 0 ? include : DEFAULT_TEST_MATCH.vitest).map(glob => joinGlob(root, glob)),
+    explicit: include.length > 0,
+    setupFiles: toStrings(test.setupFiles).map(file => path.resolve(root, file)),
+    fakeTimers: false,
+    restoreMocks: test.restoreMocks === true,
+    concurrent: isObject(test.sequence) && test.sequence.concurrent === true,
+    viewport: false,
+    animationsDisabled: false
+  };
+}
+
+/**
+ * Describe a Playwright config: `testDir`, `testMatch`, and the
+ * `fullyParallel`, `viewport` and `reducedMotion` every project runs with
+ * @param {Object} config - The config
+ * @param {string} dir - Directory of the config file
+ * @returns {Object} The description
+ */
+function describePlaywright(config, dir) {
+  const testDir = path.resolve(dir, typeof config.testDir === 'string' ? config.testDir : '.');
+  const testMatch = toStrings(config.testMatch);
+  const use = isObject(config.use) ? config.use : {};
+  const projects = Array.isArray(config.projects) ? config.projects.filter(isObject) : [];
+  const uses = projects.length > 0
+    ? projects.map(project => ({ ...use, ...(isObject(project.use) ? project.use : {}) }))
+    : [use];
+  const fullyParallel = projects.length > 0
+    ? projects.map(project => ('fullyParallel' in project ? project.fullyParallel : config.fullyParallel))
+    : [config.fullyParallel];
+
+  return {
+    testFilePatterns: (testMatch.length > 0 ? testMatch : DEFAULT_TEST_MATCH.playwright).map(glob => joinGlob(testDir, glob)),
+    explicit: testMatch.length > 0 || typeof config.testDir === 'string',
+    setupFiles: [],
+    fakeTimers: false,
+    restoreMocks: false,
+    concurrent: fullyParallel.every(value => value === true),
+    viewport: uses.every(options => Boolean(options.viewport)),
+    animationsDisabled: uses.every(options => options.reducedMotion === 'reduce')
+  };
+}
+
+const DESCRIBERS = {
+  jest: describeJest,
+  vitest: describeVitest,
+  playwright: describePlaywright
+};
+
+/**
+ * Describe one runner config file
+ * @param {string} file - Absolute path of the config file
+ * @param {Object} context - The ESLint context
+ * @returns {{
+ *   file: string,
+ *   runner: string,
+ *   testFilePatterns: string[],
+ *   explicit: boolean,
+ *   setupFiles: string[],
+ *   fakeTimers: boolean,
+ *   restoreMocks: boolean,
+ *   concurrent: boolean,
+ *   viewport: boolean,
+ *   animationsDisabled: boolean
+ * }|null} The description, or null if the file is missing, unknown or unreadable
+ */
+function describeRunnerConfig(file, context) {
+  const runner = getRunner(file);
+  if (!runner) return null;
+
+  let stats;
+  try {
+    stats = fs.statSync(file);
+  } catch {
+    return null;
+  }
+
+  const cached = configCache.get(file);
+  if (cached && cached.mtimeMs === stats.mtimeMs) {
+    return cached.description;
+  }
+
+  const config = readConfig(file, context);
+  const description = config
+    ? { file, runner, ...DESCRIBERS[runner](config, path.dirname(file)) }
+    : null;
+  configCache.set(file, { mtimeMs: stats.mtimeMs, description });
+  return description;
+}
+
+/**
+ * Describe the runner configs of a project
+ * @param {string} rootDir - The project root
+ * @param {Array<string>|null} files - Config paths relative to rootDir, or null to
+ *   look for the usual config file names
+ * @param {Object} context - The ESLint context
+ * @returns {Object[]} Descriptions of the configs that could be read
+ */
+function loadRunnerConfigs(rootDir, files, context) {
+  return (files || RUNNER_CONFIG_FILES)
+    .map(file => describeRunnerConfig(path.resolve(rootDir, file), context))
+    .filter(Boolean);
+}
+
+module.exports = {
+  RUNNER_CONFIG_FILES,
+  loadRunnerConfigs
+};
@@ -0,0 +1,223 @@
+/**
+ * @fileoverview Facts extracted from global test setup files, such as a
+ * jest.setup.ts that seeds faker or installs msw, and applied to every test file
+ * @author eslint-plugin-test-flakiness
+ */
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+const { getPluginSettings } = require('./helpers');
+const { getFileAnalysis, collectReferences } = require('./analysis');
+const { parseFile } = require('./parser');
+
+// Libraries that intercept requests for every test once a setup file imports them
+const INTERCEPTOR_MODULES = ['msw', 'nock', 'fetch-mock', 'axios-mock-adapter', '@pollyjs/core', 'setup-polly-jest'];
+
+// Calls that replace the timer functions with fake ones
+const FAKE_TIMER_CALLS = new Set(['jest.useFakeTimers', 'vi.useFakeTimers', 'sinon.useFakeTimers', 'FakeTimers.install', 'cy.clock']);
+
+// Text that turns animations off: CSS overrides, test utilities and reduced-motion emulation
+const ANIMATION_DISABLE_PATTERNS = [
+  /animation-duration:\s*0/i,
+  /transition-duration:\s*0/i,
+  /animation:\s*none/i,
+  /transition:\s*none/i,
+  /disableAnimations/i,
+  /skipAnimations/i,
+  /instantAnimations/i,
+  /DISABLE_ANIMATIONS/,
+  /prefersReducedMotion.*true/,
+  /matchMedia.*prefers-reduced-motion.*reduce/,
+  /reducedMotion\s*:\s*['"]reduce['"]/
+];
+
+// Named exports of @faker-js/faker preset to a locale, e.g. fakerDE, fakerEN_US
+const FAKER_LOCALE_PATTERN = /^faker[A-Z]/;
+
+const NO_INSTANCES = new Set();
+
+// Facts per setup file, keyed by path and invalidated by mtime
+const fileFactsCache = new Map();
+
+/**
+ * Check if source text disables animations
+ * @param {string} text - The source text
+ * @returns {boolean} Whether animations are disabled
+ */
+function hasAnimationsDisabled(text) {
+  return ANIMATION_DISABLE_PATTERNS.some(pattern => pattern.test(text));
+}
+
+/**
+ * Check if a callee path installs fake timers, including Playwright's
+ * `page.clock.install()` on any page or context
+ * @param {string} calleePath - Dotted path of the callee
+ * @returns {boolean} Whether the call fakes the timers
+ */
+function isFakeTimerInstall(calleePath) {
+  return FAKE_TIMER_CALLS.has(calleePath) || /\.clock\.install$/.test(calleePath);
+}
+
+/**
+ * Check if a name refers to a faker instance: `faker`, a locale export such
+ * as `fakerDE`, or a variable holding a `new Faker()`
+ * @param {string} name - The identifier name
+ * @param {Set<string>} [fakerInstances] - Names bound to `new Faker()` instances
+ * @returns {boolean} Whether the name is a faker instance
+ */
+function isFakerName(name, fakerInstances = NO_INSTANCES) {
+  return name === 'faker' || FAKER_LOCALE_PATTERN.test(name) || fakerInstances.has(name);
+}
+
+/**
+ * Check if an options object literal has a `key` property
+ * @param {Object} node - The argument node
+ * @param {string} key - The property name
+ * @returns {boolean} Whether the option is set
+ */
+function hasOption(node, key) {
+  return Boolean(node) && node.type === 'ObjectExpression' && node.properties.some(property =>
+    property.type === 'Property' && !property.computed &&
+    (property.key.name === key || property.key.value === key));
+}
+
+/**
+ * Get the random data source a call or `new` expression seeds, for
+ * `faker.seed()` (and faker locale instances), `chance.seed()`,
+ * `casual.seed()`, `new Chance(seed)`, `fc.configureGlobal({ seed })`, and
+ * `Math` for seedrandom replacing `Math.random` with
+ * `seedrandom(seed, { global: true })` or `Math.seedrandom(seed)`
+ * @param {Object} node - The CallExpression or NewExpression node
+ * @param {Set<string>} [fakerInstances] - Names bound to `new Faker()` instances
+ * @returns {string|null} The seeded library or instance name
+ */
+function getSeededLibrary(node, fakerInstances = NO_INSTANCES) {
+  const args = node.arguments;
+  if (node.type === 'CallExpression' && node.callee.type === 'MemberExpression') {
+    const object = node.callee.object.name;
+    const method = node.callee.property.name;
+    if ((object === 'casual' || isFakerName(object, fakerInstances)) && (method === 'seed' || method === 'setSeed')) {
+      return object;
+    }
+    if (object === 'chance' && method === 'seed') {
+      return 'chance';
+    }
+    if (object === 'fc' && method === 'configureGlobal' && hasOption(args[0], 'seed')) {
+      return 'fc';
+    }
+    if (object === 'Math' && method === 'seedrandom' && args.length > 0) {
+      return 'Math';
+    }
+  } else if (node.type === 'CallExpression' && node.callee.name === 'seedrandom' &&
+             args.length > 0 && args[1] && args[1].type === 'ObjectExpression' &&
+             args[1].properties.some(property => property.type === 'Property' && property.key.name === 'global' &&
+               property.value.value === true)) {
+    return 'Math';
+  } else if (node.type === 'NewExpression' && node.callee.name === 'Chance' && args.length > 0) {
+    return 'chance';
+  }
+  return null;
+}
+
+/**
+ * Create an empty set of facts
+ * @returns {Object} Facts with nothing set up
+ */
+function createFacts() {
+  return {
+    seededLibraries: new Set(),
+    mockedModules: new Set(),
+    animationsDisabled: false,
+    fakeTimers: false,
+    intercepts: false
+  };
+}
+
+/**
+ * Extract the facts one setup file establishes. Text patterns work even when
+ * the file cannot be parsed, e.g. a TypeScript Playwright config linted with espree.
+ * @param {string} file - Absolute path of the setup file
+ * @param {Object} context - The ESLint context
+ * @returns {Object} The file's facts; empty if it does not exist
+ */
+function getSetupFileFacts(file, context) {
+  let stats;
+  try {
+    stats = fs.statSync(file);
+  } catch {
+    return createFacts();
+  }
+
+  const cached = fileFactsCache.get(file);
+  if (cached && cached.mtimeMs === stats.mtimeMs) {
+    return cached.facts;
+  }
+
+  const text = fs.readFileSync(file, 'utf8');
+  const facts = createFacts();
+  facts.animationsDisabled = hasAnimationsDisabled(text);
+
+  const parsed = parseFile(text, file, context);
+  if (parsed) {
+    const { importedModules, mocks, calls } = collectReferences(parsed.ast, parsed.visitorKeys);
+    mocks.modules.forEach((_scopes, source) => facts.mockedModules.add(source));
+    facts.intercepts = [...importedModules].some(source =>
+      INTERCEPTOR_MODULES.some(module => source === module || source.startsWith(module + '/')));
+    facts.fakeTimers = [...calls.keys()].some(isFakeTimerInstall);
+    calls.forEach(entries => entries.forEach(({ node }) => {
+      const library = getSeededLibrary(node);
+      if (library) facts.seededLibraries.add(library);
+    }));
+  }
+
+  fileFactsCache.set(file, { mtimeMs: stats.mtimeMs, facts });
+  return facts;
+}
+
+/**
+ * Get the facts established by the global setup files in the `setupFiles`
+ * setting and by the runner config covering the file, merged. Each file is
+ * parsed once and the merged facts are shared by every rule linting the same file.
+ * @param {Object} context - The ESLint context
+ * @returns {{
+ *   seededLibraries: Set<string>,
+ *   mockedModules: Set<string>,
+ *   animationsDisabled: boolean,
+ *   fakeTimers: boolean,
+ *   intercepts: boolean
+ * }} The merged facts
+ */
+function getSetupFacts(context) {
+  const analysis = getFileAnalysis(context.getSourceCode());
+  if (analysis.setupFacts) return analysis.setupFacts;
+
+  const { rootDir, setupFiles, runnerConfig } = getPluginSettings(context);
+  const merged = createFacts();
+  if (runnerConfig) {
+    merged.fakeTimers = runnerConfig.fakeTimers;
+    merged.animationsDisabled = runnerConfig.animationsDisabled;
+  }
+  setupFiles.forEach(file => {
+    const facts = getSetupFileFacts(path.resolve(rootDir, file), context);
+    facts.seededLibraries.forEach(library => merged.seededLibraries.add(library));
+    facts.mockedModules.forEach(source => merged.mockedModules.add(source));
+    merged.animationsDisabled = merged.animationsDisabled || facts.animationsDisabled;
+    merged.fakeTimers = merged.fakeTimers || facts.fakeTimers;
+    merged.intercepts = merged.intercepts || facts.intercepts;
+  });
+
+  analysis.setupFacts = merged;
+  return merged;
+}
+
+module.exports = {
+  hasAnimationsDisabled,
+  isFakeTimerInstall,
+  isFakerName,
+  hasOption,
+  getSeededLibrary,
+  getSetupFileFacts,
+  getSetupFacts
+};
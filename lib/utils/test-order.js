@@ -0,0 +1,346 @@
+/**
+ * @fileoverview Data flow between the tests of a file. Tests run in source
+ * order, so a value one test writes is what every later test in the same
+ * describe block sees, unless a beforeEach or afterEach hook resets it in
+ * between.
+ * @author eslint-plugin-test-flakiness
+ */
+'use strict';
+
+const { getRootIdentifier, getPluginSettings } = require('./helpers');
+const { DESCRIBE_NAMES, TEST_NAMES, getMemberPath, getFileAnalysis } = require('./analysis');
+const { isInScope } = require('./mocks');
+
+const HOOK_NAMES = new Set(['beforeEach', 'beforeAll', 'afterEach', 'afterAll', 'before', 'after']);
+
+// Hooks that run once per test, so alongside the test in a concurrent block
+const PER_TEST_HOOKS = new Set(['beforeEach', 'afterEach']);
+
+// Modifiers running the tests of a block at the same time, in order on
+// purpose, or one after another
+const BLOCK_MODES = new Map([
+  ['concurrent', 'parallel'],
+  ['parallel', 'parallel'],
+  ['serial', 'serial'],
+  ['sequential', 'default']
+]);
+
+// Regex constants to avoid repeated compilation
+const LOWERCASE_START_REGEX = /^[a-z]/;
+
+// Method name constants for shared object mutation detection
+const MUTATING_METHODS = [
+  'push', 'pop', 'shift', 'unshift', 'splice', 'sort', 'reverse',
+  'fill', 'copyWithin', 'set', 'delete', 'clear', 'add'
+];
+
+const MEANINGFUL_METHODS = [
+  'method', 'call', 'apply', 'bind', 'run', 'execute', 'perform', 'process',
+  'start', 'stop', 'close', 'open', 'connect', 'disconnect', 'send', 'receive'
+];
+
+const NON_MEANINGFUL_METHODS = [
+  // Common accessor/property methods
+  'get', 'set', 'has', 'key', 'value', 'data', 'item', 'node', 'element',
+  // Standard object methods that don't indicate meaningful operations
+  'length', 'size', 'name', 'type', 'id'
+];
+
+// Methods that only read the object they are called on
+const READ_ONLY_METHODS = [
+  'toString', 'valueOf', 'find', 'findIndex', 'filter', 'map', 'forEach', 'some', 'every',
+  'reduce', 'includes', 'indexOf', 'slice', 'concat', 'join', 'keys', 'values', 'entries', 'at'
+];
+
+/**
+ * Get the text of a string literal or a template literal without expressions
+ * @param {Object} node - The AST node
+ * @returns {string|null} The string value
+ */
+function getStringValue(node) {
+  if (!node) return null;
+  if (node.type === 'Literal' && typeof node.value === 'string') return node.value;
+  if (node.type === 'TemplateLiteral' && node.expressions.length === 0) return node.quasis[0].value.cooked;
+  return null;
+}
+
+/**
+ * Get the name of the test, hook or describe function a call opens, e.g.
+ * `test` for `test.concurrent('name', fn)`. Playwright opens blocks and
+ * steps as members of `test`, so `test.describe()`, `test.beforeEach()` and
+ * `test.step()` are named by their member.
+ * @param {Object} node - The CallExpression node
+ * @returns {string|null} The block name
+ */
+function getBlockName(node) {
+  const root = getRootIdentifier(node.callee);
+  if (!root) return null;
+  if (TEST_NAMES.has(root.name) && root.parent.type === 'MemberExpression' && root.parent.object === root &&
+      !root.parent.computed) {
+    const member = root.parent.property.name;
+    if (DESCRIBE_NAMES.has(member) || HOOK_NAMES.has(member) || member === 'step') return member;
+  }
+  return root.name;
+}
+
+/**
+ * Check whether a node is a callback passed to a call
+ * @param {Object} node - The AST node
+ * @returns {boolean} Whether node is a function argument of its parent call
+ */
+function isCallback(node) {
+  return (node.type === 'FunctionExpression' || node.type === 'ArrowFunctionExpression') &&
+    node.parent.type === 'CallExpression' && node.parent.arguments.includes(node);
+}
+
+/**
+ * Get the describe callback (or Program) a node belongs to
+ * @param {Object} node - The AST node
+ * @returns {Object} The describe callback or Program node
+ */
+function getDescribeScope(node) {
+  let current = node.parent;
+  while (current.parent) {
+    if (isCallback(current) && DESCRIBE_NAMES.has(getBlockName(current.parent))) return current;
+    current = current.parent;
+  }
+  return current;
+}
+
+/**
+ * Get the test or hook a node runs in. Code directly in a describe block
+ * runs while tests are collected, so it belongs to neither.
+ * @param {Object} node - The AST node
+ * @returns {Object|null} `{ kind, call, scope }`, where kind is the test or
+ *   hook name and scope the describe callback (or Program) holding the call
+ */
+function getTestBlock(node) {
+  for (let current = node.parent; current; current = current.parent) {
+    if (!isCallback(current)) continue;
+    const name = getBlockName(current.parent);
+    if (TEST_NAMES.has(name) || HOOK_NAMES.has(name)) {
+      return {
+        kind: TEST_NAMES.has(name) ? 'test' : name,
+        call: current.parent,
+        scope: getDescribeScope(current.parent)
+      };
+    }
+    if (DESCRIBE_NAMES.has(name)) return null;
+  }
+  return null;
+}
+
+/**
+ * Get the title a test is reported under
+ * @param {Object} call - The test CallExpression
+ * @param {Object} sourceCode - The ESLint SourceCode
+ * @returns {string} The title string, or the source of a computed title
+ */
+function getTestTitle(call, sourceCode) {
+  const title = call.arguments[0];
+  if (!title) return '<anonymous>';
+  const value = getStringValue(title);
+  return value === null ? sourceCode.getText(title) : value;
+}
+
+/**
+ * Get the mode a test or describe call asks for through its modifiers, such
+ * as `test.concurrent()`, `describe.concurrent.each(table)()`,
+ * `test.describe.serial()` or Vitest `describe.sequential()`
+ * @param {Object} call - The test or describe CallExpression
+ * @returns {string|null} `parallel`, `serial`, `default`, or null when the
+ *   call has no modifier
+ */
+function getBlockMode(call) {
+  let callee = call.callee;
+  while (callee.type === 'CallExpression' || callee.type === 'TaggedTemplateExpression') {
+    callee = callee.type === 'CallExpression' ? callee.callee : callee.tag;
+  }
+  const path = getMemberPath(callee);
+  const modifier = path && path.split('.').find(part => BLOCK_MODES.has(part));
+  return modifier ? BLOCK_MODES.get(modifier) : null;
+}
+
+/**
+ * Get the mode the tests of a describe block run in. Playwright's
+ * `test.describe.configure({ mode })` in the block wins over the modifiers of
+ * the describe call.
+ * @param {Object} scope - The describe callback or Program
+ * @param {Object} sourceCode - The ESLint SourceCode
+ * @returns {string|null} `parallel`, `serial`, `default`, or null when the
+ *   block inherits the mode of the enclosing one
+ */
+function getDescribeMode(scope, sourceCode) {
+  const { calls } = getFileAnalysis(sourceCode);
+  for (const { node } of calls.get('test.describe.configure') || []) {
+    const options = node.arguments[0];
+    if (getDescribeScope(node) !== scope || !options || options.type !== 'ObjectExpression') continue;
+    const mode = options.properties.find(property => property.type === 'Property' &&
+      (property.key.name === 'mode' || property.key.value === 'mode'));
+    const value = mode && getStringValue(mode.value);
+    if (value === 'parallel' || value === 'serial' || value === 'default') return value;
+  }
+  return scope.type === 'Program' ? null : getBlockMode(scope.parent);
+}
+
+/**
+ * Check whether a node runs at the same time as other tests: in a
+ * `test.concurrent()` test, in a `describe.concurrent()` or Playwright
+ * parallel block, or in a file the runner config runs concurrently
+ * (Vitest `sequence.concurrent`, Playwright `fullyParallel`). A beforeEach
+ * or afterEach hook runs alongside each test; code in beforeAll and
+ * afterAll does not.
+ * @param {Object} node - The AST node
+ * @param {Object} context - The ESLint context
+ * @returns {boolean} Whether the node runs concurrently with other tests
+ */
+function isConcurrentAt(node, context) {
+  const block = getTestBlock(node);
+  if (!block || (block.kind !== 'test' && !PER_TEST_HOOKS.has(block.kind))) return false;
+
+  const own = block.kind === 'test' ? getBlockMode(block.call) : null;
+  if (own) return own === 'parallel';
+
+  const sourceCode = context.getSourceCode();
+  for (let scope = block.scope; ; scope = getDescribeScope(scope)) {
+    const mode = getDescribeMode(scope, sourceCode);
+    if (mode) return mode === 'parallel';
+    if (scope.type === 'Program') break;
+  }
+  const { runnerConfig } = getPluginSettings(context);
+  return Boolean(runnerConfig && runnerConfig.concurrent);
+}
+
+/**
+ * Check whether a method call may change the object it is called on
+ * @param {Object} member - The callee MemberExpression
+ * @returns {boolean} Whether the method may mutate its object
+ */
+function isMutatingCall(member) {
+  if (member.computed || member.property.type !== 'Identifier') return false;
+  const method = member.property.name;
+  if (MUTATING_METHODS.includes(method)) return true;
+  if (READ_ONLY_METHODS.includes(method)) return false;
+  return MEANINGFUL_METHODS.includes(method) ||
+    (LOWERCASE_START_REGEX.test(method) && !NON_MEANINGFUL_METHODS.includes(method));
+}
+
+/**
+ * Classify one scope reference to a variable as a read and/or a write.
+ * Property assignments change the object without reading it; method calls
+ * may do both.
+ * @param {Object} reference - The eslint-scope Reference
+ * @returns {Object} `{ node, reads, writes }`, where node is the accessing expression
+ */
+function getReferenceAccess(reference) {
+  const identifier = reference.identifier;
+  if (reference.isWrite()) {
+    return { node: identifier.parent, reads: reference.isRead(), writes: true };
+  }
+
+  const parent = identifier.parent;
+  if (parent.type === 'MemberExpression' && parent.object === identifier) {
+    let member = parent;
+    while (member.parent.type === 'MemberExpression' && member.parent.object === member) {
+      member = member.parent;
+    }
+    const target = member.parent;
+    if ((target.type === 'AssignmentExpression' && target.left === member) ||
+        (target.type === 'UnaryExpression' && target.operator === 'delete')) {
+      return { node: target, reads: target.type === 'AssignmentExpression' && target.operator !== '=', writes: true };
+    }
+    if (target.type === 'UpdateExpression') {
+      return { node: target, reads: true, writes: true };
+    }
+    if (parent.parent.type === 'CallExpression' && parent.parent.callee === parent && isMutatingCall(parent)) {
+      return { node: parent.parent, reads: true, writes: true };
+    }
+  }
+  return { node: identifier, reads: true, writes: false };
+}
+
+/**
+ * Get the writes to a variable in beforeEach and afterEach hooks, which reset
+ * it between tests
+ * @param {Object} variable - The eslint-scope Variable
+ * @param {Function} [isReset] - Whether a writing Reference resets the
+ *   value; every write does by default
+ * @returns {Array<Object>} `{ kind, scope }` per reset, where kind is the
+ *   hook name and scope the describe callback (or Program) holding the hook
+ */
+function getHookResets(variable, isReset = () => true) {
+  const resets = [];
+  variable.references.forEach(reference => {
+    if (reference.init || !reference.isWrite()) return;
+    const block = getTestBlock(reference.identifier);
+    if (block && (block.kind === 'beforeEach' || block.kind === 'afterEach') && isReset(reference)) {
+      resets.push({ kind: block.kind, scope: block.scope });
+    }
+  });
+  return resets;
+}
+
+/**
+ * Check whether a beforeEach reset runs before a test or hook
+ * @param {Array<Object>} resets - `{ kind, scope }` per reset, see getHookResets
+ * @param {Object} call - The test or hook CallExpression
+ * @returns {boolean} Whether a beforeEach covering the call resets the value
+ */
+function isResetBefore(resets, call) {
+  return resets.some(reset => reset.kind === 'beforeEach' && isInScope(reset.scope, call));
+}
+
+/**
+ * Find the first value one test writes and a later test reads.
+ *
+ * Each access is one use of a shared value in a test. A test depends on the
+ * tests before it only if its first access reads, since a test that starts by
+ * overwriting or removing the value does not see what they left. A test that
+ * removes what it wrote leaves nothing behind. A beforeEach covering the
+ * reader or an afterEach covering the writer that resets the value breaks the
+ * flow.
+ * @param {Array<Object>} accesses - `{ node, test, reads, writes, removes }`
+ *   per use, where test is the test CallExpression
+ * @param {Array<Object>} resets - `{ kind, scope }` per reset in a hook
+ * @returns {Object|null} `{ node, read, writer, reader }` with the first
+ *   writing node, the reader's first access and both test calls
+ */
+function findCrossTestFlow(accesses, resets) {
+  const tests = new Map();
+  [...accesses].sort((a, b) => a.node.range[0] - b.node.range[0]).forEach(access => {
+    if (!tests.has(access.test)) {
+      tests.set(access.test, { call: access.test, reads: access.reads, read: access.node, write: null });
+    }
+    const entry = tests.get(access.test);
+    if (access.writes) {
+      entry.write = entry.write || access.node;
+    } else if (access.removes) {
+      entry.write = null;
+    }
+  });
+  const ordered = [...tests.values()].sort((a, b) => a.call.range[0] - b.call.range[0]);
+
+  const isReset = (writer, reader) => isResetBefore(resets, reader.call) ||
+    resets.some(reset => reset.kind === 'afterEach' && isInScope(reset.scope, writer.call));
+
+  for (const writer of ordered) {
+    if (!writer.write) continue;
+    const reader = ordered.find(test =>
+      test.reads && test.call.range[0] >= writer.call.range[1] && !isReset(writer, test));
+    if (reader) return { node: writer.write, read: reader.read, writer: writer.call, reader: reader.call };
+  }
+  return null;
+}
+
+module.exports = {
+  getStringValue,
+  getDescribeScope,
+  getDescribeMode,
+  isConcurrentAt,
+  getTestBlock,
+  getTestTitle,
+  getReferenceAccess,
+  getHookResets,
+  isResetBefore,
+  findCrossTestFlow
+};
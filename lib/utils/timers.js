@@ -0,0 +1,180 @@
+/**
+ * @fileoverview Where fake timers are in effect in a test file. Timers faked
+ * by jest/vi/sinon.useFakeTimers(), @sinonjs/fake-timers, cy.clock() or
+ * Playwright's page.clock.install() stay faked for the rest of the describe
+ * or test block until useRealTimers() or the clock's restore() undoes them.
+ * @author eslint-plugin-test-flakiness
+ */
+'use strict';
+
+const { getPluginSettings } = require('./helpers');
+const { DESCRIBE_NAMES, TEST_NAMES, getMemberPath, getFileAnalysis, getEnclosingCallNames } = require('./analysis');
+const { isInScope } = require('./mocks');
+const { isFakeTimerInstall, getSetupFacts } = require('./setup-files');
+
+const BEFORE_HOOKS = new Set(['beforeEach', 'beforeAll', 'before']);
+const AFTER_HOOKS = new Set(['afterEach', 'afterAll', 'after']);
+
+// Calls that put the real timers back, whichever install faked them
+const RESTORE_CALLS = new Set(['jest.useRealTimers', 'vi.useRealTimers', 'sinon.restore']);
+
+// Methods of the clock an install returns that put the real timers back
+const CLOCK_RESTORE_METHODS = ['restore', 'uninstall'];
+
+/**
+ * Get the kind of block a call runs in: a before or after hook, a test, or
+ * the describe block (or file) itself
+ * @param {Object} node - The CallExpression node
+ * @returns {string} 'before', 'after', 'test' or 'describe'
+ */
+function getBlockKind(node) {
+  for (const name of getEnclosingCallNames(node)) {
+    if (BEFORE_HOOKS.has(name)) return 'before';
+    if (AFTER_HOOKS.has(name)) return 'after';
+    if (TEST_NAMES.has(name)) return 'test';
+    if (DESCRIBE_NAMES.has(name)) return 'describe';
+  }
+  return 'describe';
+}
+
+/**
+ * Get the variable or member an install's clock is stored in, e.g. `clock`
+ * for `clock = sinon.useFakeTimers()`
+ * @param {Object} node - The install CallExpression node
+ * @returns {string|null} Dotted path of the clock, or null if not stored
+ */
+function getClockPath(node) {
+  let parent = node.parent;
+  if (parent && parent.type === 'AwaitExpression') parent = parent.parent;
+  if (!parent) return null;
+  if (parent.type === 'VariableDeclarator' && parent.id.type === 'Identifier') {
+    return parent.id.name;
+  }
+  if (parent.type === 'AssignmentExpression') {
+    return getMemberPath(parent.left);
+  }
+  return null;
+}
+
+/**
+ * Get the string elements of an array literal
+ * @param {Object} node - The AST node
+ * @returns {string[]|null} The strings, or null if node is not an array literal
+ */
+function getStringList(node) {
+  if (!node || node.type !== 'ArrayExpression') return null;
+  return node.elements
+    .filter(element => element && element.type === 'Literal' && typeof element.value === 'string')
+    .map(element => element.value);
+}
+
+/**
+ * Check if an install fakes a global, honoring Jest's `doNotFake` and
+ * `legacyFakeTimers`, the `toFake` list of Vitest and sinon, and the list
+ * of functions passed to cy.clock()
+ * @param {Object} node - The install CallExpression node
+ * @param {string} api - The global, e.g. 'Date', 'setTimeout' or 'performance'
+ * @returns {boolean} Whether the install replaces it
+ */
+function fakesApi(node, api) {
+  const args = node.arguments;
+  if (getMemberPath(node.callee) === 'cy.clock') {
+    const functions = getStringList(args[1]);
+    return !functions || functions.includes(api);
+  }
+
+  const options = args[0];
+  if (!options || options.type !== 'ObjectExpression') return true;
+  for (const property of options.properties) {
+    if (property.type !== 'Property' || property.computed) continue;
+    const key = property.key.name || property.key.value;
+    const list = getStringList(property.value);
+    if (key === 'toFake' && list && !list.includes(api)) return false;
+    if (key === 'doNotFake' && list && list.includes(api)) return false;
+    if (key === 'legacyFakeTimers' && property.value.value === true && api !== 'setTimeout') return false;
+  }
+  return true;
+}
+
+/**
+ * Check if a restore undoes an install
+ * @param {Object} restore - The restore entry
+ * @param {Object} install - The install entry
+ * @returns {boolean} Whether the restore puts back what the install faked
+ */
+function undoes(restore, install) {
+  return restore.clock === null || restore.clock === install.clock;
+}
+
+/**
+ * Collect the fake timer installs and restores in a file, once per file
+ * @param {Object} context - The ESLint context
+ * @returns {{installs: Object[], restores: Object[]}} Each entry has the call
+ *   node, its scope, the kind of block it runs in and the clock it stores or
+ *   restores; installs in a before hook also say whether an after hook restores them
+ */
+function getFakeTimers(context) {
+  const analysis = getFileAnalysis(context.getSourceCode());
+  if (analysis.fakeTimers) return analysis.fakeTimers;
+
+  const installs = [];
+  const restores = [];
+  analysis.calls.forEach((entries, calleePath) => {
+    if (isFakeTimerInstall(calleePath)) {
+      entries.forEach(({ node, scope }) => installs.push({
+        node, scope, block: getBlockKind(node), clock: getClockPath(node)
+      }));
+    } else if (RESTORE_CALLS.has(calleePath)) {
+      entries.forEach(({ node, scope }) => restores.push({ node, scope, block: getBlockKind(node), clock: null }));
+    }
+  });
+
+  const clocks = new Set(installs.map(install => install.clock).filter(Boolean));
+  clocks.forEach(clock => CLOCK_RESTORE_METHODS.forEach(method => {
+    (analysis.calls.get(`${clock}.${method}`) || []).forEach(({ node, scope }) =>
+      restores.push({ node, scope, block: getBlockKind(node), clock }));
+  }));
+
+  installs.forEach(install => {
+    install.cleanedUp = restores.some(restore => restore.block === 'after' &&
+      undoes(restore, install) && isInScope(restore.scope, install.node));
+  });
+
+  analysis.fakeTimers = { installs, restores };
+  return analysis.fakeTimers;
+}
+
+/**
+ * Check if fake timers replace a global where a node runs: installed by a
+ * global setup file or the runner config, or earlier in the same or an
+ * enclosing describe/test block and not restored since. Restores in after
+ * hooks only clean up, so they do not end the install for the test. With the
+ * `requireFakeTimerCleanup` setting, installs in before hooks count only when
+ * an after hook restores them.
+ * @param {string} api - The global, e.g. 'Date', 'setTimeout' or 'performance'
+ * @param {Object} node - The AST node using it
+ * @param {Object} context - The ESLint context
+ * @returns {boolean} Whether the global is faked for node
+ */
+function areFakeTimersInstalledAt(api, node, context) {
+  if (getSetupFacts(context).fakeTimers) return true;
+
+  const { installs, restores } = getFakeTimers(context);
+  const requireCleanup = getPluginSettings(context).requireFakeTimerCleanup;
+  return installs.some(install => {
+    if (install.block === 'after' || !isInScope(install.scope, node) || !fakesApi(install.node, api)) {
+      return false;
+    }
+    if (install.block === 'before' && requireCleanup && !install.cleanedUp) return false;
+    // Installs in a hook or a describe block run before every test; in a test, before later code only
+    const start = install.block === 'test' ? install.node.range[0] : -1;
+    if (start >= node.range[0]) return false;
+    return !restores.some(restore => restore.block !== 'after' && undoes(restore, install) &&
+      isInScope(restore.scope, node) &&
+      restore.node.range[0] > install.node.range[0] && restore.node.range[0] < node.range[0]);
+  });
+}
+
+module.exports = {
+  areFakeTimersInstalledAt
+};
@@ -0,0 +1,27 @@
+/**
+ * Examples of await-web-first-assertions rule violations
+ * These patterns should be detected by the eslint-plugin-test-flakiness
+ */
+import { test, expect } from '@playwright/test';
+
+test.describe('Unawaited Assertion Violations', () => {
+  // ❌ BAD: The assertion keeps retrying while the test moves on
+  test('should show the toast', async ({ page }) => {
+    await page.getByRole('button', { name: 'Save' }).click();
+    expect(page.getByRole('status')).toHaveText('Saved');
+  });
+
+  // ❌ BAD: expect.poll() returns a promise as well
+  test('should finish the job', async ({ page }) => {
+    await page.getByRole('button', { name: 'Run' }).click();
+    expect.poll(() => page.getByTestId('job').getAttribute('data-state')).toBe('done');
+  });
+});
+
+test.describe('Awaited Assertions Done Right', () => {
+  // ✅ GOOD: The test waits for the assertion to pass
+  test('should show the toast', async ({ page }) => {
+    await page.getByRole('button', { name: 'Save' }).click();
+    await expect(page.getByRole('status')).toHaveText('Saved');
+  });
+});
@@ -0,0 +1,26 @@
+/**
+ * Examples of no-async-cypress rule violations
+ * These patterns should be detected by the eslint-plugin-test-flakiness
+ */
+
+describe('Async Cypress Violations', () => {
+  // ❌ BAD: await does not wait for Cypress commands
+  it('should log in', async () => {
+    await cy.visit('/login');
+    await cy.get('#user').type('admin');
+  });
+
+  // ❌ BAD: The hook's promise races the command queue
+  beforeEach(async () => {
+    cy.visit('/');
+  });
+});
+
+describe('Chained Commands Done Right', () => {
+  // ✅ GOOD: Commands run one after another from the queue
+  it('should log in', () => {
+    cy.visit('/login');
+    cy.get('#user').type('admin');
+    cy.get('form').submit();
+  });
+});
@@ -0,0 +1,27 @@
+/**
+ * Examples of no-cypress-command-assignment rule violations
+ * These patterns should be detected by the eslint-plugin-test-flakiness
+ */
+
+describe('Command Assignment Violations', () => {
+  // ❌ BAD: button holds a chainable, not the button
+  it('should save the form', () => {
+    const button = cy.get('button[type=submit]');
+    button.click();
+  });
+
+  // ❌ BAD: count is a chainable, so the comparison never sees the rows
+  it('should list three orders', () => {
+    const count = cy.get('tr.order').its('length');
+    cy.log(`rows: ${count}`);
+  });
+});
+
+describe('Aliases Done Right', () => {
+  // ✅ GOOD: The alias is queried again each time it is used
+  it('should save the form', () => {
+    cy.get('button[type=submit]').as('submit');
+    cy.get('@submit').click();
+    cy.get('tr.order').should('have.length', 3);
+  });
+});
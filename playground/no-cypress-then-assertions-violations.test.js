@@ -0,0 +1,28 @@
+/**
+ * Examples of no-cypress-then-assertions rule violations
+ * These patterns should be detected by the eslint-plugin-test-flakiness
+ */
+
+describe('Then Assertion Violations', () => {
+  // ❌ BAD: The title is checked once, before it may have updated
+  it('should show the title', () => {
+    cy.get('h1').then($title => {
+      expect($title.text().trim()).to.equal('Orders');
+    });
+  });
+
+  // ❌ BAD: The row count is not retried while the table loads
+  it('should list three orders', () => {
+    cy.get('table').find('tr').then(rows => expect(rows).to.have.length(3));
+  });
+});
+
+describe('Retried Assertions Done Right', () => {
+  // ✅ GOOD: .should() retries the query until the assertion passes
+  it('should show the title', () => {
+    cy.get('h1').should($title => {
+      expect($title.text().trim()).to.equal('Orders');
+    });
+    cy.get('table').find('tr').should('have.length', 3);
+  });
+});
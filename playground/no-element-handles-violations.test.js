@@ -0,0 +1,33 @@
+/**
+ * Examples of no-element-handles rule violations
+ * These patterns should be detected by the eslint-plugin-test-flakiness
+ */
+import { test, expect } from '@playwright/test';
+
+test.describe('Element Handle Violations', () => {
+  // ❌ BAD: The handle goes stale when the button re-renders
+  test('should save the form', async ({ page }) => {
+    const button = await page.$('#save');
+    await button.click();
+  });
+
+  // ❌ BAD: $$() queries once instead of waiting for the rows
+  test('should list orders', async ({ page }) => {
+    const rows = await page.$$('tr.order');
+    expect(rows).toHaveLength(3);
+  });
+
+  // ❌ BAD: Turning a locator back into a handle
+  test('should focus the input', async ({ page }) => {
+    const input = await page.getByLabel('Email').elementHandle();
+    await input.focus();
+  });
+});
+
+test.describe('Locators Done Right', () => {
+  // ✅ GOOD: Locators are resolved again on every action
+  test('should save the form', async ({ page }) => {
+    await page.locator('#save').click();
+    await expect(page.locator('tr.order')).toHaveCount(3);
+  });
+});
@@ -0,0 +1,57 @@
+/**
+ * Examples of no-leaked-fake-timers rule violations
+ * These patterns should be detected by the eslint-plugin-test-flakiness
+ */
+
+describe('Fake Timer Violations', () => {
+  // ❌ BAD: Fake timers stay installed for every test that runs after this block
+  beforeEach(() => {
+    jest.useFakeTimers();
+  });
+
+  // ❌ BAD: Promises started by the callback are not awaited
+  it('should retry after a delay', async () => {
+    const retry = scheduleRetry(() => Promise.resolve('done'), 1000);
+    jest.advanceTimersByTime(1000);
+    expect(await retry).toBe('done');
+  });
+
+  // ❌ BAD: runAllTimers() keeps firing the interval until it throws
+  it('should poll the server', () => {
+    const poll = jest.fn();
+    setInterval(poll, 500);
+    jest.runAllTimers();
+    expect(poll).toHaveBeenCalled();
+  });
+});
+
+describe('Fake Timers Done Right', () => {
+  // ✅ GOOD: Install in beforeEach, restore in afterEach
+  beforeEach(() => jest.useFakeTimers());
+  afterEach(() => jest.useRealTimers());
+
+  // ✅ GOOD: The async flush awaits the promises the callbacks start
+  it('should retry after a delay', async () => {
+    const retry = scheduleRetry(() => Promise.resolve('done'), 1000);
+    await jest.advanceTimersByTimeAsync(1000);
+    expect(await retry).toBe('done');
+  });
+
+  // ✅ GOOD: Advance by a fixed time while an interval runs
+  it('should poll the server', () => {
+    const poll = jest.fn();
+    setInterval(poll, 500);
+    jest.advanceTimersByTime(1500);
+    expect(poll).toHaveBeenCalledTimes(3);
+  });
+});
+
+/**
+ * Retry a task after a delay
+ * @param {Function} task - The task to run
+ * @param {number} delay - The delay in milliseconds
+ * @returns {Promise} The task's result
+ */
+function scheduleRetry(task, delay) {
+  return new Promise(resolve => setTimeout(() => resolve(task()), delay));
+}
@@ -0,0 +1,45 @@
+/**
+ * Examples of no-side-effects-in-waitfor rule violations
+ * These patterns should be detected by the eslint-plugin-test-flakiness
+ */
+import { fireEvent, render, screen, waitFor } from '@testing-library/react';
+
+// Mock component and callback for demonstrations
+const Form = () => '<form><button>Save</button><p>Saved</p></form>';
+const onSave = jest.fn();
+
+describe('waitFor Side Effect Violations', () => {
+  // ❌ BAD: The click runs again on every retry
+  test('should save', async () => {
+    render(Form());
+    await waitFor(() => {
+      fireEvent.click(screen.getByText('Save'));
+      expect(screen.getByText('Saved')).toBeInTheDocument();
+    });
+  });
+
+  // ❌ BAD: Nothing in the callback throws, so waitFor() resolves at once
+  test('should call onSave', async () => {
+    render(Form());
+    fireEvent.click(screen.getByText('Save'));
+    await waitFor(() => onSave.mock.calls.length > 0);
+  });
+});
+
+describe('waitFor Done Right', () => {
+  // ✅ GOOD: Act once, then wait for the result
+  test('should save', async () => {
+    render(Form());
+    fireEvent.click(screen.getByText('Save'));
+    await waitFor(() => {
+      expect(screen.getByText('Saved')).toBeInTheDocument();
+    });
+  });
+
+  // ✅ GOOD: The assertion throws until the callback was called
+  test('should call onSave', async () => {
+    render(Form());
+    fireEvent.click(screen.getByText('Save'));
+    await waitFor(() => expect(onSave).toHaveBeenCalled());
+  });
+});
@@ -0,0 +1,46 @@
+/**
+ * Examples of no-test-order-dependency rule violations
+ * These patterns should be detected by the eslint-plugin-test-flakiness
+ */
+
+describe('Test Order Dependency Violations', () => {
+  // ❌ BAD: "calls the api" only passes after "logs in"
+  it('logs in', () => {
+    localStorage.setItem('token', 'abc');
+  });
+
+  it('calls the api', () => {
+    expect(localStorage.getItem('token')).toBe('abc');
+  });
+
+  // ❌ BAD: "closes the toast" needs the element "shows a toast" created
+  it('shows a toast', () => {
+    document.body.innerHTML = '<div id="toast">Saved</div>';
+  });
+
+  it('closes the toast', () => {
+    document.getElementById('toast').remove();
+    expect(document.getElementById('toast')).toBeNull();
+  });
+});
+
+describe('Test Order Done Right', () => {
+  // ✅ GOOD: Every test gets the state from a hook
+  beforeEach(() => {
+    localStorage.setItem('token', 'abc');
+    document.body.innerHTML = '<div id="toast">Saved</div>';
+  });
+  afterEach(() => {
+    localStorage.clear();
+    document.body.innerHTML = '';
+  });
+
+  it('calls the api', () => {
+    expect(localStorage.getItem('token')).toBe('abc');
+  });
+
+  it('closes the toast', () => {
+    document.getElementById('toast').remove();
+    expect(document.getElementById('toast')).toBeNull();
+  });
+});
@@ -0,0 +1,44 @@
+/**
+ * Examples of no-unhandled-msw-requests rule violations
+ * These patterns should be detected by the eslint-plugin-test-flakiness
+ */
+
+import { setupServer } from 'msw/node';
+import { http, HttpResponse } from 'msw';
+
+const handlers = [
+  http.get('https://api.example.com/user', () => HttpResponse.json({ name: 'Ada' }))
+];
+
+describe('MSW Lifecycle Violations', () => {
+  // ❌ BAD: No resetHandlers() in afterEach and no close() in afterAll
+  const server = setupServer(...handlers);
+
+  // ❌ BAD: Unhandled requests silently reach the real network
+  beforeAll(() => server.listen({ onUnhandledRequest: 'bypass' }));
+
+  // ❌ BAD: This override stays active for every later test
+  it('should show an error when the request fails', async () => {
+    server.use(http.get('https://api.example.com/user', () => HttpResponse.error()));
+    const response = await fetch('https://api.example.com/user').catch(error => error);
+    expect(response).toBeInstanceOf(Error);
+  });
+
+  it('should load the user', async () => {
+    const response = await fetch('https://api.example.com/user');
+    expect(await response.json()).toEqual({ name: 'Ada' });
+  });
+});
+
+describe('MSW Lifecycle Done Right', () => {
+  // ✅ GOOD: Fail on unhandled requests and reset between tests
+  const server = setupServer(...handlers);
+  beforeAll(() => server.listen({ onUnhandledRequest: 'error' }));
+  afterEach(() => server.resetHandlers());
+  afterAll(() => server.close());
+
+  it('should load the user', async () => {
+    const response = await fetch('https://api.example.com/user');
+    expect(await response.json()).toEqual({ name: 'Ada' });
+  });
+});
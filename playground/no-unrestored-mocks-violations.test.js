@@ -0,0 +1,46 @@
+/**
+ * Examples of no-unrestored-mocks rule violations
+ * These patterns should be detected by the eslint-plugin-test-flakiness
+ */
+
+import axios from 'axios';
+
+jest.mock('axios');
+
+describe('Unrestored Mock Violations', () => {
+  // ❌ BAD: console.error stays silenced for every later test
+  beforeEach(() => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  // ❌ BAD: Later tests receive this response unless they set their own
+  it('should show the users', async () => {
+    axios.get.mockResolvedValue({ data: [{ name: 'Ada' }] });
+    const { data } = await axios.get('/api/users');
+    expect(data).toHaveLength(1);
+  });
+
+  // ❌ BAD: Restored at the end of the test, which a failing assertion skips
+  it('should format the date', () => {
+    const spy = jest.spyOn(Date.prototype, 'toISOString').mockReturnValue('2024-01-01');
+    expect(new Date().toISOString()).toBe('2024-01-01');
+    spy.mockRestore();
+  });
+});
+
+describe('Unrestored Mocks Done Right', () => {
+  // ✅ GOOD: Every spy and implementation is reset after each test
+  beforeEach(() => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+  afterEach(() => {
+    jest.restoreAllMocks();
+    jest.resetAllMocks();
+  });
+
+  it('should show the users', async () => {
+    axios.get.mockResolvedValue({ data: [{ name: 'Ada' }] });
+    const { data } = await axios.get('/api/users');
+    expect(data).toHaveLength(1);
+  });
+});
@@ -0,0 +1,26 @@
+/**
+ * Examples of no-unscoped-cypress-index rule violations
+ * These patterns should be detected by the eslint-plugin-test-flakiness
+ */
+
+describe('Unscoped Index Violations', () => {
+  // ❌ BAD: Counts every li on the page, including the menu
+  it('should open the third order', () => {
+    cy.get('li').eq(2).click();
+  });
+
+  // ❌ BAD: Any visible button added to the page shifts the last one
+  it('should confirm', () => {
+    cy.get('button').filter(':visible').last().click();
+  });
+});
+
+describe('Scoped Queries Done Right', () => {
+  // ✅ GOOD: Positions count within the orders list only
+  it('should open the first order', () => {
+    cy.get('[data-cy=orders]').within(() => {
+      cy.get('li').first().click();
+    });
+    cy.contains('button', 'Confirm').click();
+  });
+});
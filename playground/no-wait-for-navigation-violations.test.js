@@ -0,0 +1,30 @@
+/**
+ * Examples of no-wait-for-navigation rule violations
+ * These patterns should be detected by the eslint-plugin-test-flakiness
+ */
+import { test, expect } from '@playwright/test';
+
+test.describe('waitForNavigation Violations', () => {
+  // ❌ BAD: Misses the navigation if it finishes before this line runs
+  test('should log in', async ({ page }) => {
+    await page.getByRole('button', { name: 'Log in' }).click();
+    await page.waitForNavigation();
+  });
+
+  // ❌ BAD: Deprecated even when started before the click
+  test('should submit the form', async ({ page }) => {
+    await Promise.all([
+      page.waitForNavigation({ url: '**/thanks' }),
+      page.getByRole('button', { name: 'Submit' }).click()
+    ]);
+  });
+});
+
+test.describe('Navigation Waits Done Right', () => {
+  // ✅ GOOD: waitForURL() checks the current URL first, then waits
+  test('should log in', async ({ page }) => {
+    await page.getByRole('button', { name: 'Log in' }).click();
+    await page.waitForURL('**/dashboard');
+    await expect(page).toHaveURL(/dashboard/);
+  });
+});
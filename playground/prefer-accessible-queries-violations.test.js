@@ -0,0 +1,65 @@
+/**
+ * Examples of prefer-accessible-queries rule violations
+ * These patterns should be detected by the eslint-plugin-test-flakiness
+ */
+import { render, screen, within } from '@testing-library/react';
+
+// Mock components for demonstrations
+const Form = () => '<form><input aria-label="Email" /><button type="submit">Submit</button></form>';
+const Dialog = () => '<dialog><h2>Settings</h2><button aria-label="Close">x</button></dialog>';
+const Orders = () => '<div><button data-testid="open-menu-button">Menu</button></div>';
+
+describe('Query Priority Violations', () => {
+  // ❌ BAD: A tag selector for an element with a role
+  test('should submit the form', () => {
+    render(Form());
+    document.querySelector('button[type="submit"]').click();
+  });
+
+  // ❌ BAD: aria-label and heading selectors inside a container
+  test('should close the dialog', () => {
+    const { container } = render(Dialog());
+    expect(container.querySelector('h2')).toHaveTextContent('Settings');
+    container.querySelector('button[aria-label="Close"]').click();
+  });
+
+  // ❌ BAD: Checking an element is gone with querySelector
+  test('should hide the alert', () => {
+    render(Form());
+    expect(document.querySelector('[role="alert"]')).toBeNull();
+  });
+
+  // ❌ BAD: The test id already says the element is a button
+  test('should open the menu', () => {
+    render(Orders());
+    screen.getByTestId('open-menu-button').click();
+  });
+});
+
+describe('Accessible Queries Done Right', () => {
+  // ✅ GOOD: Find elements the way users do
+  test('should submit the form', () => {
+    render(Form());
+    screen.getByRole('button', { name: 'Submit' }).click();
+  });
+
+  // ✅ GOOD: within() scopes a query to a container
+  test('should close the dialog', () => {
+    render(Dialog());
+    const dialog = screen.getByRole('dialog');
+    expect(within(dialog).getByRole('heading', { level: 2 })).toHaveTextContent('Settings');
+    within(dialog).getByRole('button', { name: 'Close' }).click();
+  });
+
+  // ✅ GOOD: queryBy* returns null for absence checks
+  test('should hide the alert', () => {
+    render(Form());
+    expect(screen.queryByRole('alert')).toBeNull();
+  });
+
+  // ✅ GOOD: Test ids for elements without a role or text
+  test('should render the chart', () => {
+    render(Orders());
+    expect(screen.getByTestId('orders-chart')).toBeInTheDocument();
+  });
+});
@@ -0,0 +1,40 @@
+/**
+ * Examples of prefer-find-by rule violations
+ * These patterns should be detected by the eslint-plugin-test-flakiness
+ */
+import { fireEvent, render, screen, waitFor } from '@testing-library/react';
+
+// Mock component for demonstrations
+const Settings = () => '<div><button>Settings</button><div role="dialog">Saved</div></div>';
+
+describe('waitFor Query Violations', () => {
+  // ❌ BAD: waitFor() around a single presence check
+  test('should open the dialog', async () => {
+    render(Settings());
+    fireEvent.click(screen.getByText('Settings'));
+    await waitFor(() => {
+      expect(screen.getByRole('dialog')).toBeInTheDocument();
+    });
+  });
+
+  // ❌ BAD: waitFor() around a single query
+  test('should save', async () => {
+    render(Settings());
+    await waitFor(() => screen.getByText('Saved'), { timeout: 5000 });
+  });
+});
+
+describe('findBy Done Right', () => {
+  // ✅ GOOD: findBy* retries the query until the element shows up
+  test('should open the dialog', async () => {
+    render(Settings());
+    fireEvent.click(screen.getByText('Settings'));
+    await screen.findByRole('dialog');
+  });
+
+  // ✅ GOOD: waitFor() options go after the query options
+  test('should save', async () => {
+    render(Settings());
+    await screen.findByText('Saved', {}, { timeout: 5000 });
+  });
+});
@@ -0,0 +1,34 @@
+/**
+ * Examples of prefer-web-first-assertions rule violations
+ * These patterns should be detected by the eslint-plugin-test-flakiness
+ */
+import { test, expect } from '@playwright/test';
+
+test.describe('Non-Retrying Assertion Violations', () => {
+  // ❌ BAD: The text is read once, before the alert may have updated
+  test('should show the saved message', async ({ page }) => {
+    await page.getByRole('button', { name: 'Save' }).click();
+    expect(await page.getByRole('alert').textContent()).toBe('Saved');
+  });
+
+  // ❌ BAD: isVisible() does not wait for the dialog to close
+  test('should close the dialog', async ({ page }) => {
+    await page.getByRole('button', { name: 'Close' }).click();
+    expect(await page.getByRole('dialog').isVisible()).toBe(false);
+  });
+
+  // ❌ BAD: The URL is read right after the click
+  test('should open the orders page', async ({ page }) => {
+    await page.getByRole('link', { name: 'Orders' }).click();
+    expect(page.url()).toContain('/orders');
+  });
+});
+
+test.describe('Web-First Assertions Done Right', () => {
+  // ✅ GOOD: These assertions retry until the page catches up
+  test('should show the saved message', async ({ page }) => {
+    await page.getByRole('button', { name: 'Save' }).click();
+    await expect(page.getByRole('alert')).toHaveText('Saved');
+    await expect(page.getByRole('dialog')).toBeHidden();
+  });
+});
@@ -0,0 +1,45 @@
+/**
+ * Examples of valid-cypress-intercepts rule violations
+ * These patterns should be detected by the eslint-plugin-test-flakiness
+ */
+
+describe('Intercept Violations', () => {
+  // ❌ BAD: The page may request the orders before the intercept exists
+  it('should list orders', () => {
+    cy.visit('/orders');
+    cy.intercept('GET', '/api/orders').as('orders');
+    cy.wait('@orders');
+  });
+
+  // ❌ BAD: No alias is called "profile", so the wait always times out
+  it('should load the profile', () => {
+    cy.intercept('GET', '/api/user').as('user');
+    cy.visit('/profile');
+    cy.wait('@profile');
+  });
+
+  // ❌ BAD: The click already sent the request the wait is for
+  it('should save the order', () => {
+    cy.visit('/orders/1');
+    cy.get('[data-cy=save]').click();
+    cy.intercept('POST', '/api/orders/1').as('save');
+    cy.wait('@save');
+  });
+
+  // ❌ BAD: The rows are checked before the orders response arrives
+  it('should show three orders', () => {
+    cy.intercept('GET', '/api/orders').as('orders');
+    cy.visit('/orders');
+    cy.get('tr').should('have.length', 3);
+  });
+});
+
+describe('Intercepts Done Right', () => {
+  // ✅ GOOD: Registered before the visit and waited on by its alias
+  it('should list orders', () => {
+    cy.intercept('GET', '/api/orders').as('orders');
+    cy.visit('/orders');
+    cy.wait('@orders');
+    cy.get('tr').should('have.length', 3);
+  });
+});
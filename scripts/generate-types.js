@@ -0,0 +1,250 @@
+#!/usr/bin/env node
+/**
+ * @fileoverview Generate lib/index.d.ts from each rule's meta.schema
+ * @author eslint-plugin-test-flakiness
+ *
+ * Usage:
+ *   node scripts/generate-types.js          # Write lib/index.d.ts
+ *   node scripts/generate-types.js --check  # Exit non-zero if lib/index.d.ts is stale
+ */
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+const { SETTINGS_SCHEMA } = require('../lib/utils/helpers');
+
+const OUTPUT_PATH = path.join(__dirname, '..', 'lib', 'index.d.ts');
+
+/**
+ * Convert a kebab-case rule name to a PascalCase options interface name
+ * @param {string} ruleName - The rule name
+ * @returns {string} The interface name
+ */
+function toInterfaceName(ruleName) {
+  return ruleName
+    .split('-')
+    .map(part => part.charAt(0).toUpperCase() + part.slice(1))
+    .join('') + 'Options';
+}
+
+/**
+ * Convert a JSON schema fragment to a TypeScript type expression
+ * @param {Object} schema - The JSON schema fragment
+ * @param {string} indent - Indentation of the enclosing declaration
+ * @returns {string} The TypeScript type
+ */
+function schemaToType(schema, indent) {
+  if (!schema) return 'unknown';
+
+  if (schema.enum) {
+    return schema.enum.map(value => JSON.stringify(value)).join(' | ');
+  }
+
+  const variants = schema.oneOf || schema.anyOf;
+  if (variants) {
+    return variants.map(variant => wrapUnionMember(schemaToType(variant, indent))).join(' | ');
+  }
+
+  if (Array.isArray(schema.type)) {
+    return schema.type.map(type => wrapUnionMember(schemaToType({ ...schema, type }, indent))).join(' | ');
+  }
+
+  switch (schema.type) {
+    case 'boolean':
+      return 'boolean';
+    case 'number':
+    case 'integer':
+      return 'number';
+    case 'string':
+      return 'string';
+    case 'null':
+      return 'null';
+    case 'array':
+      return `${wrapUnionMember(schemaToType(schema.items, indent))}[]`;
+    case 'object':
+      return objectToType(schema, indent);
+    default:
+      return 'unknown';
+  }
+}
+
+/**
+ * Parenthesize union types used inside array or union positions
+ * @param {string} type - The TypeScript type
+ * @returns {string} The safely wrapped type
+ */
+function wrapUnionMember(type) {
+  return type.includes(' | ') && !type.startsWith('{') ? `(${type})` : type;
+}
+
+/**
+ * Convert an object schema to an inline TypeScript object type
+ * @param {Object} schema - The object schema
+ * @param {string} indent - Indentation of the enclosing declaration
+ * @returns {string} The TypeScript object type
+ */
+function objectToType(schema, indent) {
+  const properties = schema.properties || {};
+  const names = Object.keys(properties);
+  if (names.length === 0) {
+    return 'Record<string, unknown>';
+  }
+  return `{\n${propertiesToMembers(schema, indent + '  ')}${indent}}`;
+}
+
+/**
+ * Render the members of an object schema, one documented property per line
+ * @param {Object} schema - The object schema
+ * @param {string} indent - Indentation for each member
+ * @returns {string} The rendered members
+ */
+function propertiesToMembers(schema, indent) {
+  const properties = schema.properties || {};
+  const required = new Set(schema.required || []);
+
+  return Object.keys(properties).map(name => {
+    const property = properties[name];
+    const docParts = [];
+    if (property.description) docParts.push(property.description);
+    if (property.default !== undefined) docParts.push(`@default ${JSON.stringify(property.default)}`);
+
+    let doc = '';
+    if (docParts.length === 1) {
+      doc = `${indent}/** ${docParts[0]} */\n`;
+    } else if (docParts.length > 1) {
+      doc = `${indent}/**\n${docParts.map(part => `${indent} * ${part}\n`).join('')}${indent} */\n`;
+    }
+    const optional = required.has(name) ? '' : '?';
+    return `${doc}${indent}${name}${optional}: ${schemaToType(property, indent)};\n`;
+  }).join('');
+}
+
+/**
+ * Render the options tuple type for a rule schema
+ * @param {Array|Object|undefined} schema - The rule's meta.schema
+ * @param {string} interfaceName - Name of the first option's interface
+ * @returns {string} The tuple type
+ */
+function optionsTuple(schema, interfaceName) {
+  const entries = Array.isArray(schema) ? schema : [];
+  return `[${entries.map((entry, index) => {
+    const type = index === 0 && entry.type === 'object' ? interfaceName : schemaToType(entry, '  ');
+    return `${type}?`;
+  }).join(', ')}]`;
+}
+
+/**
+ * Generate the declaration file contents for the given rules
+ * @param {Object} rules - Map of rule name to rule module
+ * @param {Object} [settingsSchema] - JSON schema of the plugin settings
+ * @returns {string} The contents of lib/index.d.ts
+ */
+function generateTypes(rules, settingsSchema = SETTINGS_SCHEMA) {
+  const ruleNames = Object.keys(rules).sort();
+  const out = [];
+
+  out.push('// This file is generated by scripts/generate-types.js from each rule\'s meta.schema.');
+  out.push('// Do not edit it by hand: run `pnpm generate:types` after changing a rule schema.');
+  out.push('');
+  out.push('import type { Rule } from \'eslint\';');
+  out.push('');
+  out.push('declare namespace plugin {');
+  out.push('  type RuleSeverity = \'off\' | \'warn\' | \'error\' | 0 | 1 | 2;');
+  out.push('');
+  out.push('  type RuleEntry<Options extends unknown[]> = RuleSeverity | [RuleSeverity, ...Options];');
+
+  ruleNames.forEach(ruleName => {
+    const schema = rules[ruleName].meta && rules[ruleName].meta.schema;
+    const first = Array.isArray(schema) ? schema[0] : undefined;
+    if (!first || first.type !== 'object') return;
+
+    out.push('');
+    out.push(`  /** Options for \`test-flakiness/${ruleName}\` */`);
+    out.push(`  interface ${toInterfaceName(ruleName)} {`);
+    out.push(propertiesToMembers(first, '    ').replace(/\n$/, ''));
+    out.push('  }');
+  });
+
+  out.push('');
+  out.push('  /** Options tuple accepted by each rule, keyed by rule name */');
+  out.push('  interface RuleOptions {');
+  ruleNames.forEach(ruleName => {
+    const schema = rules[ruleName].meta && rules[ruleName].meta.schema;
+    out.push(`    '${ruleName}': ${optionsTuple(schema, toInterfaceName(ruleName))};`);
+  });
+  out.push('  }');
+  out.push('');
+  out.push('  type RuleName = keyof RuleOptions;');
+  out.push('');
+  out.push('  type RulesConfig = {');
+  out.push('    [K in RuleName as `test-flakiness/${K}`]?: RuleEntry<RuleOptions[K]>;');
+  out.push('  };');
+  out.push('');
+  out.push('  /** Plugin-wide settings read from `settings[\'test-flakiness\']` */');
+  out.push('  interface Settings {');
+  out.push(propertiesToMembers(settingsSchema, '    ').replace(/\n$/, ''));
+  out.push('  }');
+  out.push('');
+  out.push('  interface LegacyConfig {');
+  out.push('    plugins: [\'test-flakiness\'];');
+  out.push('    rules: RulesConfig;');
+  out.push('  }');
+  out.push('');
+  out.push('  interface FlatConfig {');
+  out.push('    name: string;');
+  out.push('    files: string[];');
+  out.push('    plugins: { \'test-flakiness\': Plugin };');
+  out.push('    rules: RulesConfig;');
+  out.push('  }');
+  out.push('');
+  out.push('  interface Configs {');
+  out.push('    recommended: LegacyConfig;');
+  out.push('    strict: LegacyConfig;');
+  out.push('    playwright: LegacyConfig;');
+  out.push('    cypress: LegacyConfig;');
+  out.push('    all: LegacyConfig;');
+  out.push('    \'flat/recommended\': FlatConfig;');
+  out.push('    \'flat/strict\': FlatConfig;');
+  out.push('    \'flat/playwright\': FlatConfig;');
+  out.push('    \'flat/cypress\': FlatConfig;');
+  out.push('    \'flat/all\': FlatConfig;');
+  out.push('  }');
+  out.push('');
+  out.push('  interface Plugin {');
+  out.push('    meta: { name: string; version: string };');
+  out.push('    rules: Record<RuleName, Rule.RuleModule>;');
+  out.push('    configs: Configs;');
+  out.push('  }');
+  out.push('}');
+  out.push('');
+  out.push('declare const plugin: plugin.Plugin;');
+  out.push('');
+  out.push('export = plugin;');
+  out.push('');
+
+  return out.join('\n');
+}
+
+if (require.main === module) {
+  const { rules } = require('../lib');
+  const contents = generateTypes(rules);
+
+  if (process.argv.includes('--check')) {
+    const current = fs.existsSync(OUTPUT_PATH) ? fs.readFileSync(OUTPUT_PATH, 'utf8') : '';
+    if (current !== contents) {
+      console.error('lib/index.d.ts is out of date. Run `pnpm generate:types`.');
+      process.exit(1);
+    }
+  } else {
+    fs.writeFileSync(OUTPUT_PATH, contents);
+    console.log(`Wrote ${path.relative(process.cwd(), OUTPUT_PATH)}`);
+  }
+}
+
+module.exports = {
+  OUTPUT_PATH,
+  generateTypes,
+  schemaToType,
+  toInterfaceName
+};
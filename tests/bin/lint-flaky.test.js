@@ -1,4 +1,4 @@
-/* eslint-disable test-flakiness/no-unmocked-fs, test-flakiness/no-test-isolation */
+/* eslint-disable test-flakiness/no-unmocked-fs */
 'use strict';
 
 const { execFile } = require('child_process');
@@ -42,6 +42,15 @@ beforeAll(() => {
 `
   );
 
+  // A flaky file whose name none of the built-in test file patterns match
+  fs.writeFileSync(
+    path.join(FIXTURES_DIR, 'checkout.pw.js'),
+    `it('should wait', async () => {
+  await new Promise(resolve => setTimeout(resolve, 5000));
+});
+`
+  );
+
   // A file with a flaky pattern (hard-coded timeout)
   fs.writeFileSync(
     path.join(FIXTURES_DIR, 'flaky.test.js'),
@@ -67,6 +76,7 @@ describeIfEslint9('lint-flaky CLI', () => {
       expect(stdout).toContain('--fix');
       expect(stdout).toContain('--severity');
       expect(stdout).toContain('--format');
+      expect(stdout).toContain('--all-files');
       expect(stdout).toContain('Available rules');
     });
 
@@ -182,6 +192,26 @@ describeIfEslint9('lint-flaky CLI', () => {
       expect(messages.some(m => m.severity === 2)).toBe(true);
     });
 
+    it('skips files that are not recognized as test files', async () => {
+      const { stdout } = await run([
+        '--format', 'json',
+        path.join(FIXTURES_DIR, 'checkout.pw.js'),
+      ]);
+      const results = JSON.parse(stdout);
+      expect(results[0].messages.filter(m => m.ruleId !== null)).toEqual([]);
+    });
+
+    it('lints every matched file with --all-files', async () => {
+      const { stdout } = await run([
+        '--all-files',
+        '--format', 'json',
+        path.join(FIXTURES_DIR, 'checkout.pw.js'),
+      ]);
+      const results = JSON.parse(stdout);
+      const ruleIds = results[0].messages.map(m => m.ruleId).filter(Boolean);
+      expect(ruleIds).toContain('test-flakiness/no-hard-coded-timeout');
+    });
+
     it('reports no issues when severity is off', async () => {
       const { stdout } = await run([
         '--severity', 'off',
@@ -23,12 +23,91 @@ describe('eslint-plugin-test-flakiness', () => {
     expect(plugin.configs.strict.rules).toBeDefined();
   });
 
+  it('should export playwright config', () => {
+    expect(plugin.configs.playwright).toBeDefined();
+    expect(plugin.configs.playwright.plugins).toEqual(['test-flakiness']);
+    Object.keys(plugin.configs.playwright.rules).forEach(name => {
+      expect(plugin.rules[name.replace('test-flakiness/', '')]).toBeDefined();
+    });
+  });
+
+  it('should export cypress config', () => {
+    expect(plugin.configs.cypress).toBeDefined();
+    expect(plugin.configs.cypress.plugins).toEqual(['test-flakiness']);
+    Object.keys(plugin.configs.cypress.rules).forEach(name => {
+      expect(plugin.rules[name.replace('test-flakiness/', '')]).toBeDefined();
+    });
+  });
+
   it('should export all config', () => {
     expect(plugin.configs.all).toBeDefined();
     expect(plugin.configs.all.plugins).toEqual(['test-flakiness']);
     expect(plugin.configs.all.rules).toBeDefined();
   });
 
+  it('should expose plugin meta', () => {
+    const pkg = require('../../package.json');
+    expect(plugin.meta).toEqual({ name: pkg.name, version: pkg.version });
+  });
+
+  describe('flat configs', () => {
+    const { TEST_FILE_GLOBS } = require('../../lib/utils/helpers');
+    const presets = {
+      'flat/recommended': 'recommended',
+      'flat/strict': 'strict',
+      'flat/playwright': 'playwright',
+      'flat/cypress': 'cypress',
+      'flat/all': 'all'
+    };
+
+    Object.entries(presets).forEach(([flatName, legacyName]) => {
+      it(`should export ${flatName} carrying the plugin instance`, () => {
+        const config = plugin.configs[flatName];
+        expect(config).toBeDefined();
+        expect(config.name).toBe(`test-flakiness/${flatName}`);
+        expect(config.plugins['test-flakiness']).toBe(plugin);
+        expect(config.files).toEqual(TEST_FILE_GLOBS);
+      });
+
+      it(`should keep ${flatName} severities in sync with ${legacyName}`, () => {
+        expect(plugin.configs[flatName].rules).toEqual(plugin.configs[legacyName].rules);
+      });
+    });
+
+    it('should enable every rule in flat/all', () => {
+      const ruleNames = Object.keys(plugin.configs['flat/all'].rules);
+      expect(ruleNames).toHaveLength(Object.keys(plugin.rules).length);
+    });
+
+    it('should match the files accepted by isTestFile', () => {
+      const { Linter } = require('eslint');
+      const linter = new Linter({ configType: 'flat' });
+      const config = [plugin.configs['flat/recommended']];
+      const code = 'it.only("focused", () => {});';
+
+      ['src/app.test.js', 'src/__tests__/app.js', 'e2e/cypress/login.ts', 'features/login.steps.js']
+        .forEach(filename => {
+          const messages = linter.verify(code, config, { filename });
+          expect(messages.map(m => m.ruleId)).toContain('test-flakiness/no-test-focus');
+        });
+
+      ['src/app.js', 'src/utils/format.ts'].forEach(filename => {
+        const messages = linter.verify(code, config, { filename });
+        expect(messages.filter(m => m.ruleId)).toEqual([]);
+      });
+    });
+  });
+
+  it('should only use options accepted by each rule schema', () => {
+    const { Linter } = require('eslint');
+    const linter = new Linter({ configType: 'flat' });
+
+    ['flat/recommended', 'flat/strict', 'flat/playwright', 'flat/cypress', 'flat/all'].forEach(name => {
+      expect(() => linter.verify('it("works", () => {});', [plugin.configs[name]], { filename: 'a.test.js' }))
+        .not.toThrow();
+    });
+  });
+
   it('should load configs without errors', () => {
     const recommendedConfig = require('../../lib/configs/recommended');
     const strictConfig = require('../../lib/configs/strict');
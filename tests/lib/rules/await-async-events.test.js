@@ -340,6 +340,14 @@ ruleTester.run('await-async-events', rule, {
   ],
 
   invalid: [
+    // Custom wait utilities from settings must be awaited
+    {
+      code: 'test("loads", async () => { waitForApp(); })',
+      filename: 'CustomWait.test.js',
+      settings: { 'test-flakiness': { customWaitUtilities: ['waitForApp'] } },
+      errors: [{ messageId: 'missingAwait', data: { method: 'waitForApp' } }],
+      output: 'test("loads", async () => { await waitForApp(); })'
+    },
     // userEvent methods without await
     {
       code: 'async function test() { userEvent.click(button) }',
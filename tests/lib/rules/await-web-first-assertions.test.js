@@ -0,0 +1,80 @@
+/**
+ * @fileoverview Tests for await-web-first-assertions rule
+ * @author eslint-plugin-test-flakiness
+ */
+'use strict';
+
+const rule = require('../../../lib/rules/await-web-first-assertions');
+const { getRuleTester } = require('../../../lib/utils/test-helpers');
+
+const ruleTester = getRuleTester();
+
+const PLAYWRIGHT = 'import { test, expect } from \'@playwright/test\';\n';
+
+ruleTester.run('await-web-first-assertions', rule, {
+  valid: [
+    {
+      code: PLAYWRIGHT + `
+        test('shows', async ({ page }) => {
+          await expect(page.getByText('Saved')).toBeVisible();
+          await expect.soft(page).toHaveTitle('Home');
+          await Promise.all([expect(a).toBeVisible(), expect(b).toBeHidden()]);
+          expect(items).toHaveLength(2);
+          expect(await page.title()).toBe('Home');
+        });
+        test('returns', ({ page }) => expect(page).toHaveURL('/'));
+      `,
+      filename: 'shows.spec.js'
+    },
+    // Only Playwright files are checked: jest-dom matchers are synchronous
+    {
+      code: 'it(\'shows\', () => { expect(screen.getByText(\'Saved\')).toBeVisible(); });',
+      filename: 'dom.test.js'
+    }
+  ],
+
+  invalid: [
+    {
+      code: PLAYWRIGHT + `test('shows', async ({ page }) => {
+  expect(page.getByText('Saved')).toBeVisible();
+  expect.soft(page.getByRole('row')).not.toHaveCount(0);
+});`,
+      filename: 'shows.spec.js',
+      output: PLAYWRIGHT + `test('shows', async ({ page }) => {
+  await expect(page.getByText('Saved')).toBeVisible();
+  await expect.soft(page.getByRole('row')).not.toHaveCount(0);
+});`,
+      errors: [
+        { messageId: 'missingAwait', data: { assertion: 'toBeVisible' }, line: 3 },
+        { messageId: 'missingAwait', data: { assertion: 'toHaveCount' }, line: 4 }
+      ]
+    },
+    // Polling, resolves and custom matchers
+    {
+      code: PLAYWRIGHT + `test('polls', async ({ page }) => {
+  expect.poll(() => getStatus()).toBe('done');
+  expect(load()).resolves.toBe(1);
+  expect(page).toHaveNoErrors();
+});`,
+      filename: 'poll.spec.js',
+      options: [{ customMatchers: ['toHaveNoErrors'] }],
+      output: PLAYWRIGHT + `test('polls', async ({ page }) => {
+  await expect.poll(() => getStatus()).toBe('done');
+  await expect(load()).resolves.toBe(1);
+  await expect(page).toHaveNoErrors();
+});`,
+      errors: [
+        { messageId: 'missingAwait', data: { assertion: 'expect.poll().toBe' } },
+        { messageId: 'missingAwait', data: { assertion: 'toBe' } },
+        { messageId: 'missingAwait', data: { assertion: 'toHaveNoErrors' } }
+      ]
+    },
+    // The callback is made async
+    {
+      code: PLAYWRIGHT + 'test(\'hides\', function ({ page }) { expect(page.getByRole(\'dialog\')).toBeHidden(); });',
+      filename: 'hides.spec.js',
+      output: PLAYWRIGHT + 'test(\'hides\', async function ({ page }) { await expect(page.getByRole(\'dialog\')).toBeHidden(); });',
+      errors: [{ messageId: 'missingAwait', data: { assertion: 'toBeHidden' } }]
+    }
+  ]
+});
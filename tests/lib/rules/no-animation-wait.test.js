@@ -1,16 +1,39 @@
+/* eslint-disable test-flakiness/no-unmocked-fs */
 /**
  * @fileoverview Tests for no-animation-wait rule
  * @author eslint-plugin-test-flakiness
  */
 'use strict';
 
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
 const rule = require('../../../lib/rules/no-animation-wait');
 const { getRuleTester } = require('../../../lib/utils/test-helpers');
 
 const ruleTester = getRuleTester();
 
+// A global setup file shared by every test file
+const rootDir = fs.mkdtempSync(path.join(os.tmpdir(), 'animation-setup-'));
+fs.writeFileSync(path.join(rootDir, 'playwright.config.ts'), 'export default defineConfig({ use: { reducedMotion: "reduce" } });');
+afterAll(() => {
+  fs.rmSync(rootDir, { recursive: true, force: true });
+});
+
 ruleTester.run('no-animation-wait', rule, {
   valid: [
+    // Reduced motion emulated by the Playwright config that runs the file
+    {
+      code: 'waitForAnimation()',
+      filename: path.join(rootDir, 'Menu.spec.js'),
+      settings: { 'test-flakiness': { rootDir, runnerConfigs: true } }
+    },
+    // Animations disabled for every test by the Playwright config
+    {
+      code: 'waitForAnimation()',
+      filename: 'DisabledInConfig.test.js',
+      settings: { 'test-flakiness': { rootDir, setupFiles: ['playwright.config.ts'] } }
+    },
     // Non-test files should be ignored
     {
       code: 'waitForAnimation()',
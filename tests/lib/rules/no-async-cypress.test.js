@@ -0,0 +1,98 @@
+/**
+ * @fileoverview Tests for no-async-cypress rule
+ * @author eslint-plugin-test-flakiness
+ */
+'use strict';
+
+const rule = require('../../../lib/rules/no-async-cypress');
+const { getRuleTester } = require('../../../lib/utils/test-helpers');
+
+const ruleTester = getRuleTester();
+
+ruleTester.run('no-async-cypress', rule, {
+  valid: [
+    // Chained commands
+    {
+      code: `
+        it('logs in', () => {
+          cy.visit('/login');
+          cy.get('#user').type('admin').then(() => cy.get('form').submit());
+        });
+      `,
+      filename: 'cypress/e2e/login.cy.js'
+    },
+    // An async callback without Cypress commands
+    {
+      code: `
+        it('parses the fixture', async () => {
+          const data = await import('../fixtures/user.json');
+          expect(data.name).to.equal('admin');
+        });
+      `,
+      filename: 'cypress/e2e/fixture.cy.js'
+    },
+    // Hooks can be left out
+    {
+      code: 'beforeEach(async () => { cy.visit(\'/\'); });',
+      filename: 'cypress/e2e/home.cy.js',
+      options: [{ checkHooks: false }]
+    }
+  ],
+
+  invalid: [
+    {
+      code: `
+        it('logs in', async () => {
+          await cy.visit('/login');
+          await cy.get('#user').type('admin');
+        });
+      `,
+      filename: 'cypress/e2e/login.cy.js',
+      output: `
+        it('logs in', () => {
+          cy.visit('/login');
+          cy.get('#user').type('admin');
+        });
+      `,
+      errors: [
+        { messageId: 'asyncCallback', data: { block: 'it' }, line: 2 },
+        { messageId: 'awaitCommand', data: { command: 'visit' }, line: 3 },
+        { messageId: 'awaitCommand', data: { command: 'get' }, line: 4 }
+      ]
+    },
+    // Other awaits keep the callback async, and an awaited value is left alone
+    {
+      code: `
+        beforeEach(async function () {
+          const token = await getToken();
+          const user = await cy.get('#user');
+          cy.setCookie('token', token);
+        });
+      `,
+      filename: 'cypress/e2e/session.cy.js',
+      errors: [
+        { messageId: 'asyncCallback', data: { block: 'beforeEach' }, line: 2 },
+        { messageId: 'awaitCommand', data: { command: 'get' }, line: 4 }
+      ]
+    },
+    // Commands in nested callbacks count too
+    {
+      code: `
+        it.only('opens the menu', async () => {
+          [1, 2].forEach(() => {
+            cy.get('nav').click();
+          });
+        });
+      `,
+      filename: 'cypress/e2e/menu.cy.js',
+      output: `
+        it.only('opens the menu', () => {
+          [1, 2].forEach(() => {
+            cy.get('nav').click();
+          });
+        });
+      `,
+      errors: [{ messageId: 'asyncCallback', data: { block: 'it' }, line: 2 }]
+    }
+  ]
+});
@@ -0,0 +1,84 @@
+/**
+ * @fileoverview Tests for no-cypress-command-assignment rule
+ * @author eslint-plugin-test-flakiness
+ */
+'use strict';
+
+const rule = require('../../../lib/rules/no-cypress-command-assignment');
+const { getRuleTester } = require('../../../lib/utils/test-helpers');
+
+const ruleTester = getRuleTester();
+
+ruleTester.run('no-cypress-command-assignment', rule, {
+  valid: [
+    // Values reached through callbacks and aliases
+    {
+      code: `
+        it('edits the title', () => {
+          cy.get('h1').then($title => {
+            const text = $title.text();
+            cy.wrap(text).should('equal', 'Orders');
+          });
+          cy.get('input').as('title');
+          cy.get('@title').type('New');
+        });
+      `,
+      filename: 'cypress/e2e/title.cy.js'
+    },
+    // cy.stub() and cy.spy() return their value right away
+    {
+      code: `
+        it('logs', () => {
+          const log = cy.stub().as('log');
+          const spy = cy.spy(console, 'warn');
+        });
+      `,
+      filename: 'cypress/e2e/log.cy.js'
+    },
+    {
+      code: 'it(\'logs in\', () => { const user = cy.login(\'admin\'); });',
+      filename: 'cypress/e2e/login.cy.js',
+      options: [{ allowCommands: ['login'] }]
+    },
+    // Chains not starting at cy
+    {
+      code: 'it(\'reads\', () => { const value = cache.get(\'key\'); cy.wrap(value).should(\'exist\'); });',
+      filename: 'cypress/e2e/cache.cy.js'
+    },
+    // Only Cypress files are checked
+    {
+      code: 'it(\'reads\', () => { const value = cy.get(\'key\'); });',
+      filename: 'unit/cache.test.js',
+      settings: { 'test-flakiness': { framework: 'playwright' } }
+    }
+  ],
+
+  invalid: [
+    {
+      code: `
+        it('clicks', () => {
+          const button = cy.get('button');
+          button.click();
+        });
+      `,
+      filename: 'cypress/e2e/click.cy.js',
+      errors: [{ messageId: 'noCommandAssignment', data: { command: 'get' }, line: 3 }]
+    },
+    {
+      code: `
+        let rows;
+        beforeEach(() => {
+          rows = cy.get('tr').filter('.active');
+        });
+        it('counts', async () => {
+          const count = await cy.get('tr').its('length');
+        });
+      `,
+      filename: 'cypress/e2e/rows.cy.js',
+      errors: [
+        { messageId: 'noCommandAssignment', data: { command: 'get' }, line: 4 },
+        { messageId: 'noCommandAssignment', data: { command: 'get' }, line: 7 }
+      ]
+    }
+  ]
+});
@@ -0,0 +1,95 @@
+/**
+ * @fileoverview Tests for no-cypress-then-assertions rule
+ * @author eslint-plugin-test-flakiness
+ */
+'use strict';
+
+const rule = require('../../../lib/rules/no-cypress-then-assertions');
+const { getRuleTester } = require('../../../lib/utils/test-helpers');
+
+const ruleTester = getRuleTester();
+
+ruleTester.run('no-cypress-then-assertions', rule, {
+  valid: [
+    // Retried assertions
+    {
+      code: `
+        it('shows the title', () => {
+          cy.get('h1').should('have.text', 'Orders');
+          cy.get('h1').should($title => {
+            expect($title).to.have.text('Orders');
+          });
+        });
+      `,
+      filename: 'cypress/e2e/title.cy.js'
+    },
+    // .then() without assertions, or after a command that does not retry
+    {
+      code: `
+        it('reads the token', () => {
+          cy.get('#token').then($input => cy.wrap($input.val()).as('token'));
+          cy.request('/api/user').then(response => {
+            expect(response.status).to.equal(200);
+          });
+        });
+      `,
+      filename: 'cypress/e2e/token.cy.js'
+    },
+    // Only Cypress files are checked
+    {
+      code: 'it(\'reads\', () => { cy.get(\'h1\').then(el => { expect(el).toBeDefined(); }); });',
+      filename: 'unit/title.test.js',
+      settings: { 'test-flakiness': { framework: 'playwright' } }
+    }
+  ],
+
+  invalid: [
+    {
+      code: `
+        it('shows the title', () => {
+          cy.get('h1').then($title => {
+            const text = $title.text().trim();
+            expect(text).to.equal('Orders');
+          });
+        });
+      `,
+      filename: 'cypress/e2e/title.cy.js',
+      output: `
+        it('shows the title', () => {
+          cy.get('h1').should($title => {
+            const text = $title.text().trim();
+            expect(text).to.equal('Orders');
+          });
+        });
+      `,
+      errors: [{ messageId: 'useShould', data: { query: 'get' }, line: 3 }]
+    },
+    {
+      code: `
+        it('counts rows', () => {
+          cy.get('table').find('tr').then(rows => expect(rows).to.have.length(3));
+        });
+      `,
+      filename: 'cypress/e2e/rows.cy.js',
+      output: `
+        it('counts rows', () => {
+          cy.get('table').find('tr').should(rows => expect(rows).to.have.length(3));
+        });
+      `,
+      errors: [{ messageId: 'useShould', data: { query: 'find' }, line: 3 }]
+    },
+    // A callback running commands cannot be retried, so there is no fix
+    {
+      code: `
+        it('saves', () => {
+          cy.get('#status').then($status => {
+            assert.equal($status.text(), 'Draft');
+            cy.get('#save').click();
+          });
+        });
+      `,
+      filename: 'cypress/e2e/save.cy.js',
+      errors: [{ messageId: 'useShould', data: { query: 'get' }, line: 3 }]
+    }
+  ]
+});
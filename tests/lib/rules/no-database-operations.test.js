@@ -11,6 +11,11 @@ const ruleTester = getRuleTester();
 
 ruleTester.run('no-database-operations', rule, {
   valid: [
+    // Mocked modules
+    {
+      code: 'import { User } from "./models"; jest.mock("./models"); it("saves", () => User.create({ name: "John" }));',
+      filename: 'User.test.js'
+    },
     // Non-test files should be ignored
     {
       code: 'User.create({ name: "John" })',
@@ -107,6 +112,12 @@ ruleTester.run('no-database-operations', rule, {
   ],
 
   invalid: [
+    // Mock-sounding names around a real call do not mock it
+    {
+      code: 'it("saves", async () => { await withMockUser(() => User.create({ name: "John" })); });',
+      filename: 'User.test.js',
+      errors: [{ messageId: 'avoidDbOperation', data: { operation: 'create' } }]
+    },
     // ORM operations - Create
     {
       code: 'User.create({ name: "John" })',
@@ -880,7 +891,8 @@ describe('no-database-operations rule internals', () => {
               callee: {
                 type: 'Identifier',
                 name: 'beforeEach'
-              }
+              },
+              arguments: []
             }
           }
         }
@@ -909,7 +921,8 @@ describe('no-database-operations rule internals', () => {
             callee: {
               type: 'Identifier',
               name: 'afterAll'
-            }
+            },
+            arguments: []
           }
         }
       };
@@ -981,7 +994,8 @@ describe('no-database-operations rule internals', () => {
           callee: {
             type: 'MemberExpression',
             property: { name: 'call' }
-          }
+          },
+          arguments: []
         }
       };
 
@@ -0,0 +1,124 @@
+/**
+ * @fileoverview Tests for no-element-handles rule
+ * @author eslint-plugin-test-flakiness
+ */
+'use strict';
+
+const rule = require('../../../lib/rules/no-element-handles');
+const { getRuleTester } = require('../../../lib/utils/test-helpers');
+
+const ruleTester = getRuleTester();
+
+const PLAYWRIGHT = 'import { test, expect } from \'@playwright/test\';\n';
+
+ruleTester.run('no-element-handles', rule, {
+  valid: [
+    // Locators
+    {
+      code: PLAYWRIGHT + `
+        test('saves', async ({ page }) => {
+          await page.locator('#save').click();
+          const rows = await page.getByRole('row').all();
+          expect(rows).toHaveLength(2);
+        });
+      `,
+      filename: 'save.spec.js'
+    },
+    // $eval() can be allowed
+    {
+      code: PLAYWRIGHT + 'test(\'reads\', async ({ page }) => { await page.$eval(\'#app\', el => el.id); });',
+      filename: 'eval.spec.js',
+      options: [{ allowEval: true }]
+    },
+    // Other tools also have $, so only Playwright files are checked
+    {
+      code: 'it(\'loads\', async () => { const el = await page.$(\'#app\'); });',
+      filename: 'puppeteer.test.js'
+    },
+    {
+      code: PLAYWRIGHT + 'const el = await page.$(\'#app\');',
+      filename: 'helpers/page.js'
+    }
+  ],
+
+  invalid: [
+    {
+      code: PLAYWRIGHT + `test('clicks', async ({ page }) => {
+  const button = await page.$('#save');
+  await button.click();
+});`,
+      filename: 'click.spec.js',
+      errors: [{
+        messageId: 'useLocator',
+        data: { method: '$', replacement: 'locator' },
+        line: 3,
+        suggestions: [{
+          messageId: 'replaceWithLocator',
+          data: { replacement: 'locator' },
+          output: PLAYWRIGHT + `test('clicks', async ({ page }) => {
+  const button = page.locator('#save');
+  await button.click();
+});`
+        }]
+      }]
+    },
+    {
+      code: PLAYWRIGHT + `test('lists', async ({ page }) => {
+  const rows = await page.$$('tr');
+  const ids = await page.$$eval('tr', rows => rows.map(row => row.id), 1);
+  const title = await frame.$eval('h1', el => el.textContent);
+});`,
+      filename: 'list.spec.js',
+      errors: [
+        {
+          messageId: 'useLocator',
+          data: { method: '$$', replacement: 'locator().all' },
+          suggestions: [{
+            messageId: 'replaceWithLocator',
+            output: PLAYWRIGHT + `test('lists', async ({ page }) => {
+  const rows = await page.locator('tr').all();
+  const ids = await page.$$eval('tr', rows => rows.map(row => row.id), 1);
+  const title = await frame.$eval('h1', el => el.textContent);
+});`
+          }]
+        },
+        {
+          messageId: 'useLocator',
+          data: { method: '$$eval', replacement: 'locator().evaluateAll' },
+          suggestions: [{
+            messageId: 'replaceWithLocator',
+            output: PLAYWRIGHT + `test('lists', async ({ page }) => {
+  const rows = await page.$$('tr');
+  const ids = await page.locator('tr').evaluateAll(rows => rows.map(row => row.id), 1);
+  const title = await frame.$eval('h1', el => el.textContent);
+});`
+          }]
+        },
+        {
+          messageId: 'useLocator',
+          data: { method: '$eval', replacement: 'locator().evaluate' },
+          suggestions: [{
+            messageId: 'replaceWithLocator',
+            output: PLAYWRIGHT + `test('lists', async ({ page }) => {
+  const rows = await page.$$('tr');
+  const ids = await page.$$eval('tr', rows => rows.map(row => row.id), 1);
+  const title = await frame.locator('h1').evaluate(el => el.textContent);
+});`
+          }]
+        }
+      ]
+    },
+    // Turning a locator into handles
+    {
+      code: PLAYWRIGHT + `test('handles', async ({ page }) => {
+  const handle = await page.getByRole('button').elementHandle();
+  const handles = await page.locator('li').elementHandles();
+});`,
+      filename: 'handles.spec.js',
+      errors: [
+        { messageId: 'avoidElementHandle', data: { method: 'elementHandle' }, line: 3, suggestions: [] },
+        { messageId: 'avoidElementHandle', data: { method: 'elementHandles' }, line: 4, suggestions: [] }
+      ]
+    }
+  ]
+});
@@ -13,6 +13,12 @@ const importWaitFor = 'import { waitFor } from \'@testing-library/react\';\n';
 
 ruleTester.run('no-focus-check', rule, {
   valid: [
+    // Focus checks inside custom wait utilities from settings
+    {
+      code: 'waitForApp(() => expect(element).toHaveFocus())',
+      filename: 'CustomWaitFocus.test.js',
+      settings: { 'test-flakiness': { customWaitUtilities: ['waitForApp'] } }
+    },
     // Non-test files should be ignored
     {
       code: 'expect(document.activeElement).toBe(input)',
@@ -104,6 +104,30 @@ ruleTester.run('no-global-state-mutation', rule, {
       code: 'beforeEach(() => { localStorage.clear(); })',
       filename: 'HooksLocalStorage.test.js',
       options: [{ allowInHooks: true }]
+    },
+
+    // Blocks running their tests one after another keep the hook exemption
+    {
+      code: `
+        describe.concurrent('api', () => {
+          describe.sequential('env', () => {
+            beforeEach(() => { process.env.API_URL = 'http://localhost'; });
+            afterEach(() => { process.env.API_URL = original; });
+            it('loads', async ({ expect }) => { expect(await load()).toBeDefined(); });
+          });
+        });
+      `,
+      filename: 'ConcurrentSetup.test.js'
+    },
+    {
+      code: `
+        test.describe.configure({ mode: 'parallel' });
+        test.describe.serial('login', () => {
+          beforeEach(() => { window.token = 'abc'; });
+          test('logs in', async () => {});
+        });
+      `,
+      filename: 'SerialBlock.spec.js'
     }
   ],
 
@@ -460,6 +484,52 @@ ruleTester.run('no-global-state-mutation', rule, {
       errors: [{
         messageId: 'useLocalVariable'
       }]
+    },
+
+    // Concurrent tests escalate every mutation, even in hooks
+    {
+      code: `
+describe.concurrent('settings', () => {
+  beforeEach(() => { window.theme = 'dark'; });
+  afterEach(() => { delete window.theme; });
+  test('reads env', async () => {
+    process.env.MODE = 'test';
+    localStorage.setItem('seen', '1');
+  });
+});
+      `,
+      filename: 'Concurrent.test.js',
+      errors: [
+        { messageId: 'concurrentGlobalMutation', data: { object: 'window' }, line: 3 },
+        { messageId: 'concurrentGlobalMutation', data: { object: 'window' }, line: 4 },
+        { messageId: 'concurrentGlobalMutation', data: { object: 'process.env' }, line: 6 },
+        { messageId: 'concurrentGlobalMutation', data: { object: 'localStorage' }, line: 7 }
+      ]
+    },
+    {
+      code: `
+test.describe('page', () => {
+  test.describe.configure({ mode: 'parallel' });
+  test('stubs fetch', async () => { window.fetch = stub; });
+});
+test.concurrent('counts', async () => { counter = 1; });
+      `,
+      filename: 'Parallel.spec.js',
+      errors: [
+        { messageId: 'concurrentGlobalMutation', data: { object: 'window' }, line: 4 },
+        { messageId: 'concurrentGlobalMutation', data: { object: 'global counter' }, line: 6 }
+      ]
+    },
+    // A module-level binding is named without the global prefix
+    {
+      code: `
+let count = 0;
+test.concurrent('counts', async () => { count = 1; });
+      `,
+      filename: 'Binding.test.js',
+      errors: [
+        { messageId: 'concurrentGlobalMutation', data: { object: 'count' }, line: 3 }
+      ]
     }
   ]
 });
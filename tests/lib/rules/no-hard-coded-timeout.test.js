@@ -11,6 +11,15 @@ const ruleTester = getRuleTester();
 
 ruleTester.run('no-hard-coded-timeout', rule, {
   valid: [
+    // Fake timers run the callback when the test advances the clock
+    {
+      code: 'beforeEach(() => jest.useFakeTimers()); afterEach(() => jest.useRealTimers()); it("debounces", () => { setTimeout(() => done(), 5000); jest.advanceTimersByTime(5000); });',
+      filename: 'test.spec.js'
+    },
+    {
+      code: 'it("ticks", () => { cy.clock(); setTimeout(() => {}, 5000); cy.tick(5000); });',
+      filename: 'test.cy.js'
+    },
     // Should not trigger on non-test files
     {
       code: 'setTimeout(() => {}, 5000)',
@@ -143,6 +152,30 @@ ruleTester.run('no-hard-coded-timeout', rule, {
   ],
 
   invalid: [
+    // Mock-sounding names around a real timer do not mock it
+    {
+      code: 'it("waits", done => { runWithMocks(() => { setTimeout(done, 2000); }); });',
+      filename: 'test.spec.js',
+      errors: [{ messageId: 'avoidHardTimeout', data: { timeout: 2000 } }]
+    },
+    // Fake timers installed in another test
+    {
+      code: 'it("a", () => { jest.useFakeTimers(); }); it("b", done => { setTimeout(done, 5000); });',
+      filename: 'test.spec.js',
+      errors: [{ messageId: 'avoidHardTimeout' }]
+    },
+    // Framework declared in settings overrides detection
+    {
+      code: 'setTimeout(() => {}, 2000)',
+      filename: 'test.spec.js',
+      settings: { 'test-flakiness': { framework: 'cypress' } },
+      errors: [
+        {
+          messageId: 'avoidHardTimeoutCypress',
+          data: { timeout: 2000 }
+        }
+      ]
+    },
     // Basic setTimeout violation
     {
       code: 'async function test() { setTimeout(() => { console.log("done") }, 2000) }',
@@ -345,7 +378,7 @@ async function test() { await waitFor(async () => console.log("test"), { timeout
         { messageId: 'avoidHardTimeout', data: { timeout: 2000 } }
       ]
     },
-    // Test isInMockContext edge case - setInterval in non-mock context
+    // setInterval() outside any mock
     {
       code: 'window.setInterval(() => {}, 1000)',
       filename: 'test.spec.js',
@@ -11,6 +11,15 @@ const ruleTester = getRuleTester();
 
 ruleTester.run('no-immediate-assertions', rule, {
   valid: [
+    // Assertions inside custom wait utilities from settings
+    {
+      code: `
+        userEvent.type(input, 'test');
+        waitForApp(() => expect(screen.getByDisplayValue('test')).toBeInTheDocument());
+      `,
+      filename: 'CustomWait.test.js',
+      settings: { 'test-flakiness': { customWaitUtilities: ['waitForApp'] } }
+    },
     // Test files only - non-test files should pass
     {
       code: `
@@ -485,6 +494,26 @@ ruleTester.run('no-immediate-assertions', rule, {
   ],
 
   invalid: [
+    // Custom render functions from settings are state-changing actions
+    {
+      code: `
+        renderWithProviders(app);
+        expect(screen.getByText('Loaded')).toBeInTheDocument();
+      `,
+      filename: 'CustomRender.test.js',
+      settings: { 'test-flakiness': { customRenderFunctions: ['renderWithProviders'] } },
+      errors: [{
+        messageId: 'needsWaitFor',
+        data: { action: 'renderWithProviders' }
+      }],
+      output: `
+        import { waitFor } from '@testing-library/react';
+renderWithProviders(app);
+        await waitFor(() => {
+          expect(screen.getByText('Loaded')).toBeInTheDocument();
+        });
+      `
+    },
     // userEvent followed by DOM assertion
     {
       code: `
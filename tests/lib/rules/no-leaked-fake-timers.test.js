@@ -0,0 +1,192 @@
+/**
+ * @fileoverview Tests for no-leaked-fake-timers rule
+ * @author eslint-plugin-test-flakiness
+ */
+'use strict';
+
+const rule = require('../../../lib/rules/no-leaked-fake-timers');
+const { getRuleTester } = require('../../../lib/utils/test-helpers');
+
+const ruleTester = getRuleTester();
+
+ruleTester.run('no-leaked-fake-timers', rule, {
+  valid: [
+    // Restored later in the same test with allowRestoreInTest
+    {
+      code: 'it(\'polls\', () => {\n  vi.useFakeTimers();\n  vi.useRealTimers();\n});',
+      filename: 'poller.test.js',
+      options: [{ allowRestoreInTest: true }]
+    },
+    // Installed in beforeEach, restored in afterEach
+    {
+      code: `
+        describe('debounce', () => {
+          beforeEach(() => { jest.useFakeTimers(); });
+          afterEach(() => { jest.useRealTimers(); });
+          it('fires once', () => {
+            jest.advanceTimersByTime(500);
+          });
+        });
+      `,
+      filename: 'debounce.test.js'
+    },
+    // Restored by an afterAll of an enclosing block
+    {
+      code: `
+        afterAll(() => vi.useRealTimers());
+        describe('poller', () => {
+          it('polls', () => {
+            vi.useFakeTimers();
+            vi.runOnlyPendingTimers();
+          });
+        });
+      `,
+      filename: 'poller.test.js'
+    },
+    // Async flushes in async tests
+    {
+      code: `
+        beforeEach(() => jest.useFakeTimers());
+        afterEach(() => jest.useRealTimers());
+        it('retries', async () => {
+          await jest.advanceTimersByTimeAsync(1000);
+          await jest.runAllTimersAsync();
+        });
+      `,
+      filename: 'retry.test.js'
+    },
+    // runAllTimers() with an interval in a sibling test only
+    {
+      code: `
+        beforeEach(() => vi.useFakeTimers());
+        afterEach(() => vi.useRealTimers());
+        it('ticks', () => { setInterval(tick, 100); vi.advanceTimersByTime(300); });
+        it('times out', () => { setTimeout(done, 100); vi.runAllTimers(); });
+      `,
+      filename: 'clock.test.js'
+    },
+    // Flushes outside tests and hooks are not checked
+    {
+      code: 'async function flush() { jest.runAllTimers(); }',
+      filename: 'utils.test.js'
+    },
+    // Non-test files are ignored
+    {
+      code: 'jest.useFakeTimers();',
+      filename: 'setup.js'
+    }
+  ],
+
+  invalid: [
+    // No afterEach at all
+    {
+      code: `
+        describe('debounce', () => {
+          beforeEach(() => { jest.useFakeTimers(); });
+          it('fires once', () => {});
+        });
+      `,
+      filename: 'debounce.test.js',
+      output: `
+        describe('debounce', () => {
+          beforeEach(() => { jest.useFakeTimers(); });
+          afterEach(() => jest.useRealTimers());
+          it('fires once', () => {});
+        });
+      `,
+      errors: [{ messageId: 'missingRealTimers', data: { call: 'jest.useFakeTimers', library: 'jest' } }]
+    },
+    // Restored in the test body, which a failing assertion skips
+    {
+      code: 'it(\'polls\', () => {\n  vi.useFakeTimers();\n  vi.useRealTimers();\n});',
+      filename: 'poller.test.js',
+      output: 'it(\'polls\', () => {\n  vi.useFakeTimers();\n  vi.useRealTimers();\n});\nafterEach(() => vi.useRealTimers());',
+      errors: [{ messageId: 'missingRealTimers', data: { call: 'vi.useFakeTimers', library: 'vi' } }]
+    },
+    // Restored in a sibling describe block only; one hook added per block
+    {
+      code: `
+        describe('a', () => {
+          afterEach(() => jest.useRealTimers());
+        });
+        describe('b', () => {
+          jest.useFakeTimers();
+          it('runs', () => { jest.useFakeTimers(); });
+        });
+      `,
+      filename: 'siblings.test.js',
+      output: `
+        describe('a', () => {
+          afterEach(() => jest.useRealTimers());
+        });
+        describe('b', () => {
+          jest.useFakeTimers();
+          afterEach(() => jest.useRealTimers());
+          it('runs', () => { jest.useFakeTimers(); });
+        });
+      `,
+      errors: [{ messageId: 'missingRealTimers' }, { messageId: 'missingRealTimers' }]
+    },
+    // Synchronous flushes in async tests
+    {
+      code: `
+        beforeEach(() => jest.useFakeTimers());
+        afterEach(() => jest.useRealTimers());
+        it('retries', async () => {
+          jest.advanceTimersByTime(1000);
+          await jest.runOnlyPendingTimers();
+        });
+      `,
+      filename: 'retry.test.js',
+      errors: [
+        {
+          messageId: 'syncFlushInAsyncTest',
+          data: { call: 'jest.advanceTimersByTime', library: 'jest', async: 'advanceTimersByTimeAsync' },
+          suggestions: [{
+            messageId: 'useAsyncFlush',
+            output: `
+        beforeEach(() => jest.useFakeTimers());
+        afterEach(() => jest.useRealTimers());
+        it('retries', async () => {
+          await jest.advanceTimersByTimeAsync(1000);
+          await jest.runOnlyPendingTimers();
+        });
+      `
+          }]
+        },
+        {
+          messageId: 'syncFlushInAsyncTest',
+          data: { call: 'jest.runOnlyPendingTimers', library: 'jest', async: 'runOnlyPendingTimersAsync' },
+          suggestions: [{
+            messageId: 'useAsyncFlush',
+            output: `
+        beforeEach(() => jest.useFakeTimers());
+        afterEach(() => jest.useRealTimers());
+        it('retries', async () => {
+          jest.advanceTimersByTime(1000);
+          await jest.runOnlyPendingTimersAsync();
+        });
+      `
+          }]
+        }
+      ]
+    },
+    // runAllTimers() with an interval started in the test or a covering hook
+    {
+      code: `
+        beforeEach(() => vi.useFakeTimers());
+        afterEach(() => vi.useRealTimers());
+        it('ticks', () => { setInterval(tick, 100); vi.runAllTimers(); });
+        describe('poller', () => {
+          beforeEach(() => { window.setInterval(poll, 1000); });
+          it('polls', () => { vi.runAllTimers(); });
+        });
+      `,
+      filename: 'clock.test.js',
+      errors: [
+        { messageId: 'runAllTimersWithInterval', data: { call: 'vi.runAllTimers' } },
+        { messageId: 'runAllTimersWithInterval', data: { call: 'vi.runAllTimers' } }
+      ]
+    }
+  ]
+});
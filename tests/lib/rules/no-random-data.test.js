@@ -1,9 +1,13 @@
+/* eslint-disable test-flakiness/no-unmocked-fs */
 /**
  * @fileoverview Tests for no-random-data rule
  * @author eslint-plugin-test-flakiness
  */
 'use strict';
 
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
 const rule = require('../../../lib/rules/no-random-data');
 const { RuleTester } = require('eslint');
 const semver = require('semver');
@@ -31,8 +35,96 @@ const ruleTesterConfig = eslintVersion >= 9
 
 const ruleTester = new RuleTester(ruleTesterConfig);
 
+// A global setup file shared by every test file
+const rootDir = fs.mkdtempSync(path.join(os.tmpdir(), 'random-setup-'));
+fs.writeFileSync(path.join(rootDir, 'setup.js'), 'const { faker } = require("@faker-js/faker");\nbeforeEach(() => faker.seed(42));');
+afterAll(() => {
+  fs.rmSync(rootDir, { recursive: true, force: true });
+});
+
 ruleTester.run('no-random-data', rule, {
   valid: [
+    // Fake timers make the clock deterministic
+    {
+      code: 'beforeEach(() => { jest.useFakeTimers(); }); it("stamps", () => { const now = Date.now(); const d = new Date(); const t = performance.now(); });',
+      filename: 'test.spec.js'
+    },
+    {
+      code: 'it("stamps", () => { const clock = sinon.useFakeTimers(); const d = new Date(); clock.restore(); });',
+      filename: 'test.spec.js'
+    },
+    // Seeds cover the describe block they are set in, including its tests
+    {
+      code: `
+        describe('users', () => {
+          beforeEach(() => faker.seed(1));
+          it('creates a user', () => {
+            const name = faker.person.fullName();
+          });
+        });
+      `,
+      filename: 'DescribeSeed.test.js'
+    },
+    // faker locale exports and new Faker() instances are seeded one by one
+    {
+      code: 'import { fakerDE } from "@faker-js/faker";\nfakerDE.seed(1);\nconst name = fakerDE.person.firstName();',
+      filename: 'FakerLocale.test.js'
+    },
+    {
+      code: 'import { Faker, de } from "@faker-js/faker";\nconst customFaker = new Faker({ locale: [de] });\ncustomFaker.seed(7);\nconst name = customFaker.person.firstName();',
+      filename: 'FakerInstance.test.js'
+    },
+    // seedrandom replacing Math.random with a seeded generator
+    {
+      code: 'import seedrandom from "seedrandom";\nseedrandom("fixed", { global: true });\nconst value = Math.random();',
+      filename: 'SeedrandomGlobal.test.js'
+    },
+    {
+      code: 'Math.seedrandom("fixed");\nconst value = Math.random();',
+      filename: 'MathSeedrandom.test.js'
+    },
+    // Seeded generators from pure-rand, random-js and seedrandom
+    {
+      code: 'import prand from "pure-rand";\nconst rng = prand.xoroshiro128plus(42);\nconst [value] = prand.uniformIntDistribution(1, 6, rng);',
+      filename: 'PureRand.test.js'
+    },
+    {
+      code: 'import { Random, MersenneTwister19937 } from "random-js";\nconst random = new Random(MersenneTwister19937.seed(42));\nconst value = random.integer(1, 6);',
+      filename: 'RandomJs.test.js'
+    },
+    {
+      code: 'import seedrandom from "seedrandom";\nconst rng = seedrandom("fixed");\nconst value = rng();',
+      filename: 'SeedrandomLocal.test.js'
+    },
+    // fast-check runs with a fixed seed, per call or for the whole file
+    {
+      code: 'import fc from "fast-check";\nfc.assert(fc.property(fc.integer(), n => n === n), { seed: 42 });',
+      filename: 'FastCheckSeed.test.js'
+    },
+    {
+      code: 'import fc from "fast-check";\nfc.configureGlobal({ seed: 42 });\nit("holds", () => fc.assert(fc.property(fc.integer(), n => n === n)));',
+      filename: 'FastCheckGlobal.test.js'
+    },
+    // Spies standing in for the random source
+    {
+      code: 'describe("ids", () => {\n  beforeEach(() => vi.spyOn(crypto, "randomUUID").mockReturnValue("id-1"));\n  it("uses the id", () => crypto.randomUUID());\n});',
+      filename: 'SpiedRandomUUID.test.js'
+    },
+    {
+      code: 'it("rolls", () => {\n  jest.spyOn(Math, "random").mockReturnValue(0.5);\n  roll(Math.random());\n});',
+      filename: 'SpiedMathRandom.test.js'
+    },
+    // nanoid generator fed by a fixed random source
+    {
+      code: 'import { customRandom } from "nanoid";\nconst nanoid = customRandom("abc", 10, size => new Uint8Array(size));\nconst id = nanoid();',
+      filename: 'NanoidCustomRandom.test.js'
+    },
+    // faker seeded in a global setup file
+    {
+      code: 'test("creates a user", () => {\n  const name = faker.person.fullName();\n});',
+      filename: 'SeededInSetup.test.js',
+      settings: { 'test-flakiness': { rootDir, setupFiles: ['setup.js'] } }
+    },
     // Non-test files should be ignored
     {
       code: 'Math.random()',
@@ -259,6 +351,108 @@ ruleTester.run('no-random-data', rule, {
   ],
 
   invalid: [
+    // Mock-sounding names are not mocks
+    {
+      code: 'it("creates", () => { const user = createFakeUser({ id: Math.random(), createdAt: Date.now() }); });',
+      filename: 'test.spec.js',
+      errors: [{ messageId: 'avoidRandom' }, { messageId: 'avoidDateNow' }]
+    },
+    // Fake timers restored before the call, or not faking Date
+    {
+      code: 'it("stamps", () => { vi.useFakeTimers(); vi.useRealTimers(); const now = Date.now(); });',
+      filename: 'test.spec.js',
+      errors: [{ messageId: 'avoidDateNow' }]
+    },
+    {
+      code: 'it("stamps", () => { jest.useFakeTimers({ doNotFake: ["Date"] }); const d = new Date(); });',
+      filename: 'test.spec.js',
+      errors: [{ messageId: 'avoidDateNow' }]
+    },
+    {
+      code: 'beforeEach(() => { jest.useFakeTimers(); }); it("stamps", () => { const now = Date.now(); });',
+      filename: 'test.spec.js',
+      settings: { 'test-flakiness': { requireFakeTimerCleanup: true } },
+      errors: [{ messageId: 'avoidDateNow' }]
+    },
+    // A seed in one describe block does not cover its siblings
+    {
+      code: `
+        describe('seeded', () => {
+          beforeEach(() => faker.seed(1));
+          it('a', () => faker.person.fullName());
+        });
+        describe('unseeded', () => {
+          it('b', () => faker.person.fullName());
+        });
+      `,
+      filename: 'SiblingDescribe.test.js',
+      errors: [{ messageId: 'useSeed', data: { library: 'faker' }, line: 7 }]
+    },
+    // ...and a seed in one test does not cover the next
+    {
+      code: 'it("a", () => {\n  chance.seed(1);\n  chance.name();\n});\nit("b", () => chance.name());',
+      filename: 'SiblingTest.test.js',
+      errors: [{ messageId: 'useSeed', data: { library: 'chance' }, line: 5 }]
+    },
+    // Each faker instance needs its own seed
+    {
+      code: 'import { faker, fakerDE } from "@faker-js/faker";\nfaker.seed(1);\nconst name = fakerDE.person.firstName();',
+      filename: 'UnseededFakerLocale.test.js',
+      errors: [{ messageId: 'useSeed', data: { library: 'fakerDE' } }]
+    },
+    {
+      code: 'import { Faker, de } from "@faker-js/faker";\nconst customFaker = new Faker({ locale: [de] });\nconst name = customFaker.person.firstName();',
+      filename: 'UnseededFakerInstance.test.js',
+      errors: [{ messageId: 'useSeed', data: { library: 'customFaker' } }]
+    },
+    // seedrandom in one describe block does not cover its siblings
+    {
+      code: 'describe("a", () => {\n  beforeAll(() => seedrandom("fixed", { global: true }));\n});\ndescribe("b", () => {\n  it("rolls", () => Math.random());\n});',
+      filename: 'SeedrandomSibling.test.js',
+      errors: [{ messageId: 'avoidRandom', line: 5 }]
+    },
+    // Generators seeded differently on every run
+    {
+      code: 'import seedrandom from "seedrandom";\nconst rng = seedrandom();',
+      filename: 'SeedrandomAuto.test.js',
+      errors: [{ messageId: 'unseededGenerator', data: { generator: 'seedrandom()', example: 'seedrandom(\'fixed-seed\')' } }]
+    },
+    {
+      code: 'import fc from "fast-check";\nfc.assert(fc.property(fc.integer(), n => n === n));',
+      filename: 'FastCheckUnseeded.test.js',
+      errors: [{ messageId: 'unseededGenerator', data: { generator: 'fc.assert()', example: 'fc.assert(property, { seed: 42 })' } }]
+    },
+    {
+      code: 'import fc from "fast-check";\nfc.check(fc.property(fc.integer(), n => n === n), { numRuns: 10 });',
+      filename: 'FastCheckOptions.test.js',
+      errors: [{ messageId: 'unseededGenerator' }]
+    },
+    {
+      code: 'import { Random, MersenneTwister19937, nodeCrypto } from "random-js";\nconst a = new Random();\nconst b = new Random(nodeCrypto);\nconst c = new Random(MersenneTwister19937.autoSeed());',
+      filename: 'RandomJsUnseeded.test.js',
+      errors: [
+        { messageId: 'unseededGenerator', data: { generator: 'new Random()', example: 'new Random(MersenneTwister19937.seed(42))' } },
+        { messageId: 'unseededGenerator', data: { generator: 'new Random(nodeCrypto)', example: 'new Random(MersenneTwister19937.seed(42))' } },
+        { messageId: 'unseededGenerator', data: { generator: 'MersenneTwister19937.autoSeed()', example: 'MersenneTwister19937.seed(42)' } }
+      ]
+    },
+    // A spy in one describe block does not cover its siblings
+    {
+      code: 'describe("a", () => {\n  beforeEach(() => vi.spyOn(crypto, "randomUUID").mockReturnValue("id-1"));\n});\nit("b", () => crypto.randomUUID());',
+      filename: 'SpiedSibling.test.js',
+      errors: [{ messageId: 'avoidCryptoRandom' }]
+    },
+    // nanoid generators drawing from crypto
+    {
+      code: 'import { customAlphabet } from "nanoid";\nconst makeId = customAlphabet("abc", 10);\nconst id = makeId();',
+      filename: 'NanoidCustomAlphabet.test.js',
+      errors: [{ messageId: 'avoidUUID' }]
+    },
+    {
+      code: 'import { customRandom, random } from "nanoid";\nconst makeId = customRandom("abc", 10, random);\nconst id = makeId();',
+      filename: 'NanoidCryptoRandom.test.js',
+      errors: [{ messageId: 'avoidUUID' }]
+    },
     // Math.random usage
     {
       code: 'Math.random()',
@@ -0,0 +1,240 @@
+/**
+ * @fileoverview Tests for no-side-effects-in-waitfor rule
+ * @author eslint-plugin-test-flakiness
+ */
+'use strict';
+
+const rule = require('../../../lib/rules/no-side-effects-in-waitfor');
+const { getRuleTester } = require('../../../lib/utils/test-helpers');
+
+const ruleTester = getRuleTester();
+
+ruleTester.run('no-side-effects-in-waitfor', rule, {
+  valid: [
+    // Side effects before waiting
+    {
+      code: `
+        test('saves', async () => {
+          fireEvent.click(screen.getByText('Save'));
+          await waitFor(() => expect(screen.getByText('Saved')).toBeInTheDocument());
+          await waitFor(() => screen.getByRole('alert'));
+        });
+      `,
+      filename: 'save.test.js'
+    },
+    // Values local to the callback
+    {
+      code: `
+        test('counts', async () => {
+          await waitFor(() => {
+            let count = 0;
+            const state = { done: false };
+            for (let i = 0; i < 3; i++) count += i;
+            state.done = count > 0;
+            expect(state.done).toBe(true);
+          });
+        });
+      `,
+      filename: 'count.test.js'
+    },
+    // Polling a value and retrying assertions
+    {
+      code: `
+        test('loads', async ({ page }) => {
+          await expect.poll(() => api.status()).toBe('ready');
+          await expect(async () => {
+            await expect(page.getByText('Ready')).toBeVisible();
+          }).toPass();
+        });
+      `,
+      filename: 'load.spec.js'
+    },
+    // A user that does not come from userEvent.setup()
+    {
+      code: `
+        test('greets', async () => {
+          const user = buildUser();
+          await waitFor(() => expect(screen.getByText(user.getName())).toBeInTheDocument());
+        });
+      `,
+      filename: 'greet.test.js'
+    },
+    // Custom assertion helpers
+    {
+      code: 'test(\'saves\', async () => { await waitFor(() => assertSaved(mock)); });',
+      filename: 'helper.test.js',
+      options: [{ assertionFunctions: ['expect', 'assertSaved'] }]
+    },
+    {
+      code: 'test(\'waits\', async () => { await waitFor(() => mock.calls.length > 0); });',
+      filename: 'options.test.js',
+      options: [{ checkAssertions: false }]
+    },
+    {
+      code: 'test(\'waits\', async () => { await waitFor(() => { if (!ready) throw new Error(\'not ready\'); }); });',
+      filename: 'throw.test.js'
+    },
+    // Not a test file
+    {
+      code: 'waitFor(() => { fireEvent.click(button); expect(x).toBe(1); });',
+      filename: 'helpers.js'
+    }
+  ],
+
+  invalid: [
+    {
+      code: `test('saves', async () => {
+  await waitFor(() => {
+    fireEvent.click(screen.getByText('Save'));
+    expect(screen.getByText('Saved')).toBeInTheDocument();
+  });
+});`,
+      filename: 'save.test.js',
+      output: `test('saves', async () => {
+  fireEvent.click(screen.getByText('Save'));
+  await waitFor(() => {
+    expect(screen.getByText('Saved')).toBeInTheDocument();
+  });
+});`,
+      errors: [{ messageId: 'sideEffect', data: { effect: 'fireEvent.click', callback: 'waitFor' }, line: 3 }]
+    },
+    // Awaited events move into the async test
+    {
+      code: `test('types', async () => {
+  const user = userEvent.setup();
+  await waitFor(async () => {
+    await user.type(input, 'hello');
+    expect(input).toHaveValue('hello');
+  });
+});`,
+      filename: 'type.test.js',
+      output: `test('types', async () => {
+  const user = userEvent.setup();
+  await user.type(input, 'hello');
+  await waitFor(async () => {
+    expect(input).toHaveValue('hello');
+  });
+});`,
+      errors: [{ messageId: 'sideEffect', data: { effect: 'user.type', callback: 'waitFor' } }]
+    },
+    // One statement moves per fix pass, keeping the order
+    {
+      code: `test('submits', async () => {
+  await waitFor(() => {
+    act(() => store.dispatch(load()));
+    count++;
+    expect(count).toBe(1);
+  });
+});`,
+      filename: 'act.test.js',
+      output: `test('submits', async () => {
+  act(() => store.dispatch(load()));
+  await waitFor(() => {
+    count++;
+    expect(count).toBe(1);
+  });
+});`,
+      errors: [
+        { messageId: 'sideEffect', data: { effect: 'act', callback: 'waitFor' } },
+        { messageId: 'assignment', data: { target: 'count', callback: 'waitFor' } }
+      ]
+    },
+    // Network calls, global state and toPass()/expect.poll() callbacks
+    {
+      code: `test('syncs', async ({ page }) => {
+  await expect(async () => {
+    const response = await page.request.get('/api/status');
+    window.lastStatus = response.status();
+    expect(response.ok()).toBe(true);
+  }).toPass();
+  await expect.poll(async () => (await fetch('/api/jobs')).status).toBe(200);
+});`,
+      filename: 'sync.spec.js',
+      output: null,
+      errors: [
+        { messageId: 'sideEffect', data: { effect: 'page.request.get', callback: 'toPass' } },
+        { messageId: 'assignment', data: { target: 'window.lastStatus', callback: 'toPass' } },
+        { messageId: 'sideEffect', data: { effect: 'fetch', callback: 'expect.poll' } }
+      ]
+    },
+    // Awaited side effects stay when the test is not async
+    {
+      code: `test('clicks', () => {
+  const user = userEvent.setup();
+  waitFor(async () => {
+    await user.click(button);
+    expect(button).toHaveFocus();
+  });
+});`,
+      filename: 'sync.test.js',
+      output: null,
+      errors: [{ messageId: 'sideEffect', data: { effect: 'user.click', callback: 'waitFor' } }]
+    },
+    // and when the retry call is not a statement of its own in a function body
+    {
+      code: 'test(\'x\', () => waitFor(() => { fireEvent.click(b); expect(x).toBe(1); }));',
+      filename: 'arrow.test.js',
+      output: null,
+      errors: [{ messageId: 'sideEffect', data: { effect: 'fireEvent.click', callback: 'waitFor' } }]
+    },
+    {
+      code: `test('saves', async () => {
+  if (c) await waitFor(() => {
+    fireEvent.click(b);
+    expect(x).toBe(1);
+  });
+  const rows = await waitFor(() => {
+    fireEvent.click(b);
+    return screen.getAllByRole('row');
+  });
+});`,
+      filename: 'branch.test.js',
+      output: null,
+      errors: [
+        { messageId: 'sideEffect', data: { effect: 'fireEvent.click', callback: 'waitFor' }, line: 3 },
+        { messageId: 'sideEffect', data: { effect: 'fireEvent.click', callback: 'waitFor' }, line: 7 }
+      ]
+    },
+    // Custom wait utilities
+    {
+      code: `test('loads', async () => {
+  await waitForApp(() => {
+    userEvent.click(reload);
+    expect(app.ready).toBe(true);
+  });
+  await waitForApp(() => app.ready);
+});`,
+      filename: 'custom.test.js',
+      settings: { 'test-flakiness': { customWaitUtilities: ['waitForApp'] } },
+      output: `test('loads', async () => {
+  userEvent.click(reload);
+  await waitForApp(() => {
+    expect(app.ready).toBe(true);
+  });
+  await waitForApp(() => app.ready);
+});`,
+      errors: [
+        { messageId: 'sideEffect', data: { effect: 'userEvent.click', callback: 'waitForApp' } },
+        { messageId: 'noAssertion', data: { callback: 'waitForApp' }, line: 6 }
+      ]
+    },
+    // Callbacks without assertions pass at once
+    {
+      code: `test('waits', async () => {
+  await waitFor(() => mock.calls.length > 0);
+  await waitFor(() => {
+    fireEvent.click(button);
+  });
+  await waitFor(() => screen.queryByText('Done'));
+});`,
+      filename: 'noop.test.js',
+      output: null,
+      errors: [
+        { messageId: 'noAssertion', line: 2 },
+        { messageId: 'noAssertion', line: 3 },
+        { messageId: 'sideEffect', data: { effect: 'fireEvent.click', callback: 'waitFor' }, line: 4 },
+        { messageId: 'noAssertion', line: 6 }
+      ]
+    }
+  ]
+});
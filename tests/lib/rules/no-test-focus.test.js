@@ -11,6 +11,18 @@ const ruleTester = getRuleTester();
 
 ruleTester.run('no-test-focus', rule, {
   valid: [
+    // Excluded files are ignored even when they match a test pattern
+    {
+      code: 'test.only(\'should work\', () => {});',
+      filename: 'tests/fixtures/focused.test.js',
+      settings: { 'test-flakiness': { excludeTestFilePatterns: ['tests/fixtures/**'] } }
+    },
+    // Files outside the configured testFilePatterns are still ignored
+    {
+      code: 'test.only(\'should work\', () => {});',
+      filename: 'src/login.pw.ts',
+      settings: { 'test-flakiness': { testFilePatterns: ['qa/**'] } }
+    },
     // Normal test cases without focus/skip
     {
       code: 'test(\'should work\', () => {});',
@@ -84,6 +96,30 @@ ruleTester.run('no-test-focus', rule, {
   ],
 
   invalid: [
+    // Directory layouts resolved relative to the project root
+    {
+      code: 'test.only(\'should work\', () => {});',
+      filename: 'qa/checkout.js',
+      settings: { 'test-flakiness': { testFilePatterns: ['qa/**'] } },
+      errors: [{ messageId: 'noTestOnly', data: { method: 'test' } }],
+      output: 'test(\'should work\', () => {});'
+    },
+    // Every linted file is a test file in all mode
+    {
+      code: 'test.only(\'should work\', () => {});',
+      filename: 'src/checkout.js',
+      settings: { 'test-flakiness': { testFileMode: 'all' } },
+      errors: [{ messageId: 'noTestOnly', data: { method: 'test' } }],
+      output: 'test(\'should work\', () => {});'
+    },
+    // Custom test file layouts declared in settings
+    {
+      code: 'test.only(\'should work\', () => {});',
+      filename: 'e2e/login.pw.ts',
+      settings: { 'test-flakiness': { testFilePatterns: ['**/*.pw.ts'] } },
+      errors: [{ messageId: 'noTestOnly', data: { method: 'test' } }],
+      output: 'test(\'should work\', () => {});'
+    },
     // test.only
     {
       code: 'test.only(\'should work\', () => {});',
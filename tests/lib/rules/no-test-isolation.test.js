@@ -11,6 +11,77 @@ const ruleTester = getRuleTester();
 
 ruleTester.run('no-test-isolation', rule, {
   valid: [
+    // Concurrent tests keep their state local and take expect from the context
+    {
+      code: `
+        import { describe, test, beforeAll } from 'vitest';
+        let db;
+        beforeAll(() => { db = connect(); });
+        describe.concurrent('math', () => {
+          test('adds', async ({ expect }) => {
+            const total = [];
+            total.push(1);
+            expect(total).toEqual([1]);
+            expect(db).toBeDefined();
+          });
+          describe.sequential('in order', () => {
+            let step = 0;
+            test('first', ({ expect }) => { step++; expect(step).toBe(1); });
+          });
+        });
+      `,
+      filename: 'concurrent.test.js'
+    },
+    // Jest concurrent tests have no context expect
+    {
+      code: `
+        test.concurrent('loads', async () => {
+          expect(await load()).toBe(1);
+        });
+      `,
+      filename: 'jest-concurrent.test.js'
+    },
+    // Shared state no later test reads
+    {
+      code: 'let sharedData = {}; test("writes", () => { sharedData.value = 1; }); test("other", () => { expect(1).toBe(1); });',
+      filename: 'WriteOnly.test.js'
+    },
+    // Read before the only test that writes it
+    {
+      code: 'let result; it("reads", () => { expect(result).toBeUndefined(); }); it("writes", () => { result = 1; });',
+      filename: 'ReadFirst.test.js'
+    },
+    // Each test overwrites the value before reading it
+    {
+      code: 'let result; it("a", () => { result = 1; expect(result).toBe(1); }); it("b", () => { result = 2; expect(result).toBe(2); });',
+      filename: 'Overwrite.test.js'
+    },
+    // Reset by a beforeEach covering the reader or an afterEach covering the writer
+    {
+      code: `
+        let users;
+        let session;
+        describe("before", () => {
+          beforeEach(() => { users = []; });
+          it("creates", () => { users.push({ id: 1 }); });
+          it("counts", () => { expect(users).toHaveLength(0); });
+        });
+        describe("after", () => {
+          afterEach(() => { session = undefined; });
+          it("logs in", () => { session = login(); });
+        });
+        it("reads", () => { expect(session).toBeUndefined(); });
+      `,
+      filename: 'Reset.test.js'
+    },
+    // Same name in sibling describe blocks is two variables
+    {
+      code: `
+        describe("a", () => { let value; it("writes", () => { value = 1; }); });
+        describe("b", () => { let value; it("reads", () => { expect(value).toBeUndefined(); }); });
+      `,
+      filename: 'Siblings.test.js'
+    },
     // Non-test files should be ignored
     {
       code: 'let sharedState = {}',
@@ -163,29 +234,128 @@ ruleTester.run('no-test-isolation', rule, {
   ],
 
   invalid: [
+    // Any write to shared state in a concurrent block is a race, and expect
+    // must come from the test context
+    {
+      code: `
+import { describe, test, expect } from 'vitest';
+let count = 0;
+describe.concurrent('counter', () => {
+  test('increments', async () => {
+    count++;
+    expect(count).toBeGreaterThan(0);
+  });
+  test.concurrent('renders', ({ task }) => {
+    expect.soft(task.name).toBe('renders');
+  });
+});
+      `,
+      filename: 'counter.test.js',
+      errors: [
+        { messageId: 'concurrentSharedState', data: { variable: 'count' }, line: 6 },
+        {
+          messageId: 'useContextExpect',
+          data: { test: 'increments' },
+          line: 7,
+          suggestions: [{
+            messageId: 'addContextExpect',
+            output: `
+import { describe, test, expect } from 'vitest';
+let count = 0;
+describe.concurrent('counter', () => {
+  test('increments', async ({ expect }) => {
+    count++;
+    expect(count).toBeGreaterThan(0);
+  });
+  test.concurrent('renders', ({ task }) => {
+    expect.soft(task.name).toBe('renders');
+  });
+});
+      `
+          }]
+        },
+        {
+          messageId: 'useContextExpect',
+          data: { test: 'renders' },
+          line: 10,
+          suggestions: [{
+            messageId: 'addContextExpect',
+            output: `
+import { describe, test, expect } from 'vitest';
+let count = 0;
+describe.concurrent('counter', () => {
+  test('increments', async () => {
+    count++;
+    expect(count).toBeGreaterThan(0);
+  });
+  test.concurrent('renders', ({ task, expect }) => {
+    expect.soft(task.name).toBe('renders');
+  });
+});
+      `
+          }]
+        }
+      ]
+    },
+    // Playwright parallel mode, including hooks that run for each test
+    {
+      code: `
+import { test } from '@playwright/test';
+test.describe('cart', () => {
+  test.describe.configure({ mode: 'parallel' });
+  const seen = new Set();
+  beforeEach(() => { global.cartId = 'abc'; });
+  test('adds', async ({ page }) => { seen.add(await page.title()); });
+});
+      `,
+      filename: 'cart.spec.js',
+      errors: [
+        { messageId: 'globalStateMutation', data: { property: 'global.cartId' }, line: 6 },
+        { messageId: 'concurrentSharedState', data: { variable: 'seen' }, line: 7 }
+      ]
+    },
+    // Flow across describe blocks, not reset by beforeAll
+    {
+      code: `
+        let session;
+        beforeAll(() => { session = login(); });
+        describe(\`auth\`, () => {
+          it(\`logs out\`, () => { session.logout(); });
+        });
+        describe("profile", () => {
+          it("loads", () => { expect(session.user).toBeDefined(); });
+        });
+      `,
+      filename: 'Session.test.js',
+      errors: [{
+        messageId: 'avoidSharedState',
+        data: { variable: 'session', writer: 'logs out', reader: 'loads' },
+        line: 5
+      }]
+    },
     // Shared mutable state at module level
     {
       code: 'let counter = 0; it("test1", () => { counter++; }); it("test2", () => { counter++; });',
       filename: 'Counter.test.js',
       errors: [{
         messageId: 'avoidSharedState',
-        data: { variable: 'counter' }
+        data: { variable: 'counter', writer: 'test1', reader: 'test2' }
       }]
     },
     {
-      code: 'let sharedData = {}; test("test", () => { sharedData.value = 1; });',
+      code: 'let sharedData = {}; test("test", () => { sharedData.value = 1; }); test("reads", () => { expect(sharedData.value).toBe(1); });',
       filename: 'SharedData.test.js',
       errors: [{
         messageId: 'avoidSharedState',
-        data: { variable: 'sharedData' }
+        data: { variable: 'sharedData', writer: 'test', reader: 'reads' }
       }]
     },
     {
-      code: 'let array = []; it("test", () => { array.push(1); });',
+      code: 'let array = []; it("test", () => { array.push(1); }); it("reads", () => { expect(array).toHaveLength(1); });',
       filename: 'Array.test.js',
       errors: [{
         messageId: 'avoidSharedState',
-        data: { variable: 'array' }
+        data: { variable: 'array', writer: 'test', reader: 'reads' }
       }]
     },
 
@@ -217,18 +387,19 @@ ruleTester.run('no-test-isolation', rule, {
       filename: 'DescribeShared.test.js',
       errors: [{
         messageId: 'initInSetup',
-        data: { variable: 'value' }
+        data: { variable: 'value', writer: 'test1', reader: 'test2' }
       }]
     },
     {
       code: `describe("suite", () => {
         let component = null;
         it("test", () => { component = renderApp(); });
+        it("unmounts", () => { component.unmount(); });
       })`,
       filename: 'ComponentNoSetup.test.js',
       errors: [{
         messageId: 'initInSetup',
-        data: { variable: 'component' }
+        data: { variable: 'component', writer: 'test', reader: 'unmounts' }
       }]
     },
 
@@ -242,7 +413,7 @@ ruleTester.run('no-test-isolation', rule, {
       filename: 'Dependency.test.js',
       errors: [{
         messageId: 'avoidSharedState',
-        data: { variable: 'result' }
+        data: { variable: 'result', writer: 'test1', reader: 'test2' }
       }]
     },
 
@@ -264,11 +435,11 @@ ruleTester.run('no-test-isolation', rule, {
 
     // Multiple test files sharing state (if detectable)
     {
-      code: 'export let sharedState = {}; it("test", () => { sharedState.value = 1; });',
+      code: 'export let sharedState = {}; it("test", () => { sharedState.value = 1; }); it("reads", () => { expect(sharedState).toEqual({}); });',
       filename: 'ExportState.test.js',
       errors: [{
         messageId: 'avoidSharedState',
-        data: { variable: 'sharedState' }
+        data: { variable: 'sharedState', writer: 'test', reader: 'reads' }
       }]
     },
 
@@ -298,11 +469,14 @@ ruleTester.run('no-test-isolation', rule, {
         it('test', () => {
           state.value = 2;
         });
+        it('reads', () => {
+          expect(state.value).toBe(1);
+        });
       `,
       filename: 'CustomHook.test.js',
       errors: [{
         messageId: 'avoidSharedState',
-        data: { variable: 'state' }
+        data: { variable: 'state', writer: 'test', reader: 'reads' }
       }]
     },
 
@@ -316,17 +490,17 @@ ruleTester.run('no-test-isolation', rule, {
       filename: 'OrderDependent.test.js',
       errors: [{
         messageId: 'avoidSharedState',
-        data: { variable: 'users' }
+        data: { variable: 'users', writer: 'creates user', reader: 'finds user' }
       }]
     },
 
     // Async operations without proper cleanup
     {
-      code: 'let timer; it("test", () => { timer = setTimeout(() => {}, 1000); });',
+      code: 'let timer; it("test", () => { timer = setTimeout(() => {}, 1000); }); it("clears", () => { clearTimeout(timer); });',
       filename: 'TimerNoCleanup.test.js',
       errors: [{
         messageId: 'avoidSharedState',
-        data: { variable: 'timer' }
+        data: { variable: 'timer', writer: 'test', reader: 'clears' }
       }]
     },
     {
@@ -340,22 +514,22 @@ ruleTester.run('no-test-isolation', rule, {
 
     // Multiple violations - shared state and cleanup
     {
-      code: 'let counter = 0; let data = {}; let spy; beforeEach(() => { spy = jest.spyOn(console, "log"); }); it("test1", () => { counter++; data.value = 1; });',
+      code: 'let counter = 0; let data = {}; let spy; beforeEach(() => { spy = jest.spyOn(console, "log"); }); it("test1", () => { counter++; data.value = 1; }); it("test2", () => { expect(counter + data.value).toBe(2); });',
       filename: 'Multiple.test.js',
       errors: [
         { messageId: 'needsCleanup', data: { hook: 'beforeEach' } },
-        { messageId: 'avoidSharedState', data: { variable: 'counter' } },
-        { messageId: 'avoidSharedState', data: { variable: 'data' } }
+        { messageId: 'avoidSharedState', data: { variable: 'counter', writer: 'test1', reader: 'test2' } },
+        { messageId: 'avoidSharedState', data: { variable: 'data', writer: 'test1', reader: 'test2' } }
       ]
     },
 
     // Class instance shared across tests
     {
-      code: 'let instance = new MyClass(); it("test", () => { instance.method(); });',
+      code: 'let instance = new MyClass(); it("test", () => { instance.method(); }); it("test2", () => { instance.method(); });',
       filename: 'ClassInstance.test.js',
       errors: [{
         messageId: 'avoidSharedState',
-        data: { variable: 'instance' }
+        data: { variable: 'instance', writer: 'test', reader: 'test2' }
       }]
     },
 
@@ -418,22 +592,22 @@ ruleTester.run('no-test-isolation', rule, {
 
     // Variables that should have been in allowedSharedVariables
     {
-      code: 'let helper = {}; it("test", () => { helper.method(); });',
+      code: 'let helper = {}; it("test", () => { helper.method(); }); it("test2", () => { helper.method(); });',
       filename: 'DisallowedShared.test.js',
       options: [{ allowedSharedVariables: ['otherHelper'] }],
       errors: [{
         messageId: 'avoidSharedState',
-        data: { variable: 'helper' }
+        data: { variable: 'helper', writer: 'test', reader: 'test2' }
       }]
     },
 
     // Multiple options combined
     {
-      code: 'let shared = {}; it("test", () => { shared.value = 1; global.flag = true; });',
+      code: 'let shared = {}; it("test", () => { shared.value = 1; global.flag = true; }); it("reads", () => { expect(shared.value).toBe(1); });',
       filename: 'MultipleOptions.test.js',
       options: [{ checkGlobalState: true, allowedSharedVariables: [] }],
       errors: [
-        { messageId: 'avoidSharedState', data: { variable: 'shared' } },
+        { messageId: 'avoidSharedState', data: { variable: 'shared', writer: 'test', reader: 'reads' } },
         { messageId: 'globalStateMutation', data: { property: 'global.flag' } }
       ]
     },
@@ -443,11 +617,12 @@ ruleTester.run('no-test-isolation', rule, {
       code: `describe("suite", () => {
         let counter;
         it("test", () => { counter++; });
+        it("test2", () => { counter++; });
       })`,
       filename: 'CounterNoInit.test.js',
       errors: [{
         messageId: 'avoidSharedState',
-        data: { variable: 'counter' }
+        data: { variable: 'counter', writer: 'test', reader: 'test2' }
       }]
     },
 
@@ -462,31 +637,31 @@ ruleTester.run('no-test-isolation', rule, {
 
     // Multiple errors on same line/column for sorting
     {
-      code: 'let x = {}; let y = {}; it("test", () => { x.value = 1; y.value = 2; });',
+      code: 'let x = {}; let y = {}; it("test", () => { x.value = 1; y.value = 2; }); it("reads", () => { expect(x.value + y.value).toBe(3); });',
       filename: 'SameLine.test.js',
       errors: [
-        { messageId: 'avoidSharedState', data: { variable: 'x' } },
-        { messageId: 'avoidSharedState', data: { variable: 'y' } }
+        { messageId: 'avoidSharedState', data: { variable: 'x', writer: 'test', reader: 'reads' } },
+        { messageId: 'avoidSharedState', data: { variable: 'y', writer: 'test', reader: 'reads' } }
       ]
     },
 
     // Calling meaningful methods on shared objects
     {
-      code: 'let service = {}; it("test", () => { service.connect(); });',
+      code: 'let service = {}; it("test", () => { service.connect(); }); it("test2", () => { service.connect(); });',
       filename: 'ServiceConnect.test.js',
       errors: [{
         messageId: 'avoidSharedState',
-        data: { variable: 'service' }
+        data: { variable: 'service', writer: 'test', reader: 'test2' }
       }]
     },
 
     // Detects assignment to shared state in describe block without setup initialization
     {
-      code: 'describe("test", () => { let shared; it("test", () => { shared = 1; }); });',
+      code: 'describe("test", () => { let shared; it("test", () => { shared = 1; }); it("reads", () => { expect(shared).toBe(1); }); });',
       filename: 'DescribeSharedState.test.js',
       errors: [{
         messageId: 'avoidSharedState',
-        data: { variable: 'shared' }
+        data: { variable: 'shared', writer: 'test', reader: 'reads' }
       }]
     },
 
@@ -496,11 +671,12 @@ ruleTester.run('no-test-isolation', rule, {
         let x, y;
         it("test1", () => { x = 1; });
         it("test2", () => { y = 2; });
+        it("test3", () => { expect(x + y).toBe(3); });
       `,
       filename: 'MultipleSorting.test.js',
       errors: [
-        { messageId: 'avoidSharedState', data: { variable: 'x' } },
-        { messageId: 'avoidSharedState', data: { variable: 'y' } }
+        { messageId: 'avoidSharedState', data: { variable: 'x', writer: 'test1', reader: 'test3' } },
+        { messageId: 'avoidSharedState', data: { variable: 'y', writer: 'test2', reader: 'test3' } }
       ]
     },
 
@@ -514,7 +690,7 @@ ruleTester.run('no-test-isolation', rule, {
       filename: 'EmptyObjectMutation.test.js',
       errors: [{
         messageId: 'avoidSharedState',
-        data: { variable: 'emptyObj' }
+        data: { variable: 'emptyObj', writer: 'test1', reader: 'test2' }
       }]
     },
 
@@ -528,7 +704,7 @@ ruleTester.run('no-test-isolation', rule, {
       filename: 'NonEmptyObjectMutation.test.js',
       errors: [{
         messageId: 'avoidSharedState',
-        data: { variable: 'nonEmptyObj' }
+        data: { variable: 'nonEmptyObj', writer: 'test1', reader: 'test2' }
       }]
     },
 
@@ -542,7 +718,7 @@ ruleTester.run('no-test-isolation', rule, {
       filename: 'ArrayMutation.test.js',
       errors: [{
         messageId: 'avoidSharedState',
-        data: { variable: 'arr' }
+        data: { variable: 'arr', writer: 'test1', reader: 'test2' }
       }]
     },
 
@@ -556,7 +732,7 @@ ruleTester.run('no-test-isolation', rule, {
       filename: 'EmptyArrayMutation.test.js',
       errors: [{
         messageId: 'avoidSharedState',
-        data: { variable: 'emptyArr' }
+        data: { variable: 'emptyArr', writer: 'test1', reader: 'test2' }
       }]
     }
   ]
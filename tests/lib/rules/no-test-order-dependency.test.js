@@ -0,0 +1,184 @@
+/**
+ * @fileoverview Tests for no-test-order-dependency rule
+ * @author eslint-plugin-test-flakiness
+ */
+'use strict';
+
+const rule = require('../../../lib/rules/no-test-order-dependency');
+const { getRuleTester } = require('../../../lib/utils/test-helpers');
+
+const ruleTester = getRuleTester();
+
+ruleTester.run('no-test-order-dependency', rule, {
+  valid: [
+    // Each test creates what it reads
+    {
+      code: `
+        describe('storage', () => {
+          it('saves', () => { localStorage.setItem('token', 'abc'); });
+          it('loads', () => {
+            localStorage.setItem('token', 'xyz');
+            expect(localStorage.getItem('token')).toBe('xyz');
+          });
+        });
+      `,
+      filename: 'storage.test.js'
+    },
+    // Reset by hooks: a beforeEach covering the reader, an afterEach covering the writer
+    {
+      code: `
+        describe('storage', () => {
+          beforeEach(() => localStorage.clear());
+          it('saves', () => { localStorage.setItem('token', 'abc'); });
+          it('loads', () => { expect(localStorage.getItem('token')).toBeNull(); });
+        });
+        describe('dom', () => {
+          afterEach(() => { document.body.innerHTML = ''; });
+          it('renders', () => { document.body.innerHTML = '<div id="toast"></div>'; });
+          it('is gone', () => { expect(document.getElementById('toast')).toBeNull(); });
+        });
+      `,
+      filename: 'reset.test.js'
+    },
+    // Provided by setup code, not only by the earlier test
+    {
+      code: `
+        describe('dom', () => {
+          beforeAll(() => { document.body.innerHTML = '<ul class="list"></ul>'; });
+          it('adds', () => { document.body.innerHTML = '<ul class="list"><li></li></ul>'; });
+          it('finds', () => { expect(document.querySelector('.list')).not.toBeNull(); });
+        });
+      `,
+      filename: 'setup.test.js'
+    },
+    // The writer removes what it created
+    {
+      code: `
+        it('shows toast', () => {
+          const toast = document.createElement('div');
+          toast.id = 'toast';
+          document.getElementById('toast').remove();
+        });
+        it('has no toast', () => { expect(document.getElementById('toast')).toBeNull(); });
+      `,
+      filename: 'toast.test.js'
+    },
+    // Tests in different describe blocks are not siblings
+    {
+      code: `
+        describe('a', () => { it('saves', () => { sessionStorage.setItem('step', '2'); }); });
+        describe('b', () => { it('loads', () => { sessionStorage.getItem('step'); }); });
+      `,
+      filename: 'siblings.test.js'
+    },
+    // Serial blocks run in order on purpose
+    {
+      code: `
+        test.describe.serial('checkout', () => {
+          let orderId;
+          test('creates order', async () => { orderId = await createOrder(); });
+          test('pays order', async () => { await pay(orderId); });
+        });
+        test.describe('wizard', () => {
+          test.describe.configure({ mode: 'serial' });
+          test('step one', () => { localStorage.setItem('step', '1'); });
+          test('step two', () => { expect(localStorage.getItem('step')).toBe('1'); });
+        });
+      `,
+      filename: 'serial.spec.js'
+    },
+    // Variables are left to no-test-isolation by default
+    {
+      code: 'let count = 0;\nit(\'increments\', () => { count++; });\nit(\'reads\', () => { expect(count).toBe(1); });',
+      filename: 'counter.test.js'
+    },
+    // Resources can be allowed
+    {
+      code: `
+        let counter = 0;
+        it('a', () => { counter++; });
+        it('b', () => { expect(counter).toBe(1); localStorage.getItem('seen'); });
+        it('c', () => { localStorage.setItem('seen', 'yes'); });
+        it('d', () => { localStorage.getItem('seen'); });
+      `,
+      filename: 'options.test.js',
+      options: [{ checkVariables: false, allowedResources: ['seen'] }]
+    },
+    // Non-test files are ignored
+    {
+      code: 'let n = 0; it("a", () => { n++; }); it("b", () => { expect(n).toBe(1); });',
+      filename: 'counter.js'
+    }
+  ],
+
+  invalid: [
+    // Module-level counter, when variables are checked too
+    {
+      code: 'let count = 0;\nit(\'increments\', () => { count++; });\nit(\'reads\', () => { expect(count).toBe(1); });',
+      filename: 'counter.test.js',
+      options: [{ checkVariables: true }],
+      errors: [{
+        messageId: 'testOrderDependency',
+        data: { reader: 'reads', writer: 'increments', resource: 'variable "count"' },
+        line: 3
+      }]
+    },
+    // Storage keys, including through window and after an unrelated beforeAll
+    {
+      code: `
+        describe('session', () => {
+          beforeAll(() => { localStorage.setItem('theme', 'dark'); });
+          it('logs in', () => { window.localStorage.setItem('token', 'abc'); });
+          it('calls the api', () => { expect(localStorage.getItem('token')).toBe('abc'); });
+        });
+      `,
+      filename: 'session.test.js',
+      errors: [{
+        messageId: 'testOrderDependency',
+        data: { reader: 'calls the api', writer: 'logs in', resource: 'localStorage key "token"' }
+      }]
+    },
+    // DOM nodes created by id, class, test id and HTML
+    {
+      code: `
+        describe('dom', () => {
+          it('creates', () => {
+            const el = document.createElement('div');
+            el.id = 'banner';
+            el.classList.add('open');
+            el.setAttribute('data-testid', 'close');
+            document.body.insertAdjacentHTML('beforeend', \`<p class="note"></p>\`);
+          });
+          it('finds banner', () => { document.getElementById('banner'); });
+          it('finds open', () => { document.querySelector('.open'); });
+          it('finds close', () => { screen.getByTestId('close'); });
+          it('finds note', () => { document.getElementsByClassName('note'); });
+        });
+      `,
+      filename: 'dom.test.js',
+      errors: [
+        { messageId: 'testOrderDependency', data: { reader: 'finds banner', writer: 'creates', resource: 'element "#banner"' } },
+        { messageId: 'testOrderDependency', data: { reader: 'finds open', writer: 'creates', resource: 'element ".open"' } },
+        { messageId: 'testOrderDependency', data: { reader: 'finds close', writer: 'creates', resource: 'element "[data-testid="close"]"' } },
+        { messageId: 'testOrderDependency', data: { reader: 'finds note', writer: 'creates', resource: 'element ".note"' } }
+      ]
+    },
+    // A beforeEach in a sibling block does not reset the state
+    {
+      code: `
+        describe('outer', () => {
+          describe('other', () => {
+            beforeEach(() => { document.body.innerHTML = ''; });
+          });
+          it('renders', () => { document.body.innerHTML = '<div data-testid="modal"></div>'; });
+          it('closes', () => { document.querySelector('[data-testid=modal]').remove(); });
+        });
+      `,
+      filename: 'modal.test.js',
+      errors: [{
+        messageId: 'testOrderDependency',
+        data: { reader: 'closes', writer: 'renders', resource: 'element "[data-testid="modal"]"' }
+      }]
+    }
+  ]
+});
@@ -11,6 +11,11 @@ const ruleTester = getRuleTester();
 
 ruleTester.run('no-unconditional-wait', rule, {
   valid: [
+    // Fake timers run the callback when the test advances the clock
+    {
+      code: 'test("retries", async ({ page }) => { await page.clock.install(); setTimeout(() => {}, 2000); });',
+      filename: 'retry.spec.js'
+    },
     // Test configuration options - maxTimeout allows timeouts within limit
     {
       code: 'setTimeout(() => {}, 500);',
@@ -255,6 +260,43 @@ ruleTester.run('no-unconditional-wait', rule, {
   ],
 
   invalid: [
+    // Mock-sounding names around a real timer do not mock it
+    {
+      code: 'it("waits", () => { runWithMocks(() => { setTimeout(() => {}, 2000); }); });',
+      filename: 'Component.test.js',
+      errors: [{ messageId: 'useWaitFor' }]
+    },
+    // Fake timers restored before the wait
+    {
+      code: 'it("waits", () => { const clock = sinon.useFakeTimers(); clock.restore(); setTimeout(() => {}, 2000); });',
+      filename: 'Component.test.js',
+      errors: [{ messageId: 'useWaitFor' }]
+    },
+    // Playwright detected from require(), not just ES imports
+    {
+      code: `
+        const { test } = require('@playwright/test');
+        test('loads', async () => {
+          await new Promise(r => setTimeout(r, 500));
+        });
+      `,
+      filename: 'checkout.spec.js',
+      errors: [{ messageId: 'useWaitForPlaywright' }]
+    },
+
+    // WebdriverIO has no waitFor, so the testing-library fix is not offered
+    {
+      code: `
+        import { browser } from '@wdio/globals';
+        it('loads', async () => {
+          await new Promise(r => setTimeout(r, 500));
+        });
+      `,
+      filename: 'checkout.spec.js',
+      errors: [{ messageId: 'useWaitFor' }],
+      output: null
+    },
+
     // Test configuration options - maxTimeout violations
     {
       code: 'setTimeout(() => {}, 1001);',
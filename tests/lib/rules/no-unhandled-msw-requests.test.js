@@ -0,0 +1,252 @@
+/**
+ * @fileoverview Tests for no-unhandled-msw-requests rule
+ * @author eslint-plugin-test-flakiness
+ */
+'use strict';
+
+const rule = require('../../../lib/rules/no-unhandled-msw-requests');
+const { getRuleTester } = require('../../../lib/utils/test-helpers');
+
+const ruleTester = getRuleTester();
+
+ruleTester.run('no-unhandled-msw-requests', rule, {
+  valid: [
+    // Servers of the same name in sibling blocks are checked separately
+    {
+      code: `
+        import { setupServer } from 'msw/node';
+        describe('a', () => {
+          const server = setupServer();
+          beforeAll(() => server.listen({ onUnhandledRequest: 'error' }));
+          afterEach(() => server.resetHandlers());
+          afterAll(() => server.close());
+          it('overrides', () => { server.use(handler); });
+        });
+        describe('b', () => {
+          const server = setupServer();
+          beforeAll(() => server.listen({ onUnhandledRequest: 'error' }));
+          afterEach(() => server.resetHandlers());
+          afterAll(() => server.close());
+        });
+      `,
+      filename: 'SiblingServers.test.js'
+    },
+    // Full lifecycle with a strict policy
+    {
+      code: `
+        import { setupServer } from 'msw/node';
+        const server = setupServer();
+        beforeAll(() => server.listen({ onUnhandledRequest: 'error' }));
+        afterEach(() => server.resetHandlers());
+        afterAll(() => server.close());
+        it('loads', () => {
+          server.use(handler);
+        });
+      `,
+      filename: 'Users.test.js'
+    },
+    // Server created in a hook
+    {
+      code: `
+        import { setupServer } from 'msw/node';
+        let server;
+        beforeAll(() => {
+          server = setupServer(...handlers);
+          server.listen({ onUnhandledRequest: 'error' });
+        });
+        afterEach(() => { server.resetHandlers(); });
+        afterAll(() => { server.close(); });
+      `,
+      filename: 'HookServer.test.js'
+    },
+    // Browser worker
+    {
+      code: `
+        import { setupWorker } from 'msw/browser';
+        const worker = setupWorker();
+        beforeAll(() => worker.start({ onUnhandledRequest: 'error' }));
+        afterEach(() => worker.resetHandlers());
+        afterAll(() => worker.stop());
+      `,
+      filename: 'Worker.test.js'
+    },
+    // Custom unhandled-request callbacks and options built elsewhere are accepted
+    {
+      code: `
+        const { setupServer } = require('msw/node');
+        const server = setupServer();
+        beforeAll(() => server.listen({ onUnhandledRequest: (req, print) => print.error() }));
+        afterEach(() => server.resetHandlers());
+        afterAll(() => server.close());
+      `,
+      filename: 'CustomPolicy.test.js'
+    },
+    {
+      code: `
+        import { setupServer } from 'msw/node';
+        const server = setupServer();
+        beforeAll(() => server.listen(listenOptions));
+        afterEach(() => server.resetHandlers());
+        afterAll(() => server.close());
+      `,
+      filename: 'OptionsVariable.test.js'
+    },
+    // Policies can be widened
+    {
+      code: `
+        import { setupServer } from 'msw/node';
+        const server = setupServer();
+        beforeAll(() => server.listen({ onUnhandledRequest: 'warn' }));
+        afterEach(() => server.resetHandlers());
+        afterAll(() => server.close());
+      `,
+      filename: 'WarnAllowed.test.js',
+      options: [{ allowedPolicies: ['error', 'warn'] }]
+    },
+    // A setupServer that does not come from msw, and servers imported from a setup module
+    {
+      code: 'const setupServer = () => ({});\nconst server = setupServer();',
+      filename: 'LocalSetup.test.js'
+    },
+    {
+      code: `
+        import { server } from './mocks/server';
+        it('loads', () => { server.use(handler); });
+      `,
+      filename: 'SharedServer.test.js'
+    },
+    // Not a test file
+    {
+      code: 'import { setupServer } from "msw/node";\nconst server = setupServer();',
+      filename: 'src/mocks/server.js'
+    }
+  ],
+
+  invalid: [
+    // Missing every lifecycle hook
+    {
+      code: `import { setupServer } from 'msw/node';
+const server = setupServer();
+it('loads', () => {});`,
+      filename: 'NoLifecycle.test.js',
+      errors: [{
+        messageId: 'incompleteLifecycle',
+        data: {
+          kind: 'server',
+          name: 'server',
+          missing: 'server.listen() in beforeAll, server.resetHandlers() in afterEach, server.close() in afterAll'
+        }
+      }],
+      output: `import { setupServer } from 'msw/node';
+const server = setupServer();
+beforeAll(() => server.listen({ onUnhandledRequest: 'error' }));
+afterEach(() => server.resetHandlers());
+afterAll(() => server.close());
+it('loads', () => {});`
+    },
+    // Missing the reset only, inside a describe block
+    {
+      code: `import { setupServer } from 'msw/node';
+describe('users', () => {
+  const server = setupServer();
+  beforeAll(() => server.listen({ onUnhandledRequest: 'error' }));
+  afterAll(() => server.close());
+});`,
+      filename: 'NoReset.test.js',
+      errors: [{ messageId: 'incompleteLifecycle', data: { kind: 'server', name: 'server', missing: 'server.resetHandlers() in afterEach' } }],
+      output: `import { setupServer } from 'msw/node';
+describe('users', () => {
+  const server = setupServer();
+  afterEach(() => server.resetHandlers());
+  beforeAll(() => server.listen({ onUnhandledRequest: 'error' }));
+  afterAll(() => server.close());
+});`
+    },
+    // A reset in a sibling describe block does not cover the server
+    {
+      code: `import { setupServer } from 'msw/node';
+const server = setupServer();
+beforeAll(() => server.listen({ onUnhandledRequest: 'error' }));
+afterAll(() => server.close());
+describe('a', () => {
+  afterEach(() => server.resetHandlers());
+});`,
+      filename: 'SiblingReset.test.js',
+      errors: [{ messageId: 'incompleteLifecycle', data: { kind: 'server', name: 'server', missing: 'server.resetHandlers() in afterEach' } }],
+      output: `import { setupServer } from 'msw/node';
+const server = setupServer();
+afterEach(() => server.resetHandlers());
+beforeAll(() => server.listen({ onUnhandledRequest: 'error' }));
+afterAll(() => server.close());
+describe('a', () => {
+  afterEach(() => server.resetHandlers());
+});`
+    },
+    // Lenient or missing unhandled-request policies
+    {
+      code: `import { setupServer } from 'msw/node';
+const server = setupServer();
+beforeAll(() => server.listen());
+afterEach(() => server.resetHandlers());
+afterAll(() => server.close());`,
+      filename: 'NoPolicy.test.js',
+      errors: [{ messageId: 'lenientUnhandledRequest', data: { call: 'server.listen', policy: 'error' } }],
+      output: `import { setupServer } from 'msw/node';
+const server = setupServer();
+beforeAll(() => server.listen({ onUnhandledRequest: 'error' }));
+afterEach(() => server.resetHandlers());
+afterAll(() => server.close());`
+    },
+    {
+      code: `import { setupServer } from 'msw/node';
+const server = setupServer();
+beforeAll(() => server.listen({ onUnhandledRequest: 'bypass' }));
+afterEach(() => server.resetHandlers());
+afterAll(() => server.close());`,
+      filename: 'BypassPolicy.test.js',
+      errors: [{ messageId: 'lenientUnhandledRequest' }],
+      output: `import { setupServer } from 'msw/node';
+const server = setupServer();
+beforeAll(() => server.listen({ onUnhandledRequest: 'error' }));
+afterEach(() => server.resetHandlers());
+afterAll(() => server.close());`
+    },
+    {
+      code: `import { setupWorker } from 'msw/browser';
+const worker = setupWorker();
+beforeAll(() => worker.start({ quiet: true }));
+afterEach(() => worker.resetHandlers());
+afterAll(() => worker.stop());`,
+      filename: 'WorkerPolicy.test.js',
+      errors: [{ messageId: 'lenientUnhandledRequest', data: { call: 'worker.start', policy: 'error' } }],
+      output: `import { setupWorker } from 'msw/browser';
+const worker = setupWorker();
+beforeAll(() => worker.start({ onUnhandledRequest: 'error', quiet: true }));
+afterEach(() => worker.resetHandlers());
+afterAll(() => worker.stop());`
+    },
+    // Per-test overrides without a reset; the missing reset is reported on the server too
+    {
+      code: `import { setupServer } from 'msw/node';
+const server = setupServer();
+beforeAll(() => server.listen({ onUnhandledRequest: 'error' }));
+afterAll(() => server.close());
+it('fails', () => {
+  server.use(errorHandler);
+});`,
+      filename: 'LeakingUse.test.js',
+      errors: [
+        { messageId: 'incompleteLifecycle', line: 2 },
+        { messageId: 'leakingOverride', data: { name: 'server' }, line: 6 }
+      ],
+      output: `import { setupServer } from 'msw/node';
+const server = setupServer();
+afterEach(() => server.resetHandlers());
+beforeAll(() => server.listen({ onUnhandledRequest: 'error' }));
+afterAll(() => server.close());
+it('fails', () => {
+  server.use(errorHandler);
+});`
+    }
+  ]
+});
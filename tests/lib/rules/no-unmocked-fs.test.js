@@ -1,16 +1,56 @@
+/* eslint-disable test-flakiness/no-unmocked-fs */
 /**
  * @fileoverview Tests for no-unmocked-fs rule
  * @author eslint-plugin-test-flakiness
  */
 'use strict';
 
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
 const rule = require('../../../lib/rules/no-unmocked-fs');
 const { getRuleTester } = require('../../../lib/utils/test-helpers');
 
 const ruleTester = getRuleTester();
 
+// A global setup file shared by every test file
+const rootDir = fs.mkdtempSync(path.join(os.tmpdir(), 'fs-setup-'));
+fs.writeFileSync(path.join(rootDir, 'setup.js'), 'jest.mock("fs");');
+afterAll(() => {
+  fs.rmSync(rootDir, { recursive: true, force: true });
+});
+
 ruleTester.run('no-unmocked-fs', rule, {
   valid: [
+    // fs mocked for every test file by a global setup file
+    {
+      code: 'const fs = require("fs");\nfs.readFileSync("file.txt")',
+      filename: 'MockedInSetup.test.js',
+      settings: { 'test-flakiness': { rootDir, setupFiles: ['setup.js'] } }
+    },
+    // Module mocks resolve to the imported binding, including node: specifiers
+    {
+      code: 'const fs = require("node:fs");\njest.mock("fs");\nfs.readFileSync("file.txt")',
+      filename: 'NodeFsMocked.test.js'
+    },
+    {
+      code: 'import { readFile } from "node:fs/promises";\nvi.mock("fs/promises");\nawait readFile("file.txt")',
+      filename: 'DestructuredMocked.test.js'
+    },
+    // jest.mock() with a factory mocks the module too
+    {
+      code: `
+        jest.mock('fs', () => ({ readFileSync: jest.fn() }));
+        it('reads', () => { fs.readFileSync('config.json'); });
+      `,
+      filename: 'config.test.js'
+    },
+    // fs mocked project-wide through settings
+    {
+      code: 'const fs = require("fs");\nfs.readFileSync("/etc/config.json")',
+      filename: 'SettingsMockedFs.test.js',
+      settings: { 'test-flakiness': { mockModules: ['fs'] } }
+    },
     // Non-test files should be ignored
     {
       code: 'fs.readFileSync("file.txt")',
@@ -297,6 +337,23 @@ ruleTester.run('no-unmocked-fs', rule, {
   ],
 
   invalid: [
+    // A spy in one describe block does not cover calls outside it
+    {
+      code: `
+        describe('config', () => {
+          beforeEach(() => { jest.spyOn(fs, 'readFileSync').mockReturnValue('{}'); });
+        });
+        it('reads', () => { fs.readFileSync('config.json'); });
+      `,
+      filename: 'ScopedFsSpy.test.js',
+      errors: [{ messageId: 'unmockedFs', data: { method: 'readFileSync' } }]
+    },
+    // Mocking fs/promises does not mock the destructured sync API of fs
+    {
+      code: 'import { readFileSync } from "fs";\njest.mock("fs/promises");\nreadFileSync("config.json")',
+      filename: 'WrongModuleMocked.test.js',
+      errors: [{ messageId: 'unmockedFs', data: { method: 'readFileSync' } }]
+    },
     // Direct fs.readFile usage
     {
       code: 'fs.readFile("file.txt", callback)',
@@ -1,16 +1,169 @@
+/* eslint-disable test-flakiness/no-unmocked-fs */
 /**
  * @fileoverview Tests for no-unmocked-network rule
  * @author eslint-plugin-test-flakiness
  */
 'use strict';
 
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
 const rule = require('../../../lib/rules/no-unmocked-network');
 const { getRuleTester } = require('../../../lib/utils/test-helpers');
 
 const ruleTester = getRuleTester();
 
+/**
+ * Expected suggestions for an unmocked global fetch outside any describe
+ * block: spy hooks inserted at the top, one suggestion per mocking API
+ * @param {string} code - The test case source
+ * @param {string[]} [mockers] - The mocking APIs offered for the file's runner
+ * @returns {Object[]} The expected suggestions
+ */
+function spyOnFetchSuggestions(code, mockers = ['jest', 'vi']) {
+  return mockers.map(mocker => ({
+    messageId: 'suggestSpyOnFetch',
+    data: { mocker },
+    output: `beforeEach(() => ${mocker}.spyOn(global, 'fetch').mockResolvedValue({ ok: true, json: async () => ({}) }));\n` +
+      `afterEach(() => ${mocker}.restoreAllMocks());\n${code}`
+  }));
+}
+
+// Global setup files, one intercepting requests with msw and one not
+const rootDir = fs.mkdtempSync(path.join(os.tmpdir(), 'network-setup-'));
+fs.writeFileSync(path.join(rootDir, 'msw-setup.js'), 'import { setupServer } from "msw/node";\nexport const server = setupServer();');
+fs.writeFileSync(path.join(rootDir, 'plain-setup.js'), 'import "@testing-library/jest-dom";');
+afterAll(() => {
+  fs.rmSync(rootDir, { recursive: true, force: true });
+});
+
 ruleTester.run('no-unmocked-network', rule, {
   valid: [
+    // The setupFiles setting applies to every rule, not only this rule's option
+    {
+      code: 'fetch("https://api.example.com/users")',
+      filename: 'SharedSetupFile.test.js',
+      settings: { 'test-flakiness': { rootDir, setupFiles: ['msw-setup.js'] } }
+    },
+    // msw handler builders declare responses rather than sending requests
+    {
+      code: 'import { http, HttpResponse } from "msw";\nconst handler = http.get("https://api.example.com/user", () => HttpResponse.json({}));',
+      filename: 'MswHandlers.test.js'
+    },
+    // Interception set up in the file covers the describe or test block it is made in
+    {
+      code: `
+        import { setupServer } from 'msw/node';
+        const server = setupServer();
+        beforeAll(() => server.listen());
+        afterEach(() => server.resetHandlers());
+        it('loads', async () => { await fetch('https://api.example.com/users'); });
+      `,
+      filename: 'MswServer.test.js',
+      options: [{ requireInterceptorReset: true }]
+    },
+    {
+      code: `
+        const nock = require('nock');
+        afterEach(() => nock.cleanAll());
+        it('loads', async () => {
+          nock('https://api.example.com').get('/users').reply(200, []);
+          await axios.get('https://api.example.com/users');
+        });
+      `,
+      filename: 'NockInTest.test.js',
+      options: [{ requireInterceptorReset: true }]
+    },
+    {
+      code: `
+        import { Polly } from '@pollyjs/core';
+        describe('recorded', () => {
+          let polly;
+          beforeEach(() => { polly = new Polly('users'); });
+          afterEach(() => polly.stop());
+          it('loads', async () => { await fetch('https://api.example.com/users'); });
+        });
+      `,
+      filename: 'Polly.test.js',
+      options: [{ requireInterceptorReset: true }]
+    },
+    {
+      code: `
+        it('loads', () => {
+          cy.intercept('GET', '/api/users', { fixture: 'users.json' });
+          cy.request('https://api.example.com/users');
+        });
+      `,
+      filename: 'CyIntercept.test.js'
+    },
+    {
+      code: `
+        test('loads', async ({ page }) => {
+          await page.route('**/api/**', route => route.fulfill({ json: [] }));
+          await fetch('https://api.example.com/users');
+        });
+      `,
+      filename: 'PageRoute.test.js'
+    },
+    // Interception in a global setup file covers every test file
+    {
+      code: 'fetch("https://api.example.com/users")',
+      filename: 'SetupFile.test.js',
+      options: [{ setupFiles: ['msw-setup.js'] }],
+      settings: { 'test-flakiness': { rootDir } }
+    },
+    // Module mocks resolve to the imported binding, including node: specifiers
+    {
+      code: 'import axios from "axios";\njest.mock("axios");\naxios.get("https://api.example.com/users")',
+      filename: 'ImportedMockedAxios.test.js'
+    },
+    {
+      code: 'import * as http from "node:http";\njest.mock("http");\nhttp.get("http://example.com")',
+      filename: 'NodeHttpMocked.test.js'
+    },
+    // A stub set up in a describe block applies to its tests
+    {
+      code: `
+        describe('users', () => {
+          beforeEach(() => { jest.spyOn(global, 'fetch').mockResolvedValue(response); });
+          it('loads', async () => { await fetch('https://api.example.com/users'); });
+        });
+      `,
+      filename: 'ScopedSpy.test.js'
+    },
+    {
+      code: `
+        describe('users', () => {
+          vi.stubGlobal('fetch', vi.fn());
+          it('loads', async () => { await fetch('https://api.example.com/users'); });
+        });
+      `,
+      filename: 'ScopedStubGlobal.test.js'
+    },
+    // Calls inside a mock implementation never run for real
+    {
+      code: 'client.request.mockImplementation(() => fetch("https://api.example.com/users"));',
+      filename: 'MockImplementation.test.js'
+    },
+    // jest.mock() with a factory mocks the module too
+    {
+      code: `
+        jest.mock('axios', () => ({ get: jest.fn() }));
+        it('loads', async () => { await axios.get('https://api.example.com/users'); });
+      `,
+      filename: 'users.test.js'
+    },
+    // Modules mocked project-wide through settings
+    {
+      code: 'import axios from "axios";\naxios.get("https://api.example.com/users")',
+      filename: 'SettingsMockedAxios.test.js',
+      settings: { 'test-flakiness': { mockModules: ['axios'] } }
+    },
+    {
+      code: 'fetch("https://api.example.com/users")',
+      filename: 'SettingsMockedFetch.test.js',
+      settings: { 'test-flakiness': { mockModules: ['fetch'] } }
+    },
     // Non-test files should be ignored
     {
       code: 'fetch("https://api.example.com")',
@@ -209,13 +362,200 @@ ruleTester.run('no-unmocked-network', rule, {
   ],
 
   invalid: [
+    // Suggested mocks follow the detected runner
+    {
+      code: 'import { vi } from "vitest";\nimport axios from "axios";\naxios.get("/api/users")',
+      filename: 'VitestAxios.test.js',
+      errors: [{
+        messageId: 'mockNetwork',
+        data: { method: 'axios' },
+        suggestions: [{
+          messageId: 'suggestModuleMock',
+          data: { module: 'axios', mocker: 'vi' },
+          output: 'import { vi } from "vitest";\nimport axios from "axios";\nvi.mock(\'axios\');\naxios.get("/api/users")'
+        }]
+      }]
+    },
+    {
+      code: 'const axios = require("axios");\naxios.post("/api/users")',
+      filename: 'JestSettingAxios.test.js',
+      settings: { 'test-flakiness': { framework: 'jest' } },
+      errors: [{
+        messageId: 'mockNetwork',
+        data: { method: 'axios' },
+        suggestions: [{
+          messageId: 'suggestModuleMock',
+          data: { module: 'axios', mocker: 'jest' },
+          output: 'const axios = require("axios");\njest.mock(\'axios\');\naxios.post("/api/users")'
+        }]
+      }]
+    },
+    {
+      code: 'it("loads", async () => { await fetch("/api/users"); });',
+      filename: 'JestGlobalsFetch.test.js',
+      settings: { 'test-flakiness': { framework: 'vitest' } },
+      errors: [{
+        messageId: 'mockNetwork',
+        data: { method: 'fetch' },
+        suggestions: spyOnFetchSuggestions('it("loads", async () => { await fetch("/api/users"); });', ['vi'])
+      }]
+    },
+    // No jest/vitest mocks for other runners and browser drivers, or for globals that are not fetch
+    {
+      code: 'import axios from "axios";\naxios.get("/api/users")',
+      filename: 'MochaAxios.test.js',
+      settings: { 'test-flakiness': { framework: 'mocha' } },
+      errors: [{ messageId: 'mockNetwork', data: { method: 'axios' }, suggestions: [] }]
+    },
+    {
+      code: 'import { test } from "@playwright/test";\ntest("loads", async () => { await fetch("/api/users"); });',
+      filename: 'PlaywrightFetch.spec.js',
+      errors: [{ messageId: 'mockNetwork', data: { method: 'fetch' }, suggestions: [] }]
+    },
+    {
+      code: 'axios.get("/api/users")',
+      filename: 'GlobalAxios.test.js',
+      errors: [{ messageId: 'mockNetwork', data: { method: 'axios' }, suggestions: [] }]
+    },
+    // Interception in one block does not cover its siblings
+    {
+      code: `
+        const nock = require('nock');
+        it('intercepted', async () => {
+          nock('https://api.example.com').get('/users').reply(200, []);
+          await axios.get('https://api.example.com/users');
+        });
+        it('real', async () => { await axios.get('https://api.example.com/users'); });
+      `,
+      filename: 'NockSibling.test.js',
+      errors: [{ messageId: 'mockNetwork', data: { method: 'axios' }, line: 7 }]
+    },
+    // nock() must come from the nock package
+    {
+      code: 'const nock = () => {};\nnock("https://api.example.com");\nfetch("https://api.example.com/users")',
+      filename: 'LocalNock.test.js',
+      errors: [{ messageId: 'mockNetwork', data: { method: 'fetch' }, suggestions: spyOnFetchSuggestions('const nock = () => {};\nnock("https://api.example.com");\nfetch("https://api.example.com/users")') }]
+    },
+    // Setup files that do not intercept, or do not exist
+    {
+      code: 'fetch("https://api.example.com/users")',
+      filename: 'PlainSetupFile.test.js',
+      options: [{ setupFiles: ['plain-setup.js', 'missing-setup.js'] }],
+      settings: { 'test-flakiness': { rootDir } },
+      errors: [{ messageId: 'mockNetwork', data: { method: 'fetch' }, suggestions: spyOnFetchSuggestions('fetch("https://api.example.com/users")') }]
+    },
+    // requireInterceptorReset needs a reset in afterEach covering the setup
+    {
+      code: `
+        import { setupServer } from 'msw/node';
+        const server = setupServer();
+        beforeAll(() => server.listen());
+        afterAll(() => server.resetHandlers());
+      `,
+      filename: 'MswNoReset.test.js',
+      options: [{ requireInterceptorReset: true }],
+      errors: [{ messageId: 'resetInterceptor', data: { library: 'msw', reset: 'server.resetHandlers' }, line: 3 }]
+    },
+    {
+      code: `
+        import nock from 'nock';
+        describe('a', () => {
+          afterEach(() => nock.cleanAll());
+        });
+        describe('b', () => {
+          beforeEach(() => { nock('https://api.example.com').get('/').reply(200); });
+        });
+      `,
+      filename: 'NockResetElsewhere.test.js',
+      options: [{ requireInterceptorReset: true }],
+      errors: [{ messageId: 'resetInterceptor', data: { library: 'nock', reset: 'nock.cleanAll' }, line: 7 }]
+    },
+    // Mocking one module does not hide calls through another
+    {
+      code: 'jest.mock("axios");\nfetch("https://api.example.com/users")',
+      filename: 'MockedAxiosRealFetch.test.js',
+      errors: [{ messageId: 'mockNetwork', data: { method: 'fetch' }, suggestions: spyOnFetchSuggestions('jest.mock("axios");\nfetch("https://api.example.com/users")', ['jest']) }]
+    },
+    // A stub in one describe block does not cover its siblings
+    {
+      code: `
+        describe('users', () => {
+          beforeEach(() => { jest.spyOn(global, 'fetch').mockResolvedValue(response); });
+          it('loads', async () => { await fetch('https://api.example.com/users'); });
+        });
+        describe('orders', () => {
+          it('loads', async () => { await fetch('https://api.example.com/orders'); });
+        });
+      `,
+      filename: 'SiblingDescribe.test.js',
+      errors: [{
+        messageId: 'mockNetwork',
+        data: { method: 'fetch' },
+        line: 7,
+        // Spy hooks go into the describe block around the call
+        suggestions: [{
+          messageId: 'suggestSpyOnFetch',
+          data: { mocker: 'jest' },
+          output: `
+        describe('users', () => {
+          beforeEach(() => { jest.spyOn(global, 'fetch').mockResolvedValue(response); });
+          it('loads', async () => { await fetch('https://api.example.com/users'); });
+        });
+        describe('orders', () => {
+          beforeEach(() => jest.spyOn(global, 'fetch').mockResolvedValue({ ok: true, json: async () => ({}) }));
+          afterEach(() => jest.restoreAllMocks());
+          it('loads', async () => { await fetch('https://api.example.com/orders'); });
+        });
+      `
+        }]
+      }]
+    },
+    // doMock() only applies to the block that calls it
+    {
+      code: `
+        describe('with mock', () => { vi.doMock('axios'); });
+        it('loads', () => axios.get('/api/users'));
+      `,
+      filename: 'ScopedDoMock.test.js',
+      errors: [{ messageId: 'mockNetwork', data: { method: 'axios' } }]
+    },
+    // Mock-sounding helper names do not make a real request mocked
+    {
+      code: 'setupMockData(await fetch("https://api.example.com/users"))',
+      filename: 'MockNamedHelper.test.js',
+      errors: [{ messageId: 'mockNetwork', data: { method: 'fetch' }, suggestions: spyOnFetchSuggestions('setupMockData(await fetch("https://api.example.com/users"))') }]
+    },
+    // Settings only excuse the modules they list
+    {
+      code: 'import axios from "axios";\naxios.get("https://api.example.com/users")',
+      filename: 'SettingsOtherModule.test.js',
+      settings: { 'test-flakiness': { mockModules: ['got'] } },
+      errors: [{
+        messageId: 'mockNetwork',
+        data: { method: 'axios' },
+        // Imported clients get a module mock after the imports
+        suggestions: [
+          {
+            messageId: 'suggestModuleMock',
+            data: { module: 'axios', mocker: 'jest' },
+            output: 'import axios from "axios";\njest.mock(\'axios\');\naxios.get("https://api.example.com/users")'
+          },
+          {
+            messageId: 'suggestModuleMock',
+            data: { module: 'axios', mocker: 'vi' },
+            output: 'import axios from "axios";\nvi.mock(\'axios\');\naxios.get("https://api.example.com/users")'
+          }
+        ]
+      }]
+    },
     // Unmocked fetch
     {
       code: 'fetch("https://api.example.com/users")',
       filename: 'Fetch.test.js',
       errors: [{
         messageId: 'mockNetwork',
-        data: { method: 'fetch' }
+        data: { method: 'fetch' },
+        suggestions: spyOnFetchSuggestions('fetch("https://api.example.com/users")')
       }]
     },
     {
@@ -223,7 +563,8 @@ ruleTester.run('no-unmocked-network', rule, {
       filename: 'AwaitFetch.test.js',
       errors: [{
         messageId: 'mockNetwork',
-        data: { method: 'fetch' }
+        data: { method: 'fetch' },
+        suggestions: spyOnFetchSuggestions('await fetch("/api/data")')
       }]
     },
     {
@@ -231,7 +572,8 @@ ruleTester.run('no-unmocked-network', rule, {
       filename: 'WindowFetch.test.js',
       errors: [{
         messageId: 'mockNetwork',
-        data: { method: 'fetch' }
+        data: { method: 'fetch' },
+        suggestions: spyOnFetchSuggestions('window.fetch("https://api.example.com")')
       }]
     },
     {
@@ -239,7 +581,8 @@ ruleTester.run('no-unmocked-network', rule, {
       filename: 'GlobalFetch.test.js',
       errors: [{
         messageId: 'mockNetwork',
-        data: { method: 'fetch' }
+        data: { method: 'fetch' },
+        suggestions: spyOnFetchSuggestions('global.fetch(url)')
       }]
     },
 
@@ -403,7 +746,19 @@ ruleTester.run('no-unmocked-network', rule, {
       filename: 'NodeFetch.test.js',
       errors: [{
         messageId: 'mockNetwork',
-        data: { method: 'fetch' }
+        data: { method: 'fetch' },
+        suggestions: [
+          {
+            messageId: 'suggestModuleMock',
+            data: { module: 'node-fetch', mocker: 'jest' },
+            output: 'import fetch from "node-fetch";\njest.mock(\'node-fetch\'); fetch(url)'
+          },
+          {
+            messageId: 'suggestModuleMock',
+            data: { module: 'node-fetch', mocker: 'vi' },
+            output: 'import fetch from "node-fetch";\nvi.mock(\'node-fetch\'); fetch(url)'
+          }
+        ]
       }]
     },
 
@@ -448,7 +803,7 @@ ruleTester.run('no-unmocked-network', rule, {
       code: 'fetch("/api/users");',
       filename: 'MultipleFetch.test.js',
       errors: [
-        { messageId: 'mockNetwork', data: { method: 'fetch' } }
+        { messageId: 'mockNetwork', data: { method: 'fetch' }, suggestions: spyOnFetchSuggestions('fetch("/api/users");') }
       ]
     },
     // Multiple violations - axios
@@ -474,7 +829,8 @@ ruleTester.run('no-unmocked-network', rule, {
       filename: 'TestBlock.test.js',
       errors: [{
         messageId: 'mockNetwork',
-        data: { method: 'fetch' }
+        data: { method: 'fetch' },
+        suggestions: spyOnFetchSuggestions('it("fetches data", async () => { await fetch("/api/data"); })')
       }]
     },
     {
@@ -492,7 +848,8 @@ ruleTester.run('no-unmocked-network', rule, {
       filename: 'Fetch.spec.js',
       errors: [{
         messageId: 'mockNetwork',
-        data: { method: 'fetch' }
+        data: { method: 'fetch' },
+        suggestions: spyOnFetchSuggestions('fetch("https://api.example.com")')
       }]
     },
     {
@@ -518,7 +875,8 @@ ruleTester.run('no-unmocked-network', rule, {
       filename: 'FetchChain.test.js',
       errors: [{
         messageId: 'mockNetwork',
-        data: { method: 'fetch' }
+        data: { method: 'fetch' },
+        suggestions: spyOnFetchSuggestions('fetch(url).then(res => res.json())')
       }]
     },
     {
@@ -535,7 +893,8 @@ ruleTester.run('no-unmocked-network', rule, {
       code: 'fetch("https://jsonplaceholder.typicode.com/users")',
       filename: 'ExternalAPI.test.js',
       errors: [{
-        messageId: 'avoidExternalAPI'
+        messageId: 'avoidExternalAPI',
+        suggestions: spyOnFetchSuggestions('fetch("https://jsonplaceholder.typicode.com/users")')
       }]
     },
     {
@@ -553,7 +912,8 @@ ruleTester.run('no-unmocked-network', rule, {
       options: [{ allowInIntegration: false }],
       errors: [{
         messageId: 'mockNetwork',
-        data: { method: 'fetch' }
+        data: { method: 'fetch' },
+        suggestions: spyOnFetchSuggestions('fetch("https://api.example.com")')
       }]
     },
     {
@@ -573,7 +933,8 @@ ruleTester.run('no-unmocked-network', rule, {
       options: [{ allowLocalhost: false }],
       errors: [{
         messageId: 'mockNetwork',
-        data: { method: 'fetch' }
+        data: { method: 'fetch' },
+        suggestions: spyOnFetchSuggestions('fetch("http://localhost:3000/api")')
       }]
     },
     {
@@ -582,7 +943,8 @@ ruleTester.run('no-unmocked-network', rule, {
       options: [{ allowLocalhost: false }],
       errors: [{
         messageId: 'mockNetwork',
-        data: { method: 'fetch' }
+        data: { method: 'fetch' },
+        suggestions: spyOnFetchSuggestions('fetch("http://127.0.0.1:8080/api")')
       }]
     },
     {
@@ -602,7 +964,8 @@ ruleTester.run('no-unmocked-network', rule, {
       options: [{ mockModules: ['fetch', 'axios'] }],
       errors: [{
         messageId: 'mockNetwork',
-        data: { method: 'fetch' }
+        data: { method: 'fetch' },
+        suggestions: spyOnFetchSuggestions('fetch("https://api.example.com")')
       }]
     },
     {
@@ -640,7 +1003,8 @@ ruleTester.run('no-unmocked-network', rule, {
       options: [{ allowLocalhost: false, mockModules: ['fetch'] }],
       errors: [{
         messageId: 'mockNetwork',
-        data: { method: 'fetch' }
+        data: { method: 'fetch' },
+        suggestions: spyOnFetchSuggestions('fetch("http://localhost:3000")')
       }]
     },
     {
@@ -657,7 +1021,8 @@ ruleTester.run('no-unmocked-network', rule, {
       filename: 'integration.test.js',
       options: [{ allowInIntegration: false, allowLocalhost: true }],
       errors: [{
-        messageId: 'avoidExternalAPI'
+        messageId: 'avoidExternalAPI',
+        suggestions: spyOnFetchSuggestions('fetch("https://jsonplaceholder.typicode.com/todos")')
       }]
     },
 
@@ -0,0 +1,248 @@
+/* eslint-disable test-flakiness/no-unmocked-fs */
+/**
+ * @fileoverview Tests for no-unrestored-mocks rule
+ * @author eslint-plugin-test-flakiness
+ */
+'use strict';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const rule = require('../../../lib/rules/no-unrestored-mocks');
+const { getRuleTester } = require('../../../lib/utils/test-helpers');
+
+const ruleTester = getRuleTester();
+
+// A project whose Jest config restores mocks between tests
+const rootDir = fs.mkdtempSync(path.join(os.tmpdir(), 'unrestored-mocks-'));
+fs.writeFileSync(path.join(rootDir, 'jest.config.js'), 'module.exports = { restoreMocks: true };');
+afterAll(() => fs.rmSync(rootDir, { recursive: true, force: true }));
+
+ruleTester.run('no-unrestored-mocks', rule, {
+  valid: [
+    // restoreAllMocks() in afterEach
+    {
+      code: `
+        describe('logger', () => {
+          beforeEach(() => { jest.spyOn(console, 'error').mockImplementation(() => {}); });
+          afterEach(() => { jest.restoreAllMocks(); });
+          it('logs', () => {});
+        });
+      `,
+      filename: 'logger.test.js'
+    },
+    // The spy's own mockRestore() in an after hook of an enclosing block
+    {
+      code: `
+        let spy;
+        afterAll(() => spy.mockRestore());
+        describe('api', () => {
+          it('loads', () => { spy = vi.spyOn(api, 'get').mockResolvedValue(user); });
+        });
+      `,
+      filename: 'api.test.js'
+    },
+    // sinon stubs restored by sinon.restore(), a sandbox, or the stubbed member
+    {
+      code: `
+        afterEach(() => sinon.restore());
+        it('stubs', () => { sinon.stub(db, 'query').resolves([]); });
+        describe('sandbox', () => {
+          const sandbox = sinon.createSandbox();
+          afterEach(() => sandbox.restore());
+          it('stubs', () => { sandbox.stub(db, 'query'); });
+        });
+        describe('member', () => {
+          afterEach(() => { db.close.restore(); });
+          it('stubs', () => { sinon.stub(db, 'close'); });
+        });
+      `,
+      filename: 'db.test.js'
+    },
+    // Objects and mocks created in the test are not shared
+    {
+      code: `
+        it('spies', () => {
+          const service = new Service();
+          jest.spyOn(service, 'load');
+          const spy = jest.spyOn({ run() {} }, 'run');
+          const fn = jest.fn();
+          fn.mockReturnValue(1);
+        });
+      `,
+      filename: 'local.test.js'
+    },
+    // Shared mocks reset in afterEach
+    {
+      code: `
+        import axios from 'axios';
+        jest.mock('axios');
+        afterEach(() => jest.resetAllMocks());
+        it('loads', () => { axios.get.mockResolvedValue({ data: [] }); });
+      `,
+      filename: 'users.test.js'
+    },
+    // Spies at the top of the file apply to every test on purpose
+    {
+      code: 'jest.spyOn(console, \'warn\');\nit(\'warns\', () => {});',
+      filename: 'warn.test.js'
+    },
+    // Restored later in the same test with allowRestoreInTest
+    {
+      code: 'it(\'logs\', () => {\n  const spy = jest.spyOn(console, \'log\');\n  spy.mockRestore();\n});',
+      filename: 'log.test.js',
+      options: [{ allowRestoreInTest: true }]
+    },
+    // restoreMocks: true in the runner config
+    {
+      code: 'it(\'logs\', () => { jest.spyOn(console, \'log\'); });',
+      filename: path.join(rootDir, 'log.test.js'),
+      settings: { 'test-flakiness': { rootDir, runnerConfigs: true } }
+    },
+    // Non-test files are ignored
+    {
+      code: 'it(\'logs\', () => { jest.spyOn(console, \'log\'); });',
+      filename: 'logger.js'
+    },
+    // A beforeEach gives every test a new mock
+    {
+      code: `
+        let fetchUser;
+        beforeEach(() => { fetchUser = jest.fn(); });
+        it('a', () => { fetchUser.mockResolvedValue(1); });
+        describe('profile', () => {
+          beforeEach(() => { fetchUser.mockReturnValue(user); });
+          it('b', () => {});
+        });
+      `,
+      filename: 'recreated.test.js'
+    }
+  ],
+
+  invalid: [
+    // No restore at all
+    {
+      code: `
+        describe('logger', () => {
+          beforeEach(() => { jest.spyOn(console, 'error').mockImplementation(() => {}); });
+          it('logs', () => {});
+        });
+      `,
+      filename: 'logger.test.js',
+      output: `
+        describe('logger', () => {
+          beforeEach(() => { jest.spyOn(console, 'error').mockImplementation(() => {}); });
+          afterEach(() => jest.restoreAllMocks());
+          it('logs', () => {});
+        });
+      `,
+      errors: [{
+        messageId: 'unrestoredSpy',
+        data: { call: 'jest.spyOn', target: 'console.error', restore: 'jest.restoreAllMocks' }
+      }]
+    },
+    // Restored in the test body, which a failing assertion skips
+    {
+      code: 'it(\'logs\', () => {\n  const spy = vi.spyOn(console, \'log\');\n  spy.mockRestore();\n});',
+      filename: 'log.test.js',
+      output: 'it(\'logs\', () => {\n  const spy = vi.spyOn(console, \'log\');\n  spy.mockRestore();\n});\nafterEach(() => vi.restoreAllMocks());',
+      errors: [{ messageId: 'unrestoredSpy', data: { call: 'vi.spyOn', target: 'console.log', restore: 'vi.restoreAllMocks' } }]
+    },
+    // Restored in a sibling block only; one hook added per block
+    {
+      code: `
+        describe('a', () => {
+          afterEach(() => sinon.restore());
+        });
+        describe('b', () => {
+          it('stubs', () => { sinon.stub(db, 'query'); });
+          it('spies', () => { sinon.spy(db, 'close'); });
+        });
+      `,
+      filename: 'db.test.js',
+      output: `
+        describe('a', () => {
+          afterEach(() => sinon.restore());
+        });
+        describe('b', () => {
+          it('stubs', () => { sinon.stub(db, 'query'); });
+          afterEach(() => sinon.restore());
+          it('spies', () => { sinon.spy(db, 'close'); });
+        });
+      `,
+      errors: [
+        { messageId: 'unrestoredSpy', data: { call: 'sinon.stub', target: 'db.query', restore: 'sinon.restore' } },
+        { messageId: 'unrestoredSpy', data: { call: 'sinon.spy', target: 'db.close', restore: 'sinon.restore' } }
+      ]
+    },
+    // A sandbox that is never restored
+    {
+      code: 'const sandbox = sinon.createSandbox();\nit(\'stubs\', () => { sandbox.stub(db, \'query\'); });',
+      filename: 'db.test.js',
+      output: 'const sandbox = sinon.createSandbox();\nit(\'stubs\', () => { sandbox.stub(db, \'query\'); });\nafterEach(() => sandbox.restore());',
+      errors: [{ messageId: 'unrestoredSpy', data: { call: 'sandbox.stub', target: 'db.query', restore: 'sandbox.restore' } }]
+    },
+    // Shared mock implementations
+    {
+      code: `
+        import axios from 'axios';
+        import { vi } from 'vitest';
+        vi.mock('axios');
+        it('loads', () => { axios.get.mockResolvedValue({ data: [] }); });
+      `,
+      filename: 'users.test.js',
+      output: `
+        import axios from 'axios';
+        import { vi } from 'vitest';
+        vi.mock('axios');
+        it('loads', () => { axios.get.mockResolvedValue({ data: [] }); });
+        afterEach(() => vi.resetAllMocks());
+      `,
+      errors: [{
+        messageId: 'unresetImplementation',
+        data: { call: 'axios.get.mockResolvedValue', target: 'axios.get', restore: 'vi.resetAllMocks' }
+      }]
+    },
+    {
+      code: `
+        const fetchUser = jest.fn();
+        describe('profile', () => {
+          beforeEach(() => { fetchUser.mockReturnValue(user); });
+          it('renders', () => {});
+        });
+      `,
+      filename: 'profile.test.js',
+      output: `
+        const fetchUser = jest.fn();
+        describe('profile', () => {
+          beforeEach(() => { fetchUser.mockReturnValue(user); });
+          afterEach(() => jest.resetAllMocks());
+          it('renders', () => {});
+        });
+      `,
+      errors: [{ messageId: 'unresetImplementation', data: { call: 'fetchUser.mockReturnValue', target: 'fetchUser', restore: 'jest.resetAllMocks' } }]
+    },
+    // Only a new mock function resets the binding
+    {
+      code: `
+        let fetchUser = jest.fn();
+        beforeEach(() => { fetchUser = sharedMock; });
+        describe('profile', () => {
+          beforeEach(() => { fetchUser = jest.fn(); });
+        });
+        it('a', () => { fetchUser.mockResolvedValue(1); });
+      `,
+      filename: 'shared.test.js',
+      output: `
+        let fetchUser = jest.fn();
+        beforeEach(() => { fetchUser = sharedMock; });
+        describe('profile', () => {
+          beforeEach(() => { fetchUser = jest.fn(); });
+        });
+        it('a', () => { fetchUser.mockResolvedValue(1); });
+        afterEach(() => jest.resetAllMocks());
+      `,
+      errors: [{ messageId: 'unresetImplementation', data: { call: 'fetchUser.mockResolvedValue', target: 'fetchUser', restore: 'jest.resetAllMocks' } }]
+    }
+  ]
+});
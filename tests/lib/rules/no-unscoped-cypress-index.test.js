@@ -0,0 +1,66 @@
+/**
+ * @fileoverview Tests for no-unscoped-cypress-index rule
+ * @author eslint-plugin-test-flakiness
+ */
+'use strict';
+
+const rule = require('../../../lib/rules/no-unscoped-cypress-index');
+const { getRuleTester } = require('../../../lib/utils/test-helpers');
+
+const ruleTester = getRuleTester();
+
+ruleTester.run('no-unscoped-cypress-index', rule, {
+  valid: [
+    // Scoped to a container
+    {
+      code: `
+        it('opens the first order', () => {
+          cy.get('[data-cy=orders]').within(() => {
+            cy.get('li').first().click();
+          });
+          cy.get('[data-cy=orders]').find('li').eq(2).click();
+        });
+      `,
+      filename: 'cypress/e2e/orders.cy.js'
+    },
+    {
+      code: 'it(\'opens\', () => { cy.get(\'li\').first().click(); cy.get(\'li\').eq(0).click(); });',
+      filename: 'cypress/e2e/list.cy.js',
+      options: [{ allowSpecificIndices: [0] }]
+    },
+    // Only Cypress files are checked
+    {
+      code: 'it(\'opens\', () => { cy.get(\'li\').first(); });',
+      filename: 'unit/list.test.js',
+      settings: { 'test-flakiness': { framework: 'playwright' } }
+    }
+  ],
+
+  invalid: [
+    {
+      code: `
+        it('opens an order', () => {
+          cy.get('li').eq(2).click();
+          cy.get('button').filter(':visible').last().click();
+        });
+      `,
+      filename: 'cypress/e2e/orders.cy.js',
+      errors: [
+        { messageId: 'unscopedIndex', data: { method: 'eq' }, line: 3 },
+        { messageId: 'unscopedIndex', data: { method: 'last' }, line: 4 }
+      ]
+    },
+    // A .within() callback elsewhere does not scope the query
+    {
+      code: `
+        it('opens the menu', () => {
+          cy.get('nav').within(() => cy.get('a').should('exist'));
+          cy.get('a').first().click();
+        });
+      `,
+      filename: 'cypress/e2e/menu.cy.js',
+      options: [{ allowSpecificIndices: [-1] }],
+      errors: [{ messageId: 'unscopedIndex', data: { method: 'first' }, line: 4 }]
+    }
+  ]
+});
@@ -1,16 +1,33 @@
+/* eslint-disable test-flakiness/no-unmocked-fs */
 /**
  * @fileoverview Tests for no-viewport-dependent rule
  * @author eslint-plugin-test-flakiness
  */
 'use strict';
 
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
 const rule = require('../../../lib/rules/no-viewport-dependent');
 const { getRuleTester } = require('../../../lib/utils/test-helpers');
 
 const ruleTester = getRuleTester();
 
+// A Playwright config fixing the viewport for every project
+const rootDir = fs.mkdtempSync(path.join(os.tmpdir(), 'viewport-config-'));
+fs.writeFileSync(path.join(rootDir, 'playwright.config.js'), 'module.exports = { testDir: "e2e", use: { viewport: { width: 1280, height: 720 } } };');
+afterAll(() => {
+  fs.rmSync(rootDir, { recursive: true, force: true });
+});
+
 ruleTester.run('no-viewport-dependent', rule, {
   valid: [
+    // The viewport is fixed by the Playwright config that runs the file
+    {
+      code: 'expect(window.innerWidth).toBe(1280);',
+      filename: path.join(rootDir, 'e2e', 'Layout.spec.js'),
+      settings: { 'test-flakiness': { rootDir, runnerConfigs: ['playwright.config.js'] } }
+    },
     // Non-test files should be ignored
     {
       code: 'window.innerWidth',
@@ -223,6 +240,13 @@ ruleTester.run('no-viewport-dependent', rule, {
   ],
 
   invalid: [
+    // The config's viewport only covers the files it runs
+    {
+      code: 'expect(window.innerWidth).toBe(1280);',
+      filename: path.join(rootDir, 'unit', 'Layout.test.js'),
+      settings: { 'test-flakiness': { rootDir, runnerConfigs: ['playwright.config.js'] } },
+      errors: [{ messageId: 'avoidViewportCheck' }]
+    },
     // Direct window dimension checks
     {
       code: 'if (window.innerWidth > 768) { }',
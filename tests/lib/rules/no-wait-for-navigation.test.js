@@ -0,0 +1,78 @@
+/**
+ * @fileoverview Tests for no-wait-for-navigation rule
+ * @author eslint-plugin-test-flakiness
+ */
+'use strict';
+
+const rule = require('../../../lib/rules/no-wait-for-navigation');
+const { getRuleTester } = require('../../../lib/utils/test-helpers');
+
+const ruleTester = getRuleTester();
+
+const PLAYWRIGHT = 'import { test, expect } from \'@playwright/test\';\n';
+
+ruleTester.run('no-wait-for-navigation', rule, {
+  valid: [
+    {
+      code: PLAYWRIGHT + `
+        test('navigates', async ({ page }) => {
+          await page.getByRole('link', { name: 'Docs' }).click();
+          await page.waitForURL('**/docs');
+          await expect(page).toHaveURL(/docs/);
+        });
+      `,
+      filename: 'nav.spec.js'
+    },
+    {
+      code: PLAYWRIGHT + `
+        test('submits', async ({ page }) => {
+          await Promise.all([page.waitForNavigation(), page.click('button')]);
+        });
+      `,
+      filename: 'submit.spec.js',
+      options: [{ allowInPromiseAll: true }]
+    },
+    {
+      code: 'it(\'navigates\', async () => { await page.waitForNavigation(); });',
+      filename: 'puppeteer.test.js'
+    }
+  ],
+
+  invalid: [
+    {
+      code: PLAYWRIGHT + `test('logs in', async ({ page }) => {
+  await page.click('button');
+  await page.waitForNavigation();
+});`,
+      filename: 'login.spec.js',
+      errors: [{ messageId: 'avoidWaitForNavigation', line: 4, suggestions: [] }]
+    },
+    {
+      code: PLAYWRIGHT + `test('submits', async ({ page }) => {
+  await Promise.all([page.waitForNavigation({ url: '**/done', timeout: 5000 }), page.click('button')]);
+});`,
+      filename: 'submit.spec.js',
+      errors: [{
+        messageId: 'avoidWaitForNavigation',
+        suggestions: [{
+          messageId: 'useWaitForUrl',
+          data: { url: '\'**/done\'' },
+          output: PLAYWRIGHT + `test('submits', async ({ page }) => {
+  await Promise.all([page.waitForURL('**/done', { timeout: 5000 }), page.click('button')]);
+});`
+        }]
+      }]
+    },
+    {
+      code: PLAYWRIGHT + 'test(\'frames\', async ({ page }) => { await page.mainFrame().waitForNavigation({ url }); });',
+      filename: 'frame.spec.js',
+      errors: [{
+        messageId: 'avoidWaitForNavigation',
+        suggestions: [{
+          messageId: 'useWaitForUrl',
+          output: PLAYWRIGHT + 'test(\'frames\', async ({ page }) => { await page.mainFrame().waitForURL(url); });'
+        }]
+      }]
+    }
+  ]
+});
@@ -0,0 +1,244 @@
+/**
+ * @fileoverview Tests for prefer-accessible-queries rule
+ * @author eslint-plugin-test-flakiness
+ */
+'use strict';
+
+const rule = require('../../../lib/rules/prefer-accessible-queries');
+const { getRuleTester } = require('../../../lib/utils/test-helpers');
+
+const ruleTester = getRuleTester();
+
+const RTL = 'import { render, screen } from \'@testing-library/react\';\n';
+
+ruleTester.run('prefer-accessible-queries', rule, {
+  valid: [
+    // Accessible queries
+    {
+      code: RTL + `
+        test('saves', () => {
+          render(Form());
+          screen.getByRole('button', { name: 'Save' });
+          screen.getByLabelText('Email');
+        });
+      `,
+      filename: 'form.test.js'
+    },
+    // Selectors no query can express: ids, classes, other attributes,
+    // descendants and tags without a role
+    {
+      code: RTL + `
+        test('renders', () => {
+          const { container } = render(List());
+          container.querySelector('#main');
+          container.querySelector('.item');
+          container.querySelector('button.primary');
+          container.querySelector('[data-state="open"]');
+          container.querySelector('ul li');
+          container.querySelector('div[title="Info"]');
+          document.querySelector(selector);
+        });
+      `,
+      filename: 'list.test.js'
+    },
+    // Test ids whose last word names no role
+    {
+      code: RTL + `
+        test('shows', () => {
+          screen.getByTestId('user-summary');
+          screen.getAllByTestId('user-list-item');
+          screen.getByTestId('tab-panel');
+          screen.getByTestId('email-input-error');
+        });
+      `,
+      filename: 'summary.test.js'
+    },
+    {
+      code: RTL + 'test(\'saves\', () => { screen.getByTestId(\'submit-button\'); });',
+      filename: 'submit.test.js',
+      options: [{ allowTestId: true }]
+    },
+    {
+      code: RTL + 'test(\'saves\', () => { document.querySelector(\'[data-testid="save"]\'); });',
+      filename: 'save.test.js',
+      options: [{ allowTestId: true }]
+    },
+    // Only Testing Library files are checked
+    {
+      code: 'test(\'clicks\', () => { document.querySelector(\'button\').click(); });',
+      filename: 'dom.test.js'
+    },
+    {
+      code: RTL + 'document.querySelector(\'button\');',
+      filename: 'helpers/dom.js'
+    }
+  ],
+
+  invalid: [
+    {
+      code: RTL + 'test(\'saves\', () => { document.querySelector(\'button\').click(); });',
+      filename: 'button.test.js',
+      errors: [{
+        messageId: 'preferQuery',
+        data: { current: 'document.querySelector', suggested: 'getByRole' },
+        suggestions: [{
+          messageId: 'useQuery',
+          data: { replacement: 'screen.getByRole(\'button\')' },
+          output: RTL + 'test(\'saves\', () => { screen.getByRole(\'button\').click(); });'
+        }]
+      }]
+    },
+    // Other elements are searched with within(), which is imported
+    {
+      code: RTL + `test('closes', () => {
+  const { container } = render(Dialog());
+  container.querySelector('button[aria-label="Close"]').click();
+});`,
+      filename: 'dialog.test.js',
+      errors: [{
+        messageId: 'preferQuery',
+        data: { current: 'container.querySelector', suggested: 'getByRole' },
+        suggestions: [{
+          messageId: 'useQuery',
+          data: { replacement: 'within(container).getByRole(\'button\', { name: \'Close\' })' },
+          output: RTL.replace('screen }', 'screen, within }') + `test('closes', () => {
+  const { container } = render(Dialog());
+  within(container).getByRole('button', { name: 'Close' }).click();
+});`
+        }]
+      }]
+    },
+    // Headings keep their level, and lists use the *AllBy* queries
+    {
+      code: RTL + `test('renders', () => {
+  expect(document.querySelector('h2')).toHaveTextContent('Orders');
+  expect(document.querySelectorAll('a[href]')).toHaveLength(3);
+});`,
+      filename: 'orders.test.js',
+      errors: [
+        {
+          messageId: 'preferQuery',
+          data: { current: 'document.querySelector', suggested: 'getByRole' },
+          suggestions: [{
+            messageId: 'useQuery',
+            output: RTL + `test('renders', () => {
+  expect(screen.getByRole('heading', { level: 2 })).toHaveTextContent('Orders');
+  expect(document.querySelectorAll('a[href]')).toHaveLength(3);
+});`
+          }]
+        },
+        {
+          messageId: 'preferQuery',
+          data: { current: 'document.querySelectorAll', suggested: 'getAllByRole' },
+          suggestions: [{
+            messageId: 'useQuery',
+            output: RTL + `test('renders', () => {
+  expect(document.querySelector('h2')).toHaveTextContent('Orders');
+  expect(screen.getAllByRole('link')).toHaveLength(3);
+});`
+          }]
+        }
+      ]
+    },
+    // Absence checks use the *queryBy* queries, which return null
+    {
+      code: RTL + `test('hides', () => {
+  expect(document.querySelector('[role="alert"]')).toBeNull();
+  expect(document.querySelector('input[type="checkbox"]')).not.toBeInTheDocument();
+  expect(document.querySelectorAll('[placeholder="Search"]')).toHaveLength(0);
+});`,
+      filename: 'hidden.test.js',
+      errors: [
+        {
+          messageId: 'preferQuery',
+          data: { current: 'document.querySelector', suggested: 'queryByRole' },
+          suggestions: [{
+            messageId: 'useQuery',
+            output: RTL + `test('hides', () => {
+  expect(screen.queryByRole('alert')).toBeNull();
+  expect(document.querySelector('input[type="checkbox"]')).not.toBeInTheDocument();
+  expect(document.querySelectorAll('[placeholder="Search"]')).toHaveLength(0);
+});`
+          }]
+        },
+        {
+          messageId: 'preferQuery',
+          data: { current: 'document.querySelector', suggested: 'queryByRole' },
+          suggestions: [{
+            messageId: 'useQuery',
+            output: RTL + `test('hides', () => {
+  expect(document.querySelector('[role="alert"]')).toBeNull();
+  expect(screen.queryByRole('checkbox')).not.toBeInTheDocument();
+  expect(document.querySelectorAll('[placeholder="Search"]')).toHaveLength(0);
+});`
+          }]
+        },
+        {
+          messageId: 'preferQuery',
+          data: { current: 'document.querySelectorAll', suggested: 'queryAllByPlaceholderText' },
+          suggestions: [{
+            messageId: 'useQuery',
+            output: RTL + `test('hides', () => {
+  expect(document.querySelector('[role="alert"]')).toBeNull();
+  expect(document.querySelector('input[type="checkbox"]')).not.toBeInTheDocument();
+  expect(screen.queryAllByPlaceholderText('Search')).toHaveLength(0);
+});`
+          }]
+        }
+      ]
+    },
+    // Test id selectors rank last but are still a query
+    {
+      code: RTL + 'test(\'shows\', () => { document.querySelector(\'[data-test="total"]\'); });',
+      filename: 'total.test.js',
+      options: [{ testIdAttribute: 'data-test' }],
+      errors: [{
+        messageId: 'preferQuery',
+        data: { current: 'document.querySelector', suggested: 'getByTestId' },
+        suggestions: [{
+          messageId: 'useQuery',
+          data: { replacement: 'screen.getByTestId(\'total\')' },
+          output: RTL + 'test(\'shows\', () => { screen.getByTestId(\'total\'); });'
+        }]
+      }]
+    },
+    // The import is added when missing
+    {
+      code: 'const { render } = require(\'@testing-library/react\');\n' +
+        'test(\'shows\', () => { document.querySelector(\'img[alt="Logo"]\'); });',
+      filename: 'logo.test.js',
+      errors: [{
+        messageId: 'preferQuery',
+        suggestions: [{
+          messageId: 'useQuery',
+          output: 'const { render, screen } = require(\'@testing-library/react\');\n' +
+            'test(\'shows\', () => { screen.getByRole(\'img\', { name: \'Logo\' }); });'
+        }]
+      }]
+    },
+    // Test ids naming a role
+    {
+      code: RTL + `test('saves', () => {
+  screen.getByTestId('submit-button').click();
+  screen.getByTestId('saveBtn').click();
+  expect(screen.queryAllByTestId('todoCheckbox')).toHaveLength(2);
+});`,
+      filename: 'todo.test.js',
+      errors: [
+        {
+          messageId: 'preferRole',
+          data: { current: 'getByTestId', testId: 'submit-button', role: 'button', suggested: 'getByRole' },
+          suggestions: []
+        },
+        {
+          messageId: 'preferRole',
+          data: { current: 'getByTestId', testId: 'saveBtn', role: 'button', suggested: 'getByRole' }
+        },
+        {
+          messageId: 'preferRole',
+          data: { current: 'queryAllByTestId', testId: 'todoCheckbox', role: 'checkbox', suggested: 'queryAllByRole' }
+        }
+      ]
+    }
+  ]
+});
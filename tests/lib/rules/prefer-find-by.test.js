@@ -0,0 +1,169 @@
+/**
+ * @fileoverview Tests for prefer-find-by rule
+ * @author eslint-plugin-test-flakiness
+ */
+'use strict';
+
+const rule = require('../../../lib/rules/prefer-find-by');
+const { getRuleTester } = require('../../../lib/utils/test-helpers');
+
+const ruleTester = getRuleTester();
+
+const RTL = 'import { render, screen, waitFor } from \'@testing-library/react\';\n';
+
+ruleTester.run('prefer-find-by', rule, {
+  valid: [
+    // findBy* queries
+    {
+      code: RTL + 'test(\'loads\', async () => { await screen.findByText(\'Done\'); });',
+      filename: 'load.test.js'
+    },
+    // Callbacks doing more than one query
+    {
+      code: RTL + `
+        test('loads', async () => {
+          await waitFor(() => {
+            expect(screen.getByText('Done')).toBeInTheDocument();
+            expect(screen.getByRole('list')).toBeVisible();
+          });
+          await waitFor(() => expect(screen.getByRole('list')).toBeVisible());
+          await waitFor(() => expect(screen.getByRole('list')).toHaveTextContent('Item'));
+          await waitFor(() => expect(screen.queryByText('Loading')).not.toBeInTheDocument());
+          await waitFor(() => expect(screen.queryByText('Loading')).toBeDefined());
+          await waitFor(() => screen.queryByText('Done'));
+          await waitFor(() => expect(mock).toHaveBeenCalled());
+          await waitFor(async () => screen.getByText('Done'));
+        });
+      `,
+      filename: 'load.test.js'
+    },
+    // Assertions can be left to no-immediate-assertions
+    {
+      code: RTL + 'test(\'loads\', async () => { await waitFor(() => expect(screen.getByText(\'Done\')).toBeInTheDocument()); });',
+      filename: 'load.test.js',
+      options: [{ checkAssertions: false }]
+    },
+    // Only Testing Library files are checked
+    {
+      code: 'test(\'loads\', async () => { await waitFor(() => getByText(\'Done\')); });',
+      filename: 'custom.test.js'
+    }
+  ],
+
+  invalid: [
+    {
+      code: RTL + 'test(\'loads\', async () => { await waitFor(() => screen.getByText(\'Done\')); });',
+      filename: 'load.test.js',
+      output: RTL + 'test(\'loads\', async () => { await screen.findByText(\'Done\'); });',
+      errors: [{ messageId: 'preferFindBy', data: { query: 'getByText', replacement: 'findByText' } }]
+    },
+    // The callbacks no-immediate-assertions generates
+    {
+      code: RTL + `test('loads', async () => {
+  fireEvent.click(button);
+  await waitFor(() => {
+    expect(screen.getByRole('dialog', { name: 'Settings' })).toBeInTheDocument();
+  });
+});`,
+      filename: 'dialog.test.js',
+      output: RTL + `test('loads', async () => {
+  fireEvent.click(button);
+  await screen.findByRole('dialog', { name: 'Settings' });
+});`,
+      errors: [{ messageId: 'preferFindBy', data: { query: 'getByRole', replacement: 'findByRole' } }]
+    },
+    // queryBy* asserted to be present, *AllBy* queries and within()
+    {
+      code: RTL + `test('lists', async () => {
+  await waitFor(() => expect(screen.queryByText('Saved')).toBeTruthy());
+  const rows = await waitFor(function () { return within(table).getAllByRole('row'); });
+});`,
+      filename: 'list.test.js',
+      output: RTL + `test('lists', async () => {
+  await screen.findByText('Saved');
+  const rows = await within(table).findAllByRole('row');
+});`,
+      errors: [
+        { messageId: 'preferFindBy', data: { query: 'queryByText', replacement: 'findByText' } },
+        { messageId: 'preferFindBy', data: { query: 'getAllByRole', replacement: 'findAllByRole' } }
+      ]
+    },
+    // waitFor() options move after the query options
+    {
+      code: RTL + `test('loads', async () => {
+  await waitFor(() => screen.getByText('Done'), { timeout: 5000 });
+  await waitFor(() => screen.getByRole('button', { name: 'Save' }), { timeout: 5000 });
+});`,
+      filename: 'slow.test.js',
+      output: RTL + `test('loads', async () => {
+  await screen.findByText('Done', {}, { timeout: 5000 });
+  await screen.findByRole('button', { name: 'Save' }, { timeout: 5000 });
+});`,
+      errors: [{ messageId: 'preferFindBy' }, { messageId: 'preferFindBy' }]
+    },
+    // Bare queries from render() use findBy* from render() when it is in scope
+    {
+      code: RTL + `test('loads', async () => {
+  const { getByText, findByText } = render(App());
+  await waitFor(() => getByText('Done'));
+});`,
+      filename: 'render.test.js',
+      output: RTL + `test('loads', async () => {
+  const { getByText, findByText } = render(App());
+  await findByText('Done');
+});`,
+      errors: [{ messageId: 'preferFindBy' }]
+    },
+    // and screen otherwise, imported when missing
+    {
+      code: 'import { render, waitFor } from \'@testing-library/react\';\n' + `test('loads', async () => {
+  const { getByText } = render(App());
+  await waitFor(() => getByText('Done'));
+});`,
+      filename: 'render.test.js',
+      output: 'import { render, waitFor, screen } from \'@testing-library/react\';\n' + `test('loads', async () => {
+  const { getByText } = render(App());
+  await screen.findByText('Done');
+});`,
+      errors: [{ messageId: 'preferFindBy' }]
+    },
+    // Queries from @testing-library/dom take the container first
+    {
+      code: 'import { getByText, waitFor } from \'@testing-library/dom\';\n' + `test('loads', async () => {
+  await waitFor(() => getByText(container, 'a'));
+});`,
+      filename: 'dom.test.js',
+      output: 'import { getByText, waitFor, findByText } from \'@testing-library/dom\';\n' + `test('loads', async () => {
+  await findByText(container, 'a');
+});`,
+      errors: [{ messageId: 'preferFindBy', data: { query: 'getByText', replacement: 'findByText' } }]
+    },
+    {
+      code: 'import { getByText, findByText, waitFor } from \'@testing-library/dom\';\n' + `test('loads', async () => {
+  await waitFor(() => getByText(container, 'b'), { timeout: 5000 });
+});`,
+      filename: 'dom.test.js',
+      output: 'import { getByText, findByText, waitFor } from \'@testing-library/dom\';\n' + `test('loads', async () => {
+  await findByText(container, 'b', {}, { timeout: 5000 });
+});`,
+      errors: [{ messageId: 'preferFindBy' }]
+    },
+    // Neither a matcher nor a container and matcher
+    {
+      code: 'import { render, waitFor } from \'@testing-library/react\';\n' + `test('loads', async () => {
+  const { getByText } = render(App());
+  await waitFor(() => getByText(label));
+});`,
+      filename: 'render.test.js',
+      output: null,
+      errors: [{ messageId: 'preferFindBy' }]
+    },
+    // Comments in the callback are not dropped by a fix
+    {
+      code: RTL + 'test(\'loads\', async () => { await waitFor(() => /* slow */ screen.getByText(\'Done\')); });',
+      filename: 'comment.test.js',
+      output: null,
+      errors: [{ messageId: 'preferFindBy' }]
+    }
+  ]
+});
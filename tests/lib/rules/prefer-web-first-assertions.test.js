@@ -0,0 +1,201 @@
+/**
+ * @fileoverview Tests for prefer-web-first-assertions rule
+ * @author eslint-plugin-test-flakiness
+ */
+'use strict';
+
+const rule = require('../../../lib/rules/prefer-web-first-assertions');
+const { getRuleTester } = require('../../../lib/utils/test-helpers');
+
+const ruleTester = getRuleTester();
+
+const PLAYWRIGHT = 'import { test, expect } from \'@playwright/test\';\n';
+
+/**
+ * Wrap statements in a Playwright test
+ * @param {string} body - The test body
+ * @param {boolean} [isAsync] - Whether the test callback is async
+ * @returns {string} The test file source
+ */
+const inTest = (body, isAsync = true) => `${PLAYWRIGHT}test('page', ${isAsync ? 'async ' : ''}({ page }) => {\n  ${body}\n});`;
+
+ruleTester.run('prefer-web-first-assertions', rule, {
+  valid: [
+    {
+      code: inTest('await expect(page.getByRole(\'alert\')).toHaveText(\'Saved\');'),
+      filename: 'web-first.spec.js'
+    },
+    // Reading a value to compute with it is fine
+    {
+      code: inTest('const text = await page.locator(\'h1\').textContent(); expect(parse(text)).toBe(1);'),
+      filename: 'value.spec.js'
+    },
+    // expect.poll() already retries
+    {
+      code: inTest('await expect.poll(async () => page.locator(\'li\').count()).toBe(3);'),
+      filename: 'poll.spec.js'
+    },
+    {
+      code: inTest('expect(page.url()).toBe(\'/home\');'),
+      filename: 'url.spec.js',
+      options: [{ checkPageUrl: false }]
+    },
+    // Only Playwright files are checked
+    {
+      code: 'it(\'reads\', async () => { expect(await element.isVisible()).toBe(true); });',
+      filename: 'wdio.test.js'
+    }
+  ],
+
+  invalid: [
+    // Values read once
+    {
+      code: inTest('expect(await page.locator(\'h1\').textContent()).toBe(\'Welcome\');'),
+      filename: 'text.spec.js',
+      output: inTest('await expect(page.locator(\'h1\')).toHaveText(\'Welcome\');'),
+      errors: [{
+        messageId: 'useWebFirstAssertion',
+        data: { method: 'textContent', target: 'page.locator(\'h1\')', matcher: 'toHaveText' }
+      }]
+    },
+    {
+      code: inTest([
+        'expect(await status.innerText()).not.toContain(\'Error\');',
+        '  expect(await input.inputValue(), \'email\').toEqual(\'a@b.c\');',
+        '  expect(await link.getAttribute(\'href\')).toMatch(/docs/);',
+        '  expect(await page.getByRole(\'row\').count()).toBe(3);',
+        '  expect(await page.title()).toBe(\'Home\');'
+      ].join('\n')),
+      filename: 'values.spec.js',
+      output: inTest([
+        'await expect(status).not.toContainText(\'Error\', { useInnerText: true });',
+        '  await expect(input, \'email\').toHaveValue(\'a@b.c\');',
+        '  await expect(link).toHaveAttribute(\'href\', /docs/);',
+        '  await expect(page.getByRole(\'row\')).toHaveCount(3);',
+        '  await expect(page).toHaveTitle(\'Home\');'
+      ].join('\n')),
+      errors: [
+        { messageId: 'useWebFirstAssertion', data: { method: 'innerText', target: 'status', matcher: 'not.toContainText' } },
+        { messageId: 'useWebFirstAssertion', data: { method: 'inputValue', target: 'input', matcher: 'toHaveValue' } },
+        { messageId: 'useWebFirstAssertion', data: { method: 'getAttribute', target: 'link', matcher: 'toHaveAttribute' } },
+        { messageId: 'useWebFirstAssertion', data: { method: 'count', target: 'page.getByRole(\'row\')', matcher: 'toHaveCount' } },
+        { messageId: 'useWebFirstAssertion', data: { method: 'title', target: 'page', matcher: 'toHaveTitle' } }
+      ]
+    },
+    // page.url() is synchronous, so the test is made async
+    {
+      code: inTest('expect(page.url()).toBe(\'/home\');', false),
+      filename: 'url.spec.js',
+      output: inTest('await expect(page).toHaveURL(\'/home\');'),
+      errors: [{ messageId: 'useWebFirstAssertion', data: { method: 'url', target: 'page', matcher: 'toHaveURL' } }]
+    },
+    // State checks used as assertions
+    {
+      code: inTest([
+        'expect(await dialog.isVisible()).toBe(true);',
+        '  expect(await dialog.isVisible()).toBeFalsy();',
+        '  expect.soft(await box.isChecked()).not.toBe(true);',
+        '  expect(await button.isEnabled()).toEqual(false);',
+        '  return expect(await spinner.isHidden()).toBeTruthy();'
+      ].join('\n')),
+      filename: 'state.spec.js',
+      output: inTest([
+        'await expect(dialog).toBeVisible();',
+        '  await expect(dialog).toBeHidden();',
+        '  await expect.soft(box).not.toBeChecked();',
+        '  await expect(button).toBeDisabled();',
+        '  return expect(spinner).toBeHidden();'
+      ].join('\n')),
+      errors: [
+        { messageId: 'stateAsAssertion', data: { method: 'isVisible', target: 'dialog', matcher: 'toBeVisible' } },
+        { messageId: 'stateAsAssertion', data: { method: 'isVisible', target: 'dialog', matcher: 'toBeHidden' } },
+        { messageId: 'stateAsAssertion', data: { method: 'isChecked', target: 'box', matcher: 'not.toBeChecked' } },
+        { messageId: 'stateAsAssertion', data: { method: 'isEnabled', target: 'button', matcher: 'toBeDisabled' } },
+        { messageId: 'stateAsAssertion', data: { method: 'isHidden', target: 'spinner', matcher: 'toBeHidden' } }
+      ]
+    },
+    // Reported without a fix when there is no exact web-first equivalent
+    {
+      code: inTest([
+        'expect(await list.textContent()).toHaveLength(3);',
+        '  expect(await menu.isVisible()).toMatchSnapshot();'
+      ].join('\n')),
+      filename: 'nofix.spec.js',
+      output: null,
+      errors: [
+        { messageId: 'useWebFirstAssertion', data: { method: 'textContent', target: 'list', matcher: 'toHaveText' } },
+        { messageId: 'stateAsAssertion', data: { method: 'isVisible', target: 'menu', matcher: 'toBeVisible' } }
+      ]
+    },
+    // Only literal values carry over to the web-first matchers
+    {
+      code: inTest([
+        'expect(await link.getAttribute(\'href\')).toBe(null);',
+        '  expect(await label.textContent()).toEqual(expect.stringContaining(\'hi\'));',
+        '  expect(await page.getByRole(\'row\').count()).toBe(rows.length);'
+      ].join('\n')),
+      filename: 'nonliteral.spec.js',
+      output: null,
+      errors: [
+        { messageId: 'useWebFirstAssertion', data: { method: 'getAttribute', target: 'link', matcher: 'toHaveAttribute' } },
+        { messageId: 'useWebFirstAssertion', data: { method: 'textContent', target: 'label', matcher: 'toHaveText' } },
+        { messageId: 'useWebFirstAssertion', data: { method: 'count', target: 'page.getByRole(\'row\')', matcher: 'toHaveCount' } }
+      ]
+    },
+    {
+      code: inTest('expect(await label.textContent()).toBe(`Hello ${name}`);'),
+      filename: 'template.spec.js',
+      output: inTest('await expect(label).toHaveText(`Hello ${name}`);'),
+      errors: [{ messageId: 'useWebFirstAssertion', data: { method: 'textContent', target: 'label', matcher: 'toHaveText' } }]
+    },
+    // toMatch() with a string finds a substring, which only toContainText() does
+    {
+      code: inTest([
+        'expect(await banner.textContent()).toMatch(\'Welcome\');',
+        '  expect(await banner.innerText()).not.toMatch(\'Error\');'
+      ].join('\n')),
+      filename: 'match.spec.js',
+      output: inTest([
+        'await expect(banner).toContainText(\'Welcome\');',
+        '  await expect(banner).not.toContainText(\'Error\', { useInnerText: true });'
+      ].join('\n')),
+      errors: [
+        { messageId: 'useWebFirstAssertion', data: { method: 'textContent', target: 'banner', matcher: 'toContainText' } },
+        { messageId: 'useWebFirstAssertion', data: { method: 'innerText', target: 'banner', matcher: 'not.toContainText' } }
+      ]
+    },
+    // and other web-first matchers compare a string exactly, while page.url()
+    // is only fixed for an exact toBe() or toEqual()
+    {
+      code: inTest([
+        'expect(page.url()).toMatch(\'/dashboard\');',
+        '  expect(await field.inputValue()).toMatch(\'abc\');',
+        '  expect(page.url()).toStrictEqual(\'/dashboard\');',
+        '  expect(page.url()).toBe(/dashboard/);',
+        '  expect(page.url()).toMatch(/dashboard/);'
+      ].join('\n')),
+      filename: 'substring.spec.js',
+      output: null,
+      errors: [
+        { messageId: 'useWebFirstAssertion', data: { method: 'url', target: 'page', matcher: 'toHaveURL' } },
+        { messageId: 'useWebFirstAssertion', data: { method: 'inputValue', target: 'field', matcher: 'toHaveValue' } },
+        { messageId: 'useWebFirstAssertion', data: { method: 'url', target: 'page', matcher: 'toHaveURL' } },
+        { messageId: 'useWebFirstAssertion', data: { method: 'url', target: 'page', matcher: 'toHaveURL' } },
+        { messageId: 'useWebFirstAssertion', data: { method: 'url', target: 'page', matcher: 'toHaveURL' } }
+      ]
+    },
+    // toHaveCount() takes a number
+    {
+      code: inTest([
+        'expect(await rows.count()).toBe(\'3\');',
+        '  expect(await rows.count()).toEqual(`${n}`);'
+      ].join('\n')),
+      filename: 'count.spec.js',
+      output: null,
+      errors: [
+        { messageId: 'useWebFirstAssertion', data: { method: 'count', target: 'rows', matcher: 'toHaveCount' } },
+        { messageId: 'useWebFirstAssertion', data: { method: 'count', target: 'rows', matcher: 'toHaveCount' } }
+      ]
+    }
+  ]
+});
@@ -0,0 +1,215 @@
+/**
+ * @fileoverview Tests for valid-cypress-intercepts rule
+ * @author eslint-plugin-test-flakiness
+ */
+'use strict';
+
+const rule = require('../../../lib/rules/valid-cypress-intercepts');
+const { getRuleTester } = require('../../../lib/utils/test-helpers');
+
+const ruleTester = getRuleTester();
+
+ruleTester.run('valid-cypress-intercepts', rule, {
+  valid: [
+    // Intercept registered before the visit, alias declared
+    {
+      code: `
+        it('lists orders', () => {
+          cy.intercept('GET', '/api/orders').as('orders');
+          cy.visit('/orders');
+          cy.wait('@orders');
+        });
+      `,
+      filename: 'cypress/e2e/orders.cy.js'
+    },
+    // Aliases from hooks, every call of an alias, and known aliases
+    {
+      code: `
+        beforeEach(() => {
+          cy.intercept('/api/items').as('items');
+          cy.visit('/');
+        });
+        it('loads', () => {
+          cy.intercept('POST', '/api/items').as('save');
+          cy.get('form').submit();
+          cy.wait(['@items.all', '@save', '@session']);
+        });
+      `,
+      filename: 'cypress/e2e/items.cy.js',
+      options: [{ knownAliases: ['session'] }]
+    },
+    // Only Cypress files are checked
+    {
+      code: 'it(\'waits\', () => { cy.wait(\'@missing\'); });',
+      filename: 'unit/wait.test.js',
+      settings: { 'test-flakiness': { framework: 'playwright' } }
+    },
+    // The request is sent by an action after the intercept
+    {
+      code: `
+        it('saves', () => {
+          cy.visit('/orders');
+          cy.get('[data-cy=edit]').click();
+          cy.intercept('POST', '/api/orders').as('save');
+          cy.get('[data-cy=save]').click();
+          cy.wait('@save').its('response.statusCode').should('eq', 200);
+          cy.get('.toast').should('be.visible');
+        });
+      `,
+      filename: 'cypress/e2e/save.cy.js'
+    },
+    // Aliases from a beforeEach hook or a helper, and waits in afterEach
+    {
+      code: `
+        function mockUser() {
+          cy.intercept('/api/user', { fixture: 'user.json' }).as('user');
+        }
+        describe('profile', () => {
+          beforeEach(() => {
+            mockUser();
+            cy.intercept('/api/settings').as('settings');
+            cy.visit('/profile');
+          });
+          it('shows the user', () => {
+            cy.wait(['@user', '@settings']);
+            cy.get('h1').should('contain', 'Ada');
+          });
+          afterEach(() => {
+            cy.wait('@logout');
+          });
+          it('logs out', () => {
+            cy.intercept('POST', '/api/logout').as('logout');
+            cy.get('[data-cy=logout]').click();
+          });
+        });
+      `,
+      filename: 'cypress/e2e/profile.cy.js'
+    },
+    {
+      code: `
+        it('lists orders', () => {
+          cy.intercept('/api/orders').as('orders');
+          cy.visit('/orders');
+          cy.get('tr').should('have.length', 3);
+        });
+      `,
+      filename: 'cypress/e2e/orders.cy.js',
+      options: [{ checkUnawaited: false }]
+    }
+  ],
+
+  invalid: [
+    {
+      code: `
+        it('lists orders', () => {
+          cy.visit('/orders');
+          cy.intercept('GET', '/api/orders').as('orders');
+          cy.wait('@order');
+        });
+      `,
+      filename: 'cypress/e2e/orders.cy.js',
+      errors: [
+        { messageId: 'interceptAfterVisit', data: { command: 'visit' }, line: 4 },
+        { messageId: 'undefinedAlias', data: { alias: 'order' }, line: 5 }
+      ]
+    },
+    {
+      code: `
+        it('logs in', () => {
+          cy.login('admin');
+          cy.intercept('/api/profile').as('profile');
+          cy.wait(['@profile', \`@settings\`]);
+        });
+      `,
+      filename: 'cypress/e2e/login.cy.js',
+      options: [{ visitCommands: ['visit', 'login'] }],
+      errors: [
+        { messageId: 'interceptAfterVisit', data: { command: 'login' }, line: 4 },
+        { messageId: 'undefinedAlias', data: { alias: 'settings' }, line: 5 }
+      ]
+    },
+    // Intercepted after the click that sends the request
+    {
+      code: `
+        it('saves', () => {
+          cy.visit('/orders');
+          cy.get('[data-cy=save]').click();
+          cy.intercept('POST', '/api/orders').as('save');
+          cy.wait('@save');
+        });
+      `,
+      filename: 'cypress/e2e/save.cy.js',
+      errors: [{ messageId: 'interceptAfterAction', data: { command: 'click', alias: 'save' }, line: 5 }]
+    },
+    // The page was loaded by a beforeEach hook
+    {
+      code: `
+        beforeEach(() => {
+          cy.visit('/profile');
+        });
+        it('shows the user', () => {
+          cy.intercept('/api/user', { fixture: 'user.json' });
+          cy.get('h1').should('contain', 'Ada');
+        });
+      `,
+      filename: 'cypress/e2e/profile.cy.js',
+      errors: [{ messageId: 'interceptAfterVisit', data: { command: 'visit' }, line: 6 }]
+    },
+    // Aliases are per test: declared later, in a sibling test, or in before()
+    {
+      code: `
+        before(() => {
+          cy.intercept('/api/session').as('session');
+        });
+        it('lists orders', () => {
+          cy.wait('@orders');
+          cy.intercept('/api/orders').as('orders');
+        });
+        it('lists items', () => {
+          cy.intercept('/api/items').as('items');
+          cy.visit('/items');
+          cy.wait(['@items', '@orders', '@session']);
+        });
+      `,
+      filename: 'cypress/e2e/lists.cy.js',
+      errors: [
+        { messageId: 'undefinedAlias', data: { alias: 'orders' }, line: 6 },
+        { messageId: 'undefinedAlias', data: { alias: 'orders' }, line: 12 },
+        { messageId: 'aliasResetBeforeEach', data: { alias: 'session' }, line: 12 }
+      ]
+    },
+    // Asserting before the response arrives
+    {
+      code: `
+        it('lists orders', () => {
+          cy.intercept('/api/orders').as('orders');
+          cy.visit('/orders');
+          cy.get('tr').should('have.length', 3);
+          cy.wait('@orders');
+        });
+      `,
+      filename: 'cypress/e2e/orders.cy.js',
+      errors: [{ messageId: 'unawaitedIntercept', data: { alias: 'orders' }, line: 3 }]
+    },
+    // An intercept in beforeEach is reported once, when no test waits on it
+    {
+      code: `
+        describe('orders', () => {
+          beforeEach(() => {
+            cy.intercept('/api/orders').as('orders');
+          });
+          it('lists orders', () => {
+            cy.visit('/orders');
+            expect(Cypress.$('tr')).to.have.length(3);
+          });
+          it('filters orders', () => {
+            cy.visit('/orders?status=open');
+            cy.get('tr').should('have.length', 1);
+          });
+        });
+      `,
+      filename: 'cypress/e2e/orders.cy.js',
+      errors: [{ messageId: 'unawaitedIntercept', data: { alias: 'orders' }, line: 4 }]
+    }
+  ]
+});
@@ -0,0 +1,130 @@
+/**
+ * @fileoverview Tests for the per-file analysis cache
+ * @author eslint-plugin-test-flakiness
+ */
+'use strict';
+
+const { Linter } = require('eslint');
+const { getFileAnalysis, getEnclosingCallNames } = require('../../../lib/utils/analysis');
+
+/**
+ * Parse code with ESLint and return its SourceCode object
+ * @param {string} code - The source to parse
+ * @returns {Object} The SourceCode object
+ */
+function parse(code) {
+  const linter = new Linter({ configType: 'flat' });
+  linter.verify(code, [{ files: ['**/*.js'] }], { filename: 'file.test.js' });
+  return linter.getSourceCode();
+}
+
+describe('analysis', () => {
+  describe('getFileAnalysis', () => {
+    it('should return the same analysis for the same SourceCode', () => {
+      const sourceCode = parse('import { render } from "@testing-library/react";');
+      expect(getFileAnalysis(sourceCode)).toBe(getFileAnalysis(sourceCode));
+    });
+
+    it('should map top-level imported and required names to their module', () => {
+      const { imports } = getFileAnalysis(parse(`
+        import axios, { get as fetchIt } from 'axios';
+        import * as fs from 'fs';
+        const { request } = require('undici');
+        const nock = require('nock');
+      `));
+
+      expect(imports.get('axios')).toBe('axios');
+      expect(imports.get('fetchIt')).toBe('axios');
+      expect(imports.get('fs')).toBe('fs');
+      expect(imports.get('request')).toBe('undici');
+      expect(imports.get('nock')).toBe('nock');
+      expect(imports.has('get')).toBe(false);
+    });
+
+    it('should keep the first binding when a name is bound twice', () => {
+      const { imports } = getFileAnalysis(parse(`
+        const api = require('./api');
+        const other = require('./other');
+      `));
+      expect(imports.get('api')).toBe('./api');
+    });
+
+    it('should collect every imported, re-exported and required module', () => {
+      const { importedModules } = getFileAnalysis(parse(`
+        import 'polyfill';
+        export * from './shared';
+        export { test } from '@playwright/test';
+        it('loads', async () => {
+          const memfs = require('memfs');
+          await import('./lazy');
+        });
+      `));
+
+      expect([...importedModules].sort()).toEqual(['./lazy', './shared', '@playwright/test', 'memfs', 'polyfill']);
+    });
+
+    it('should collect modules mocked with jest and vitest', () => {
+      const { mockedModules } = getFileAnalysis(parse(`
+        jest.mock('axios');
+        jest.doMock('./config', () => ({}));
+        describe('a', () => { vi.mock('fs/promises'); });
+        sinon.mock('ignored');
+        jest.mock(dynamicName);
+      `));
+
+      expect([...mockedModules].sort()).toEqual(['./config', 'axios', 'fs/promises']);
+    });
+
+    it('should collect framework globals', () => {
+      const { frameworkGlobals } = getFileAnalysis(parse('cy.visit("/"); const vi = 1; jest.fn();'));
+      expect([...frameworkGlobals].sort()).toEqual(['cy', 'jest']);
+    });
+
+    it('should index calls and new expressions by callee with their block', () => {
+      const { calls } = getFileAnalysis(parse(`
+        const server = setupServer();
+        describe('users', () => {
+          it('loads', () => { nock('https://api.example.com'); });
+        });
+        new Polly('users');
+      `));
+
+      expect(calls.get('setupServer')[0].scope.type).toBe('Program');
+      expect(calls.get('nock')[0].scope.type).toBe('ArrowFunctionExpression');
+      expect(calls.get('nock')[0].scope.parent.callee.name).toBe('it');
+      expect(calls.get('Polly')[0].node.type).toBe('NewExpression');
+      expect(calls.has('describe')).toBe(true);
+    });
+
+    it('should tolerate a SourceCode without an AST', () => {
+      const analysis = getFileAnalysis({ getText: () => '' });
+      expect(analysis.imports.size).toBe(0);
+      expect(analysis.importedModules.size).toBe(0);
+    });
+  });
+
+  describe('getEnclosingCallNames', () => {
+    it('should list enclosing identifier calls innermost first', () => {
+      const describeCall = { type: 'CallExpression', callee: { type: 'Identifier', name: 'describe' } };
+      const memberCall = { type: 'CallExpression', callee: { type: 'MemberExpression' }, parent: describeCall };
+      const itCall = { type: 'CallExpression', callee: { type: 'Identifier', name: 'it' }, parent: memberCall };
+      const node = { type: 'Identifier', parent: { type: 'BlockStatement', parent: itCall } };
+
+      expect(getEnclosingCallNames(node)).toEqual(['it', 'describe']);
+    });
+
+    it('should not include the node itself', () => {
+      const node = { type: 'CallExpression', callee: { type: 'Identifier', name: 'it' }, parent: null };
+      expect(getEnclosingCallNames(node)).toEqual([]);
+    });
+
+    it('should share the computed list between siblings', () => {
+      const hook = { type: 'CallExpression', callee: { type: 'Identifier', name: 'beforeEach' } };
+      const body = { type: 'BlockStatement', parent: hook };
+      const first = { type: 'ExpressionStatement', parent: body };
+      const second = { type: 'ExpressionStatement', parent: body };
+
+      expect(getEnclosingCallNames(first)).toBe(getEnclosingCallNames(second));
+    });
+  });
+});
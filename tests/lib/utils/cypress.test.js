@@ -0,0 +1,63 @@
+/**
+ * @fileoverview Tests for Cypress command chain helpers
+ * @author eslint-plugin-test-flakiness
+ */
+'use strict';
+
+const { Linter } = require('eslint');
+const { getCypressChain, isInCommandCallback } = require('../../../lib/utils/cypress');
+
+/**
+ * Lint code with a probe rule that hands every outermost call to a callback
+ * @param {string} code - The source to lint
+ * @param {Function} onCall - Called with each CallExpression not called or chained on
+ */
+function probeCalls(code, onCall) {
+  const probe = {
+    create() {
+      return {
+        CallExpression(node) {
+          if (node.parent.type !== 'MemberExpression') onCall(node);
+        }
+      };
+    }
+  };
+  new Linter({ configType: 'flat' }).verify(code, [{
+    files: ['**/*.js'],
+    plugins: { probe: { rules: { probe } } },
+    rules: { 'probe/probe': 'error' }
+  }], { filename: 'file.cy.js' });
+}
+
+describe('cypress', () => {
+  describe('getCypressChain', () => {
+    it('should list the commands of chains starting at cy', () => {
+      const chains = [];
+      probeCalls([
+        'cy.get("li").first().click();',
+        'cy.visit("/");',
+        'page.get("li").first();',
+        'cy["get"]("li");'
+      ].join('\n'), node => {
+        const chain = getCypressChain(node);
+        chains.push(chain && chain.map(command => command.name));
+      });
+      expect(chains).toEqual([['get', 'first', 'click'], ['visit'], null, null]);
+    });
+  });
+
+  describe('isInCommandCallback', () => {
+    it('should find callbacks of the named command', () => {
+      const scoped = [];
+      probeCalls([
+        'cy.get("form").within(() => { cy.get("a"); });',
+        'cy.get("form").then(() => { cy.get("b"); });',
+        'within(() => { cy.get("c"); });'
+      ].join('\n'), node => {
+        const chain = getCypressChain(node);
+        if (chain && chain.length === 1) scoped.push(isInCommandCallback(node, 'within'));
+      });
+      expect(scoped).toEqual([true, false, false]);
+    });
+  });
+});
@@ -4,8 +4,33 @@
  */
 'use strict';
 
+const { Linter } = require('eslint');
 const helpers = require('../../../lib/utils/helpers');
 
+/**
+ * Run a callback with a real rule context for the given code
+ * @param {string} code - The source to parse
+ * @param {Object} options - The filename and optional settings
+ * @param {Function} callback - Receives the rule context
+ * @returns {*} The callback's return value
+ */
+function withRuleContext(code, { filename, settings = {} }, callback) {
+  let result;
+  const probe = {
+    create(context) {
+      result = callback(context);
+      return {};
+    }
+  };
+  new Linter({ configType: 'flat' }).verify(code, [{
+    files: ['**/*'],
+    plugins: { probe: { rules: { probe } } },
+    rules: { 'probe/probe': 'error' },
+    settings
+  }], { filename });
+  return result;
+}
+
 describe('helpers', () => {
   describe('isTestFile', () => {
     it('should return false for non-test files', () => {
@@ -70,208 +95,182 @@ describe('helpers', () => {
       expect(helpers.isTestFile(undefined)).toBe(false);
       expect(helpers.isTestFile('')).toBe(false);
     });
-  });
 
-  describe('isInMockContext', () => {
-    const createMockContext = () => ({
-      getSourceCode: () => ({
-        getText: (node) => {
-          if (node && node.mockText) return node.mockText;
-          if (node && node.name) return node.name;
-          if (node && node.object && node.property) {
-            return `${node.object.name}.${node.property.name}`;
-          }
-          return 'someFunction';
-        }
-      })
-    });
-
-    it('should detect jest mock calls', () => {
-      const context = createMockContext();
-      const node = {
-        callee: {
-          object: { name: 'jest' },
-          property: { name: 'mock' },
-          mockText: 'jest.mock'
-        }
-      };
-      expect(helpers.isInMockContext(node, context)).toBe(true);
+    it('should accept files matching testFilePatterns from settings', () => {
+      const settings = helpers.getPluginSettings({
+        cwd: '/repo',
+        settings: { 'test-flakiness': { testFilePatterns: ['**/*.pw.ts', 'qa/**', '**/*.story-test.tsx'] } }
+      });
+      expect(helpers.isTestFile('/repo/e2e/login.pw.ts', settings)).toBe(true);
+      expect(helpers.isTestFile('/repo/qa/checkout.js', settings)).toBe(true);
+      expect(helpers.isTestFile('/repo/src/Button.story-test.tsx', settings)).toBe(true);
+      expect(helpers.isTestFile('/repo/src/app.ts', settings)).toBe(false);
+      expect(helpers.isTestFile('/repo/src/app.test.ts', settings)).toBe(true);
+    });
+
+    it('should resolve testFilePatterns relative to the project root', () => {
+      const settings = helpers.getPluginSettings({
+        cwd: '/repo',
+        settings: { 'test-flakiness': { testFilePatterns: ['qa/**'] } }
+      });
+      expect(helpers.isTestFile('qa/checkout.js', settings)).toBe(true);
+      expect(helpers.isTestFile('/repo/packages/web/qa/checkout.js', settings)).toBe(false);
+      expect(helpers.isTestFile('/elsewhere/qa/checkout.js', settings)).toBe(false);
+    });
+
+    it('should honor a rootDir relative to the working directory', () => {
+      const settings = helpers.getPluginSettings({
+        cwd: '/repo',
+        settings: { 'test-flakiness': { rootDir: 'packages/web', testFilePatterns: ['qa/**'] } }
+      });
+      expect(settings.rootDir).toBe('/repo/packages/web');
+      expect(helpers.isTestFile('/repo/packages/web/qa/checkout.js', settings)).toBe(true);
+      expect(helpers.isTestFile('/repo/qa/checkout.js', settings)).toBe(false);
+    });
+
+    it('should reject files matching excludeTestFilePatterns', () => {
+      const settings = helpers.getPluginSettings({
+        cwd: '/repo',
+        settings: { 'test-flakiness': { excludeTestFilePatterns: ['**/fixtures/**', 'src/test/helpers.js'] } }
+      });
+      expect(helpers.isTestFile('/repo/tests/fixtures/data.js', settings)).toBe(false);
+      expect(helpers.isTestFile('/repo/src/test/helpers.js', settings)).toBe(false);
+      expect(helpers.isTestFile('/repo/src/test/app.js', settings)).toBe(true);
+    });
+
+    it('should treat every file as a test file in all mode', () => {
+      const settings = helpers.getPluginSettings({
+        cwd: '/repo',
+        settings: { 'test-flakiness': { testFileMode: 'all', excludeTestFilePatterns: ['scripts/**'] } }
+      });
+      expect(helpers.isTestFile('/repo/src/app.js', settings)).toBe(true);
+      expect(helpers.isTestFile('<input>', settings)).toBe(true);
+      expect(helpers.isTestFile('/repo/scripts/build.js', settings)).toBe(false);
     });
+  });
 
-    it('should detect vitest mock calls', () => {
-      const context = createMockContext();
-      const node = {
-        callee: {
-          object: { name: 'vi' },
-          property: { name: 'fn' },
-          mockText: 'vi.fn'
+  describe('getPluginSettings', () => {
+    it('should return defaults when no settings are configured', () => {
+      expect(helpers.getPluginSettings({ cwd: '/repo' })).toEqual({
+        framework: null,
+        testFilePatterns: [],
+        excludeTestFilePatterns: [],
+        testFileMode: 'auto',
+        rootDir: '/repo',
+        customWaitUtilities: [],
+        customRenderFunctions: [],
+        mockModules: [],
+        setupFiles: [],
+        runnerConfig: null,
+        requireFakeTimerCleanup: false
+      });
+      expect(helpers.getPluginSettings(undefined).framework).toBeNull();
+      expect(helpers.getPluginSettings(undefined).rootDir).toBe(process.cwd());
+      expect(helpers.getPluginSettings({ getCwd: () => '/legacy' }).rootDir).toBe('/legacy');
+    });
+
+    it('should read settings under the test-flakiness key', () => {
+      const context = {
+        settings: {
+          'test-flakiness': {
+            framework: 'playwright',
+            customWaitUtilities: 'waitForApp',
+            mockModules: ['axios']
+          }
         }
       };
-      expect(helpers.isInMockContext(node, context)).toBe(true);
+      const settings = helpers.getPluginSettings(context);
+      expect(settings.framework).toBe('playwright');
+      expect(settings.customWaitUtilities).toEqual(['waitForApp']);
+      expect(settings.mockModules).toEqual(['axios']);
     });
 
-    it('should detect sinon mock calls', () => {
-      const context = createMockContext();
-      const node = {
-        callee: {
-          mockText: 'sinon.stub'
+    it('should expose custom wait utilities and render functions', () => {
+      const context = {
+        settings: {
+          'test-flakiness': {
+            customWaitUtilities: ['waitForApp'],
+            customRenderFunctions: ['renderWithProviders']
+          }
         }
       };
-      expect(helpers.isInMockContext(node, context)).toBe(true);
+      expect(helpers.isCustomWaitUtility('waitForApp', context)).toBe(true);
+      expect(helpers.isCustomWaitUtility('waitFor', context)).toBe(false);
+      expect(helpers.isCustomWaitUtility(undefined, context)).toBe(false);
+      expect(helpers.isCustomRenderFunction('renderWithProviders', context)).toBe(true);
+      expect(helpers.isCustomRenderFunction('render', context)).toBe(false);
     });
+  });
 
-    it('should detect mock/stub/spy/fake patterns', () => {
-      const context = createMockContext();
-
-      const mockNode = { callee: { mockText: 'mockFunction' } };
-      expect(helpers.isInMockContext(mockNode, context)).toBe(true);
+  describe('isInsideWaitFor', () => {
+    const context = { settings: { 'test-flakiness': { customWaitUtilities: ['waitForApp'] } } };
+    const call = (callee, child) => {
+      const node = { type: 'CallExpression', callee, arguments: [] };
+      child.parent = node;
+      return node;
+    };
+    const identifier = name => ({ type: 'Identifier', name });
 
-      const stubNode = { callee: { mockText: 'stubMethod' } };
-      expect(helpers.isInMockContext(stubNode, context)).toBe(true);
+    it('should find wait functions around a node', () => {
+      const node = { type: 'Literal' };
+      call(identifier('waitFor'), node);
+      expect(helpers.isInsideWaitFor(node, context)).toBe(true);
 
-      const spyNode = { callee: { mockText: 'spyOn' } };
-      expect(helpers.isInMockContext(spyNode, context)).toBe(true);
+      const member = { type: 'Literal' };
+      const waitCall = call({ type: 'MemberExpression', computed: false, object: identifier('utils'), property: identifier('waitFor') }, member);
+      expect(helpers.getWaitFunctionName(waitCall, context)).toBe('waitFor');
+      expect(helpers.isInsideWaitFor(member, context)).toBe(true);
 
-      const fakeNode = { callee: { mockText: 'fakeTimer' } };
-      expect(helpers.isInMockContext(fakeNode, context)).toBe(true);
+      const custom = { type: 'Literal' };
+      call(identifier('waitForApp'), custom);
+      expect(helpers.isInsideWaitFor(custom, context)).toBe(true);
     });
 
-    it('should detect mock calls with member expressions', () => {
-      const context = createMockContext();
-      const node = {
-        callee: {
-          mockText: 'service.mockImplementation'
-        }
-      };
-      expect(helpers.isInMockContext(node, context)).toBe(true);
-    });
+    it('should count extra names only when given', () => {
+      const node = { type: 'Literal' };
+      call(identifier('waitForElementToBeRemoved'), node);
+      expect(helpers.isInsideWaitFor(node, context)).toBe(false);
+      expect(helpers.isInsideWaitFor(node, context, ['waitForElementToBeRemoved'])).toBe(true);
 
-    it('should detect mock context in parent nodes', () => {
-      const context = createMockContext();
-      const mockParent = {
-        type: 'CallExpression',
-        callee: { mockText: 'jest.mock' }
-      };
-      const node = {
-        parent: mockParent
-      };
-      expect(helpers.isInMockContext(node, context)).toBe(true);
+      const other = { type: 'Literal' };
+      call(identifier('render'), other);
+      expect(helpers.isInsideWaitFor(other, context)).toBe(false);
     });
+  });
 
-    it('should detect jest.mock() module mocking in parent', () => {
-      const context = createMockContext();
-      const mockParent = {
-        type: 'CallExpression',
-        callee: {
-          type: 'MemberExpression',
-          object: { name: 'jest' },
-          property: { name: 'mock' }
-        }
-      };
-      const node = {
-        parent: {
-          parent: mockParent
-        }
-      };
-      expect(helpers.isInMockContext(node, context)).toBe(true);
-    });
-
-    it('should detect vi.mock() module mocking in parent', () => {
-      const context = createMockContext();
-      const mockParent = {
-        type: 'CallExpression',
-        callee: {
-          type: 'MemberExpression',
-          object: { name: 'vi' },
-          property: { name: 'mock' }
-        }
-      };
-      const node = {
-        parent: mockParent
-      };
-      expect(helpers.isInMockContext(node, context)).toBe(true);
-    });
-
-    it('should detect mock in deeply nested parent', () => {
-      const context = createMockContext();
-      const mockGrandparent = {
-        type: 'CallExpression',
-        callee: {
-          type: 'MemberExpression',
-          object: { name: 'jest' },
-          property: { name: 'mock' }
-        },
-        parent: null
-      };
-      const middleParent = {
-        type: 'BlockStatement',
-        parent: mockGrandparent
-      };
-      const node = {
-        parent: middleParent
-      };
-      expect(helpers.isInMockContext(node, context)).toBe(true);
-    });
-
-    it('should detect jest.mock in parent when regex doesnt match', () => {
-      const context = {
-        getSourceCode: () => ({
-          getText: (node) => {
-            // Return text that doesn't match the regex but has the right structure
-            if (node && node.type === 'MemberExpression') {
-              return 'something.else';  // This won't match the regex
-            }
-            return 'otherFunction';
-          }
-        })
-      };
-
-      const mockGrandparent = {
-        type: 'CallExpression',
-        callee: {
-          type: 'MemberExpression',
-          object: { name: 'jest' },
-          property: { name: 'mock' }
-        },
-        parent: null
-      };
-
-      const node = {
-        parent: mockGrandparent
-      };
-
-      expect(helpers.isInMockContext(node, context)).toBe(true);
-    });
-
-    it('should limit parent traversal to 5 levels', () => {
-      const context = createMockContext();
-      let deepNode = { parent: null };
-      for (let i = 0; i < 10; i++) {
-        deepNode = { parent: deepNode };
-      }
-      // Place mock context at 6th level (beyond limit)
-      let current = deepNode;
-      for (let i = 0; i < 6; i++) {
-        current = current.parent;
-      }
-      current.type = 'CallExpression';
-      current.callee = { mockText: 'jest.mock' };
-
-      expect(helpers.isInMockContext(deepNode, context)).toBe(false);
+  describe('globToRegExp', () => {
+    it('should translate glob syntax', () => {
+      expect(helpers.globToRegExp('*.js').test('app.js')).toBe(true);
+      expect(helpers.globToRegExp('*.js').test('src/app.js')).toBe(false);
+      expect(helpers.globToRegExp('**/*.js').test('src/deep/app.js')).toBe(true);
+      expect(helpers.globToRegExp('**/*.js').test('app.js')).toBe(true);
+      expect(helpers.globToRegExp('qa/**').test('qa/a/b.ts')).toBe(true);
+      expect(helpers.globToRegExp('*.{ts,tsx}').test('a.tsx')).toBe(true);
+      expect(helpers.globToRegExp('file?.js').test('file1.js')).toBe(true);
+      expect(helpers.globToRegExp('[ab].js').test('b.js')).toBe(true);
+      expect(helpers.globToRegExp('[!ab].js').test('b.js')).toBe(false);
+      expect(helpers.globToRegExp('a.b').test('axb')).toBe(false);
+      expect(helpers.globToRegExp('**/?(*.)+(spec|test).[jt]s?(x)').test('src/app.spec.tsx')).toBe(true);
+      expect(helpers.globToRegExp('**/?(*.)+(spec|test).[jt]s?(x)').test('test.js')).toBe(true);
+      expect(helpers.globToRegExp('**/?(*.)+(spec|test).[jt]s?(x)').test('src/app.js')).toBe(false);
+      expect(helpers.globToRegExp('*.@(spec|test).?(c|m)js').test('a.test.mjs')).toBe(true);
+      expect(helpers.globToRegExp('!(index).js').test('app.js')).toBe(true);
+      expect(helpers.globToRegExp('!(index).js').test('index.js')).toBe(false);
     });
+  });
 
-    it('should return false for non-mock contexts', () => {
-      const context = createMockContext();
-      const node = {
-        callee: { mockText: 'regularFunction' }
-      };
-      expect(helpers.isInMockContext(node, context)).toBe(false);
+  describe('matchesGlob', () => {
+    it('should match relative patterns against the path below rootDir', () => {
+      expect(helpers.matchesGlob('/repo/qa/login.js', 'qa/**', '/repo')).toBe(true);
+      expect(helpers.matchesGlob('/repo/qab/login.js', 'qa/**', '/repo')).toBe(false);
+      expect(helpers.matchesGlob('/repo/qa/login.js', './qa/*.js', '/repo')).toBe(true);
+      expect(helpers.matchesGlob('qa/login.js', 'qa/*.js', '/repo')).toBe(true);
+      expect(helpers.matchesGlob('/other/qa/login.js', '**/qa/*.js', '/repo')).toBe(false);
     });
 
-    it('should handle nodes without callee', () => {
-      const context = createMockContext();
-      const node = { type: 'Identifier' };
-      expect(helpers.isInMockContext(node, context)).toBe(false);
+    it('should match absolute patterns against the absolute path', () => {
+      expect(helpers.matchesGlob('qa/login.js', '/repo/qa/**', '/repo')).toBe(true);
+      expect(helpers.matchesGlob('/other/qa/login.js', '/repo/qa/**', '/repo')).toBe(false);
     });
   });
 
@@ -501,116 +500,82 @@ describe('helpers', () => {
   });
 
   describe('getTestFramework', () => {
-    const createContext = (filename, text) => ({
-      filename,
-      getFilename: () => filename,
-      getSourceCode: () => ({
-        getText: () => text
-      })
+    const detect = (filename, code, settings) =>
+      withRuleContext(code, { filename, settings }, context => helpers.getTestFramework(context));
+
+    it('should prefer the framework declared in settings', () => {
+      const settings = { 'test-flakiness': { framework: 'playwright' } };
+      expect(detect('test.js', 'import { render } from "@testing-library/react"', settings)).toBe('playwright');
     });
 
     it('should detect testing-library', () => {
-      const context = createContext(
-        'test.js',
-        'import { render } from "@testing-library/react"'
-      );
-      expect(helpers.getTestFramework(context)).toBe('testing-library');
+      expect(detect('test.js', 'import { render } from "@testing-library/react"')).toBe('testing-library');
     });
 
     it('should detect playwright', () => {
-      const context = createContext(
-        'test.js',
-        'import { test } from "@playwright/test"'
-      );
-      expect(helpers.getTestFramework(context)).toBe('playwright');
+      expect(detect('test.js', 'import { test } from "@playwright/test"')).toBe('playwright');
+    });
+
+    it('should detect playwright from require', () => {
+      expect(detect('test.js', 'const { test } = require("@playwright/test");')).toBe('playwright');
+    });
+
+    it('should detect playwright through a re-export', () => {
+      expect(detect('fixtures.js', 'export { test, expect } from "@playwright/test";')).toBe('playwright');
     });
 
     it('should detect cypress from import', () => {
-      const context = createContext(
-        'test.js',
-        'import cypress from "cypress"'
-      );
-      expect(helpers.getTestFramework(context)).toBe('cypress');
+      expect(detect('test.js', 'import cypress from "cypress"')).toBe('cypress');
     });
 
     it('should detect vitest', () => {
-      const context = createContext(
-        'test.js',
-        'import { test } from "vitest"'
-      );
-      expect(helpers.getTestFramework(context)).toBe('vitest');
+      expect(detect('test.js', 'import { test } from "vitest"')).toBe('vitest');
     });
 
     it('should detect jest from import', () => {
-      const context = createContext(
-        'test.js',
-        'import jest from "jest"'
-      );
-      expect(helpers.getTestFramework(context)).toBe('jest');
+      expect(detect('test.js', 'import { jest } from "@jest/globals"')).toBe('jest');
     });
 
     it('should detect vitest from global usage', () => {
-      const context = createContext(
-        'test.js',
-        'describe("test", () => { vi.mock("module") })'
-      );
-      expect(helpers.getTestFramework(context)).toBe('vitest');
+      expect(detect('test.js', 'describe("test", () => { vi.mock("module") })')).toBe('vitest');
     });
 
     it('should detect jest from global usage', () => {
-      const context = createContext(
-        'test.js',
-        'describe("test", () => { jest.fn() })'
-      );
-      expect(helpers.getTestFramework(context)).toBe('jest');
+      expect(detect('test.js', 'describe("test", () => { jest.fn() })')).toBe('jest');
     });
 
     it('should detect cypress from global usage', () => {
-      const context = createContext(
-        'test.js',
-        'describe("test", () => { cy.visit("/") })'
-      );
-      expect(helpers.getTestFramework(context)).toBe('cypress');
+      expect(detect('test.js', 'describe("test", () => { cy.visit("/") })')).toBe('cypress');
+    });
+
+    it('should not mistake framework names in strings or comments for imports', () => {
+      const code = '// from "@playwright/test"\nconst label = "from \'cypress\'";';
+      expect(detect('test.js', code)).toBe(null);
     });
 
     it('should detect cypress from file path', () => {
-      const context = createContext(
-        '/project/cypress/integration/test.js',
-        'const test = "code"'
-      );
-      expect(helpers.getTestFramework(context)).toBe('cypress');
+      expect(detect('project/cypress/integration/test.js', 'const test = "code"')).toBe('cypress');
     });
 
     it('should detect playwright from file path', () => {
-      const context = createContext(
-        '/project/playwright/tests/test.js',
-        'const test = "code"'
-      );
-      expect(helpers.getTestFramework(context)).toBe('playwright');
+      expect(detect('project/playwright/tests/test.js', 'const test = "code"')).toBe('playwright');
     });
 
     it('should detect cypress from .cy filename', () => {
-      const context = createContext(
-        'test.cy.js',
-        'const test = "code"'
-      );
-      expect(helpers.getTestFramework(context)).toBe('cypress');
+      expect(detect('test.cy.js', 'const test = "code"')).toBe('cypress');
     });
 
-    it('should default to jest for .spec files', () => {
-      const context = createContext(
-        'test.spec.js',
-        'const test = "code"'
-      );
-      expect(helpers.getTestFramework(context)).toBe('jest');
+    it('should not assume jest for .spec files', () => {
+      expect(detect('test.spec.js', 'const test = "code"')).toBe(null);
+    });
+
+    it('should detect mocha and node:test runners', () => {
+      expect(detect('test.spec.js', 'const { describe } = require("mocha");')).toBe('mocha');
+      expect(detect('test.spec.js', 'import { test } from "node:test";')).toBe('node:test');
     });
 
     it('should return null for unknown frameworks', () => {
-      const context = createContext(
-        'test.js',
-        'const test = "code"'
-      );
-      expect(helpers.getTestFramework(context)).toBe(null);
+      expect(detect('test.js', 'const test = "code"')).toBe(null);
     });
 
     it('should handle context without getFilename', () => {
@@ -624,6 +589,64 @@ describe('helpers', () => {
     });
   });
 
+  describe('getFrameworkInfo', () => {
+    const describeStack = (filename, code, settings) =>
+      withRuleContext(code, { filename, settings }, context => helpers.getFrameworkInfo(context));
+
+    it('should describe a jest + testing-library file', () => {
+      const code = 'import { render } from "@testing-library/react";\njest.mock("./api");';
+      expect(describeStack('app.spec.js', code)).toEqual({
+        runner: 'jest', assertion: 'jest', dom: 'testing-library', e2e: null
+      });
+    });
+
+    it('should describe a mocha + chai file', () => {
+      const code = 'const { expect } = require("chai");\ndescribe("a", () => {});';
+      expect(describeStack('app.spec.js', code)).toEqual({
+        runner: null, assertion: 'chai', dom: null, e2e: null
+      });
+    });
+
+    it('should describe a node:test file', () => {
+      const code = 'import test from "node:test";\nimport assert from "node:assert/strict";';
+      expect(describeStack('app.test.mjs', code)).toEqual({
+        runner: 'node:test', assertion: 'node:assert', dom: null, e2e: null
+      });
+    });
+
+    it('should describe WebdriverIO and TestCafe files', () => {
+      expect(describeStack('login.e2e.js', 'import { browser, $ } from "@wdio/globals";').e2e).toBe('webdriverio');
+      expect(describeStack('login.e2e.js', 'import { Selector } from "testcafe";').e2e).toBe('testcafe');
+    });
+
+    it('should detect dynamically imported modules', () => {
+      expect(describeStack('a.test.js', 'const load = () => import("@playwright/test");').e2e).toBe('playwright');
+    });
+
+    it('should let the framework setting override detection', () => {
+      const settings = { 'test-flakiness': { framework: 'vitest' } };
+      expect(describeStack('a.test.js', 'import { render } from "@testing-library/react";', settings)).toEqual({
+        runner: 'vitest', assertion: 'vitest', dom: 'testing-library', e2e: null
+      });
+    });
+
+    it('should detect each file once and return independent copies', () => {
+      const sourceCode = {
+        ast: {
+          type: 'Program',
+          body: [{ type: 'ImportDeclaration', specifiers: [], source: { type: 'Literal', value: 'vitest' } }]
+        },
+        getText: () => ''
+      };
+      const context = { filename: 'a.test.js', getSourceCode: () => sourceCode };
+
+      const first = helpers.getFrameworkInfo(context);
+      first.runner = 'mutated';
+      sourceCode.ast = { type: 'Program', body: [] };
+      expect(helpers.getFrameworkInfo(context).runner).toBe('vitest');
+    });
+  });
+
   describe('isPromise', () => {
     it('should detect async functions', () => {
       const node = { async: true };
@@ -949,6 +972,31 @@ describe('helpers', () => {
     });
   });
 
+  describe('getHookInsertionPoint', () => {
+    it('should find the statement of the enclosing describe block or file', () => {
+      const points = [];
+      const probe = {
+        create(context) {
+          return {
+            'CallExpression[callee.name="use"]'(node) {
+              const point = helpers.getHookInsertionPoint(node);
+              points.push(point && context.getSourceCode().getText(point));
+            }
+          };
+        }
+      };
+      new Linter({ configType: 'flat' }).verify([
+        'it("a", () => { use(); });',
+        'describe.each([1])("b", () => { beforeEach(() => use()); });',
+        'describe("c", () => it("d", () => use()));'
+      ].join('\n'), [{
+        plugins: { probe: { rules: { probe } } },
+        rules: { 'probe/probe': 'error' }
+      }]);
+      expect(points).toEqual(['it("a", () => { use(); });', 'beforeEach(() => use());', null]);
+    });
+  });
+
   describe('ensureAsyncFunction', () => {
     it('should return empty array when funcNode is null', () => {
       const fixer = { insertTextBefore: jest.fn() };
@@ -1042,7 +1090,10 @@ describe('helpers', () => {
         getPhysicalFilename: () => 'test.spec.js',
         getSourceCode: () => ({
           getText: () => 'import { test, expect } from \'@playwright/test\';',
-          ast: { body: [] }
+          ast: {
+            type: 'Program',
+            body: [{ type: 'ImportDeclaration', specifiers: [], source: { type: 'Literal', value: '@playwright/test' } }]
+          }
         })
       };
       expect(helpers.addWaitForImport(fixer, context)).toBeNull();
@@ -1317,6 +1368,43 @@ describe('helpers', () => {
     });
   });
 
+  describe('addTestingLibraryImport', () => {
+    const importNode = {
+      type: 'ImportDeclaration',
+      source: { type: 'Literal', value: '@testing-library/react' },
+      specifiers: [{ type: 'ImportSpecifier', local: { name: 'render' } }]
+    };
+
+    it('should add the named export to an existing Testing Library import', () => {
+      const fixer = { insertTextAfter: jest.fn((node, text) => ({ node, text })) };
+      const context = {
+        getFilename: () => 'test.test.js',
+        getPhysicalFilename: () => 'test.test.js',
+        getSourceCode: () => ({
+          getText: () => 'import { render } from \'@testing-library/react\';',
+          ast: { body: [importNode] }
+        })
+      };
+      expect(helpers.addTestingLibraryImport(fixer, context, 'within')).toEqual([
+        { node: importNode.specifiers[0], text: ', within' }
+      ]);
+    });
+
+    it('should return empty array when the name is already imported', () => {
+      const fixer = {};
+      const imported = { ...importNode, specifiers: [{ type: 'ImportSpecifier', local: { name: 'screen' } }] };
+      const context = {
+        getFilename: () => 'test.test.js',
+        getPhysicalFilename: () => 'test.test.js',
+        getSourceCode: () => ({
+          getText: () => 'import { screen } from \'@testing-library/react\';',
+          ast: { body: [imported] }
+        })
+      };
+      expect(helpers.addTestingLibraryImport(fixer, context, 'screen')).toEqual([]);
+    });
+  });
+
   describe('isDataUrl', () => {
     it('should detect data URLs', () => {
       expect(helpers.isDataUrl('data:text/plain;base64,SGVsbG8=')).toBe(true);
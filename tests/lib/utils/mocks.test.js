@@ -0,0 +1,165 @@
+/* eslint-disable test-flakiness/no-unmocked-fs */
+/**
+ * @fileoverview Tests for mock resolution
+ * @author eslint-plugin-test-flakiness
+ */
+'use strict';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Linter } = require('eslint');
+const mocks = require('../../../lib/utils/mocks');
+
+/**
+ * Lint code with a probe rule that records a result for every call and `new`
+ * expression, in source order
+ * @param {string} code - The source to lint
+ * @param {Function} check - Receives (node, context), returns the recorded value
+ * @param {Object} [settings] - Shared settings
+ * @returns {Object} Lists of recorded values keyed by callee text
+ */
+function probeCalls(code, check, settings = {}) {
+  const results = {};
+  const probe = {
+    create(context) {
+      const sourceCode = context.getSourceCode();
+      const record = node => {
+        const callee = sourceCode.getText(node.callee);
+        results[callee] = [...(results[callee] || []), check(node, context)];
+      };
+      return { CallExpression: record, NewExpression: record };
+    }
+  };
+  new Linter({ configType: 'flat' }).verify(code, [{
+    files: ['**/*.js'],
+    plugins: { probe: { rules: { probe } } },
+    rules: { 'probe/probe': 'error' },
+    settings
+  }], { filename: 'file.test.js' });
+  return results;
+}
+
+describe('mocks', () => {
+  describe('hasManualMock', () => {
+    let rootDir;
+
+    beforeAll(() => {
+      rootDir = fs.mkdtempSync(path.join(os.tmpdir(), 'manual-mocks-'));
+      fs.mkdirSync(path.join(rootDir, '__mocks__', '@acme'), { recursive: true });
+      fs.writeFileSync(path.join(rootDir, '__mocks__', 'axios.js'), 'module.exports = {};');
+      fs.writeFileSync(path.join(rootDir, '__mocks__', '@acme', 'client.ts'), 'export {};');
+      fs.writeFileSync(path.join(rootDir, '__mocks__', 'fs.js'), 'module.exports = {};');
+    });
+
+    afterAll(() => {
+      fs.rmSync(rootDir, { recursive: true, force: true });
+    });
+
+    it('should find root-level manual mocks of packages', () => {
+      expect(mocks.hasManualMock('axios', rootDir)).toBe(true);
+      expect(mocks.hasManualMock('@acme/client', rootDir)).toBe(true);
+      expect(mocks.hasManualMock('got', rootDir)).toBe(false);
+    });
+
+    it('should ignore node core modules and relative imports', () => {
+      expect(mocks.hasManualMock('fs', rootDir)).toBe(false);
+      expect(mocks.hasManualMock('node:fs', rootDir)).toBe(false);
+      expect(mocks.hasManualMock('./axios', rootDir)).toBe(false);
+    });
+
+    it('should treat calls through a manually mocked package as mocked', () => {
+      const results = probeCalls(
+        'import axios from "axios";\naxios.get("/api");',
+        (node, context) => mocks.isCallMocked(node, context),
+        { 'test-flakiness': { rootDir } }
+      );
+      expect(results['axios.get']).toEqual([true]);
+    });
+  });
+
+  describe('resolveModule', () => {
+    it('should resolve imports, requires, aliases and globals', () => {
+      const results = probeCalls(`
+        import axios from 'axios';
+        const { readFile } = require('node:fs/promises');
+        const client = axios.create();
+        const Agent = require('http').Agent;
+        const local = { get() {} };
+        client.get('/a');
+        readFile('a.txt');
+        new Agent();
+        local.get();
+        superagent.get('/b');
+      `, (node, context) => {
+        const root = node.callee.type === 'MemberExpression' ? node.callee.object : node.callee;
+        return root.type === 'Identifier' ? mocks.resolveModule(root, context) : undefined;
+      });
+
+      expect(results['client.get']).toEqual(['axios']);
+      expect(results.readFile).toEqual(['node:fs/promises']);
+      expect(results.Agent).toEqual(['http']);
+      expect(results['local.get']).toEqual([null]);
+      expect(results['superagent.get']).toEqual(['superagent']);
+    });
+  });
+
+  describe('isCallMocked', () => {
+    const isMocked = code => probeCalls(code, (node, context) => mocks.isCallMocked(node, context));
+
+    it('should match module mocks to the binding they affect', () => {
+      const results = isMocked(`
+        import axios from 'axios';
+        import got from 'got';
+        jest.mock('axios');
+        axios.get('/a');
+        got('/b');
+      `);
+      expect(results['axios.get']).toEqual([true]);
+      expect(results.got).toEqual([false]);
+    });
+
+    it('should limit stubs to the describe block that sets them up', () => {
+      const results = isMocked(`
+        describe('stubbed', () => {
+          beforeEach(() => { sinon.stub(api, 'load'); });
+          it('a', () => { api.load(1); });
+        });
+        describe('real', () => {
+          it('b', () => { api.load(2); });
+        });
+      `);
+      expect(results['api.load']).toEqual([true, false]);
+    });
+
+    it('should treat stubs on any global alias as stubbing the global', () => {
+      const results = isMocked('globalThis.fetch = jest.fn();\nfetch("/a");\nwindow.fetch("/b");');
+      expect(results.fetch).toEqual([true]);
+      expect(results['window.fetch']).toEqual([true]);
+    });
+
+    it('should not treat a module mock as covering shadowed locals', () => {
+      const results = isMocked(`
+        jest.mock('axios');
+        function load(axios) { return axios.get('/a'); }
+      `);
+      expect(results['axios.get']).toEqual([false]);
+    });
+  });
+
+  describe('isInMockImplementation', () => {
+    it('should detect code inside mock factories and implementations', () => {
+      const results = probeCalls(`
+        jest.mock('./api', () => ({ load: () => fetchA() }));
+        const stub = vi.fn(() => fetchB());
+        handler.mockImplementationOnce(async () => fetchC());
+        run(() => fetchD());
+      `, node => mocks.isInMockImplementation(node));
+
+      expect(results.fetchA).toEqual([true]);
+      expect(results.fetchB).toEqual([true]);
+      expect(results.fetchC).toEqual([true]);
+      expect(results.fetchD).toEqual([false]);
+    });
+  });
+});
@@ -0,0 +1,73 @@
+/**
+ * @fileoverview Tests for Playwright assertion helpers
+ * @author eslint-plugin-test-flakiness
+ */
+'use strict';
+
+const { Linter } = require('eslint');
+const { parseExpectCall, isAsyncAssertion, isPromiseHandled } = require('../../../lib/utils/playwright');
+
+/**
+ * Lint code with a probe rule that hands every matcher call to a callback
+ * @param {string} code - The source to lint
+ * @param {Function} onMatcher - Called with (node, parsed) per expect() matcher call
+ */
+function probeMatchers(code, onMatcher) {
+  const probe = {
+    create() {
+      return {
+        CallExpression(node) {
+          const parsed = parseExpectCall(node);
+          if (parsed) onMatcher(node, parsed);
+        }
+      };
+    }
+  };
+  new Linter({ configType: 'flat' }).verify(code, [{
+    files: ['**/*.js'],
+    plugins: { probe: { rules: { probe } } },
+    rules: { 'probe/probe': 'error' }
+  }], { filename: 'file.spec.js' });
+}
+
+describe('playwright', () => {
+  describe('parseExpectCall', () => {
+    it('should split matcher calls into expect, modifiers and matcher', () => {
+      const calls = [];
+      probeMatchers([
+        'expect(a).toBe(1);',
+        'expect.soft(b, "msg").not.toHaveText("x");',
+        'expect.poll(() => c).toBe(2);',
+        'expect(d).resolves.toEqual(3);',
+        'other(e).toBe(4);'
+      ].join('\n'), (node, parsed) => calls.push({
+        matcher: parsed.matcher,
+        kind: parsed.kind,
+        negated: parsed.negated,
+        async: isAsyncAssertion(parsed)
+      }));
+      expect(calls).toEqual([
+        { matcher: 'toBe', kind: null, negated: false, async: false },
+        { matcher: 'toHaveText', kind: 'soft', negated: true, async: true },
+        { matcher: 'toBe', kind: 'poll', negated: false, async: true },
+        { matcher: 'toEqual', kind: null, negated: false, async: true }
+      ]);
+    });
+  });
+
+  describe('isPromiseHandled', () => {
+    it('should accept awaited, returned, chained and Promise.all() assertions', () => {
+      const handled = [];
+      probeMatchers([
+        'async () => { await expect(a).toBeVisible(); };',
+        'async () => { return expect(a).toBeVisible(); };',
+        'async () => expect(a).toBeVisible();',
+        'async () => { expect(a).toBeVisible().then(done); };',
+        'async () => { await Promise.all([expect(a).toBeVisible()]); };',
+        'async () => { Promise.all([expect(a).toBeVisible()]); };',
+        'async () => { expect(a).toBeVisible(); };'
+      ].join('\n'), node => handled.push(isPromiseHandled(node)));
+      expect(handled).toEqual([true, true, true, true, true, false, false]);
+    });
+  });
+});
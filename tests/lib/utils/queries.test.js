@@ -0,0 +1,99 @@
+/**
+ * @fileoverview Tests for Testing Library query helpers
+ * @author eslint-plugin-test-flakiness
+ */
+'use strict';
+
+const {
+  parseQueryName,
+  getSelectorQuery,
+  getTestIdRole,
+  formatQuery
+} = require('../../../lib/utils/queries');
+
+describe('queries', () => {
+  describe('parseQueryName', () => {
+    it('should split query names into their parts', () => {
+      expect(parseQueryName('getByRole')).toEqual({ variant: 'get', all: false, by: 'Role' });
+      expect(parseQueryName('queryAllByTestId')).toEqual({ variant: 'query', all: true, by: 'TestId' });
+      expect(parseQueryName('findByDisplayValue')).toEqual({ variant: 'find', all: false, by: 'DisplayValue' });
+    });
+
+    it('should return null for other names', () => {
+      expect(parseQueryName('getElementById')).toBeNull();
+      expect(parseQueryName('getByClassName')).toBeNull();
+    });
+  });
+
+  describe('getSelectorQuery', () => {
+    const toQuery = selector => getSelectorQuery(selector, 'data-testid');
+
+    it('should use the implicit role of a tag', () => {
+      expect(toQuery('button')).toEqual({ by: 'Role', value: 'button', options: {} });
+      expect(toQuery('h3')).toEqual({ by: 'Role', value: 'heading', options: { level: 3 } });
+      expect(toQuery('a[href]')).toEqual({ by: 'Role', value: 'link', options: {} });
+      expect(toQuery('input')).toEqual({ by: 'Role', value: 'textbox', options: {} });
+      expect(toQuery('input[type="checkbox"]')).toEqual({ by: 'Role', value: 'checkbox', options: {} });
+      expect(toQuery('input[type=submit]')).toEqual({ by: 'Role', value: 'button', options: {} });
+    });
+
+    it('should name roles by their aria-label or alt text', () => {
+      expect(toQuery('button[aria-label="Close"]')).toEqual({ by: 'Role', value: 'button', options: { name: 'Close' } });
+      expect(toQuery('[role=\'dialog\'][aria-label="Settings"]'))
+        .toEqual({ by: 'Role', value: 'dialog', options: { name: 'Settings' } });
+      expect(toQuery('img[alt="Logo"]')).toEqual({ by: 'Role', value: 'img', options: { name: 'Logo' } });
+    });
+
+    it('should fall back to the queries below role', () => {
+      expect(toQuery('[aria-label="Search"]')).toEqual({ by: 'LabelText', value: 'Search', options: {} });
+      expect(toQuery('input[placeholder="Email"]')).toEqual({ by: 'PlaceholderText', value: 'Email', options: {} });
+      expect(toQuery('[alt="Avatar"]')).toEqual({ by: 'AltText', value: 'Avatar', options: {} });
+      expect(toQuery('[title="Help"]')).toEqual({ by: 'Title', value: 'Help', options: {} });
+      expect(toQuery('[data-testid="total"]')).toEqual({ by: 'TestId', value: 'total', options: {} });
+      expect(getSelectorQuery('[data-qa="total"]', 'data-qa')).toEqual({ by: 'TestId', value: 'total', options: {} });
+    });
+
+    it('should return null for selectors no query can express', () => {
+      expect(toQuery('#main')).toBeNull();
+      expect(toQuery('.item')).toBeNull();
+      expect(toQuery('ul li')).toBeNull();
+      expect(toQuery('ul > li')).toBeNull();
+      expect(toQuery('button, a')).toBeNull();
+      expect(toQuery('li:first-child')).toBeNull();
+      expect(toQuery('div')).toBeNull();
+      expect(toQuery('span[title="Info"]')).toBeNull();
+      expect(toQuery('[data-state="open"]')).toBeNull();
+      expect(toQuery('[aria-label]')).toBeNull();
+      expect(toQuery('[aria-label^="Close"]')).toBeNull();
+      expect(toQuery('a')).toBeNull();
+      expect(toQuery('')).toBeNull();
+    });
+  });
+
+  describe('getTestIdRole', () => {
+    it('should find the role the last word names', () => {
+      expect(getTestIdRole('submit-button')).toBe('button');
+      expect(getTestIdRole('saveBtn')).toBe('button');
+      expect(getTestIdRole('confirm_modal')).toBe('dialog');
+      expect(getTestIdRole('nav-link')).toBe('link');
+      expect(getTestIdRole('save-button-')).toBe('button');
+    });
+
+    it('should return null when the last word names no role', () => {
+      expect(getTestIdRole('user-summary')).toBeNull();
+      expect(getTestIdRole('buttons-count')).toBeNull();
+      expect(getTestIdRole('user-list-item')).toBeNull();
+      expect(getTestIdRole('tab-panel')).toBeNull();
+      expect(getTestIdRole('email-input-error')).toBeNull();
+    });
+  });
+
+  describe('formatQuery', () => {
+    it('should format the query call', () => {
+      expect(formatQuery('get', false, { by: 'Role', value: 'heading', options: { level: 1 } }))
+        .toBe('getByRole(\'heading\', { level: 1 })');
+      expect(formatQuery('query', true, { by: 'LabelText', value: 'User\'s name', options: {} }))
+        .toBe('queryAllByLabelText(\'User\\\'s name\')');
+    });
+  });
+});
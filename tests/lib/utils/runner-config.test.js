@@ -0,0 +1,189 @@
+/* eslint-disable test-flakiness/no-unmocked-fs */
+/**
+ * @fileoverview Tests for reading runner configs
+ * @author eslint-plugin-test-flakiness
+ */
+'use strict';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Linter } = require('eslint');
+const { loadRunnerConfigs } = require('../../../lib/utils/runner-config');
+const { getPluginSettings, getTestFramework } = require('../../../lib/utils/helpers');
+
+/**
+ * Lint a file with a probe rule and return what it computed
+ * @param {Function} probeFn - Receives the context, returns the recorded value
+ * @param {Object} [options] - The filename and test-flakiness settings
+ * @returns {*} The recorded value
+ */
+function probe(probeFn, { filename = 'file.test.js', settings = {}, code = '' } = {}) {
+  const seen = [];
+  const rule = {
+    create(context) {
+      return {
+        Program() {
+          seen.push(probeFn(context));
+        }
+      };
+    }
+  };
+  // Files outside the working directory are ignored by flat config
+  const cwd = path.isAbsolute(filename) ? path.dirname(filename) : process.cwd();
+  new Linter({ configType: 'flat', cwd }).verify(code, [{
+    files: ['**/*.js'],
+    plugins: { probe: { rules: { probe: rule } } },
+    rules: { 'probe/probe': 'error' },
+    settings: { 'test-flakiness': settings }
+  }], { filename });
+  return seen[0];
+}
+
+describe('runner-config', () => {
+  let rootDir;
+
+  const write = (name, text) => {
+    fs.mkdirSync(path.dirname(path.join(rootDir, name)), { recursive: true });
+    fs.writeFileSync(path.join(rootDir, name), text);
+  };
+  const load = files => probe(context => loadRunnerConfigs(rootDir, files, context));
+
+  beforeAll(() => {
+    rootDir = fs.mkdtempSync(path.join(os.tmpdir(), 'runner-config-'));
+    write('jest.config.js', [
+      'const setup = ["<rootDir>/jest.setup.js"];',
+      'module.exports = {',
+      '  testMatch: ["<rootDir>/src/**/*.check.js"],',
+      '  setupFilesAfterEnv: setup,',
+      '  fakeTimers: { enableGlobally: true },',
+      '  restoreMocks: true,',
+      '  testTimeout: process.env.CI ? 10000 : 5000',
+      '};'
+    ].join('\n'));
+    write('jest.setup.js', 'const { faker } = require("@faker-js/faker");\nfaker.seed(1);');
+    write('playwright.config.ts', [
+      'import { defineConfig, devices } from "@playwright/test";',
+      'export default defineConfig({',
+      '  testDir: "./e2e",',
+      '  fullyParallel: true,',
+      '  use: { reducedMotion: "reduce" },',
+      '  projects: [',
+      '    { name: "chromium", use: { ...devices["Desktop Chrome"] } },',
+      '    { name: "custom", fullyParallel: false, use: { viewport: { width: 1280, height: 720 } } }',
+      '  ]',
+      '});'
+    ].join('\n'));
+    write('vitest/vitest.config.mjs', [
+      'import { defineConfig } from "vitest/config";',
+      'export default defineConfig(() => ({',
+      '  test: { include: ["unit/**/*.spec.js"], setupFiles: "./setup.js", restoreMocks: true,',
+      '    sequence: { concurrent: true } }',
+      '}));'
+    ].join('\n'));
+    write('legacy/jest.config.json', '{ "timers": "fake" }');
+    write('package.json', '{ "name": "app", "jest": { "setupFiles": ["./env.js"] } }');
+    write('broken/jest.config.js', 'module.exports = {');
+    write('other.config.js', 'module.exports = {};');
+    fs.mkdirSync(path.join(rootDir, 'unreadable', 'jest.config.js'), { recursive: true });
+  });
+
+  afterAll(() => {
+    fs.rmSync(rootDir, { recursive: true, force: true });
+  });
+
+  describe('loadRunnerConfigs', () => {
+    it('should read a Jest config without executing it', () => {
+      const [jest] = load(['jest.config.js']);
+      expect(jest).toMatchObject({
+        runner: 'jest',
+        explicit: true,
+        testFilePatterns: [`${rootDir}/src/**/*.check.js`],
+        setupFiles: [path.join(rootDir, 'jest.setup.js')],
+        fakeTimers: true,
+        restoreMocks: true,
+        concurrent: false
+      });
+    });
+
+    it('should read a Playwright config, following defineConfig() and device spreads', () => {
+      const [playwright] = load(['playwright.config.ts']);
+      expect(playwright).toMatchObject({
+        runner: 'playwright',
+        explicit: true,
+        testFilePatterns: [`${rootDir}/e2e/**/*.@(spec|test).?(c|m)[jt]s?(x)`],
+        viewport: true,
+        animationsDisabled: true,
+        concurrent: false
+      });
+    });
+
+    it('should read a Vitest config returned by a function', () => {
+      const [vitest] = load(['vitest/vitest.config.mjs']);
+      expect(vitest).toMatchObject({
+        runner: 'vitest',
+        testFilePatterns: [`${rootDir}/vitest/unit/**/*.spec.js`],
+        setupFiles: [path.join(rootDir, 'vitest', 'setup.js')],
+        restoreMocks: true,
+        concurrent: true
+      });
+    });
+
+    it('should read JSON configs and the jest key of package.json', () => {
+      const [legacy, pkg] = load(['legacy/jest.config.json', 'package.json']);
+      expect(legacy).toMatchObject({ runner: 'jest', explicit: false, fakeTimers: true });
+      expect(pkg.setupFiles).toEqual([path.join(rootDir, 'env.js')]);
+    });
+
+    it('should skip missing, unparseable and unknown files', () => {
+      expect(load(['missing/jest.config.js', 'broken/jest.config.js', 'other.config.js'])).toEqual([]);
+    });
+
+    it('should skip a config path that exists but cannot be read', () => {
+      expect(load(['unreadable/jest.config.js'])).toEqual([]);
+    });
+
+    it('should look for the usual config names when no files are given', () => {
+      expect(load(null).map(config => config.runner)).toEqual(['jest', 'playwright', 'jest']);
+    });
+  });
+
+  describe('getPluginSettings with runnerConfigs', () => {
+    const lint = (file, options = {}) => ({
+      filename: path.join(rootDir, file),
+      settings: { rootDir, runnerConfigs: ['jest.config.js', 'playwright.config.ts'] },
+      ...options
+    });
+
+    it('should add the globs declared by the configs to the test file patterns', () => {
+      const found = probe(getPluginSettings, lint('src/login.check.js'));
+      expect(found.testFilePatterns).toEqual([
+        `${rootDir}/src/**/*.check.js`,
+        `${rootDir}/e2e/**/*.@(spec|test).?(c|m)[jt]s?(x)`
+      ]);
+      expect(found.runnerConfig.runner).toBe('jest');
+      expect(found.setupFiles).toEqual([path.join(rootDir, 'jest.setup.js')]);
+    });
+
+    it('should apply only the config covering the linted file', () => {
+      const found = probe(getPluginSettings, lint('e2e/helpers.js'));
+      expect(found.runnerConfig).toBeNull();
+
+      const e2e = probe(getPluginSettings, lint('e2e/login.spec.js'));
+      expect(e2e.runnerConfig.runner).toBe('playwright');
+      expect(e2e.setupFiles).toEqual([]);
+    });
+
+    it('should use the covering config to detect the framework', () => {
+      expect(probe(getTestFramework, lint('e2e/login.spec.js'))).toBe('playwright');
+      expect(probe(getTestFramework, lint('e2e/login.spec.js', { settings: { rootDir } }))).toBeNull();
+      expect(probe(getTestFramework, lint('e2e/login.spec.js', { code: 'vi.fn()' }))).toBe('vitest');
+    });
+
+    it('should do nothing unless enabled', () => {
+      const found = probe(getPluginSettings, lint('src/login.check.js', { settings: { rootDir } }));
+      expect(found.testFilePatterns).toEqual([]);
+      expect(found.runnerConfig).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,149 @@
+/* eslint-disable test-flakiness/no-unmocked-fs */
+/**
+ * @fileoverview Tests for global setup file facts
+ * @author eslint-plugin-test-flakiness
+ */
+'use strict';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Linter } = require('eslint');
+const setupFiles = require('../../../lib/utils/setup-files');
+
+/**
+ * Lint a test file with a probe rule that records the merged setup facts
+ * @param {Object} settings - The test-flakiness settings
+ * @returns {Object} The facts seen by the probe rule
+ */
+function probeFacts(settings) {
+  const seen = [];
+  const probe = {
+    create(context) {
+      return {
+        Program() {
+          seen.push(setupFiles.getSetupFacts(context));
+        }
+      };
+    }
+  };
+  new Linter({ configType: 'flat' }).verify('it("works", () => {});', [{
+    files: ['**/*.js'],
+    plugins: { probe: { rules: { probe } } },
+    rules: { 'probe/probe': 'error' },
+    settings: { 'test-flakiness': settings }
+  }], { filename: 'file.test.js' });
+  return seen[0];
+}
+
+describe('setup-files', () => {
+  let rootDir;
+
+  const write = (name, text) => fs.writeFileSync(path.join(rootDir, name), text);
+
+  beforeAll(() => {
+    rootDir = fs.mkdtempSync(path.join(os.tmpdir(), 'setup-files-'));
+    write('seed.js', 'const { faker } = require("@faker-js/faker");\nbeforeEach(() => faker.seed(42));');
+    write('chance.js', 'const Chance = require("chance");\nglobal.chance = new Chance(7);');
+    write('mocks.js', 'jest.mock("axios");\nvi.mock("node:fs");');
+    write('timers.js', 'beforeEach(() => jest.useFakeTimers());');
+    write('msw.js', 'import { setupServer } from "msw/node";\nexport const server = setupServer();');
+    write('styles.js', 'document.head.innerHTML = "<style>* { transition: none !important; }</style>";');
+    write('playwright.config.ts', 'export default defineConfig({ use: { reducedMotion: \'reduce\' as const } });');
+    write('plain.js', 'module.exports = {};');
+  });
+
+  afterAll(() => {
+    fs.rmSync(rootDir, { recursive: true, force: true });
+  });
+
+  describe('getSetupFacts', () => {
+    it('should record seeded random data libraries', () => {
+      const facts = probeFacts({ rootDir, setupFiles: ['seed.js', 'chance.js'] });
+      expect([...facts.seededLibraries].sort()).toEqual(['chance', 'faker']);
+    });
+
+    it('should record modules mocked with jest.mock() and vi.mock()', () => {
+      const facts = probeFacts({ rootDir, setupFiles: ['mocks.js'] });
+      expect([...facts.mockedModules].sort()).toEqual(['axios', 'node:fs']);
+    });
+
+    it('should record fake timers and request interceptors', () => {
+      const facts = probeFacts({ rootDir, setupFiles: ['timers.js', 'msw.js'] });
+      expect(facts.fakeTimers).toBe(true);
+      expect(facts.intercepts).toBe(true);
+      expect(facts.animationsDisabled).toBe(false);
+    });
+
+    it('should detect disabled animations from text, even in files the parser rejects', () => {
+      expect(probeFacts({ rootDir, setupFiles: ['styles.js'] }).animationsDisabled).toBe(true);
+      expect(probeFacts({ rootDir, setupFiles: ['playwright.config.ts'] }).animationsDisabled).toBe(true);
+    });
+
+    it('should merge facts across files and ignore missing ones', () => {
+      const facts = probeFacts({ rootDir, setupFiles: ['plain.js', 'missing.js', 'seed.js'] });
+      expect([...facts.seededLibraries]).toEqual(['faker']);
+      expect(facts.intercepts).toBe(false);
+    });
+
+    it('should resolve absolute paths regardless of rootDir', () => {
+      const facts = probeFacts({ setupFiles: [path.join(rootDir, 'timers.js')] });
+      expect(facts.fakeTimers).toBe(true);
+    });
+
+    it('should report nothing without setup files', () => {
+      const facts = probeFacts({ rootDir });
+      expect(facts.seededLibraries.size).toBe(0);
+      expect(facts.mockedModules.size).toBe(0);
+      expect(facts.fakeTimers).toBe(false);
+    });
+  });
+
+  describe('getSetupFileFacts', () => {
+    it('should reparse a file only when it changes', () => {
+      const file = path.join(rootDir, 'changing.js');
+      fs.writeFileSync(file, 'jest.mock("axios");');
+      const first = probeFacts({ setupFiles: [file] });
+      expect(probeFacts({ setupFiles: [file] }).mockedModules).toEqual(first.mockedModules);
+
+      fs.writeFileSync(file, 'jest.mock("got");');
+      const later = new Date(fs.statSync(file).mtimeMs + 5000);
+      fs.utimesSync(file, later, later);
+      expect([...probeFacts({ setupFiles: [file] }).mockedModules]).toEqual(['got']);
+    });
+  });
+
+  describe('getSeededLibrary', () => {
+    it('should name the library a seed call seeds', () => {
+      const linter = new Linter({ configType: 'flat' });
+      const seeded = [];
+      const probe = {
+        create() {
+          const record = node => seeded.push(setupFiles.getSeededLibrary(node));
+          return { CallExpression: record, NewExpression: record };
+        }
+      };
+      linter.verify([
+        'faker.seed(1); casual.seed(2); chance.seed(3); new Chance(4); new Chance(); faker.name();',
+        'fakerDE.seed(5); fc.configureGlobal({ seed: 6 }); fc.configureGlobal({ numRuns: 7 });',
+        'seedrandom("x", { global: true }); seedrandom("y"); Math.seedrandom("z");'
+      ].join('\n'), [{
+        plugins: { probe: { rules: { probe } } },
+        rules: { 'probe/probe': 'error' }
+      }]);
+      expect(seeded).toEqual([
+        'faker', 'casual', 'chance', 'chance', null, null,
+        'fakerDE', 'fc', null,
+        'Math', null, 'Math'
+      ]);
+    });
+  });
+
+  describe('hasAnimationsDisabled', () => {
+    it('should match CSS overrides and reduced motion emulation', () => {
+      expect(setupFiles.hasAnimationsDisabled('animation-duration: 0s')).toBe(true);
+      expect(setupFiles.hasAnimationsDisabled('page.emulateMedia({ reducedMotion: "reduce" })')).toBe(true);
+      expect(setupFiles.hasAnimationsDisabled('await page.click("#go")')).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,144 @@
+/**
+ * @fileoverview Tests for data flow between tests
+ * @author eslint-plugin-test-flakiness
+ */
+'use strict';
+
+const { Linter } = require('eslint');
+const { getTestBlock, getTestTitle, findCrossTestFlow, isConcurrentAt } = require('../../../lib/utils/test-order');
+
+/**
+ * Lint code with a probe rule that hands every `use()` call to a callback
+ * @param {string} code - The source to lint
+ * @param {Function} onUse - Called with (node, sourceCode, context) per use() call
+ */
+function probeUses(code, onUse) {
+  const probe = {
+    create(context) {
+      return {
+        'CallExpression[callee.name="use"]'(node) {
+          onUse(node, context.getSourceCode(), context);
+        }
+      };
+    }
+  };
+  new Linter({ configType: 'flat' }).verify(code, [{
+    files: ['**/*.js'],
+    plugins: { probe: { rules: { probe } } },
+    rules: { 'probe/probe': 'error' }
+  }], { filename: 'file.test.js' });
+}
+
+describe('test-order', () => {
+  describe('getTestBlock', () => {
+    it('should name the test or hook a node runs in', () => {
+      const kinds = [];
+      probeUses([
+        'use();',
+        'describe("a", () => {',
+        '  use();',
+        '  beforeEach(() => { use(); });',
+        '  it("b", () => { use(); });',
+        '  test.concurrent("c", async () => { use(); });',
+        '});'
+      ].join('\n'), node => {
+        const block = getTestBlock(node);
+        kinds.push(block && block.kind);
+      });
+      expect(kinds).toEqual([null, null, 'beforeEach', 'test', 'test']);
+    });
+
+    it('should name Playwright blocks and steps by their member', () => {
+      const kinds = [];
+      probeUses([
+        'test.describe("a", () => {',
+        '  use();',
+        '  test.beforeEach(async () => { use(); });',
+        '  test("b", async () => { await test.step("c", async () => { use(); }); });',
+        '});'
+      ].join('\n'), node => {
+        const block = getTestBlock(node);
+        kinds.push(block && block.kind);
+      });
+      expect(kinds).toEqual([null, 'beforeEach', 'test']);
+    });
+  });
+
+  describe('getTestTitle', () => {
+    it('should read literal titles and fall back to the source', () => {
+      const titles = [];
+      probeUses([
+        'it("a", () => { use(); });',
+        'it(`b`, () => { use(); });',
+        'it(name, () => { use(); });'
+      ].join('\n'), (node, sourceCode) => titles.push(getTestTitle(getTestBlock(node).call, sourceCode)));
+      expect(titles).toEqual(['a', 'b', 'name']);
+    });
+  });
+
+  describe('isConcurrentAt', () => {
+    it('should follow test modifiers, describe modifiers and configure() outward', () => {
+      const concurrent = [];
+      probeUses([
+        'it("a", () => { use(); });',
+        'describe.concurrent("b", () => {',
+        '  beforeAll(() => { use(); });',
+        '  beforeEach(() => { use(); });',
+        '  it("c", () => { use(); });',
+        '  it.sequential("d", () => { use(); });',
+        '  describe("e", () => { it("f", () => { use(); }); });',
+        '  describe.sequential("g", () => { it("h", () => { use(); }); });',
+        '});',
+        'test.concurrent.each([1])("i", () => { use(); });',
+        'test.describe("j", () => {',
+        '  test.describe.configure({ mode: "parallel" });',
+        '  test("k", () => { use(); });',
+        '  test.describe.serial("l", () => { test("m", () => { use(); }); });',
+        '});'
+      ].join('\n'), (node, sourceCode, context) => concurrent.push(isConcurrentAt(node, context)));
+      expect(concurrent).toEqual([false, false, true, true, false, true, false, true, true, false]);
+    });
+  });
+
+  describe('findCrossTestFlow', () => {
+    const test = (start, end) => ({ range: [start, end] });
+    const at = position => ({ range: [position, position + 1] });
+
+    it('should pair a writing test with the first later test that reads', () => {
+      const writer = test(0, 10);
+      const overwriter = test(10, 20);
+      const reader = test(20, 30);
+      const flow = findCrossTestFlow([
+        { node: at(22), test: reader, reads: true, writes: false },
+        { node: at(2), test: writer, reads: false, writes: true },
+        { node: at(12), test: overwriter, reads: false, writes: true },
+        { node: at(14), test: overwriter, reads: true, writes: false }
+      ], []);
+      expect(flow).toEqual({ node: at(2), read: at(22), writer, reader });
+    });
+
+    it('should ignore readers before the writer and flows a hook resets', () => {
+      const reader = test(0, 10);
+      const writer = test(10, 20);
+      const later = test(20, 30);
+      const accesses = [
+        { node: at(2), test: reader, reads: true, writes: false },
+        { node: at(12), test: writer, reads: false, writes: true },
+        { node: at(22), test: later, reads: true, writes: false }
+      ];
+      expect(findCrossTestFlow(accesses.slice(0, 2), [])).toBeNull();
+      expect(findCrossTestFlow(accesses, [{ kind: 'beforeEach', scope: { type: 'Program' } }])).toBeNull();
+      expect(findCrossTestFlow(accesses, [{ kind: 'beforeAll', scope: { type: 'Program' } }])).not.toBeNull();
+    });
+
+    it('should drop writes the same test removes again', () => {
+      const writer = test(0, 10);
+      const reader = test(10, 20);
+      expect(findCrossTestFlow([
+        { node: at(2), test: writer, reads: false, writes: true },
+        { node: at(4), test: writer, reads: false, writes: false, removes: true },
+        { node: at(12), test: reader, reads: true, writes: false }
+      ], [])).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,105 @@
+/**
+ * @fileoverview Tests for fake timer scope analysis
+ * @author eslint-plugin-test-flakiness
+ */
+'use strict';
+
+const { Linter } = require('eslint');
+const { areFakeTimersInstalledAt } = require('../../../lib/utils/timers');
+
+/**
+ * Lint code with a probe rule that records whether each `use()` call runs
+ * with `api` faked, in source order
+ * @param {string} code - The source to lint
+ * @param {Object} [options] - The faked global and test-flakiness settings
+ * @returns {boolean[]} One result per use() call
+ */
+function probeUses(code, { api = 'Date', settings = {} } = {}) {
+  const results = [];
+  const probe = {
+    create(context) {
+      return {
+        'CallExpression[callee.name="use"]'(node) {
+          results.push(areFakeTimersInstalledAt(api, node, context));
+        }
+      };
+    }
+  };
+  new Linter({ configType: 'flat' }).verify(code, [{
+    files: ['**/*.js'],
+    plugins: { probe: { rules: { probe } } },
+    rules: { 'probe/probe': 'error' },
+    settings: { 'test-flakiness': settings }
+  }], { filename: 'file.test.js' });
+  return results;
+}
+
+describe('timers', () => {
+  describe('areFakeTimersInstalledAt', () => {
+    it('should apply installs in before hooks to every test of the describe block', () => {
+      expect(probeUses([
+        'describe("faked", () => {',
+        '  beforeEach(() => { jest.useFakeTimers(); });',
+        '  it("a", () => { use(); });',
+        '  describe("nested", () => { it("b", () => { use(); }); });',
+        '});',
+        'it("real", () => { use(); });'
+      ].join('\n'))).toEqual([true, true, false]);
+    });
+
+    it('should apply installs in a test only to the code after them', () => {
+      expect(probeUses([
+        'it("a", () => { use(); vi.useFakeTimers(); use(); });',
+        'it("b", () => { use(); });'
+      ].join('\n'))).toEqual([false, true, false]);
+    });
+
+    it('should end an install at useRealTimers() or the clock restore, but not at after hooks', () => {
+      expect(probeUses([
+        'describe("faked", () => {',
+        '  beforeEach(() => { jest.useFakeTimers(); });',
+        '  afterEach(() => { jest.useRealTimers(); });',
+        '  it("a", () => { use(); jest.useRealTimers(); use(); });',
+        '  it("b", () => { use(); });',
+        '});',
+        'it("c", () => { const clock = sinon.useFakeTimers(); use(); clock.restore(); use(); });',
+        'it("d", () => { const clock = FakeTimers.install(); other.restore(); use(); });'
+      ].join('\n'))).toEqual([true, false, true, true, false, true]);
+    });
+
+    it('should recognize cy.clock() and Playwright page.clock.install()', () => {
+      expect(probeUses([
+        'it("cypress", () => { cy.clock(); use(); });',
+        'test("playwright", async ({ page }) => { await page.clock.install(); use(); });'
+      ].join('\n'))).toEqual([true, true]);
+    });
+
+    it('should honor the globals an install leaves real', () => {
+      const code = [
+        'it("a", () => { jest.useFakeTimers({ doNotFake: ["Date"] }); use(); });',
+        'it("b", () => { vi.useFakeTimers({ toFake: ["setTimeout"] }); use(); });',
+        'it("c", () => { jest.useFakeTimers({ legacyFakeTimers: true }); use(); });',
+        'it("d", () => { cy.clock(0, ["setTimeout"]); use(); });'
+      ].join('\n');
+      expect(probeUses(code)).toEqual([false, false, false, false]);
+      expect(probeUses(code, { api: 'setTimeout' })).toEqual([true, true, true, true]);
+    });
+
+    it('should require cleanup of installs in before hooks with requireFakeTimerCleanup', () => {
+      const code = [
+        'describe("leaks", () => {',
+        '  beforeEach(() => { jest.useFakeTimers(); });',
+        '  it("a", () => { use(); });',
+        '});',
+        'describe("restores", () => {',
+        '  beforeEach(() => { clock = sinon.useFakeTimers(); });',
+        '  afterEach(() => { clock.restore(); });',
+        '  it("b", () => { use(); });',
+        '});',
+        'it("c", () => { jest.useFakeTimers(); use(); });'
+      ].join('\n');
+      expect(probeUses(code)).toEqual([true, true, true]);
+      expect(probeUses(code, { settings: { requireFakeTimerCleanup: true } })).toEqual([false, true, true]);
+    });
+  });
+});
@@ -0,0 +1,73 @@
+/**
+ * @fileoverview Tests for the TypeScript declaration generator
+ * @author eslint-plugin-test-flakiness
+ */
+'use strict';
+
+const fs = require('fs');
+const { OUTPUT_PATH, generateTypes, schemaToType, toInterfaceName } = require('../../scripts/generate-types');
+const { rules } = require('../../lib');
+
+describe('generate-types', () => {
+  it('should keep lib/index.d.ts in sync with the rule schemas', () => {
+    const current = fs.readFileSync(OUTPUT_PATH, 'utf8');
+    expect(current).toBe(generateTypes(rules));
+  });
+
+  it('should declare an options interface for every rule', () => {
+    const contents = generateTypes(rules);
+    Object.keys(rules).forEach(ruleName => {
+      expect(contents).toContain(`interface ${toInterfaceName(ruleName)} {`);
+      expect(contents).toContain(`'${ruleName}': [${toInterfaceName(ruleName)}?];`);
+    });
+  });
+
+  it('should declare the plugin settings from their schema', () => {
+    const { SETTINGS_SCHEMA } = require('../../lib/utils/helpers');
+    const contents = generateTypes(rules);
+    expect(contents).toContain('  interface Settings {');
+    Object.keys(SETTINGS_SCHEMA.properties).forEach(name => {
+      expect(contents).toContain(`    ${name}?: `);
+    });
+  });
+
+  it('should derive interface names from rule names', () => {
+    expect(toInterfaceName('no-hard-coded-timeout')).toBe('NoHardCodedTimeoutOptions');
+    expect(toInterfaceName('await-async-events')).toBe('AwaitAsyncEventsOptions');
+  });
+
+  it('should convert schema fragments to TypeScript types', () => {
+    expect(schemaToType({ type: 'boolean' }, '')).toBe('boolean');
+    expect(schemaToType({ type: 'integer' }, '')).toBe('number');
+    expect(schemaToType({ type: 'array', items: { type: 'string' } }, '')).toBe('string[]');
+    expect(schemaToType({ enum: ['auto', 'all'] }, '')).toBe('"auto" | "all"');
+    expect(schemaToType({ type: 'array', items: { enum: ['a', 'b'] } }, '')).toBe('("a" | "b")[]');
+    expect(schemaToType({ oneOf: [{ type: 'boolean' }, { type: 'string' }] }, '')).toBe('boolean | string');
+    expect(schemaToType({ type: ['string', 'null'] }, '')).toBe('string | null');
+    expect(schemaToType({ type: 'object', properties: { seed: { type: 'number' } } }, ''))
+      .toBe('{\n  seed?: number;\n}');
+    expect(schemaToType({ type: 'object' }, '')).toBe('Record<string, unknown>');
+    expect(schemaToType(undefined, '')).toBe('unknown');
+  });
+
+  it('should document descriptions and defaults', () => {
+    const contents = generateTypes({
+      'sample-rule': {
+        meta: {
+          schema: [{
+            type: 'object',
+            properties: {
+              maxTimeout: { type: 'number', default: 1000, description: 'Maximum timeout' },
+              names: { type: 'array', items: { type: 'string' } }
+            },
+            required: ['names']
+          }]
+        }
+      }
+    });
+
+    expect(contents).toContain('     * Maximum timeout\n     * @default 1000\n');
+    expect(contents).toContain('    maxTimeout?: number;');
+    expect(contents).toContain('    names: string[];');
+  });
+});